@@ -4,11 +4,20 @@ const bcrypt = require('bcrypt');
 const cookieParser = require('cookie-parser');
 const path = require('path');
 const db = require('./db'); // our MSSQL wrapper (exports query)
+const migrations = require('./db/migrations');
 const requireRole = require('./middleware/requireRole');
+const sla = require('./services/sla');
+const { startAutoClose } = require('./services/tickets');
+const notifications = require('./services/notifications');
+const access = require('./services/access');
+const ticketList = require('./services/ticketList');
+const users = require('./services/users');
+const pm = require('./services/pm');
+const { signToken } = require('./middleware/authenticateJWT');
 const jwt = require('jsonwebtoken');
 const fs = require('fs').promises;
 
-require('dotenv').config();
+require('dotenv').config({ quiet: true });
 
 const app = express();
 
@@ -97,16 +106,21 @@ function authenticateJWT(req, res, next) {
       }
       return res.redirect('/login');
     }
-    req.user = user; // decoded payload
-    next();
-  });
-}
 
-function locationFilterSQL(user) {
-  return 'WHERE t.location = ?';
-}
-function locationFilterParams(user) {
-  return [user.location];
+    access.resolveUser(user)
+      .then(current => {
+        if (!current) {
+          res.clearCookie('token');
+          if (expectsJson()) {
+            return res.status(401).json({ error: 'Unauthorized - Account deactivated' });
+          }
+          return res.redirect('/login');
+        }
+        req.user = current; // decoded payload + role / locations from the DB
+        next();
+      })
+      .catch(next);
+  });
 }
 
 // -------- Auth / Basic Routes --------
@@ -120,40 +134,13 @@ app.get('/login', (req, res) => {
 app.post('/login', async (req, res) => {
   try {
     const { globalId, password } = req.body;
-    if (!globalId || !password) {
-      return res.render('login', { error: 'Both fields are required' });
-    }
-
-    const id = String(globalId).trim();
-    console.log('[login] lookup user global_id=', id);
-
-    const rows = await runQuery('SELECT * FROM users WHERE global_id = ?', [id]);
-    const user = rows && rows[0];
-    if (!user || !user.password) {
-      console.warn('[login] user not found or no password:', user);
-      return res.render('login', { error: 'Invalid Global ID or unregistered user' });
-    }
-
-    const isMatch = await bcrypt.compare(password, user.password);
-    if (!isMatch) {
-      return res.render('login', { error: 'Incorrect password' });
+    const { user, error } = await users.checkLogin(globalId, password);
+    if (error) {
+      return res.render('login', { error });
     }
 
     // ✅ Create JWT
-    const token = jwt.sign(
-      {
-        id: user.id,
-        globalId: user.global_id,
-        name: user.name,
-        phone: user.phone,
-        email: user.email,
-        department: user.department,
-        role: user.department,
-        location: user.location
-      },
-      process.env.JWT_SECRET,
-      { expiresIn: '7d' }
-    );
+    const token = signToken(user);
 
     console.log('✅ JWT created for user:', user.global_id);
 
@@ -199,15 +186,17 @@ app.post('/register/check', async (req, res) => {
       return res.render('register-id', { error: 'Please enter Global ID', globalId: '' });
     }
 
-    console.log('[register/check] looking for globalId=', globalId);
     const rows = await runQuery('SELECT * FROM users WHERE global_id = ?', [globalId]);
-    console.log('[register/check] db returned rows =', rows);
 
     const user = rows && rows[0];
     if (!user) {
       return res.render('register-id', { error: 'Global ID not found. Contact admin.', globalId });
     }
 
+    if (user.is_active === false || user.is_active === 0) {
+      return res.render('register-id', { error: 'This account has been deactivated. Contact admin.', globalId });
+    }
+
     if (user.password) {
       return res.render('register-id', { error: 'Already registered. Please login.', globalId });
     }
@@ -229,7 +218,14 @@ app.post('/register/complete', async (req, res) => {
     console.log('[register/complete] completing registration for', globalId);
     const hashed = await bcrypt.hash(password, 10);
 
-    await runQuery('UPDATE users SET password = ? WHERE global_id = ?', [hashed, globalId]);
+    // Only a pending registration can set a password; existing ones are changed via reset
+    const [, result] = await db.query(
+      'UPDATE users SET password = ? WHERE global_id = ? AND password IS NULL AND is_active = 1',
+      [hashed, globalId]
+    );
+    if (!result.rowsAffected || result.rowsAffected[0] === 0) {
+      return res.render('register-id', { error: 'Registration is not open for this Global ID.', globalId });
+    }
 
     return res.redirect('/login');
   } catch (err) {
@@ -239,88 +235,21 @@ app.post('/register/complete', async (req, res) => {
 });
 
 // -------- Dashboards --------
-app.get('/dashboard/planner', authenticateJWT, async (req, res) => {
-  try {
-    const locSQL = locationFilterSQL(req.user);
-    const locParams = locationFilterParams(req.user);
-
-    console.log('[planner] fetching tickets with locParams=', locParams);
-    const tickets = await runQuery(
-      `SELECT t.*, u.name AS assigned_to_name
-       FROM tickets t
-       LEFT JOIN users u ON t.assigned_to = u.global_id
-       ${locSQL}
-       ORDER BY t.created_at DESC`,
-      locParams
-    );
-    console.log('[planner] tickets count=', tickets.length);
-
-    const technicians = await runQuery(
-      "SELECT global_id, name, location, department AS role FROM users WHERE department IN ('technician','planner','admin') AND location = ? ORDER BY name",
-      [req.user.location]
-    );
-    console.log('[planner] technicians count=', technicians.length);
-
-    res.render('dashboard-planner', {
-      tickets,
-      technicians,
-      user: req.user
-    });
-  } catch (err) {
-    console.error('Planner dashboard error:', err);
-    res.send('Failed to load planner dashboard');
-  }
-});
-
-app.get('/dashboard/admin', authenticateJWT, async (req, res) => {
-  try {
-    const locSQL = locationFilterSQL(req.user);
-    const locParams = locationFilterParams(req.user);
-
-    console.log('[admin] fetching tickets with locParams=', locParams);
-    const tickets = await runQuery(
-      `SELECT t.*, u.name AS assigned_to_name
-       FROM tickets t
-       LEFT JOIN users u ON t.assigned_to = u.global_id
-       ${locSQL}
-       ORDER BY t.created_at DESC`,
-      locParams
-    );
-    console.log('[admin] tickets count=', tickets.length);
-
-    const summary = { total: tickets.length, statusCounts: {}, categoryCounts: {} };
-    tickets.forEach(t => {
-      summary.statusCounts[t.status] = (summary.statusCounts[t.status] || 0) + 1;
-      summary.categoryCounts[t.category] = (summary.categoryCounts[t.category] || 0) + 1;
-    });
-
-    res.render('admin-dashboard', {
-      tickets,
-      summary,
-      user: req.user
-    });
-  } catch (err) {
-    console.error('Admin dashboard error:', err);
-    res.send('Failed to load admin dashboard.');
-  }
-});
+// Each renders the first page of its ticket list(s); further pages come from GET /tickets/list.
+// The planner, technician and admin dashboards are in their routers (role checked there).
+const listFilters = {
+  ticketStatuses: ticketList.STATUSES,
+  ticketCategories: ticketList.CATEGORIES,
+  ticketSorts: ticketList.SORT_CHOICES
+};
 
 app.get('/dashboard/user', authenticateJWT, async (req, res) => {
   try {
-    const tickets = await runQuery(
-      `SELECT t.*, u.name AS assigned_to_name
-       FROM tickets t
-       LEFT JOIN users u ON t.assigned_to = u.global_id
-       WHERE (t.global_id = ? OR t.assigned_to = ?)
-         AND t.location = ?
-       ORDER BY t.created_at DESC`,
-      [req.user.globalId, req.user.globalId, req.user.location]
-    );
-
-    console.log('[user] tickets count for', req.user.globalId, tickets.length);
-
+    const list = await ticketList.firstPage(req.user, 'user');
     res.render('dashboard-user', {
-      tickets,
+      tickets: list.tickets,
+      list,
+      ...listFilters,
       user: req.user,
       message: req.query.message || null,
       error: req.query.error || null
@@ -331,27 +260,6 @@ app.get('/dashboard/user', authenticateJWT, async (req, res) => {
   }
 });
 
-app.get('/dashboard/technician', authenticateJWT, async (req, res) => {
-  try {
-    const tickets = await runQuery(
-      `SELECT t.*, u.name AS planner_name
-       FROM tickets t
-       LEFT JOIN users u ON t.planner_id = u.global_id
-       WHERE t.assigned_to = ? AND t.location = ?
-       ORDER BY t.created_at DESC`,
-      [req.user.globalId, req.user.location]
-    );
-    console.log('[technician] tickets count=', tickets.length);
-    res.render('dashboard-technician', {
-      tickets,
-      user: req.user
-    });
-  } catch (err) {
-    console.error('Technician dashboard error:', err);
-    res.send('Failed to load technician dashboard.');
-  }
-});
-
 // -------- Mount other route modules --------
 const ticketRoutes = require('./routes/ticket');
 const plannerRoutes = require('./routes/planner');
@@ -359,6 +267,16 @@ const technicianRoutes = require('./routes/technician');
 const adminRoutes = require('./routes/admin');
 const forgotRoutes = require('./routes/forgot');
 const masterRoutes = require('./routes/master');
+const fivesRoutes = require('./routes/fives');
+const kaizenRoutes = require('./routes/kaizen');
+const qualityRoutes = require('./routes/quality');
+const notificationRoutes = require('./routes/notifications');
+const userRoutes = require('./routes/users');
+const analyticsRoutes = require('./routes/analytics');
+const pmRoutes = require('./routes/pm');
+const assetRoutes = require('./routes/assets');
+const partRoutes = require('./routes/parts');
+const apiRoutes = require('./routes/api');
 
 
 app.use('/', ticketRoutes);
@@ -367,6 +285,16 @@ app.use('/', technicianRoutes);
 app.use('/', adminRoutes);
 app.use('/', forgotRoutes);
 app.use('/', masterRoutes);
+app.use('/', fivesRoutes);
+app.use('/', kaizenRoutes);
+app.use('/', qualityRoutes);
+app.use('/', notificationRoutes);
+app.use('/', userRoutes);
+app.use('/', analyticsRoutes);
+app.use('/', pmRoutes);
+app.use('/', assetRoutes);
+app.use('/', partRoutes);
+app.use('/api/v1', apiRoutes);
 
 // -------- Fallback / 404 --------
 app.use((req, res) => {
@@ -374,16 +302,37 @@ app.use((req, res) => {
 });
 
 // -------- Start server --------
+// Tests (NODE_ENV=test) load the app without starting it and listen on their own port
 const PORT = process.env.PORT || 3000;
-(async () => {  
+async function start() {
   try {
     console.log('⏳ Running DB smoke test (SELECT 1) ...');
     const ok = await runQuery('SELECT 1 AS ok', []);
     console.log('✅ DB smoke test result:', ok);
 
+    // Refuse to run against a schema older than the code
+    await migrations.assertCurrent();
+
     app.listen(PORT, () => console.log(`🚀 Server running at http://localhost:${PORT}`));
+
+    // Flag SLA breaches and escalate them to the location admins
+    sla.startSlaMonitor();
+
+    // Close resolved tickets the raiser never confirmed
+    startAutoClose();
+
+    // Deliver queued push / email notifications and retry failed ones
+    notifications.startWorker();
+
+    // Raise preventive maintenance tickets ahead of their due dates
+    pm.startPmScheduler();
   } catch (err) {
-    console.error('❌ Failed to start server (DB issue):', err);
+    if (err.pending) console.error(`❌ ${err.message}`);
+    else console.error('❌ Failed to start server (DB issue):', err);
     process.exit(1); 
   }
-})();
\ No newline at end of file
+}
+
+if (process.env.NODE_ENV !== 'test') start();
+
+module.exports = app;
@@ -0,0 +1,230 @@
+// db/migrations.js
+// Versioned schema migrations. sql/NNN_name.up.sql takes the schema to version NNN and
+// sql/NNN_name.down.sql takes it back; applied versions are recorded in schema_migrations.
+// Scripts are T-SQL (translated on SQLite). A GO line ends a batch: statements that use a column
+// added earlier in the same script must come after one. Each script runs in one transaction with
+// its schema_migrations change, so a failed script leaves the database at the previous version.
+// A .down.sql without statements marks a migration that can't be reverted (001: the production tables).
+//
+// Command line (npm run migrate -- <command>):
+//   up [version]       apply the pending migrations (up to version)      - the default
+//   down [steps]       revert the latest applied migration(s), 1 by default
+//   status             list applied and pending migrations
+//   baseline version   record 001..version as applied without running them (for a database
+//                      whose schema was built by hand before migrations existed)
+const fs = require('fs');
+const path = require('path');
+const db = require('../db');
+
+const SQL_DIR = path.join(__dirname, '..', 'sql');
+const FILE_RE = /^(\d{3})_(\w+)\.(up|down)\.sql$/;
+
+/**
+ * listMigrations()
+ * Every migration in sql/ as { version, name, up, down } (file paths), by version.
+ */
+function listMigrations() {
+  const byVersion = new Map();
+  for (const file of fs.readdirSync(SQL_DIR)) {
+    const match = FILE_RE.exec(file);
+    if (!match) continue;
+    const [, digits, name, direction] = match;
+    const version = Number(digits);
+    const migration = byVersion.get(version) || { version, name: `${digits}_${name}` };
+    if (migration.name !== `${digits}_${name}`) {
+      throw new Error(`Two migrations numbered ${digits}: ${migration.name} and ${digits}_${name}`);
+    }
+    migration[direction] = path.join(SQL_DIR, file);
+    byVersion.set(version, migration);
+  }
+
+  const migrations = [...byVersion.values()].sort((a, b) => a.version - b.version);
+  const incomplete = migrations.find(m => !m.up || !m.down);
+  if (incomplete) throw new Error(`Migration ${incomplete.name} needs both an .up.sql and a .down.sql file`);
+  return migrations;
+}
+
+// Batches of a script, split on GO lines
+function batches(file) {
+  return fs
+    .readFileSync(file, 'utf8')
+    .split(/^\s*GO\s*$/im)
+    .filter(batch => batch.replace(/--.*$/gm, '').trim());
+}
+
+function isMissingTable(err) {
+  return /no such table|Invalid object name/i.test(err.message || '');
+}
+
+async function ensureTable() {
+  try {
+    await db.query('SELECT TOP 1 version FROM schema_migrations');
+  } catch (err) {
+    if (!isMissingTable(err)) throw err;
+    await db.query(`
+      CREATE TABLE schema_migrations (
+        version     INT NOT NULL PRIMARY KEY,
+        name        NVARCHAR(200) NOT NULL,
+        applied_at  DATETIME NOT NULL DEFAULT GETDATE()
+      )
+    `);
+    console.log('✅ Created schema_migrations');
+  }
+}
+
+// Applied rows by version (empty when the table doesn't exist yet)
+async function appliedVersions() {
+  try {
+    const [rows] = await db.query('SELECT version, name, applied_at FROM schema_migrations ORDER BY version');
+    return new Map(rows.map(row => [row.version, row]));
+  } catch (err) {
+    if (isMissingTable(err)) return new Map();
+    throw err;
+  }
+}
+
+/**
+ * status()
+ * { applied, pending, unknown }: applied rows, migrations not applied yet, and applied
+ * versions that have no script here (the database is newer than this code).
+ */
+async function status() {
+  const migrations = listMigrations();
+  const applied = await appliedVersions();
+  const known = new Set(migrations.map(m => m.version));
+  return {
+    applied: [...applied.values()],
+    pending: migrations.filter(m => !applied.has(m.version)),
+    unknown: [...applied.values()].filter(row => !known.has(row.version))
+  };
+}
+
+async function runScript(tx, migration, direction) {
+  const parts = batches(migration[direction]);
+  for (let i = 0; i < parts.length; i++) {
+    try {
+      await tx.query(parts[i]);
+    } catch (err) {
+      err.message = `${migration.name}.${direction}.sql, batch ${i + 1} of ${parts.length}: ${err.message}`;
+      throw err;
+    }
+  }
+}
+
+/**
+ * migrateUp(target)
+ * Applies the pending migrations in order (up to `target`, default all).
+ * Returns the names applied.
+ */
+async function migrateUp(target = Infinity) {
+  await ensureTable();
+  const { pending } = await status();
+  const done = [];
+  for (const migration of pending.filter(m => m.version <= target)) {
+    console.log(`⬆️  Applying ${migration.name} ...`);
+    await db.transaction(async tx => {
+      await runScript(tx, migration, 'up');
+      await tx.query('INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, GETDATE())', [
+        migration.version,
+        migration.name
+      ]);
+    });
+    done.push(migration.name);
+  }
+  return done;
+}
+
+/**
+ * migrateDown(steps)
+ * Reverts the latest `steps` applied migrations (default 1), newest first, stopping with an
+ * error at one that can't be reverted. Returns the names reverted.
+ */
+async function migrateDown(steps = 1) {
+  const migrations = new Map(listMigrations().map(m => [m.version, m]));
+  const applied = [...(await appliedVersions()).keys()].sort((a, b) => b - a).slice(0, steps);
+  const done = [];
+  for (const version of applied) {
+    const migration = migrations.get(version);
+    if (!migration) throw new Error(`Migration ${version} is applied but has no script in sql/`);
+    if (!batches(migration.down).length) throw new Error(`Migration ${migration.name} can't be reverted`);
+    console.log(`⬇️  Reverting ${migration.name} ...`);
+    await db.transaction(async tx => {
+      await runScript(tx, migration, 'down');
+      await tx.query('DELETE FROM schema_migrations WHERE version = ?', [version]);
+    });
+    done.push(migration.name);
+  }
+  return done;
+}
+
+/**
+ * baseline(target)
+ * Records every migration up to `target` as applied without running it.
+ * Returns the names recorded.
+ */
+async function baseline(target) {
+  if (!Number.isInteger(target) || target < 1) throw new Error('baseline needs the version the database is at');
+  await ensureTable();
+  const { pending } = await status();
+  const done = [];
+  for (const migration of pending.filter(m => m.version <= target)) {
+    await db.query('INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, GETDATE())', [
+      migration.version,
+      migration.name
+    ]);
+    done.push(migration.name);
+  }
+  return done;
+}
+
+/**
+ * assertCurrent()
+ * Throws (err.pending = the missing migrations) unless every migration in sql/ is applied.
+ */
+async function assertCurrent() {
+  const { pending } = await status();
+  if (!pending.length) return;
+  const names = pending.map(m => m.name).join(', ');
+  const err = new Error(
+    `Database schema is out of date: migration${pending.length > 1 ? 's' : ''} ${names} not applied. ` +
+      'Run `npm run migrate` first.'
+  );
+  err.pending = pending;
+  throw err;
+}
+
+async function main([command = 'up', arg] = []) {
+  const number = arg === undefined ? undefined : Number(arg);
+  if (arg !== undefined && !Number.isInteger(number)) throw new Error(`Not a number: ${arg}`);
+
+  if (command === 'up') {
+    const done = await migrateUp(number);
+    console.log(done.length ? `✅ Applied ${done.length} migration(s)` : '✅ Schema is up to date');
+  } else if (command === 'down') {
+    const done = await migrateDown(number);
+    console.log(done.length ? `✅ Reverted ${done.join(', ')}` : 'ℹ️  Nothing to revert');
+  } else if (command === 'baseline') {
+    const done = await baseline(number);
+    console.log(`✅ Recorded ${done.length} migration(s) as applied`);
+  } else if (command === 'status') {
+    const { applied, pending, unknown } = await status();
+    applied.forEach(row => console.log(`  ✔ ${row.name}  (${row.applied_at.toISOString()})`));
+    pending.forEach(m => console.log(`  ✖ ${m.name}  (pending)`));
+    unknown.forEach(row => console.log(`  ? ${row.name}  (applied, no script here)`));
+    if (!applied.length && !pending.length) console.log('  No migrations.');
+  } else {
+    throw new Error(`Unknown command "${command}" (use up, down, status or baseline)`);
+  }
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2))
+    .then(() => db.close())
+    .catch(async err => {
+      console.error('❌ Migration failed:', err.message);
+      await db.close().catch(() => {});
+      process.exit(1);
+    });
+}
+
+module.exports = { listMigrations, status, migrateUp, migrateDown, baseline, assertCurrent };
@@ -0,0 +1,197 @@
+// db/mssql.js
+// SQL Server driver: mimics mysql2 db.query(sql, params) usage with "?" placeholders.
+// It transforms SQL with ? into parameterized mssql SQL with @p1, @p2... and binds inputs.
+// Connection settings come from DB_SERVER (or DB_HOST), DB_PORT, DB_NAME, DB_USER and DB_PASSWORD.
+const sql = require('mssql');
+
+const config = {
+  user: process.env.DB_USER,
+  password: process.env.DB_PASSWORD,
+  server: process.env.DB_SERVER || process.env.DB_HOST,
+  database: process.env.DB_NAME,
+  port: process.env.DB_PORT ? parseInt(process.env.DB_PORT, 10) : 1433, // Default MSSQL port
+  options: {
+    encrypt: process.env.DB_ENCRYPT !== 'false',
+    trustServerCertificate: process.env.DB_TRUST_SERVER_CERTIFICATE !== 'false'
+  },
+  pool: {
+    max: 10,
+    min: 0,
+    idleTimeoutMillis: 30000
+  }
+};
+
+// Create a single pool as soon as the module is loaded
+const poolPromise = sql.connect(config)
+  .then(pool => {
+    console.log(`✅ MSSQL pool created: ${config.server}:${config.port} / DB ${config.database}`);
+    return pool;
+  })
+  .catch(err => {
+    console.error('❌ MSSQL connection failed:', err);
+    // rethrow so any awaiters fail as well
+    throw err;
+  });
+
+/**
+ * Convert SQL with positional "?" placeholders into named mssql params:
+ * "SELECT * FROM tickets WHERE global_id = ? AND location = ?" => "SELECT * FROM tickets WHERE global_id = @p1 AND location = @p2"
+ * Returns mappedSql and inputs object { p1: value1, p2: value2 }
+ */
+function mapSqlAndInputs(sqlText = '', params = []) {
+  let index = 0;
+  const inputs = {};
+  const mapped = String(sqlText).replace(/\?/g, () => {
+    index++;
+    const name = `p${index}`;
+    inputs[name] = params[index - 1];
+    return `@${name}`;
+  });
+  return { mappedSql: mapped, inputs };
+}
+
+// Bind inputs with simple type inference
+function bindInputs(request, inputs) {
+  for (const [key, val] of Object.entries(inputs)) {
+    try {
+      if (val === null || val === undefined) {
+        request.input(key, sql.NVarChar, null);
+      } else if (typeof val === 'number' && Number.isInteger(val)) {
+        request.input(key, sql.Int, val);
+      } else if (typeof val === 'number') {
+        request.input(key, sql.Float, val);
+      } else if (typeof val === 'boolean') {
+        request.input(key, sql.Bit, val ? 1 : 0);
+      } else if (val instanceof Date) {
+        request.input(key, sql.DateTime, val);
+      } else {
+        request.input(key, sql.NVarChar(sql.MAX), String(val));
+      }
+    } catch (err) {
+      // fallback: bind as NVARCHAR
+      request.input(key, sql.NVarChar(sql.MAX), val == null ? null : String(val));
+    }
+  }
+}
+
+/**
+ * query(sqlWithQuestionMarks, paramsArray)
+ * Returns a Promise that resolves to [rows, result] so code that expects mysql2 style
+ * (e.g. const [rows] = await db.query(...)) keeps working.
+ */
+async function query(sqlText, params = []) {
+  const pool = await poolPromise;
+  return run(pool.request(), sqlText, params);
+}
+
+async function run(request, sqlText, params) {
+  const { mappedSql, inputs } = mapSqlAndInputs(sqlText, params);
+  bindInputs(request, inputs);
+
+  const result = await request.query(mappedSql);
+  // Return [rows, result] to keep compatibility with mysql2-style usage
+  return [result.recordset, result];
+}
+
+/**
+ * transaction(work)
+ * Runs work(tx) in one transaction: tx.query() is query() inside it. Commits when work
+ * resolves, rolls back when it throws. Resolves to what work resolves to.
+ */
+async function transaction(work) {
+  const pool = await poolPromise;
+  const tx = new sql.Transaction(pool);
+  await tx.begin();
+  try {
+    const result = await work({ query: (sqlText, params = []) => run(new sql.Request(tx), sqlText, params) });
+    await tx.commit();
+    return result;
+  } catch (err) {
+    await tx.rollback().catch(rollbackErr => console.error('❌ MSSQL rollback failed:', rollbackErr));
+    throw err;
+  }
+}
+
+/**
+ * stream(sqlWithQuestionMarks, paramsArray, onRow)
+ * Runs a query row by row instead of loading the whole result (large exports).
+ * onRow(row) may return a promise; reading pauses until it settles.
+ * Resolves with the column names once every row is handled.
+ */
+async function stream(sqlText, params = [], onRow) {
+  const pool = await poolPromise;
+  const { mappedSql, inputs } = mapSqlAndInputs(sqlText, params);
+
+  const request = pool.request();
+  bindInputs(request, inputs);
+  request.stream = true;
+
+  return new Promise((resolve, reject) => {
+    let columns = [];
+    let pending = Promise.resolve();
+    let failed = null;
+
+    request.on('recordset', cols => { columns = Object.keys(cols); });
+    request.on('row', row => {
+      request.pause();
+      pending = pending
+        .then(() => onRow(row))
+        .then(() => request.resume(), err => {
+          failed = failed || err;
+          request.cancel();
+        });
+    });
+    request.on('error', err => { failed = failed || err; });
+    request.on('done', () => pending.then(() => (failed ? reject(failed) : resolve(columns))));
+
+    request.query(mappedSql);
+  });
+}
+
+/**
+ * connectTest(): waits for pool to be ready and executes a small query.
+ * Used in app startup to ensure DB connectivity before listening.
+ */
+async function connectTest() {
+  try {
+    const pool = await poolPromise;
+    // simple ping
+    const r = await pool.request().query('SELECT 1 AS ok');
+    console.log(`✅ MSSQL Connected:, ${config.server}:${config.port} / DB ${config.database}`);
+    return r;
+  } catch (err) {
+    console.error('❌ MSSQL connectTest failed:', err);
+    throw err;
+  }
+}
+
+/**
+ * Keep-alive: ping database every 30 seconds so the MSSQL pool remains active.
+ * This prevents Node from exiting due to no active handles (mssql pool can go idle).
+ */
+const keepAlive = setInterval(async () => {
+  try {
+    // Use the query wrapper to keep behavior consistent
+    await query('SELECT 1');
+    // optional: console.debug('MSSQL keep-alive success');
+  } catch (err) {
+    console.error('MSSQL keep-alive error:', err);
+  }
+}, 30000);
+
+async function close() {
+  clearInterval(keepAlive);
+  const pool = await poolPromise;
+  await pool.close();
+}
+
+// Export API
+module.exports = {
+  query,
+  stream,
+  transaction,
+  sql,
+  poolPromise,
+  connectTest,
+  close
+};
\ No newline at end of file
@@ -0,0 +1,202 @@
+// db/sqlite.js
+// Local SQLite driver (sql.js, no native build) for development and tests.
+// T-SQL is translated by db/tsql.js; results have the mssql shape
+// ({ recordset, recordsets, rowsAffected }) so callers can't tell the drivers apart.
+//
+// DB_FILE=path keeps the database in that file (loaded at start, saved shortly after each change);
+// without it the database lives in memory only.
+// DATETIME values are stored as UTC text (YYYY-MM-DD HH:MM:SS.SSS) and read back as Date objects.
+// Unlike SQL Server's default collation, "=" on text is case-sensitive here.
+const fs = require('fs');
+const path = require('path');
+const initSqlJs = require('sql.js');
+const { translate } = require('./tsql');
+
+const file = process.env.DB_FILE ? path.resolve(process.env.DB_FILE) : null;
+const SAVE_DELAY_MS = 500;
+const TIMESTAMP_RE = /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}(\.\d{1,3})?$/;
+
+let database = null;
+let openStreams = 0;
+let saveTimer = null;
+let openTransaction = null; // settles when the running transaction ends
+
+const dbPromise = initSqlJs()
+  .then(SQL => {
+    const db = file && fs.existsSync(file) ? new SQL.Database(fs.readFileSync(file)) : new SQL.Database();
+    db.run('PRAGMA foreign_keys = ON');
+    database = db;
+    console.log(`✅ SQLite database ready: ${file || 'in memory (not saved)'}`);
+    return db;
+  })
+  .catch(err => {
+    console.error('❌ SQLite init failed:', err);
+    throw err;
+  });
+
+// JS value -> SQLite value (Dates as UTC text, booleans as 0 / 1)
+function toSqlite(value) {
+  if (value === undefined || value === null) return null;
+  if (value instanceof Date) return value.toISOString().replace('T', ' ').replace('Z', '');
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  if (Buffer.isBuffer(value)) return new Uint8Array(value);
+  return value;
+}
+
+// Row from SQLite -> row as mssql returns it (timestamps as Date)
+function fromSqlite(row) {
+  for (const [key, value] of Object.entries(row)) {
+    if (typeof value === 'string' && TIMESTAMP_RE.test(value)) row[key] = new Date(`${value.replace(' ', 'T')}Z`);
+  }
+  return row;
+}
+
+// "?N" parameters of the translated statements, bound by name
+function bindings(params = []) {
+  const named = {};
+  params.forEach((value, i) => {
+    named[`?${i + 1}`] = toSqlite(value);
+  });
+  return named;
+}
+
+function save(db) {
+  try {
+    fs.writeFileSync(file, Buffer.from(db.export()));
+    db.run('PRAGMA foreign_keys = ON');
+  } catch (err) {
+    console.error(`❌ Failed to save SQLite database to ${file}:`, err);
+  }
+}
+
+// Writes the database to DB_FILE once changes settle (and on exit). export() resets open
+// statements, so it waits until no stream is reading and no transaction is open.
+function scheduleSave(db) {
+  if (!file || saveTimer) return;
+  saveTimer = setTimeout(() => {
+    saveTimer = null;
+    if (openStreams > 0 || openTransaction) return scheduleSave(db);
+    save(db);
+  }, SAVE_DELAY_MS);
+  saveTimer.unref();
+}
+
+process.on('exit', () => {
+  if (!saveTimer || !database) return;
+  clearTimeout(saveTimer);
+  saveTimer = null;
+  save(database);
+});
+
+function runStatement(db, text, bound) {
+  const stmt = db.prepare(text);
+  try {
+    stmt.bind(bound);
+    const rows = [];
+    while (stmt.step()) rows.push(fromSqlite(stmt.getAsObject()));
+    const columns = stmt.getColumnNames();
+    const isQuery = columns.length > 0 && !/^\s*(INSERT|UPDATE|DELETE)\b/i.test(text);
+    return { rows: columns.length ? rows : undefined, affected: isQuery ? rows.length : db.getRowsModified(), write: !isQuery };
+  } finally {
+    stmt.free();
+  }
+}
+
+/**
+ * query(sql, params)
+ * Runs a T-SQL batch; resolves to [recordset, result] like the mssql driver.
+ */
+async function query(sqlText, params = []) {
+  const db = await dbPromise;
+  // There is one connection: queries from outside a transaction wait for it to end
+  while (openTransaction) await openTransaction;
+  return run(db, sqlText, params);
+}
+
+function run(db, sqlText, params) {
+  const bound = bindings(params);
+  const result = { recordsets: [], rowsAffected: [], output: {} };
+  let changed = false;
+
+  for (const text of translate(sqlText)) {
+    const { rows, affected, write } = runStatement(db, text, bound);
+    if (rows) result.recordsets.push(rows);
+    result.rowsAffected.push(affected);
+    changed = changed || write;
+  }
+  result.recordset = result.recordsets[0];
+
+  if (changed) scheduleSave(db);
+  return [result.recordset, result];
+}
+
+/**
+ * transaction(work)
+ * Runs work(tx) between BEGIN and COMMIT (ROLLBACK when it throws); tx.query() is query()
+ * inside the transaction. Resolves to what work resolves to.
+ */
+async function transaction(work) {
+  const db = await dbPromise;
+  while (openTransaction) await openTransaction;
+
+  let end;
+  openTransaction = new Promise(resolve => { end = resolve; });
+  db.run('BEGIN');
+  try {
+    const result = await work({ query: async (sqlText, params = []) => run(db, sqlText, params) });
+    db.run('COMMIT');
+    return result;
+  } catch (err) {
+    // Some errors end the transaction themselves, leaving nothing to roll back
+    try {
+      db.run('ROLLBACK');
+    } catch (rollbackErr) {}
+    throw err;
+  } finally {
+    openTransaction = null;
+    end();
+  }
+}
+
+/**
+ * stream(sql, params, onRow)
+ * Hands the rows of a single SELECT to onRow(row) one at a time (awaiting it).
+ * Resolves with the column names.
+ */
+async function stream(sqlText, params = [], onRow) {
+  const db = await dbPromise;
+  const statements = translate(sqlText);
+  if (statements.length !== 1) throw new Error('db.stream() runs a single statement');
+
+  const stmt = db.prepare(statements[0]);
+  openStreams++;
+  try {
+    stmt.bind(bindings(params));
+    const columns = stmt.getColumnNames();
+    while (stmt.step()) await onRow(fromSqlite(stmt.getAsObject()));
+    return columns;
+  } finally {
+    openStreams--;
+    stmt.free();
+  }
+}
+
+async function connectTest() {
+  const [rows] = await query('SELECT 1 AS ok');
+  console.log(`✅ SQLite Connected: ${file || 'in memory'}`);
+  return rows;
+}
+
+/**
+ * close()
+ * Saves (DB_FILE) and closes the database.
+ */
+async function close() {
+  const db = await dbPromise;
+  clearTimeout(saveTimer);
+  saveTimer = null;
+  if (file) fs.writeFileSync(file, Buffer.from(db.export()));
+  db.close();
+}
+
+module.exports = { query, stream, transaction, connectTest, close };
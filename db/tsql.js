@@ -0,0 +1,238 @@
+// db/tsql.js
+// Translates the T-SQL the routes and services write into SQLite, so the same
+// db.query(sql, params) calls run on the local SQLite driver (db/sqlite.js).
+// Covered: GETDATE(), DATEADD, DATEDIFF, TOP n, OFFSET ... FETCH NEXT, OUTPUT INSERTED.*,
+// ISNULL, LEN and [bracketed] names, plus the DDL of the migrations in sql/ (IDENTITY keys,
+// DEFAULT GETDATE(), NVARCHAR(MAX), multi-column ALTER TABLE and DROP INDEX ... ON). Positional "?" placeholders become numbered "?N"
+// so clauses can move around (TOP -> LIMIT) without changing which parameter they bind.
+
+// UTC timestamp text, the format DATETIME values are stored in (see db/sqlite.js)
+const TIMESTAMP_FORMAT = '%Y-%m-%d %H:%M:%f';
+const NOW = `strftime('${TIMESTAMP_FORMAT}', 'now')`;
+
+// DATEADD unit -> [SQLite modifier unit, multiplier]
+const ADD_UNITS = {
+  year: ['years', 1], yy: ['years', 1], yyyy: ['years', 1],
+  quarter: ['months', 3], qq: ['months', 3], q: ['months', 3],
+  month: ['months', 1], mm: ['months', 1], m: ['months', 1],
+  week: ['days', 7], wk: ['days', 7], ww: ['days', 7],
+  day: ['days', 1], dd: ['days', 1], d: ['days', 1],
+  hour: ['hours', 1], hh: ['hours', 1],
+  minute: ['minutes', 1], mi: ['minutes', 1], n: ['minutes', 1],
+  second: ['seconds', 1], ss: ['seconds', 1], s: ['seconds', 1]
+};
+
+// DATEDIFF counts unit boundaries crossed: truncate both sides to the unit, then subtract
+// (unit -> [strftime format, julian days -> unit factor])
+const DIFF_UNITS = {
+  day: ['%Y-%m-%d 00:00:00', 1], dd: ['%Y-%m-%d 00:00:00', 1], d: ['%Y-%m-%d 00:00:00', 1],
+  hour: ['%Y-%m-%d %H:00:00', 24], hh: ['%Y-%m-%d %H:00:00', 24],
+  minute: ['%Y-%m-%d %H:%M:00', 1440], mi: ['%Y-%m-%d %H:%M:00', 1440], n: ['%Y-%m-%d %H:%M:00', 1440],
+  second: ['%Y-%m-%d %H:%M:%S', 86400], ss: ['%Y-%m-%d %H:%M:%S', 86400], s: ['%Y-%m-%d %H:%M:%S', 86400]
+};
+
+function fail(message, sql) {
+  return new Error(`${message} in SQL: ${sql.replace(/\s+/g, ' ').trim().slice(0, 200)}`);
+}
+
+/**
+ * protect(sql)
+ * Drops comments and swaps string literals for \u0000N\u0000 markers (and "?" for "?N"), so the
+ * rewrites below never touch literal text. Returns { text, literals }.
+ */
+function protect(sql) {
+  const literals = [];
+  let text = '';
+  let param = 0;
+
+  for (let i = 0; i < sql.length; i++) {
+    const c = sql[i];
+    if (c === "'") {
+      let j = i + 1;
+      while (j < sql.length && !(sql[j] === "'" && sql[j + 1] !== "'")) j += sql[j] === "'" ? 2 : 1;
+      literals.push(sql.slice(i, j + 1));
+      text += `\u0000${literals.length - 1}\u0000`;
+      i = j;
+    } else if (c === '-' && sql[i + 1] === '-') {
+      while (i < sql.length && sql[i] !== '\n') i++;
+      text += '\n';
+    } else if (c === '/' && sql[i + 1] === '*') {
+      const end = sql.indexOf('*/', i + 2);
+      i = end === -1 ? sql.length : end + 1;
+      text += ' ';
+    } else if (c === '[') {
+      const end = sql.indexOf(']', i);
+      text += `"${sql.slice(i + 1, end)}"`;
+      i = end;
+    } else if (c === '?') {
+      text += `?${++param}`;
+    } else {
+      text += c;
+    }
+  }
+  return { text, literals };
+}
+
+function restore(text, literals) {
+  return text.replace(/\u0000(\d+)\u0000/g, (m, i) => literals[Number(i)]);
+}
+
+// Index of the parenthesis closing the one at `open`
+function closingParen(text, open) {
+  let depth = 0;
+  for (let i = open; i < text.length; i++) {
+    if (text[i] === '(') depth++;
+    else if (text[i] === ')' && --depth === 0) return i;
+  }
+  return -1;
+}
+
+// Parts of a list, split on commas outside parentheses
+function splitTopLevel(text) {
+  const parts = [];
+  let depth = 0;
+  let start = 0;
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === '(') depth++;
+    else if (text[i] === ')') depth--;
+    else if (text[i] === ',' && depth === 0) {
+      parts.push(text.slice(start, i).trim());
+      start = i + 1;
+    }
+  }
+  parts.push(text.slice(start).trim());
+  return parts;
+}
+
+// Arguments of a call whose "(" is at `open`
+function callArgs(text, open, close) {
+  return splitTopLevel(text.slice(open + 1, close));
+}
+
+// Rewrites every NAME(...) call, innermost last, with rewrite(args, sql)
+function rewriteCalls(text, name, rewrite) {
+  const re = new RegExp(`\\b${name}\\s*\\(`, 'i');
+  let match;
+  while ((match = re.exec(text))) {
+    const open = match.index + match[0].length - 1;
+    const close = closingParen(text, open);
+    if (close === -1) throw fail(`Unbalanced ${name}(`, text);
+    const args = callArgs(text, open, close).map(arg => rewriteCalls(arg, name, rewrite));
+    text = text.slice(0, match.index) + rewrite(args, text) + text.slice(close + 1);
+  }
+  return text;
+}
+
+function dateAdd([unit, amount, date], sql) {
+  const spec = ADD_UNITS[String(unit).toLowerCase()];
+  if (!spec) throw fail(`Unsupported DATEADD unit ${unit}`, sql);
+  const [modifier, factor] = spec;
+  const count = factor === 1 ? `(${amount})` : `((${amount}) * ${factor})`;
+  return `strftime('${TIMESTAMP_FORMAT}', ${date}, ${count} || ' ${modifier}')`;
+}
+
+function dateDiff([unit, start, end], sql) {
+  const key = String(unit).toLowerCase();
+  if (['month', 'mm', 'm', 'year', 'yy', 'yyyy'].includes(key)) {
+    const years = `(CAST(strftime('%Y', ${end}) AS INTEGER) - CAST(strftime('%Y', ${start}) AS INTEGER))`;
+    if (key.startsWith('y')) return years;
+    return `(${years} * 12 + CAST(strftime('%m', ${end}) AS INTEGER) - CAST(strftime('%m', ${start}) AS INTEGER))`;
+  }
+  const spec = DIFF_UNITS[key];
+  if (!spec) throw fail(`Unsupported DATEDIFF unit ${unit}`, sql);
+  const [format, factor] = spec;
+  return `CAST(ROUND((julianday(strftime('${format}', ${end})) - julianday(strftime('${format}', ${start}))) * ${factor}) AS INTEGER)`;
+}
+
+// End of the SELECT starting at `from`: the ")" closing its subquery, or the end of the statement
+function selectEnd(text, from) {
+  let depth = 0;
+  for (let i = from; i < text.length; i++) {
+    if (text[i] === '(') depth++;
+    else if (text[i] === ')' && --depth < 0) return i;
+  }
+  return text.length;
+}
+
+// SELECT [DISTINCT] TOP n|(n) ... -> SELECT [DISTINCT] ... LIMIT n
+function topToLimit(text) {
+  const re = /\bSELECT(\s+DISTINCT)?\s+TOP\s*(?:\(\s*([^()]+?)\s*\)|(\d+|\?\d+))\s+/i;
+  let match;
+  while ((match = re.exec(text))) {
+    const limit = match[2] || match[3];
+    const head = `SELECT${match[1] || ''} `;
+    const rest = text.slice(match.index + match[0].length);
+    const end = selectEnd(rest, 0);
+    text = `${text.slice(0, match.index)}${head}${rest.slice(0, end).trimEnd()} LIMIT ${limit}${rest.slice(end)}`;
+  }
+  return text;
+}
+
+// OUTPUT INSERTED.a, INSERTED.b -> RETURNING a, b (at the end of the statement)
+function outputToReturning(text) {
+  const match = /\bOUTPUT\s+(INSERTED\.(?:\*|\w+)(?:\s+AS\s+\w+)?(?:\s*,\s*INSERTED\.(?:\*|\w+)(?:\s+AS\s+\w+)?)*)/i.exec(text);
+  if (!match) return text;
+  if (/\bDELETED\./i.test(text)) throw fail('OUTPUT DELETED is not supported', text);
+  const columns = match[1].replace(/INSERTED\./gi, '');
+  return `${text.slice(0, match.index)}${text.slice(match.index + match[0].length).trimEnd()} RETURNING ${columns}`;
+}
+
+// Column and table DDL. SQLite's ALTER TABLE takes one column at a time, so
+// "ALTER TABLE t ADD a ..., b ..." (and DROP COLUMN a, b) becomes one statement per column.
+// Named constraints go with their column on SQLite, so dropping one on its own is a no-op.
+function translateDdl(text) {
+  if (/^\s*ALTER\s+TABLE\s+\w+\s+DROP\s+CONSTRAINT\b/i.test(text)) return [];
+  text = text
+    .replace(/\bINT\s+IDENTITY\s*\(\s*\d+\s*,\s*\d+\s*\)\s+PRIMARY\s+KEY\b/gi, 'INTEGER PRIMARY KEY AUTOINCREMENT')
+    .replace(/\bDEFAULT\s+GETDATE\s*\(\s*\)/gi, `DEFAULT (${NOW})`)
+    .replace(/\(\s*MAX\s*\)/gi, '')
+    .replace(/^(\s*DROP\s+INDEX\s+(?:IF\s+EXISTS\s+)?\w+)\s+ON\s+\w+\s*$/i, '$1');
+
+  const alter = /^\s*ALTER\s+TABLE\s+(\w+)\s+(ADD|DROP\s+COLUMN)\s+([\s\S]+)$/i.exec(text);
+  if (!alter) return [text];
+  const [, table, action, list] = alter;
+  const columns = splitTopLevel(list);
+  if (/^ADD$/i.test(action) && columns.some(column => /^(CONSTRAINT|PRIMARY|UNIQUE|FOREIGN|CHECK)\b/i.test(column))) {
+    throw fail('ALTER TABLE ... ADD CONSTRAINT is not supported', text);
+  }
+  const verb = /^ADD$/i.test(action) ? 'ADD COLUMN' : 'DROP COLUMN';
+  return columns.map(column => `ALTER TABLE ${table} ${verb} ${column}`);
+}
+
+// Statements of a batch, split on top-level ";" and GO lines
+function splitStatements(text) {
+  return text
+    .split(/^\s*GO\s*$/im)
+    .flatMap(batch => batch.split(';'))
+    .map(s => s.trim())
+    .filter(Boolean);
+}
+
+function translateStatement(text) {
+  if (/^\s*(CREATE|ALTER|DROP)\b/i.test(text)) return translateDdl(text);
+  text = rewriteCalls(text, 'DATEADD', dateAdd);
+  text = rewriteCalls(text, 'DATEDIFF', dateDiff);
+  text = text
+    .replace(/\bGETDATE\s*\(\s*\)/gi, NOW)
+    .replace(/\bISNULL\s*\(/gi, 'IFNULL(')
+    .replace(/\bLEN\s*\(/gi, 'LENGTH(')
+    .replace(
+      /\bOFFSET\s+(\d+|\?\d+)\s+ROWS?\s+FETCH\s+(?:NEXT|FIRST)\s+(\d+|\?\d+)\s+ROWS?\s+ONLY\b/gi,
+      'LIMIT $2 OFFSET $1'
+    );
+  return [outputToReturning(topToLimit(text))];
+}
+
+/**
+ * translate(sql)
+ * The SQLite statements for a T-SQL batch, in order. Parameters are numbered "?N" (the
+ * position of the "?" in the original batch), so each statement binds them by name.
+ */
+function translate(sql) {
+  const { text, literals } = protect(String(sql || ''));
+  return splitStatements(text)
+    .flatMap(translateStatement)
+    .map(statement => restore(statement, literals));
+}
+
+module.exports = { TIMESTAMP_FORMAT, translate };
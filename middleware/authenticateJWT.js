@@ -1,5 +1,52 @@
 // middleware/authenticateJWT.js
 const jwt = require("jsonwebtoken");
+const { resolveUser } = require("../services/access");
+
+const TOKEN_TTL = "7d";
+
+/**
+ * signToken(user)
+ * JWT for a users row (login cookie and API bearer token alike), valid for TOKEN_TTL.
+ */
+function signToken(user) {
+  return jwt.sign(
+    {
+      id: user.id,
+      globalId: user.global_id,
+      name: user.name,
+      phone: user.phone,
+      email: user.email,
+      department: user.department,
+      role: user.department,
+      location: user.location
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: TOKEN_TTL }
+  );
+}
+
+/**
+ * verifyToken(token)
+ * The current user for a token, with role and locations from the DB.
+ * Throws with err.status 403 for an invalid / expired token, 401 for a deactivated account.
+ */
+function verifyToken(token) {
+  return new Promise((resolve, reject) => {
+    jwt.verify(token, process.env.JWT_SECRET, (err, claims) => {
+      if (err) {
+        return reject(Object.assign(new Error("Invalid or expired token"), { status: 403 }));
+      }
+      resolveUser(claims)
+        .then((current) => {
+          if (!current) {
+            return reject(Object.assign(new Error("Unauthorized: Account deactivated"), { status: 401 }));
+          }
+          resolve(current);
+        })
+        .catch(reject);
+    });
+  });
+}
 
 function authenticateJWT(req, res, next) {
   let token;
@@ -19,13 +66,19 @@ function authenticateJWT(req, res, next) {
     return res.status(401).json({ message: "Unauthorized: No token provided" });
   }
 
-  jwt.verify(token, process.env.JWT_SECRET, (err, user) => {
-    if (err) {
-      return res.status(403).json({ message: "Invalid or expired token" });
-    }
-    req.user = user;
-    next();
-  });
+  // Role and locations come from the DB; deactivated users lose access even with a valid token
+  verifyToken(token)
+    .then((current) => {
+      req.user = current;
+      next();
+    })
+    .catch((err) => {
+      if (!err.status) return next(err);
+      if (err.status === 401) res.clearCookie("token");
+      res.status(err.status).json({ message: err.message });
+    });
 }
 
-module.exports = authenticateJWT;
\ No newline at end of file
+module.exports = authenticateJWT;
+module.exports.signToken = signToken;
+module.exports.verifyToken = verifyToken;
@@ -0,0 +1,5 @@
+// HTML escaping for the page scripts. Loaded by partials/navbar.ejs, ahead of every page script that uses it.
+function escapeHtml(s) {
+  if (s === null || s === undefined) return "";
+  return String(s).replace(/&/g, "&amp;").replace(/"/g, "&quot;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+}
@@ -0,0 +1,38 @@
+// Attachment thumbnails for the ticket popups (planner, admin, technician and user dashboards)
+const ATTACHMENT_GROUPS = { before: "📷 Attached at submission", after: "✅ After photos" };
+
+// Fetches /ticket/:id/attachments and renders thumbnails / file links into `container`
+async function loadTicketAttachments(ticketId, container) {
+  if (!container) return;
+  container.innerHTML = "";
+
+  try {
+    const res = await fetch(`/ticket/${encodeURIComponent(ticketId)}/attachments`, { credentials: "same-origin" });
+    const json = await res.json();
+    if (!json.success) throw new Error(json.error || "Failed to load attachments");
+    if (!json.attachments.length) return;
+
+    container.innerHTML = Object.keys(ATTACHMENT_GROUPS).map(kind => {
+      const files = json.attachments.filter(a => a.kind === kind);
+      if (!files.length) return "";
+
+      return `
+        <strong>${ATTACHMENT_GROUPS[kind]}</strong>
+        <div class="d-flex flex-wrap gap-2 mt-2 mb-2">
+          ${files.map(a => a.mime_type.startsWith("image/")
+            ? `<a href="/attachments/${a.id}" target="_blank" title="${escapeHtml(a.original_name)}">
+                 <img src="/attachments/${a.id}" alt="${escapeHtml(a.original_name)}" loading="lazy"
+                      class="rounded border" style="width: 80px; height: 80px; object-fit: cover;">
+               </a>`
+            : `<a href="/attachments/${a.id}?download" class="btn btn-sm btn-outline-secondary">
+                 📎 ${escapeHtml(a.original_name)}
+               </a>`
+          ).join("")}
+        </div>
+      `;
+    }).join("");
+  } catch (err) {
+    console.error("❌ Attachments load failed:", err);
+    container.innerHTML = '<p class="text-danger small mb-0">Could not load attachments.</p>';
+  }
+}
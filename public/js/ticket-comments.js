@@ -0,0 +1,78 @@
+// Comment thread for the ticket popups (planner, admin, technician and user dashboards)
+function renderComments(list, comments) {
+  if (!comments.length) {
+    list.innerHTML = '<p class="text-muted small mb-0">No comments yet.</p>';
+    return;
+  }
+
+  list.innerHTML = comments.map(c => `
+    <div class="border rounded bg-white p-2 mb-2 small">
+      <div class="d-flex justify-content-between text-muted">
+        <span><strong>${escapeHtml(c.author_name || c.author_id)}</strong>${c.author_role ? ` (${escapeHtml(c.author_role)})` : ""}</span>
+        <span>${new Date(c.created_at).toLocaleString()}</span>
+      </div>
+      <div style="white-space: pre-wrap;">${escapeHtml(c.body)}</div>
+    </div>
+  `).join("");
+  list.scrollTop = list.scrollHeight;
+}
+
+// Loads /ticket/:id/comments into `container` with a form to add a new one
+async function loadTicketComments(ticketId, container) {
+  if (!container) return;
+
+  container.innerHTML = `
+    <strong>Comments</strong>
+    <div class="comment-list mt-2" style="max-height: 250px; overflow-y: auto;">
+      <p class="text-muted small mb-0">Loading comments...</p>
+    </div>
+    <form class="comment-form mt-2">
+      <div class="input-group input-group-sm">
+        <textarea class="form-control" rows="1" placeholder="Write a comment..." required></textarea>
+        <button type="submit" class="btn btn-outline-primary">Send</button>
+      </div>
+    </form>
+  `;
+
+  const list = container.querySelector(".comment-list");
+  const form = container.querySelector(".comment-form");
+  const url = `/ticket/${encodeURIComponent(ticketId)}/comments`;
+
+  form.addEventListener("submit", async (e) => {
+    e.preventDefault();
+    const textarea = form.querySelector("textarea");
+    const body = textarea.value.trim();
+    if (!body) return;
+
+    try {
+      const res = await fetch(url, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        credentials: "same-origin",
+        body: JSON.stringify({ body })
+      });
+      const json = await res.json();
+      if (!json.success) throw new Error(json.error || "Failed to add comment");
+
+      textarea.value = "";
+      await refresh();
+    } catch (err) {
+      console.error("❌ Comment failed:", err);
+      alert(err.message || "Failed to add comment.");
+    }
+  });
+
+  async function refresh() {
+    try {
+      const res = await fetch(url, { credentials: "same-origin" });
+      const json = await res.json();
+      if (!json.success) throw new Error(json.error || "Failed to load comments");
+      renderComments(list, json.comments);
+    } catch (err) {
+      console.error("❌ Comments load failed:", err);
+      list.innerHTML = '<p class="text-danger small mb-0">Could not load comments.</p>';
+    }
+  }
+
+  await refresh();
+}
@@ -0,0 +1,150 @@
+// Paged ticket lists on the dashboards. A rows container
+//   <tbody|div data-ticket-list="view" data-filters="#filterForm" data-pager="#pager">
+// is reloaded from GET /tickets/list whenever its filter form (shared by all lists on the page),
+// its pager or a sortable header (th[data-sort]) changes. After every load the container fires
+// a bubbling "ticketlist:load" event with the response ({ html, tickets, total, page, ... }).
+(function () {
+  const lists = [];
+
+  function pagerState(pager) {
+    return {
+      page: Number(pager.dataset.page) || 1,
+      pages: Number(pager.dataset.pages) || 1,
+      total: Number(pager.dataset.total) || 0,
+      sort: pager.dataset.sort || "created_at",
+      dir: pager.dataset.dir || "desc",
+      pageSize: Number(pager.dataset.pageSize) || 25
+    };
+  }
+
+  function renderPager(list) {
+    const { pager, state } = list;
+    Object.assign(pager.dataset, {
+      page: state.page, pages: state.pages, total: state.total, sort: state.sort, dir: state.dir, pageSize: state.pageSize
+    });
+    pager.querySelector("[data-pager-info]").textContent = `Page ${state.page} of ${state.pages} (${state.total} tickets)`;
+    pager.querySelector('[data-pager-action="prev"]').disabled = state.page <= 1;
+    pager.querySelector('[data-pager-action="next"]').disabled = state.page >= state.pages;
+
+    const sortSelect = pager.querySelector("[data-pager-sort]");
+    if (sortSelect) sortSelect.value = `${state.sort}:${state.dir}`;
+
+    // Arrow on the sorted column header
+    list.headers.forEach(th => {
+      const arrow = th.querySelector(".sort-arrow") || th.appendChild(document.createElement("span"));
+      arrow.className = "sort-arrow ms-1";
+      arrow.textContent = th.dataset.sort === state.sort ? (state.dir === "asc" ? "▲" : "▼") : "";
+    });
+  }
+
+  async function load(list) {
+    const params = new URLSearchParams(list.form ? new FormData(list.form) : undefined);
+    params.set("view", list.view);
+    params.set("page", list.state.page);
+    params.set("pageSize", list.state.pageSize);
+    params.set("sort", list.state.sort);
+    params.set("dir", list.state.dir);
+
+    // Only the latest request of a list may update it
+    const requestId = ++list.requestId;
+    list.target.style.opacity = 0.5;
+
+    try {
+      const res = await fetch(`/tickets/list?${params}`, { credentials: "same-origin" });
+      const json = await res.json();
+      if (requestId !== list.requestId) return;
+      if (!json.success) throw new Error(json.error || "Failed to load tickets");
+
+      list.target.innerHTML = json.html;
+      Object.assign(list.state, {
+        page: json.page, pages: json.pages, total: json.total, sort: json.sort, dir: json.dir, pageSize: json.pageSize
+      });
+      renderPager(list);
+      list.target.dispatchEvent(new CustomEvent("ticketlist:load", { bubbles: true, detail: json }));
+    } catch (err) {
+      if (requestId !== list.requestId) return;
+      console.error("Ticket list error:", err);
+      list.pager.querySelector("[data-pager-info]").textContent = "⚠️ Could not load tickets. Try again.";
+    } finally {
+      if (requestId === list.requestId) list.target.style.opacity = "";
+    }
+  }
+
+  function setup(target) {
+    const pager = document.querySelector(target.dataset.pager);
+    if (!pager) return;
+
+    const table = target.closest("table");
+    const list = {
+      view: target.dataset.ticketList,
+      target,
+      pager,
+      form: target.dataset.filters ? document.querySelector(target.dataset.filters) : null,
+      headers: table ? Array.from(table.querySelectorAll("th[data-sort]")) : [],
+      state: pagerState(pager),
+      requestId: 0
+    };
+    lists.push(list);
+    renderPager(list);
+
+    pager.addEventListener("click", e => {
+      const action = e.target.closest("[data-pager-action]")?.dataset.pagerAction;
+      if (!action) return;
+      list.state.page += action === "next" ? 1 : -1;
+      load(list);
+    });
+
+    pager.querySelector("[data-pager-size]")?.addEventListener("change", e => {
+      list.state.pageSize = Number(e.target.value);
+      list.state.page = 1;
+      load(list);
+    });
+
+    pager.querySelector("[data-pager-sort]")?.addEventListener("change", e => {
+      [list.state.sort, list.state.dir] = e.target.value.split(":");
+      list.state.page = 1;
+      load(list);
+    });
+
+    list.headers.forEach(th => {
+      th.style.cursor = "pointer";
+      th.addEventListener("click", () => {
+        const same = list.state.sort === th.dataset.sort;
+        list.state.dir = same && list.state.dir === "desc" ? "asc" : "desc";
+        list.state.sort = th.dataset.sort;
+        list.state.page = 1;
+        load(list);
+      });
+    });
+  }
+
+  // Filter changes reload every list of the form from page 1 (typing is debounced)
+  function watchForm(form) {
+    let timer = null;
+    const reload = () => {
+      clearTimeout(timer);
+      lists.filter(l => l.form === form).forEach(l => {
+        l.state.page = 1;
+        load(l);
+      });
+    };
+
+    form.addEventListener("submit", e => {
+      e.preventDefault();
+      reload();
+    });
+    form.addEventListener("change", reload);
+    form.addEventListener("input", e => {
+      if (e.target.matches('input[type="search"], input[type="text"]')) {
+        clearTimeout(timer);
+        timer = setTimeout(reload, 350);
+      }
+    });
+    form.addEventListener("reset", () => setTimeout(reload));
+  }
+
+  document.addEventListener("DOMContentLoaded", () => {
+    document.querySelectorAll("[data-ticket-list]").forEach(setup);
+    new Set(lists.map(l => l.form).filter(Boolean)).forEach(watchForm);
+  });
+})();
@@ -0,0 +1,50 @@
+// Ticket timeline for the ticket popups (planner, admin and user dashboards)
+const TIMELINE_LABELS = {
+  created: "🆕 Created",
+  assigned: "📌 Assigned",
+  reassigned: "🔁 Reassigned",
+  started: "🔧 Started",
+  completed: "✅ Resolved",
+  reopened: "♻️ Reopened",
+  note_changed: "📝 Note changed",
+  priority_changed: "🚩 Priority changed",
+  confirmed: "👍 Confirmed by raiser",
+  auto_closed: "🔒 Closed automatically"
+};
+
+// Fetches /ticket/:id/events and renders them into `container`
+async function loadTicketTimeline(ticketId, container) {
+  if (!container) return;
+  container.innerHTML = '<p class="text-muted small mb-0">Loading timeline...</p>';
+
+  try {
+    const res = await fetch(`/ticket/${encodeURIComponent(ticketId)}/events`, { credentials: "same-origin" });
+    const json = await res.json();
+    if (!json.success) throw new Error(json.error || "Failed to load timeline");
+
+    if (!json.events.length) {
+      container.innerHTML = '<p class="text-muted small mb-0">No history recorded for this ticket.</p>';
+      return;
+    }
+
+    container.innerHTML = `
+      <strong>Timeline</strong>
+      <ul class="list-unstyled small border-start ps-3 mt-2 mb-0">
+        ${json.events.map(e => `
+          <li class="mb-2">
+            <div><strong>${TIMELINE_LABELS[e.event_type] || escapeHtml(e.event_type)}</strong>
+              ${e.assigned_to && ["assigned", "reassigned"].includes(e.event_type)
+                ? `to ${escapeHtml(e.assigned_to_name || e.assigned_to)}` : ""}</div>
+            <div class="text-muted">
+              ${escapeHtml(e.actor_name || e.actor_id || "System")} · ${new Date(e.created_at).toLocaleString()}
+            </div>
+            ${e.note ? `<div class="fst-italic">${escapeHtml(e.note)}</div>` : ""}
+          </li>
+        `).join("")}
+      </ul>
+    `;
+  } catch (err) {
+    console.error("❌ Timeline load failed:", err);
+    container.innerHTML = '<p class="text-danger small mb-0">Could not load timeline.</p>';
+  }
+}
@@ -76,7 +76,8 @@ self.addEventListener('push', (event) => {
   const options = {
     body: data.body || '',
     icon: '/images/web-app-manifest-192x192.png',
-    badge: '/images/web-app-manifest-192x192.png'
+    badge: '/images/web-app-manifest-192x192.png',
+    data: { url: data.url || '/notifications' }
   };
   event.waitUntil(
     self.registration.showNotification(title, options)
@@ -91,7 +92,7 @@ self.addEventListener('notificationclick', (event) => {
   event.waitUntil(
     clients.matchAll({ type: "window" }).then((clientList) => {
       if (clients.openWindow) {
-        return clients.openWindow("/"); // Change to your desired page
+        return clients.openWindow((event.notification.data && event.notification.data.url) || "/");
       }
     })
   );
@@ -2,29 +2,12 @@
 const express = require('express');
 const router = express.Router();
 const db = require('../db');
-const webPush = require('web-push');
 const authenticateJWT = require('../middleware/authenticateJWT');
-
-// -------- Import subscriptionsPerUser directly --------
-const subscriptionsPerUser = require('../subscriptions');
-
-// Helper: send notification to a specific user
-async function sendNotificationToUser(message, targetGlobalId) {
-  const userSubs = subscriptionsPerUser[targetGlobalId] || [];
-  for (const sub of userSubs) {
-    try {
-      await webPush.sendNotification(
-        sub,
-        JSON.stringify({
-          title: 'Ticket Update',
-          body: message
-        })
-      );
-    } catch (err) {
-      console.warn('⚠️ Failed to send notification to', targetGlobalId, err);
-    }
-  }
-}
+const sla = require('../services/sla');
+const access = require('../services/access');
+const ticketExport = require('../services/ticketExport');
+const analytics = require('../services/analytics');
+const ticketList = require('../services/ticketList');
 
 // ✅ Middleware for Admin-only access
 function requireAdmin(req, res, next) {
@@ -44,66 +27,95 @@ function requireAdmin(req, res, next) {
 // ==============================
 router.get('/dashboard/admin', authenticateJWT, requireAdmin, async (req, res) => {
   const user = req.user;
-  const userLocation = user?.location;
 
   try {
-    let query = `
-      SELECT 
-        t.*, 
-        u.name AS assigned_to_name,
-        t.completed_at
-      FROM tickets t
-      LEFT JOIN users u ON t.assigned_to = u.global_id
-      WHERE 1=1
-    `;
-    const params = [];
-
-    // ✅ Location restriction unless Pune admin
-    if (userLocation && userLocation !== 'Pune') {
-      query += ` AND t.location = ?`;
-      params.push(userLocation);
-    }
-
-    query += ` ORDER BY t.created_at DESC`;
-
-    const result = await db.query(query, params);
-    const tickets = result.recordset || result;
-
-    // ✅ Fetch breakdown & safety tickets
-    let breakdownTickets = [];
-    let safetyTickets = [];
-    if (userLocation && userLocation !== 'Pune') {
-      const breakdownResult = await db.query(`SELECT * FROM breakdown WHERE location = ?`, [userLocation]);
-      breakdownTickets = breakdownResult.recordset || breakdownResult;
-
-      const safetyResult = await db.query(`SELECT * FROM safety WHERE location = ?`, [userLocation]);
-      safetyTickets = safetyResult.recordset || safetyResult;
-    } else {
-      const breakdownResult = await db.query(`SELECT * FROM breakdown`);
-      breakdownTickets = breakdownResult.recordset || breakdownResult;
-
-      const safetyResult = await db.query(`SELECT * FROM safety`);
-      safetyTickets = safetyResult.recordset || safetyResult;
-    }
+    // ✅ Everything below is limited to the admin's locations
+    const ticketScope = access.scope(user, 't.location');
+    const locationScope = access.scope(user, 'location');
+
+    // ✅ Headline figures are aggregated in SQL; the ticket table loads page by page
+    const { summary, breakdownSummary, slaSummary } = await analytics.dashboardSummary(user);
+    const list = await ticketList.firstPage(user, 'admin');
+
+    // ✅ Reopened tickets, per technician who resolved them and per keyword
+    const reopenWhere = `WHERE e.event_type = 'reopened' AND ${ticketScope.sql}`;
+    const reopenParams = ticketScope.params;
+
+    const [reopensByTechnician] = await db.query(
+      `
+      SELECT e.assigned_to AS technician_id, u.name AS technician_name, COUNT(*) AS reopens
+      FROM ticket_events e
+      JOIN tickets t ON e.ticket_id = t.id
+      LEFT JOIN users u ON e.assigned_to = u.global_id
+      ${reopenWhere} AND e.assigned_to IS NOT NULL
+      GROUP BY e.assigned_to, u.name
+      ORDER BY reopens DESC
+      `,
+      reopenParams
+    );
+
+    const [reopensByKeyword] = await db.query(
+      `
+      SELECT t.category, t.keyword, COUNT(*) AS reopens
+      FROM ticket_events e
+      JOIN tickets t ON e.ticket_id = t.id
+      ${reopenWhere}
+      GROUP BY t.category, t.keyword
+      ORDER BY reopens DESC
+      `,
+      reopenParams
+    );
+
+    // ✅ 5S score trend per area (monthly average, last 12 months)
+    const [fiveSAudits] = await db.query(
+      `
+      SELECT building_no, area_code, sub_area, score_pct, created_at
+      FROM five_s_audits
+      WHERE created_at >= DATEADD(month, -12, GETDATE()) AND ${locationScope.sql}
+      ORDER BY created_at
+      `,
+      locationScope.params
+    );
+
+    const months = [];
+    const byArea = {};
+    fiveSAudits.forEach(a => {
+      const d = new Date(a.created_at);
+      const month = `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}`;
+      if (!months.includes(month)) months.push(month);
+
+      const area = [a.building_no, a.area_code, a.sub_area].filter(Boolean).join(' / ');
+      byArea[area] = byArea[area] || {};
+      byArea[area][month] = byArea[area][month] || [];
+      byArea[area][month].push(Number(a.score_pct));
+    });
 
-    // Summary stats
-    const summary = {
-      total: tickets.length,
-      statusCounts: {},
-      categoryCounts: {}
+    const fiveSTrends = {
+      labels: months,
+      datasets: Object.entries(byArea).map(([area, scores]) => ({
+        label: area,
+        data: months.map(m =>
+          scores[m] ? Number((scores[m].reduce((x, y) => x + y, 0) / scores[m].length).toFixed(1)) : null
+        )
+      }))
     };
 
-    tickets.forEach(t => {
-      summary.statusCounts[t.status] = (summary.statusCounts[t.status] || 0) + 1;
-      summary.categoryCounts[t.category] = (summary.categoryCounts[t.category] || 0) + 1;
-    });
-
     res.render('admin-dashboard', {
-      tickets,
-      breakdownTickets,
-      safetyTickets,
+      tickets: list.tickets,
+      list,
+      ticketStatuses: ticketList.STATUSES,
+      ticketCategories: ticketList.CATEGORIES,
+      breakdownSummary,
+      fiveSTrends,
+      slaSummary,
+      reopensByTechnician,
+      reopensByKeyword,
       summary,
-      user
+      exportLocations: access.userLocations(user) || (await access.knownLocations()),
+      exportAssignees: await access.staffFor(user),
+      user,
+      message: req.query.message || null,
+      error: req.query.error || null
     });
   } catch (err) {
     console.error("Admin dashboard error:", err);
@@ -112,25 +124,92 @@ router.get('/dashboard/admin', authenticateJWT, requireAdmin, async (req, res) =
 });
 
 // ==============================
-// POST: Save Push Notification Subscription
+// GET: Export tickets / breakdowns / safety records (CSV or XLSX)
+// ?dataset=tickets|breakdowns|safety&format=csv|xlsx&status&category&from&to&location&assignee
 // ==============================
-router.post('/notifications/subscribe', authenticateJWT, (req, res) => {
-  const user = req.user;
-  if (!user?.globalId) return res.status(401).send("Unauthorized: Please log in.");
+router.get('/admin/export', authenticateJWT, requireAdmin, async (req, res) => {
+  const dataset = ticketExport.DATASETS.includes(req.query.dataset) ? req.query.dataset : 'tickets';
+  const format = req.query.format === 'xlsx' ? 'xlsx' : 'csv';
+  const filters = ticketExport.parseFilters(req.query);
+
+  if (filters.location && !access.canAccessLocation(req.user, filters.location)) {
+    return res.redirect(`/dashboard/admin?error=${encodeURIComponent(`No access to ${filters.location}.`)}`);
+  }
+
+  try {
+    const count = await ticketExport.exportDataset(res, req.user, dataset, format, filters);
+    console.log(`📤 ${req.user.globalId} exported ${count} ${dataset} row(s) as ${format}`);
+  } catch (err) {
+    if (err.cancelled) return console.log(`⚠️ Export cancelled by ${req.user.globalId}`);
+    console.error('Export error:', err);
+    // Once streaming has started the download can only be cut short
+    if (!res.headersSent) res.redirect(`/dashboard/admin?error=${encodeURIComponent('Export failed.')}`);
+    else res.destroy(err);
+  }
+});
 
-  const userId = user.globalId;
-  const subscription = req.body;
+// ==============================
+// GET: SLA Targets (one of the admin's locations)
+// ==============================
+router.get('/admin/sla', authenticateJWT, requireAdmin, async (req, res) => {
+  try {
+    const location = req.query.location || req.user.location;
+    if (!access.canAccessLocation(req.user, location)) {
+      return res.redirect(`/admin/sla?error=${encodeURIComponent(`No access to ${location}.`)}`);
+    }
 
-  if (!subscriptionsPerUser[userId]) subscriptionsPerUser[userId] = [];
+    res.render('sla-targets', {
+      targets: await sla.getTargets(location),
+      location,
+      locations: access.userLocations(req.user) || (await access.knownLocations()),
+      priorities: sla.PRIORITIES,
+      user: req.user,
+      message: req.query.message || null,
+      error: req.query.error || null
+    });
+  } catch (err) {
+    console.error('SLA targets error:', err);
+    res.status(500).send('Error loading SLA targets.');
+  }
+});
 
-  // Avoid duplicates
-  const exists = subscriptionsPerUser[userId].some(sub => sub.endpoint === subscription.endpoint);
-  if (!exists) {
-    subscriptionsPerUser[userId].push(subscription);
-    console.log(`✅ Subscription saved for user ${userId}:`, subscription.endpoint);
+// ==============================
+// POST: Save SLA Targets (hours in the form, minutes in the DB)
+// ==============================
+router.post('/admin/sla', authenticateJWT, requireAdmin, async (req, res) => {
+  const location = req.body.location || req.user.location;
+  const back = (key, text) =>
+    res.redirect(`/admin/sla?location=${encodeURIComponent(location)}&${key}=${encodeURIComponent(text)}`);
+  const targets = {};
+
+  if (!access.canAccessLocation(req.user, location)) {
+    return res.redirect(`/admin/sla?error=${encodeURIComponent(`No access to ${location}.`)}`);
   }
 
-  res.sendStatus(201);
+  for (const priority of sla.PRIORITIES) {
+    const response = Number(req.body[`response_${priority}`]);
+    const resolution = Number(req.body[`resolution_${priority}`]);
+
+    if (!(response > 0) || !(resolution > 0)) {
+      return back('error', `Enter positive hours for ${priority}.`);
+    }
+    if (resolution < response) {
+      return back('error', `${priority}: resolution target can't be shorter than response.`);
+    }
+
+    targets[priority] = {
+      response_minutes: Math.round(response * 60),
+      resolution_minutes: Math.round(resolution * 60)
+    };
+  }
+
+  try {
+    await sla.saveTargets(location, targets, req.user);
+    back('message', `SLA targets for ${location} saved. They apply to tickets raised from now on.`);
+  } catch (err) {
+    console.error('Save SLA targets error:', err);
+    back('error', 'Failed to save SLA targets.');
+  }
 });
 
 module.exports = router;
\ No newline at end of file
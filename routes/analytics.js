@@ -0,0 +1,56 @@
+// routes/analytics.js
+// Maintenance KPI page and its JSON endpoints (admin only).
+// Every endpoint takes ?from=YYYY-MM-DD&to=YYYY-MM-DD&location=
+const express = require('express');
+const router = express.Router();
+const authenticateJWT = require('../middleware/authenticateJWT');
+const requireRole = require('../middleware/requireRole');
+const analytics = require('../services/analytics');
+const access = require('../services/access');
+const { parseFilters } = require('../services/ticketExport');
+
+const admin = [authenticateJWT, requireRole(['admin'])];
+
+// JSON endpoint around `load(user, filters)`, checking the location filter first
+function kpiEndpoint(what, load) {
+  return async (req, res) => {
+    const filters = parseFilters(req.query);
+    if (filters.location && !access.canAccessLocation(req.user, filters.location)) {
+      return res.status(403).json({ success: false, message: `No access to ${filters.location}.` });
+    }
+
+    try {
+      res.json({ success: true, data: await load(req.user, filters) });
+    } catch (err) {
+      console.error(`Analytics ${what} error:`, err);
+      res.status(500).json({ success: false, message: `Failed to load ${what}.` });
+    }
+  };
+}
+
+// ==============================
+// GET: KPI analytics page
+// ==============================
+router.get('/admin/analytics', ...admin, async (req, res) => {
+  try {
+    res.render('admin-analytics', {
+      user: req.user,
+      kpiLocations: access.userLocations(req.user) || (await access.knownLocations()),
+      message: req.query.message || null,
+      error: req.query.error || null
+    });
+  } catch (err) {
+    console.error('Analytics page error:', err);
+    res.status(500).send('Failed to load analytics.');
+  }
+});
+
+// ==============================
+// GET: KPI data
+// ==============================
+router.get('/admin/analytics/response-times', ...admin, kpiEndpoint('response times', analytics.responseTimes));
+router.get('/admin/analytics/backlog', ...admin, kpiEndpoint('backlog aging', analytics.backlogAging));
+router.get('/admin/analytics/technicians', ...admin, kpiEndpoint('technician throughput', analytics.technicianThroughput));
+router.get('/admin/analytics/keywords', ...admin, kpiEndpoint('recurring keywords', analytics.topKeywords));
+
+module.exports = router;
@@ -0,0 +1,227 @@
+// routes/api.js
+// Versioned JSON API (/api/v1) for mobile clients and integrations (ERP), described by
+// docs/openapi-v1.json which is served at GET /api/v1/openapi.json.
+// Requests carry a bearer token from POST /api/v1/auth/token (the login cookie is not accepted here).
+// Every error is { error: { code, message } } with the matching HTTP status.
+const express = require('express');
+const path = require('path');
+const router = express.Router();
+const { signToken, verifyToken } = require('../middleware/authenticateJWT');
+const access = require('../services/access');
+const attachments = require('../services/attachments');
+const users = require('../services/users');
+const ticketList = require('../services/ticketList');
+const ticketActions = require('../services/ticketActions');
+const { getTicketDetails, getEvents, getComments, canViewTicket } = require('../services/tickets');
+
+const SPEC_PATH = path.join(__dirname, '..', 'docs', 'openapi-v1.json');
+const TOKEN_SECONDS = 7 * 24 * 60 * 60;
+
+const ERROR_CODES = {
+  400: 'invalid_request',
+  401: 'unauthorized',
+  403: 'forbidden',
+  404: 'not_found',
+  409: 'conflict',
+  500: 'internal_error'
+};
+
+const ANY_ROLE = ['normal_user', 'technician', 'planner', 'admin'];
+
+// Ticket fields returned by the API (see the Ticket schema)
+const TICKET_FIELDS = [
+  'id', 'status', 'category', 'priority', 'description', 'location',
+  'building_no', 'area_code', 'sub_area', 'keyword',
+  'building_node_id', 'area_node_id', 'sub_area_node_id', 'keyword_node_id',
+  'asset_id', 'asset_tag', 'asset_name', 'repair_cost',
+  'global_id', 'raised_by', 'assigned_to', 'assigned_to_name', 'planner_id', 'planner_name',
+  'completion_note', 'downtime_start', 'downtime_end', 'root_cause', 'reopen_count', 'due_date',
+  'response_due_at', 'resolution_due_at', 'response_breached_at', 'resolution_breached_at',
+  'created_at', 'updated_at', 'started_at', 'completed_at', 'closed_at'
+];
+
+function sendError(res, status, message) {
+  res.status(status).json({ error: { code: ERROR_CODES[status] || 'error', message } });
+}
+
+function apiError(status, message) {
+  return Object.assign(new Error(message), { status });
+}
+
+function ticketJson(ticket) {
+  return Object.fromEntries(TICKET_FIELDS.map(field => [field, ticket[field] ?? null]));
+}
+
+function attachmentJson(attachment) {
+  return { ...attachment, url: `/attachments/${attachment.id}` };
+}
+
+// Bearer token only; an invalid or expired token and a deactivated account are both 401 here
+function authenticate(req, res, next) {
+  const header = req.headers.authorization || '';
+  if (!header.startsWith('Bearer ')) return sendError(res, 401, 'Missing bearer token.');
+
+  verifyToken(header.slice(7).trim())
+    .then(user => {
+      req.user = user;
+      next();
+    })
+    .catch(err => (err.status ? sendError(res, 401, err.message) : next(err)));
+}
+
+function allow(roles) {
+  return (req, res, next) => {
+    if (roles.includes(req.user.role || req.user.department)) return next();
+    sendError(res, 403, 'Your role may not do this.');
+  };
+}
+
+// A ticket the user may see, with the assignee / planner names
+async function visibleTicket(req) {
+  const ticket = await getTicketDetails(req.params.id);
+  if (!ticket || !canViewTicket(req.user, ticket)) throw apiError(404, 'Ticket not found.');
+  return ticket;
+}
+
+// The ticket after an action, as the response of the action
+async function respondWithTicket(res, ticketId, status = 200) {
+  res.status(status).json({ ticket: ticketJson(await getTicketDetails(ticketId)) });
+}
+
+// Ticket ids are numeric; anything else simply doesn't exist
+router.param('id', (req, res, next, id) => {
+  if (!/^\d+$/.test(id)) return sendError(res, 404, 'Not found.');
+  next();
+});
+
+// ==============================
+// Spec and authentication
+// ==============================
+router.get('/openapi.json', (req, res) => {
+  res.sendFile(SPEC_PATH, err => {
+    if (err && !res.headersSent) sendError(res, 500, 'API description unavailable.');
+  });
+});
+
+router.post('/auth/token', async (req, res) => {
+  const { globalId, password } = req.body || {};
+  if (!globalId || !password) return sendError(res, 400, 'globalId and password are required.');
+
+  const { user, error } = await users.checkLogin(globalId, password);
+  if (error) return sendError(res, 401, error);
+
+  console.log('🔑 API token issued for user:', user.global_id);
+  res.json({ token: signToken(user), token_type: 'Bearer', expires_in: TOKEN_SECONDS });
+});
+
+router.get('/me', authenticate, (req, res) => {
+  const { globalId, name, email, phone, role, location, locations } = req.user;
+  res.json({ user: { globalId, name, email, phone, role, location, locations } });
+});
+
+// ==============================
+// Tickets
+// ==============================
+
+// ?view=user|technician|planner-open|planner-assigned|admin (default user) plus the dashboard filters
+router.get('/tickets', authenticate, async (req, res) => {
+  const view = String(req.query.view || 'user');
+  if (!ticketList.VIEWS[view]) return sendError(res, 400, `Unknown view ${view}.`);
+  if (!ticketList.canView(req.user, view)) return sendError(res, 403, 'Your role may not load this view.');
+
+  const options = ticketList.parseListQuery(view, req.query);
+  if (options.location && !access.canAccessLocation(req.user, options.location)) {
+    return sendError(res, 403, `No access to ${options.location}.`);
+  }
+
+  const { tickets, ...page } = await ticketList.listTickets(req.user, view, options);
+  res.json({ tickets: tickets.map(ticketJson), ...page });
+});
+
+router.post(
+  '/tickets',
+  authenticate,
+  allow(ANY_ROLE),
+  attachments.receiveFiles('attachments'),
+  async (req, res) => {
+    if (req.uploadError) return sendError(res, 400, req.uploadError);
+
+    const ticketId = await ticketActions.submitTicket(req.user, req.body, req.files || []);
+    await respondWithTicket(res, ticketId, 201);
+  }
+);
+
+router.get('/tickets/:id', authenticate, async (req, res) => {
+  res.json({ ticket: ticketJson(await visibleTicket(req)) });
+});
+
+router.post('/tickets/:id/assign', authenticate, allow(['planner', 'admin']), async (req, res) => {
+  await ticketActions.assignTicket(req.user, req.params.id, req.body?.assigned_to);
+  await respondWithTicket(res, req.params.id);
+});
+
+router.post('/tickets/:id/priority', authenticate, allow(['planner', 'admin']), async (req, res) => {
+  await ticketActions.setPriority(req.user, req.params.id, req.body?.priority);
+  await respondWithTicket(res, req.params.id);
+});
+
+router.post('/tickets/:id/start', authenticate, allow(['technician', 'planner', 'admin']), async (req, res) => {
+  await ticketActions.startTicket(req.user, req.params.id);
+  await respondWithTicket(res, req.params.id);
+});
+
+router.post(
+  '/tickets/:id/complete',
+  authenticate,
+  allow(['technician', 'planner', 'admin']),
+  attachments.receiveFiles('after_photos'),
+  async (req, res) => {
+    if (req.uploadError) return sendError(res, 400, req.uploadError);
+
+    await ticketActions.completeTicket(req.user, req.params.id, req.body || {}, req.files || []);
+    await respondWithTicket(res, req.params.id);
+  }
+);
+
+router.post('/tickets/:id/confirm', authenticate, async (req, res) => {
+  await ticketActions.confirmTicket(req.user, req.params.id);
+  await respondWithTicket(res, req.params.id);
+});
+
+router.post('/tickets/:id/reopen', authenticate, async (req, res) => {
+  await ticketActions.reopenTicket(req.user, req.params.id, req.body?.reason);
+  await respondWithTicket(res, req.params.id);
+});
+
+router.get('/tickets/:id/events', authenticate, async (req, res) => {
+  const ticket = await visibleTicket(req);
+  res.json({ events: await getEvents(ticket.id) });
+});
+
+router.get('/tickets/:id/comments', authenticate, async (req, res) => {
+  const ticket = await visibleTicket(req);
+  res.json({ comments: await getComments(ticket.id) });
+});
+
+router.post('/tickets/:id/comments', authenticate, async (req, res) => {
+  const comment = await ticketActions.commentOnTicket(req.user, req.params.id, req.body?.body);
+  res.status(201).json({ comment });
+});
+
+router.get('/tickets/:id/attachments', authenticate, async (req, res) => {
+  const ticket = await visibleTicket(req);
+  res.json({ attachments: (await attachments.getAttachments(ticket.id)).map(attachmentJson) });
+});
+
+// ==============================
+// Unknown endpoints and errors (Express passes rejected handlers here)
+// ==============================
+router.use((req, res) => sendError(res, 404, 'No such API endpoint.'));
+
+router.use((err, req, res, next) => {
+  if (err.status && ERROR_CODES[err.status]) return sendError(res, err.status, err.message);
+  console.error(`❌ API error on ${req.method} ${req.originalUrl}:`, err);
+  sendError(res, 500, 'Something went wrong. Try again later.');
+});
+
+module.exports = router;
@@ -0,0 +1,123 @@
+// routes/assets.js
+// Asset register of a location and the history page of each asset. Technicians, planners
+// and admins look assets up; admins (who keep the master data) register and edit them.
+const express = require('express');
+const router = express.Router();
+const authenticateJWT = require('../middleware/authenticateJWT');
+const requireRole = require('../middleware/requireRole');
+const assets = require('../services/assets');
+const masterData = require('../services/masterData');
+const access = require('../services/access');
+
+const staff = [authenticateJWT, requireRole(['technician', 'planner', 'admin'])];
+const admin = [authenticateJWT, requireRole(['admin'])];
+
+function redirectWith(res, path, key, text) {
+  const separator = path.includes('?') ? '&' : '?';
+  return res.redirect(`${path}${separator}${key}=${encodeURIComponent(text)}`);
+}
+
+function isAdmin(user) {
+  return (user.role || user.department) === 'admin';
+}
+
+// ==============================
+// GET: Asset register of a location
+// ==============================
+router.get('/assets', ...staff, async (req, res) => {
+  try {
+    const location = req.query.location || req.user.location;
+    if (!access.canAccessLocation(req.user, location)) {
+      return res.redirect(`/assets?error=${encodeURIComponent(`No access to ${location}.`)}`);
+    }
+
+    const canEdit = isAdmin(req.user);
+    res.render('assets', {
+      assets: await assets.listAssets(location),
+      nodes: canEdit ? await masterData.nodeChoices(location) : [],
+      criticalities: assets.CRITICALITIES,
+      canEdit,
+      location,
+      locations: access.userLocations(req.user) || (await access.knownLocations()),
+      user: req.user,
+      message: req.query.message || null,
+      error: req.query.error || null
+    });
+  } catch (err) {
+    console.error('Asset register error:', err);
+    res.status(500).send('❌ Failed to load the asset register.');
+  }
+});
+
+// ==============================
+// POST: Register asset
+// ==============================
+router.post('/assets', ...admin, async (req, res) => {
+  const location = req.body.location || req.user.location;
+  const back = `/assets?location=${encodeURIComponent(location)}`;
+  try {
+    const id = await assets.createAsset(req.user, { ...req.body, location });
+    console.log(`🏷️ ${req.user.globalId} registered asset ${id} (${location})`);
+    redirectWith(res, back, 'message', `Asset ${String(req.body.tag).trim().toUpperCase()} registered.`);
+  } catch (err) {
+    if (!err.status) console.error('Register asset error:', err);
+    redirectWith(res, back, 'error', err.status ? err.message : 'Failed to register the asset.');
+  }
+});
+
+// ==============================
+// GET: Asset history (tickets, PM plans, downtime and cost)
+// ==============================
+router.get('/assets/:id', ...staff, async (req, res) => {
+  try {
+    const asset = await assets.getAsset(req.user, req.params.id);
+    const canEdit = isAdmin(req.user);
+
+    res.render('asset-history', {
+      asset,
+      history: await assets.history(asset),
+      nodes: canEdit ? await masterData.nodeChoices(asset.location) : [],
+      criticalities: assets.CRITICALITIES,
+      canEdit,
+      user: req.user,
+      message: req.query.message || null,
+      error: req.query.error || null
+    });
+  } catch (err) {
+    if (err.status) return redirectWith(res, '/assets', 'error', err.message);
+    console.error('Asset history error:', err);
+    res.status(500).send('❌ Failed to load the asset history.');
+  }
+});
+
+// ==============================
+// POST: Edit asset
+// ==============================
+router.post('/assets/:id', ...admin, async (req, res) => {
+  const back = `/assets/${encodeURIComponent(req.params.id)}`;
+  try {
+    await assets.updateAsset(req.user, req.params.id, req.body);
+    redirectWith(res, back, 'message', 'Asset saved.');
+  } catch (err) {
+    if (!err.status) console.error('Edit asset error:', err);
+    redirectWith(res, back, 'error', err.status ? err.message : 'Failed to save the asset.');
+  }
+});
+
+// ==============================
+// POST: Retire / reinstate asset
+// ==============================
+for (const [action, active] of [['retire', false], ['reinstate', true]]) {
+  router.post(`/assets/:id/${action}`, ...admin, async (req, res) => {
+    const back = `/assets/${encodeURIComponent(req.params.id)}`;
+    try {
+      await assets.setActive(req.user, req.params.id, active);
+      redirectWith(res, back, 'message', active ? 'Asset reinstated.' : 'Asset retired. Its history is kept.');
+    } catch (err) {
+      if (!err.status) console.error(`Asset ${action} error:`, err);
+      redirectWith(res, back, 'error', err.status ? err.message : 'Failed to update the asset.');
+    }
+  });
+}
+
+module.exports = router;
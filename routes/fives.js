@@ -0,0 +1,306 @@
+// routes/fives.js
+const express = require('express');
+const router = express.Router();
+const db = require('../db');
+const requireRole = require('../middleware/requireRole');
+const authenticateJWT = require('../middleware/authenticateJWT');
+const access = require('../services/access');
+const { createTicket } = require('../services/tickets');
+
+const PILLARS = ['Sort', 'Set', 'Shine', 'Standardize', 'Sustain'];
+
+// Each checklist item is scored 0 (not done) .. 4 (fully compliant).
+// Anything below PASS_SCORE fails and raises a ticket.
+const MAX_ITEM_SCORE = 4;
+const PASS_SCORE = 2;
+
+function areaLabel(row) {
+  return [row.building_no, row.area_code, row.sub_area].filter(Boolean).join(' / ');
+}
+
+// ==============================
+// GET: 5S Dashboard of a location (?location=, default: home location)
+// ==============================
+router.get(
+  '/dashboard/5s',
+  authenticateJWT,
+  requireRole(['normal_user', 'technician', 'planner', 'admin']),
+  async (req, res) => {
+    const user = req.user;
+    const location = req.query.location || user.location;
+
+    try {
+      if (!access.canAccessLocation(user, location)) {
+        return res.redirect(`/dashboard/5s?error=${encodeURIComponent(`No access to ${location}.`)}`);
+      }
+
+      const [checklists] = await db.query(
+        `
+        SELECT
+          c.*,
+          (SELECT COUNT(*) FROM five_s_checklist_items i WHERE i.checklist_id = c.id) AS item_count,
+          (SELECT TOP 1 a.score_pct FROM five_s_audits a WHERE a.checklist_id = c.id ORDER BY a.created_at DESC) AS last_score
+        FROM five_s_checklists c
+        WHERE c.location = ? AND c.is_active = 1
+        ORDER BY c.building_no, c.area_code, c.sub_area, c.name
+        `,
+        [location]
+      );
+
+      const [audits] = await db.query(
+        `
+        SELECT TOP 50 a.*, c.name AS checklist_name
+        FROM five_s_audits a
+        LEFT JOIN five_s_checklists c ON a.checklist_id = c.id
+        WHERE a.location = ?
+        ORDER BY a.created_at DESC
+        `,
+        [location]
+      );
+
+      res.render('dashboard-5s', {
+        checklists: checklists.map(c => ({ ...c, area_label: areaLabel(c) })),
+        audits: audits.map(a => ({ ...a, area_label: areaLabel(a) })),
+        pillars: PILLARS,
+        location,
+        locations: access.userLocations(user) || (await access.knownLocations()),
+        user,
+        message: req.query.message || null,
+        error: req.query.error || null
+      });
+    } catch (err) {
+      console.error('5S dashboard error:', err);
+      res.status(500).send('Error loading 5S dashboard.');
+    }
+  }
+);
+
+// ==============================
+// POST: Create Checklist (admin)
+// ==============================
+router.post(
+  '/5s/checklists',
+  authenticateJWT,
+  requireRole(['admin']),
+  async (req, res) => {
+    const user = req.user;
+    const { name, building_no, area_code, sub_area } = req.body;
+    const location = req.body.location || user.location;
+    const items = Array.isArray(req.body.items) ? req.body.items : [];
+
+    const validItems = items
+      .map(i => ({ pillar: i?.pillar, question: String(i?.question || '').trim() }))
+      .filter(i => PILLARS.includes(i.pillar) && i.question);
+
+    if (!name || !building_no) {
+      return res.status(400).json({ success: false, message: 'Checklist name and building are required' });
+    }
+    if (validItems.length === 0) {
+      return res.status(400).json({ success: false, message: 'Add at least one checklist item' });
+    }
+    if (!access.canAccessLocation(user, location)) {
+      return res.status(403).json({ success: false, message: `No access to ${location}.` });
+    }
+
+    try {
+      const [rows] = await db.query(
+        `
+        INSERT INTO five_s_checklists (location, name, building_no, area_code, sub_area, is_active, created_by, created_at)
+        OUTPUT INSERTED.id
+        VALUES (?, ?, ?, ?, ?, 1, ?, GETDATE())
+        `,
+        [location, name, building_no, area_code || null, sub_area || null, user.globalId]
+      );
+      const checklistId = rows?.[0]?.id;
+
+      for (const [index, item] of validItems.entries()) {
+        await db.query(
+          `INSERT INTO five_s_checklist_items (checklist_id, pillar, question, sort_order) VALUES (?, ?, ?, ?)`,
+          [checklistId, item.pillar, item.question, index]
+        );
+      }
+
+      res.json({ success: true, id: checklistId, message: 'Checklist created' });
+    } catch (err) {
+      console.error('Create 5S checklist error:', err);
+      res.status(500).json({ success: false, message: 'Failed to create checklist' });
+    }
+  }
+);
+
+// ==============================
+// POST: Deactivate Checklist (admin)
+// ==============================
+router.post(
+  '/5s/checklists/:id/deactivate',
+  authenticateJWT,
+  requireRole(['admin']),
+  async (req, res) => {
+    try {
+      const { sql, params } = access.scope(req.user, 'location');
+      const [, result] = await db.query(
+        `UPDATE five_s_checklists SET is_active = 0 WHERE id = ? AND ${sql}`,
+        [req.params.id, ...params]
+      );
+
+      if (result.rowsAffected && result.rowsAffected[0] === 0) {
+        return res.status(404).send('❌ Checklist not found or no permission.');
+      }
+
+      const msg = encodeURIComponent('Checklist removed.');
+      res.redirect(`/dashboard/5s?message=${msg}`);
+    } catch (err) {
+      console.error('Deactivate 5S checklist error:', err);
+      res.status(500).send('❌ Failed to remove checklist.');
+    }
+  }
+);
+
+// Load an active checklist (and its items) from one of the user's locations
+async function loadChecklist(checklistId, user) {
+  const { sql, params } = access.scope(user, 'location');
+  const [checklists] = await db.query(
+    `SELECT * FROM five_s_checklists WHERE id = ? AND ${sql} AND is_active = 1`,
+    [checklistId, ...params]
+  );
+  const checklist = checklists?.[0];
+  if (!checklist) return null;
+
+  const [items] = await db.query(
+    `SELECT * FROM five_s_checklist_items WHERE checklist_id = ? ORDER BY sort_order, id`,
+    [checklistId]
+  );
+
+  return { ...checklist, area_label: areaLabel(checklist), items };
+}
+
+// ==============================
+// GET: Audit Form
+// ==============================
+router.get(
+  '/5s/audit/:checklistId',
+  authenticateJWT,
+  requireRole(['normal_user', 'technician', 'planner', 'admin']),
+  async (req, res) => {
+    try {
+      const checklist = await loadChecklist(req.params.checklistId, req.user);
+      if (!checklist) {
+        const msg = encodeURIComponent('Checklist not found.');
+        return res.redirect(`/dashboard/5s?error=${msg}`);
+      }
+
+      res.render('audit-5s', {
+        checklist,
+        pillars: PILLARS,
+        maxScore: MAX_ITEM_SCORE,
+        passScore: PASS_SCORE,
+        user: req.user,
+        error: req.query.error || null
+      });
+    } catch (err) {
+      console.error('5S audit form error:', err);
+      res.status(500).send('Error loading 5S audit.');
+    }
+  }
+);
+
+// ==============================
+// POST: Submit Audit
+// ==============================
+router.post(
+  '/5s/audit/:checklistId',
+  authenticateJWT,
+  requireRole(['normal_user', 'technician', 'planner', 'admin']),
+  async (req, res) => {
+    const user = req.user;
+
+    try {
+      const checklist = await loadChecklist(req.params.checklistId, user);
+      if (!checklist) {
+        const msg = encodeURIComponent('Checklist not found.');
+        return res.redirect(`/dashboard/5s?error=${msg}`);
+      }
+
+      // Every item must be scored
+      const results = [];
+      for (const item of checklist.items) {
+        const score = parseInt(req.body[`score_${item.id}`], 10);
+        if (isNaN(score) || score < 0 || score > MAX_ITEM_SCORE) {
+          const msg = encodeURIComponent('Please score every checklist item.');
+          return res.redirect(`/5s/audit/${checklist.id}?error=${msg}`);
+        }
+        results.push({
+          item,
+          score,
+          passed: score >= PASS_SCORE,
+          remark: (req.body[`remark_${item.id}`] || '').trim() || null
+        });
+      }
+
+      const totalScore = results.reduce((sum, r) => sum + r.score, 0);
+      const maxScore = results.length * MAX_ITEM_SCORE;
+      const scorePct = maxScore ? Number(((totalScore / maxScore) * 100).toFixed(2)) : 0;
+
+      const [rows] = await db.query(
+        `
+        INSERT INTO five_s_audits
+          (checklist_id, location, building_no, area_code, sub_area, auditor_id, auditor_name, total_score, max_score, score_pct, created_at)
+        OUTPUT INSERTED.id
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, GETDATE())
+        `,
+        [
+          checklist.id,
+          checklist.location,
+          checklist.building_no,
+          checklist.area_code,
+          checklist.sub_area,
+          user.globalId,
+          user.name || null,
+          totalScore,
+          maxScore,
+          scorePct
+        ]
+      );
+      const auditId = rows?.[0]?.id;
+
+      // Failed items go into the normal ticket flow, in the checklist's location
+      const raiser = { ...user, location: checklist.location };
+      let ticketsRaised = 0;
+      for (const r of results) {
+        let ticketId = null;
+        if (!r.passed) {
+          ticketId = await createTicket(raiser, {
+            category: '5S',
+            keyword: r.item.pillar,
+            building_no: checklist.building_no,
+            area_code: checklist.area_code,
+            sub_area: checklist.sub_area,
+            description: `5S audit #${auditId} (${checklist.name}) - ${r.item.pillar}: ${r.item.question}` +
+              (r.remark ? `\nRemark: ${r.remark}` : '')
+          });
+          ticketsRaised++;
+        }
+
+        await db.query(
+          `
+          INSERT INTO five_s_audit_results (audit_id, item_id, pillar, score, passed, remark, ticket_id)
+          VALUES (?, ?, ?, ?, ?, ?, ?)
+          `,
+          [auditId, r.item.id, r.item.pillar, r.score, r.passed, r.remark, ticketId]
+        );
+      }
+
+      const msg = encodeURIComponent(
+        `Audit saved with score ${scorePct}%.` +
+          (ticketsRaised ? ` ${ticketsRaised} ticket(s) raised for failed items.` : '')
+      );
+      res.redirect(`/dashboard/5s?location=${encodeURIComponent(checklist.location)}&message=${msg}`);
+    } catch (err) {
+      console.error('Submit 5S audit error:', err);
+      const msg = encodeURIComponent('Failed to save audit.');
+      res.redirect(`/dashboard/5s?error=${msg}`);
+    }
+  }
+);
+
+module.exports = router;
@@ -1,16 +1,8 @@
 const express = require('express');
 const router  = express.Router();
 const db      = require('../db');
-const nodemailer = require('nodemailer');
 const bcrypt  = require('bcrypt');
-
-// configure smtp
-const transporter = nodemailer.createTransport({
-  host: process.env.SMTP_HOST,
-  port: process.env.SMTP_PORT,
-  secure: (process.env.SMTP_SECURE === 'true'),
-  auth: { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
-});
+const { transporter } = require('../services/mailer');
 
 // ------------------------ GET /forgot-password ------------------------
 router.get('/forgot-password', (req,res)=>{
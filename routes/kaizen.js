@@ -0,0 +1,291 @@
+// routes/kaizen.js
+const express = require('express');
+const router = express.Router();
+const db = require('../db');
+const requireRole = require('../middleware/requireRole');
+const authenticateJWT = require('../middleware/authenticateJWT');
+const { notify } = require('../services/notifications');
+const access = require('../services/access');
+
+function redirectWith(res, key, text) {
+  return res.redirect(`/dashboard/kaizen?${key}=${encodeURIComponent(text)}`);
+}
+
+// ==============================
+// GET: Kaizen Dashboard
+// ==============================
+router.get(
+  '/dashboard/kaizen',
+  authenticateJWT,
+  requireRole(['normal_user', 'technician', 'planner', 'admin']),
+  async (req, res) => {
+    const user = req.user;
+    const role = user.role || user.department;
+
+    try {
+      const [myKaizens] = await db.query(
+        `SELECT * FROM kaizens WHERE global_id = ? ORDER BY created_at DESC`,
+        [user.globalId]
+      );
+
+      // Ideas waiting for a decision or an implementer (planner / admin)
+      let reviewQueue = [];
+      let technicians = [];
+      if (['planner', 'admin'].includes(role)) {
+        const { sql, params } = access.scope(user, 'k.location');
+        [reviewQueue] = await db.query(
+          `
+          SELECT k.*, u.name AS assigned_to_name
+          FROM kaizens k
+          LEFT JOIN users u ON k.assigned_to = u.global_id
+          WHERE ${sql} AND k.status IN ('Submitted', 'Approved', 'Assigned')
+          ORDER BY k.created_at
+          `,
+          params
+        );
+
+        technicians = await access.staffFor(user);
+      }
+
+      // Ideas this user has to implement
+      const [assignedToMe] = await db.query(
+        `SELECT * FROM kaizens WHERE assigned_to = ? AND status = 'Assigned' ORDER BY assigned_at`,
+        [user.globalId]
+      );
+
+      // Kaizen register (admin): every idea with status and claimed savings, per location
+      let register = [];
+      if (role === 'admin') {
+        // ✅ Limited to the admin's locations
+        const { sql, params } = access.scope(user, 'k.location');
+        [register] = await db.query(
+          `
+          SELECT k.*, u.name AS assigned_to_name
+          FROM kaizens k
+          LEFT JOIN users u ON k.assigned_to = u.global_id
+          WHERE ${sql}
+          ORDER BY k.location, k.created_at DESC
+          `,
+          params
+        );
+      }
+
+      const registerSummary = {};
+      register.forEach(k => {
+        const loc = registerSummary[k.location] || (registerSummary[k.location] = { total: 0, statusCounts: {}, savings: 0 });
+        loc.total++;
+        loc.statusCounts[k.status] = (loc.statusCounts[k.status] || 0) + 1;
+        if (k.status === 'Implemented') loc.savings += Number(k.claimed_savings || 0);
+      });
+
+      res.render('dashboard-kaizen', {
+        myKaizens,
+        reviewQueue,
+        technicians,
+        assignedToMe,
+        register,
+        registerSummary,
+        user,
+        message: req.query.message || null,
+        error: req.query.error || null
+      });
+    } catch (err) {
+      console.error('Kaizen dashboard error:', err);
+      res.status(500).send('Error loading Kaizen dashboard.');
+    }
+  }
+);
+
+// ==============================
+// POST: Submit Kaizen
+// ==============================
+router.post(
+  '/kaizen/submit',
+  authenticateJWT,
+  requireRole(['normal_user', 'technician', 'planner', 'admin']),
+  async (req, res) => {
+    const user = req.user;
+    const { title, problem_statement, proposed_change, expected_benefit } = req.body;
+
+    if (!title || !problem_statement || !proposed_change || !expected_benefit) {
+      return redirectWith(res, 'error', 'Please fill in the title, problem, proposed change and expected benefit.');
+    }
+
+    try {
+      await db.query(
+        `
+        INSERT INTO kaizens
+          (location, global_id, raised_by, title, problem_statement, proposed_change, expected_benefit, status, created_at, updated_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, 'Submitted', GETDATE(), GETDATE())
+        `,
+        [user.location, user.globalId, user.name || null, title, problem_statement, proposed_change, expected_benefit]
+      );
+
+      redirectWith(res, 'message', 'Kaizen submitted for review.');
+    } catch (err) {
+      console.error('Kaizen submit error:', err);
+      redirectWith(res, 'error', 'Failed to submit Kaizen.');
+    }
+  }
+);
+
+// ==============================
+// POST: Approve / Reject Kaizen
+// ==============================
+router.post(
+  '/kaizen/review',
+  authenticateJWT,
+  requireRole(['planner', 'admin']),
+  async (req, res) => {
+    const { kaizenId, decision, review_note } = req.body;
+    const user = req.user;
+
+    if (!kaizenId || !['Approved', 'Rejected'].includes(decision)) {
+      return res.status(400).send('Missing kaizenId or decision');
+    }
+    if (decision === 'Rejected' && !review_note) {
+      return redirectWith(res, 'error', 'Please give a reason when rejecting a Kaizen.');
+    }
+
+    try {
+      const { sql, params } = access.scope(user, 'location');
+      const [, result] = await db.query(
+        `
+        UPDATE kaizens
+        SET status = ?, reviewer_id = ?, review_note = ?, reviewed_at = GETDATE(), updated_at = GETDATE()
+        WHERE id = ? AND ${sql} AND status = 'Submitted'
+        `,
+        [decision, user.globalId, review_note || null, kaizenId, ...params]
+      );
+
+      if (result.rowsAffected && result.rowsAffected[0] === 0) {
+        return res.status(404).send('❌ Kaizen not found or no permission.');
+      }
+
+      const [rows] = await db.query('SELECT global_id FROM kaizens WHERE id = ?', [kaizenId]);
+      const ownerId = rows?.[0]?.global_id;
+      if (ownerId) {
+        notify(ownerId, 'kaizen_update', `💡 Your Kaizen #${kaizenId} has been ${decision.toLowerCase()}.`, {
+          url: '/dashboard/kaizen'
+        });
+      }
+
+      redirectWith(res, 'message', `Kaizen #${kaizenId} ${decision.toLowerCase()}.`);
+    } catch (err) {
+      console.error('Kaizen review error:', err);
+      res.status(500).send('❌ Failed to review Kaizen.');
+    }
+  }
+);
+
+// ==============================
+// POST: Assign Kaizen (same pattern as /planner/assign)
+// ==============================
+router.post(
+  '/kaizen/assign',
+  authenticateJWT,
+  requireRole(['planner', 'admin']),
+  async (req, res) => {
+    const { kaizenId, executerId } = req.body;
+    const user = req.user;
+
+    if (!kaizenId || !executerId) {
+      return res.status(400).send('Missing kaizenId or executerId');
+    }
+
+    try {
+      const { sql, params } = access.scope(user, 'location');
+      const [rows] = await db.query(`SELECT location FROM kaizens WHERE id = ? AND ${sql}`, [kaizenId, ...params]);
+      if (!rows.length) {
+        return res.status(404).send('❌ Kaizen not found or no permission.');
+      }
+      if (!(await access.canWorkAt(executerId, rows[0].location))) {
+        return res.status(400).send(`The selected person does not work at ${rows[0].location}.`);
+      }
+
+      const [, result] = await db.query(
+        `
+        UPDATE kaizens
+        SET assigned_to = ?, assigned_by = ?, assigned_at = GETDATE(), status = 'Assigned', updated_at = GETDATE()
+        WHERE id = ? AND ${sql} AND status IN ('Approved', 'Assigned')
+        `,
+        [executerId, user.globalId, kaizenId, ...params]
+      );
+
+      if (result.rowsAffected && result.rowsAffected[0] === 0) {
+        return res.status(404).send('❌ Kaizen not found or no permission.');
+      }
+
+      // ✅ Send notification to the assigned technician only
+      notify(executerId, 'kaizen_update', `💡 Kaizen #${kaizenId} has been assigned to you for implementation.`, {
+        url: '/dashboard/kaizen'
+      });
+
+      res.redirect('/dashboard/kaizen');
+    } catch (err) {
+      console.error('Kaizen assignment error:', err);
+      res.status(500).send('❌ Failed to assign technician.');
+    }
+  }
+);
+
+// ==============================
+// POST: Record Kaizen Result
+// ==============================
+router.post(
+  '/kaizen/complete',
+  authenticateJWT,
+  requireRole(['technician', 'planner', 'admin']),
+  async (req, res) => {
+    const { kaizenId, before_result, after_result, claimed_savings } = req.body;
+    const user = req.user;
+    const role = user.role || user.department;
+
+    if (!kaizenId) return res.status(400).send('Missing kaizenId');
+    if (!before_result || !after_result) {
+      return redirectWith(res, 'error', 'Please record both the before and after result.');
+    }
+
+    const savings = claimed_savings === undefined || claimed_savings === '' ? null : Number(claimed_savings);
+    if (savings !== null && (isNaN(savings) || savings < 0)) {
+      return redirectWith(res, 'error', 'Claimed savings must be a positive number.');
+    }
+
+    try {
+      const scope = access.scope(user, 'location');
+      let query = `
+        UPDATE kaizens
+        SET status = 'Implemented', before_result = ?, after_result = ?, claimed_savings = ?,
+            implemented_at = GETDATE(), updated_at = GETDATE()
+        WHERE id = ? AND ${scope.sql} AND status = 'Assigned'
+      `;
+      const params = [before_result, after_result, savings, kaizenId, ...scope.params];
+
+      // Technicians can only close what was assigned to them
+      if (role === 'technician') {
+        query += ` AND assigned_to = ?`;
+        params.push(user.globalId);
+      }
+
+      const [, result] = await db.query(query, params);
+      if (result.rowsAffected && result.rowsAffected[0] === 0) {
+        return res.status(404).send('❌ Kaizen not found or no permission.');
+      }
+
+      const [rows] = await db.query('SELECT global_id FROM kaizens WHERE id = ?', [kaizenId]);
+      const ownerId = rows?.[0]?.global_id;
+      if (ownerId) {
+        notify(ownerId, 'kaizen_update', `🎉 Your Kaizen #${kaizenId} has been implemented.`, {
+          url: '/dashboard/kaizen'
+        });
+      }
+
+      redirectWith(res, 'message', `Kaizen #${kaizenId} marked as implemented.`);
+    } catch (err) {
+      console.error('Kaizen complete error:', err);
+      res.status(500).send('❌ Failed to record Kaizen result.');
+    }
+  }
+);
+
+module.exports = router;
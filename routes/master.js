@@ -1,77 +1,57 @@
+// routes/master.js
+// Master data admin (per location, versioned - see services/masterData.js) and the
+// read API the ticket form uses.
 const express = require('express');
-const fs = require('fs').promises;
-const path = require('path');
 const router = express.Router();
+const multer = require('multer');
 const authenticateJWT = require('../middleware/authenticateJWT');
 const requireRole = require('../middleware/requireRole');
+const masterData = require('../services/masterData');
+const assets = require('../services/assets');
+const access = require('../services/access');
+const spreadsheet = require('../services/spreadsheet');
 
-// Read master data
-async function readMasterData() {
-  try {
-    const dataPath = path.join(__dirname, '../public/data/masterData.json');
-    
-    // Check if file exists
-    try {
-      await fs.access(dataPath);
-    } catch (err) {
-      console.error('Master data file does not exist:', dataPath);
-      return {};
-    }
-    
-    const data = await fs.readFile(dataPath, 'utf8');
-    
-    // Handle empty file
-    if (!data.trim()) {
-      console.warn('Master data file is empty');
-      return {};
-    }
-    
-    return JSON.parse(data);
-  } catch (err) {
-    console.error('Error reading master data:', err);
-    return {};
+// Import files and the previewed rows posted back for apply are kept in memory
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024, fieldSize: 10 * 1024 * 1024, files: 1 }
+});
+
+// The location a request works on (?location= / body.location, default: home location)
+function withLocation(req, res, next) {
+  const location = String(req.body?.location || req.query.location || req.user.location || '').trim();
+  if (!location || !access.canAccessLocation(req.user, location)) {
+    return res.status(403).json({ success: false, message: `No access to ${location || 'this location'}.` });
   }
+  req.masterLocation = location;
+  next();
 }
 
-// Write master data
-async function writeMasterData(data) {
-  try {
-    const dataPath = path.join(__dirname, '../public/data/masterData.json');
-    
-    // Ensure directory exists
-    const dirPath = path.dirname(dataPath);
-    await fs.mkdir(dirPath, { recursive: true });
-    
-    await fs.writeFile(dataPath, JSON.stringify(data, null, 2));
-    return true;
-  } catch (err) {
-    console.error('Error writing master data:', err);
-    return false;
+// Expected failures (conflict, validation) carry a status; everything else is a 500
+function sendError(res, err, what) {
+  if (err.status) {
+    return res.status(err.status).json({ success: false, message: err.message, version: err.version });
   }
+  console.error(`Master data ${what} error:`, err);
+  res.status(500).json({ success: false, message: `Failed to ${what}.` });
 }
 
-// Master dashboard route
+const admin = [authenticateJWT, requireRole(['admin']), withLocation];
+
+// ==============================
+// GET: Master data dashboard
+// ==============================
 router.get('/dashboard/master', authenticateJWT, requireRole(['admin']), async (req, res) => {
   try {
-    const masterData = await readMasterData();
-    
-    // Log available locations for debugging
-    console.log('Available locations in masterData:', Object.keys(masterData));
-    console.log('User location:', req.user.location);
-    
-    // Case-insensitive location matching
-    const locationKeys = Object.keys(masterData);
-    const userLocation = req.user.location.toLowerCase();
-    const locationKey = locationKeys.find(key => key.toLowerCase() === userLocation);
-    
-    const locationData = locationKey ? masterData[locationKey] : {};
-    
-    // Log location data for debugging
-    console.log('Location data for', req.user.location, ':', locationData);
-    
+    const location = req.query.location || req.user.location;
+    if (!access.canAccessLocation(req.user, location)) {
+      return res.redirect(`/dashboard/master?error=${encodeURIComponent(`No access to ${location}.`)}`);
+    }
+
     res.render('dashboard-master', {
-      masterData: locationData,
       user: req.user,
+      location,
+      locations: access.userLocations(req.user) || (await access.knownLocations()),
       message: req.query.message || null,
       error: req.query.error || null
     });
@@ -81,76 +61,197 @@ router.get('/dashboard/master', authenticateJWT, requireRole(['admin']), async (
   }
 });
 
-// API endpoint to get master data
-router.get('/dashboard/master/data', authenticateJWT, requireRole(['admin']), async (req, res) => {
+// ==============================
+// GET: Master data of a location (admin editor)
+// ==============================
+router.get('/dashboard/master/data', ...admin, async (req, res) => {
   try {
-    const masterData = await readMasterData();
-    
-    // Case-insensitive location matching
-    const locationKeys = Object.keys(masterData);
-    const userLocation = req.user.location.toLowerCase();
-    const locationKey = locationKeys.find(key => key.toLowerCase() === userLocation);
-    
-    const locationData = locationKey ? masterData[locationKey] : {};
-    
-    res.json({ 
-      success: true, 
-      masterData: locationData 
-    });
+    const tree = await masterData.getTree(req.masterLocation);
+    res.json({ success: true, location: req.masterLocation, ...tree });
+  } catch (err) {
+    sendError(res, err, 'fetch master data');
+  }
+});
+
+// ==============================
+// POST: Add / rename / remove an item
+// Body: { location, version, ... } - version is the one the editor last loaded
+// ==============================
+router.post('/dashboard/master/nodes', ...admin, async (req, res) => {
+  try {
+    const { category, parent_id, name, keyword, version } = req.body;
+    const result = await masterData.addNode(
+      req.masterLocation,
+      { category, parent_id, name, keyword: keyword === true || keyword === 'true' },
+      version,
+      req.user
+    );
+    console.log(`🗂️ ${req.user.globalId} added master data item ${result.id} (${req.masterLocation} v${result.version})`);
+    res.json({ success: true, ...result });
   } catch (err) {
-    console.error('Error fetching master data:', err);
-    res.status(500).json({ 
-      success: false, 
-      message: 'Failed to fetch master data' 
+    sendError(res, err, 'add item');
+  }
+});
+
+router.post('/dashboard/master/nodes/:id/rename', ...admin, async (req, res) => {
+  try {
+    const result = await masterData.renameNode(req.masterLocation, req.params.id, req.body.name, req.body.version, req.user);
+    res.json({ success: true, ...result });
+  } catch (err) {
+    sendError(res, err, 'rename item');
+  }
+});
+
+router.post('/dashboard/master/nodes/:id/delete', ...admin, async (req, res) => {
+  try {
+    const result = await masterData.deleteNode(req.masterLocation, req.params.id, req.body.version, req.user);
+    console.log(`🗂️ ${req.user.globalId} removed master data item ${req.params.id} (${req.masterLocation} v${result.version})`);
+    res.json({ success: true, ...result });
+  } catch (err) {
+    sendError(res, err, 'remove item');
+  }
+});
+
+// ==============================
+// GET: Version history, diff against the previous (or ?against=) version
+// ==============================
+router.get('/dashboard/master/versions', ...admin, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      version: await masterData.currentVersion(req.masterLocation),
+      versions: await masterData.listVersions(req.masterLocation)
     });
+  } catch (err) {
+    sendError(res, err, 'load history');
   }
 });
 
-// Update master data endpoint
-router.post('/dashboard/master/update', authenticateJWT, requireRole(['admin']), async (req, res) => {
+router.get('/dashboard/master/versions/:version/diff', ...admin, async (req, res) => {
   try {
-    const { location: requestedLocation, masterData: newLocationData } = req.body;
-    
-    // Validate that user can only update their own location
-    if (requestedLocation.toLowerCase() !== req.user.location.toLowerCase()) {
-      return res.status(403).json({ 
-        success: false, 
-        message: 'Cannot update data for other locations' 
-      });
+    const to = Number(req.params.version);
+    const from = req.query.against ? Number(req.query.against) : to - 1;
+    res.json({ success: true, diff: await masterData.diffVersions(req.masterLocation, from, to) });
+  } catch (err) {
+    sendError(res, err, 'compare versions');
+  }
+});
+
+// ==============================
+// POST: Roll back to an earlier version (saved as a new version)
+// ==============================
+router.post('/dashboard/master/versions/:version/rollback', ...admin, async (req, res) => {
+  try {
+    const result = await masterData.rollback(req.masterLocation, req.params.version, req.body.version, req.user);
+    console.log(`⏪ ${req.user.globalId} rolled master data of ${req.masterLocation} back to v${req.params.version}`);
+    res.json({ success: true, ...result });
+  } catch (err) {
+    sendError(res, err, 'roll back');
+  }
+});
+
+// ==============================
+// GET: Export a location's master data (?format=xlsx|csv)
+// ==============================
+router.get('/dashboard/master/export', ...admin, async (req, res) => {
+  try {
+    const format = req.query.format === 'xlsx' ? 'xlsx' : 'csv';
+    const { version, rows } = await masterData.exportRows(req.masterLocation);
+    const name = `master-data-${req.masterLocation.replace(/[^\w-]+/g, '_')}-v${version}`;
+
+    const writer = spreadsheet.tableWriter(res, format, name, masterData.FILE_COLUMNS);
+    for (const row of rows) await writer.write(row);
+    await writer.end();
+  } catch (err) {
+    if (err.cancelled) return console.log(`⚠️ Master data export cancelled by ${req.user.globalId}`);
+    console.error('Master data export error:', err);
+    if (!res.headersSent) res.status(500).send('Failed to export master data.');
+    else res.end();
+  }
+});
+
+// ==============================
+// POST: Import - preview what the uploaded file would change (nothing is saved yet)
+// ==============================
+function importBack(res, location, key, text) {
+  res.redirect(`/dashboard/master?location=${encodeURIComponent(location)}&${key}=${encodeURIComponent(text)}`);
+}
+
+router.post('/dashboard/master/import', authenticateJWT, requireRole(['admin']), (req, res) => {
+  importUpload.single('file')(req, res, async uploadErr => {
+    const location = String(req.body?.location || req.user.location);
+    if (uploadErr) {
+      const text = uploadErr.code === 'LIMIT_FILE_SIZE' ? 'The file must be smaller than 5 MB.' : uploadErr.message;
+      return importBack(res, location, 'error', text);
+    }
+    if (!access.canAccessLocation(req.user, location)) {
+      return res.redirect(`/dashboard/master?error=${encodeURIComponent(`No access to ${location}.`)}`);
     }
-    
-    // Read current master data
-    const allData = await readMasterData();
-    
-    // Case-insensitive location matching for update
-    const locationKeys = Object.keys(allData);
-    const userLocation = req.user.location.toLowerCase();
-    const locationKey = locationKeys.find(key => key.toLowerCase() === userLocation) || req.user.location;
-    
-    // Update data for this location
-    allData[locationKey] = newLocationData;
-    
-    // Write updated data back to file
-    const success = await writeMasterData(allData);
-    
-    if (success) {
-      res.json({ 
-        success: true, 
-        message: 'Data updated successfully' 
+    if (!req.file) return importBack(res, location, 'error', 'Please choose an .xlsx or .csv file.');
+
+    try {
+      const rows = (await spreadsheet.readRows(req.file.buffer, req.file.originalname)).map(r => {
+        const row = { line: r.line };
+        masterData.FILE_COLUMNS.forEach(c => { row[c] = r[c] || ''; });
+        return row;
       });
-    } else {
-      res.status(500).json({ 
-        success: false, 
-        message: 'Failed to update data' 
+      const plan = await masterData.planImport(location, rows);
+
+      res.render('master-import-preview', {
+        user: req.user,
+        location,
+        filename: req.file.originalname,
+        plan,
+        rows,
+        message: null,
+        error: null
       });
+    } catch (err) {
+      console.error('Master data import preview error:', err);
+      importBack(res, location, 'error', 'Could not read the file. Use the exported .xlsx or .csv layout.');
     }
+  });
+});
+
+// ==============================
+// POST: Import - apply the previewed rows (based on the previewed version)
+// ==============================
+router.post('/dashboard/master/import/apply', authenticateJWT, requireRole(['admin']), importUpload.none(), async (req, res) => {
+  const location = String(req.body.location || req.user.location);
+  if (!access.canAccessLocation(req.user, location)) {
+    return res.redirect(`/dashboard/master?error=${encodeURIComponent(`No access to ${location}.`)}`);
+  }
+
+  try {
+    const rows = JSON.parse(req.body.rows || '[]');
+    const result = await masterData.applyImport(location, rows, req.body.version, req.user);
+    if (!result.changes) return importBack(res, location, 'message', 'The file matches the current master data; nothing to change.');
+
+    console.log(`📥 ${req.user.globalId} imported master data of ${location} (v${result.version}, ${result.changes} changes)`);
+    importBack(res, location, 'message', `Import applied as version ${result.version} (${result.changes} changes).`);
   } catch (err) {
-    console.error('Update master data error:', err);
-    res.status(500).json({ 
-      success: false, 
-      message: 'Failed to update data' 
+    if (!err.status) console.error('Master data import error:', err);
+    importBack(res, location, 'error', err.status ? err.message : 'Failed to import master data.');
+  }
+});
+
+// ==============================
+// GET: Master data for the ticket form (the user's location), with the assets
+// that can be picked under the selected node (path_ids: their node and its parents)
+// ==============================
+router.get('/api/master-data', authenticateJWT, async (req, res) => {
+  try {
+    const tree = await masterData.getTree(req.user.location);
+    const registered = await assets.listAssets(req.user.location, { activeOnly: true });
+    res.json({
+      success: true,
+      location: req.user.location,
+      ...tree,
+      assets: registered.map(a => ({ id: a.id, tag: a.tag, name: a.name, path_ids: a.path_ids }))
     });
+  } catch (err) {
+    sendError(res, err, 'fetch master data');
   }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
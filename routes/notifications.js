@@ -0,0 +1,100 @@
+// routes/notifications.js
+// In-app notification inbox and per-event channel preferences
+const express = require('express');
+const router = express.Router();
+const authenticateJWT = require('../middleware/authenticateJWT');
+const notifications = require('../services/notifications');
+
+function redirectWith(res, key, text) {
+  return res.redirect(`/notifications?${key}=${encodeURIComponent(text)}`);
+}
+
+// ==============================
+// GET: Inbox + preferences
+// ==============================
+router.get('/notifications', authenticateJWT, async (req, res) => {
+  try {
+    const [items, preferences] = await Promise.all([
+      notifications.listInbox(req.user.globalId),
+      notifications.getPreferences(req.user.globalId)
+    ]);
+
+    res.render('notifications', {
+      user: req.user,
+      items,
+      preferences,
+      message: req.query.message || null,
+      error: req.query.error || null
+    });
+  } catch (err) {
+    console.error('Notifications page error:', err);
+    res.status(500).send('❌ Failed to load notifications.');
+  }
+});
+
+// ==============================
+// GET: Unread count (navbar bell)
+// ==============================
+router.get('/notifications/unread-count', authenticateJWT, async (req, res) => {
+  try {
+    res.json({ success: true, unread: await notifications.unreadCount(req.user.globalId) });
+  } catch (err) {
+    console.error('Unread count error:', err);
+    res.status(500).json({ error: 'Failed to load unread count' });
+  }
+});
+
+// ==============================
+// POST: Mark all read
+// ==============================
+router.post('/notifications/read-all', authenticateJWT, async (req, res) => {
+  try {
+    await notifications.markRead(req.user.globalId);
+    redirectWith(res, 'message', 'All notifications marked as read.');
+  } catch (err) {
+    console.error('Mark all read error:', err);
+    redirectWith(res, 'error', 'Failed to mark notifications as read.');
+  }
+});
+
+// ==============================
+// POST: Open one notification (marks it read, then follows its link)
+// ==============================
+router.post('/notifications/:id/read', authenticateJWT, async (req, res) => {
+  const id = Number(req.params.id);
+  if (!Number.isInteger(id)) return redirectWith(res, 'error', 'Invalid notification.');
+
+  try {
+    await notifications.markRead(req.user.globalId, id);
+
+    // Only follow links inside the app
+    const next = String(req.body.next || '');
+    res.redirect(next.startsWith('/') && !next.startsWith('//') ? next : '/notifications');
+  } catch (err) {
+    console.error('Mark read error:', err);
+    redirectWith(res, 'error', 'Failed to mark notification as read.');
+  }
+});
+
+// ==============================
+// POST: Save channel preferences
+// ==============================
+router.post('/notifications/preferences', authenticateJWT, async (req, res) => {
+  const prefs = {};
+  Object.keys(notifications.EVENTS).forEach(event => {
+    prefs[event] = {
+      push: req.body[`push_${event}`] === 'on',
+      email: req.body[`email_${event}`] === 'on'
+    };
+  });
+
+  try {
+    await notifications.savePreferences(req.user.globalId, prefs);
+    redirectWith(res, 'message', 'Notification preferences saved.');
+  } catch (err) {
+    console.error('Save notification preferences error:', err);
+    redirectWith(res, 'error', 'Failed to save preferences.');
+  }
+});
+
+module.exports = router;
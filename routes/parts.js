@@ -0,0 +1,161 @@
+// routes/parts.js
+// Spare parts store of a location, the stock movements of each part and the parts usage report.
+// Technicians, planners and admins look parts up; planners and admins keep the store
+// (add parts, receive stock, stock takes) and see the usage report.
+const express = require('express');
+const router = express.Router();
+const authenticateJWT = require('../middleware/authenticateJWT');
+const requireRole = require('../middleware/requireRole');
+const parts = require('../services/parts');
+const access = require('../services/access');
+
+const staff = [authenticateJWT, requireRole(['technician', 'planner', 'admin'])];
+const managers = [authenticateJWT, requireRole(['planner', 'admin'])];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function redirectWith(res, path, key, text) {
+  const separator = path.includes('?') ? '&' : '?';
+  return res.redirect(`${path}${separator}${key}=${encodeURIComponent(text)}`);
+}
+
+function isManager(user) {
+  return ['planner', 'admin'].includes(user.role || user.department);
+}
+
+// yyyy-mm-dd of a Date (UTC), as the date inputs take it
+function isoDate(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+// ==============================
+// GET: Spare parts store of a location
+// ==============================
+router.get('/parts', ...staff, async (req, res) => {
+  try {
+    const location = req.query.location || req.user.location;
+    if (!access.canAccessLocation(req.user, location)) {
+      return res.redirect(`/parts?error=${encodeURIComponent(`No access to ${location}.`)}`);
+    }
+
+    res.render('parts', {
+      parts: await parts.listParts(location),
+      canEdit: isManager(req.user),
+      location,
+      locations: access.userLocations(req.user) || (await access.knownLocations()),
+      user: req.user,
+      message: req.query.message || null,
+      error: req.query.error || null
+    });
+  } catch (err) {
+    console.error('Spare parts page error:', err);
+    res.status(500).send('❌ Failed to load the spare parts store.');
+  }
+});
+
+// ==============================
+// POST: Add part
+// ==============================
+router.post('/parts', ...managers, async (req, res) => {
+  const location = req.body.location || req.user.location;
+  const back = `/parts?location=${encodeURIComponent(location)}`;
+  try {
+    const id = await parts.createPart(req.user, { ...req.body, location });
+    console.log(`🔩 ${req.user.globalId} added spare part ${id} (${location})`);
+    redirectWith(res, back, 'message', `Part ${String(req.body.part_no).trim().toUpperCase()} added.`);
+  } catch (err) {
+    if (!err.status) console.error('Add spare part error:', err);
+    redirectWith(res, back, 'error', err.status ? err.message : 'Failed to add the part.');
+  }
+});
+
+// ==============================
+// GET: Parts usage per building and per asset over a date range, default the last 30 days
+// ==============================
+router.get('/parts/report', ...managers, async (req, res) => {
+  try {
+    const location = req.query.location || req.user.location;
+    if (!access.canAccessLocation(req.user, location)) {
+      return res.redirect(`/parts/report?error=${encodeURIComponent(`No access to ${location}.`)}`);
+    }
+
+    const today = new Date(isoDate(new Date()));
+    const parse = (value, fallback) => (value && !isNaN(new Date(value)) ? new Date(value) : fallback);
+    const from = parse(req.query.from, new Date(today.getTime() - 30 * DAY_MS));
+    const to = parse(req.query.to, today);
+
+    res.render('parts-report', {
+      // `to` is inclusive in the form
+      report: await parts.usageReport(location, from, new Date(to.getTime() + DAY_MS)),
+      from: isoDate(from),
+      to: isoDate(to),
+      location,
+      locations: access.userLocations(req.user) || (await access.knownLocations()),
+      user: req.user,
+      error: req.query.error || null
+    });
+  } catch (err) {
+    console.error('Parts usage report error:', err);
+    res.status(500).send('❌ Failed to load the parts usage report.');
+  }
+});
+
+// ==============================
+// GET: Part with its stock movements
+// ==============================
+router.get('/parts/:id', ...staff, async (req, res) => {
+  try {
+    const part = await parts.getPart(req.user, req.params.id);
+
+    res.render('spare-part', {
+      part,
+      movements: await parts.movements(part),
+      canEdit: isManager(req.user),
+      user: req.user,
+      message: req.query.message || null,
+      error: req.query.error || null
+    });
+  } catch (err) {
+    if (err.status) return redirectWith(res, '/parts', 'error', err.message);
+    console.error('Spare part page error:', err);
+    res.status(500).send('❌ Failed to load the spare part.');
+  }
+});
+
+// ==============================
+// POST: Edit part, receive stock, stock take
+// ==============================
+const ACTIONS = [
+  ['', parts.updatePart, 'Part saved.', 'save the part'],
+  ['/receive', parts.receiveStock, 'Stock received.', 'receive the stock'],
+  ['/adjust', parts.adjustStock, 'Stock count saved.', 'save the stock count']
+];
+for (const [path, action, done, what] of ACTIONS) {
+  router.post(`/parts/:id${path}`, ...managers, async (req, res) => {
+    const back = `/parts/${encodeURIComponent(req.params.id)}`;
+    try {
+      await action(req.user, req.params.id, req.body);
+      redirectWith(res, back, 'message', done);
+    } catch (err) {
+      if (!err.status) console.error(`Spare part ${path || 'edit'} error:`, err);
+      redirectWith(res, back, 'error', err.status ? err.message : `Failed to ${what}.`);
+    }
+  });
+}
+
+// ==============================
+// POST: Retire / reinstate part
+// ==============================
+for (const [action, active] of [['retire', false], ['reinstate', true]]) {
+  router.post(`/parts/:id/${action}`, ...managers, async (req, res) => {
+    const back = `/parts/${encodeURIComponent(req.params.id)}`;
+    try {
+      await parts.setActive(req.user, req.params.id, active);
+      redirectWith(res, back, 'message', active ? 'Part reinstated.' : 'Part retired. Its movements are kept.');
+    } catch (err) {
+      if (!err.status) console.error(`Spare part ${action} error:`, err);
+      redirectWith(res, back, 'error', err.status ? err.message : 'Failed to update the part.');
+    }
+  });
+}
+
+module.exports = router;
@@ -0,0 +1,130 @@
+// routes/pm.js
+// Preventive maintenance plans and their compliance, for planners and admins of the location
+const express = require('express');
+const router = express.Router();
+const authenticateJWT = require('../middleware/authenticateJWT');
+const requireRole = require('../middleware/requireRole');
+const pm = require('../services/pm');
+const assets = require('../services/assets');
+const masterData = require('../services/masterData');
+const sla = require('../services/sla');
+const access = require('../services/access');
+
+const managers = [authenticateJWT, requireRole(['planner', 'admin'])];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function redirectWith(res, location, key, text) {
+  return res.redirect(`/pm?location=${encodeURIComponent(location)}&${key}=${encodeURIComponent(text)}`);
+}
+
+// yyyy-mm-dd of a Date (UTC), as the date inputs take it
+function isoDate(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+// ==============================
+// GET: Plans of a location
+// ==============================
+router.get('/pm', ...managers, async (req, res) => {
+  try {
+    const location = req.query.location || req.user.location;
+    if (!access.canAccessLocation(req.user, location)) {
+      return res.redirect(`/pm?error=${encodeURIComponent(`No access to ${location}.`)}`);
+    }
+
+    res.render('pm-plans', {
+      plans: await pm.listPlans(location),
+      nodes: await masterData.nodeChoices(location),
+      assets: await assets.listAssets(location, { activeOnly: true }),
+      technicians: await access.staffFor(req.user, ['technician']),
+      recurrences: pm.RECURRENCES,
+      priorities: sla.PRIORITIES,
+      location,
+      locations: access.userLocations(req.user) || (await access.knownLocations()),
+      user: req.user,
+      message: req.query.message || null,
+      error: req.query.error || null
+    });
+  } catch (err) {
+    console.error('PM plans page error:', err);
+    res.status(500).send('❌ Failed to load preventive maintenance plans.');
+  }
+});
+
+// ==============================
+// POST: Create plan
+// ==============================
+router.post('/pm/plans', ...managers, async (req, res) => {
+  const location = req.body.location || req.user.location;
+  try {
+    const id = await pm.createPlan(req.user, { ...req.body, location });
+    console.log(`🗓️ ${req.user.globalId} created PM plan ${id} (${location})`);
+    redirectWith(res, location, 'message', `Plan "${req.body.title.trim()}" created.`);
+  } catch (err) {
+    if (!err.status) console.error('Create PM plan error:', err);
+    redirectWith(res, location, 'error', err.status ? err.message : 'Failed to create the plan.');
+  }
+});
+
+// ==============================
+// POST: Pause / resume plan
+// ==============================
+for (const [action, active] of [['deactivate', false], ['activate', true]]) {
+  router.post(`/pm/plans/:id/${action}`, ...managers, async (req, res) => {
+    const location = req.body.location || req.user.location;
+    try {
+      await pm.setActive(req.user, req.params.id, active);
+      redirectWith(res, location, 'message', active ? 'Plan resumed.' : 'Plan paused. No more tickets are raised for it.');
+    } catch (err) {
+      if (!err.status) console.error(`PM plan ${action} error:`, err);
+      redirectWith(res, location, 'error', err.status ? err.message : 'Failed to update the plan.');
+    }
+  });
+}
+
+// ==============================
+// POST: Meter reading of a meter based plan
+// ==============================
+router.post('/pm/plans/:id/reading', ...managers, async (req, res) => {
+  const location = req.body.location || req.user.location;
+  try {
+    const raised = await pm.recordReading(req.user, req.params.id, req.body.reading);
+    redirectWith(res, location, 'message', raised ? `Reading saved. ${raised} ticket(s) raised.` : 'Reading saved.');
+  } catch (err) {
+    if (!err.status) console.error('PM meter reading error:', err);
+    redirectWith(res, location, 'error', err.status ? err.message : 'Failed to save the reading.');
+  }
+});
+
+// ==============================
+// GET: Compliance (done on time vs late / overdue) over a date range, default the last 30 days
+// ==============================
+router.get('/pm/compliance', ...managers, async (req, res) => {
+  try {
+    const location = req.query.location || req.user.location;
+    if (!access.canAccessLocation(req.user, location)) {
+      return res.redirect(`/pm/compliance?error=${encodeURIComponent(`No access to ${location}.`)}`);
+    }
+
+    const today = new Date(isoDate(new Date()));
+    const parse = (value, fallback) => (value && !isNaN(new Date(value)) ? new Date(value) : fallback);
+    const from = parse(req.query.from, new Date(today.getTime() - 30 * DAY_MS));
+    const to = parse(req.query.to, today);
+
+    res.render('pm-compliance', {
+      // `to` is inclusive in the form
+      report: await pm.compliance(location, from, new Date(to.getTime() + DAY_MS)),
+      from: isoDate(from),
+      to: isoDate(to),
+      location,
+      locations: access.userLocations(req.user) || (await access.knownLocations()),
+      user: req.user,
+      error: req.query.error || null
+    });
+  } catch (err) {
+    console.error('PM compliance page error:', err);
+    res.status(500).send('❌ Failed to load PM compliance.');
+  }
+});
+
+module.exports = router;
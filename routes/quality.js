@@ -0,0 +1,332 @@
+// routes/quality.js
+const express = require('express');
+const router = express.Router();
+const db = require('../db');
+const requireRole = require('../middleware/requireRole');
+const authenticateJWT = require('../middleware/authenticateJWT');
+const access = require('../services/access');
+const { createTicket } = require('../services/tickets');
+const { notify } = require('../services/notifications');
+
+const AUDIT_TYPES = ['Process', 'Product'];
+
+// Default days to close a corrective action, by severity
+const SEVERITY_DUE_DAYS = { Critical: 2, Major: 7, Minor: 30 };
+const SEVERITIES = Object.keys(SEVERITY_DUE_DAYS);
+
+// Back to the dashboard, of `location` when given
+function redirectWith(res, key, text, location) {
+  const at = location ? `location=${encodeURIComponent(location)}&` : '';
+  return res.redirect(`/dashboard/quality?${at}${key}=${encodeURIComponent(text)}`);
+}
+
+// ==============================
+// GET: Quality Dashboard of a location (?location=, default: home location)
+// ==============================
+router.get(
+  '/dashboard/quality',
+  authenticateJWT,
+  requireRole(['normal_user', 'technician', 'planner', 'admin']),
+  async (req, res) => {
+    const user = req.user;
+    const location = req.query.location || user.location;
+
+    try {
+      if (!access.canAccessLocation(user, location)) {
+        return redirectWith(res, 'error', `No access to ${location}.`);
+      }
+
+      const [questionSets] = await db.query(
+        `
+        SELECT s.*, (SELECT COUNT(*) FROM quality_questions q WHERE q.set_id = s.id) AS question_count
+        FROM quality_question_sets s
+        WHERE s.location = ? AND s.is_active = 1
+        ORDER BY s.audit_type, s.name
+        `,
+        [location]
+      );
+
+      const [audits] = await db.query(
+        `
+        SELECT TOP 50 a.*, s.name AS set_name
+        FROM quality_audits a
+        LEFT JOIN quality_question_sets s ON a.set_id = s.id
+        WHERE a.location = ?
+        ORDER BY a.created_at DESC
+        `,
+        [location]
+      );
+
+      // Corrective actions still open (their ticket isn't completed yet)
+      const [openActions] = await db.query(
+        `
+        SELECT n.*, a.subject, a.audit_type, t.status AS ticket_status, u.name AS owner_name
+        FROM quality_nonconformities n
+        JOIN quality_audits a ON n.audit_id = a.id
+        LEFT JOIN tickets t ON n.ticket_id = t.id
+        LEFT JOIN users u ON n.owner_id = u.global_id
+        WHERE a.location = ? AND (t.status IS NULL OR t.status <> 'Completed')
+        ORDER BY n.due_date
+        `,
+        [location]
+      );
+
+      res.render('dashboard-quality', {
+        questionSets,
+        audits,
+        openActions,
+        auditTypes: AUDIT_TYPES,
+        location,
+        locations: access.userLocations(user) || (await access.knownLocations()),
+        user,
+        message: req.query.message || null,
+        error: req.query.error || null
+      });
+    } catch (err) {
+      console.error('Quality dashboard error:', err);
+      res.status(500).send('Error loading quality dashboard.');
+    }
+  }
+);
+
+// ==============================
+// POST: Create Question Set (admin)
+// ==============================
+router.post(
+  '/quality/question-sets',
+  authenticateJWT,
+  requireRole(['admin']),
+  async (req, res) => {
+    const user = req.user;
+    const { name, audit_type } = req.body;
+    const location = req.body.location || user.location;
+    const questions = (Array.isArray(req.body.questions) ? req.body.questions : [])
+      .map(q => String(q || '').trim())
+      .filter(Boolean);
+
+    if (!name || !AUDIT_TYPES.includes(audit_type)) {
+      return res.status(400).json({ success: false, message: 'Question set name and audit type are required' });
+    }
+    if (questions.length === 0) {
+      return res.status(400).json({ success: false, message: 'Add at least one question' });
+    }
+    if (!access.canAccessLocation(user, location)) {
+      return res.status(403).json({ success: false, message: `No access to ${location}.` });
+    }
+
+    try {
+      const [rows] = await db.query(
+        `
+        INSERT INTO quality_question_sets (location, audit_type, name, is_active, created_by, created_at)
+        OUTPUT INSERTED.id
+        VALUES (?, ?, ?, 1, ?, GETDATE())
+        `,
+        [location, audit_type, name, user.globalId]
+      );
+      const setId = rows?.[0]?.id;
+
+      for (const [index, question] of questions.entries()) {
+        await db.query(
+          `INSERT INTO quality_questions (set_id, question, sort_order) VALUES (?, ?, ?)`,
+          [setId, question, index]
+        );
+      }
+
+      res.json({ success: true, id: setId, message: 'Question set created' });
+    } catch (err) {
+      console.error('Create quality question set error:', err);
+      res.status(500).json({ success: false, message: 'Failed to create question set' });
+    }
+  }
+);
+
+// ==============================
+// POST: Deactivate Question Set (admin)
+// ==============================
+router.post(
+  '/quality/question-sets/:id/deactivate',
+  authenticateJWT,
+  requireRole(['admin']),
+  async (req, res) => {
+    try {
+      const { sql, params } = access.scope(req.user, 'location');
+      const [, result] = await db.query(
+        `UPDATE quality_question_sets SET is_active = 0 WHERE id = ? AND ${sql}`,
+        [req.params.id, ...params]
+      );
+
+      if (result.rowsAffected && result.rowsAffected[0] === 0) {
+        return res.status(404).send('❌ Question set not found or no permission.');
+      }
+
+      redirectWith(res, 'message', 'Question set removed.');
+    } catch (err) {
+      console.error('Deactivate quality question set error:', err);
+      res.status(500).send('❌ Failed to remove question set.');
+    }
+  }
+);
+
+// Load an active question set (and its questions) from one of the user's locations
+async function loadQuestionSet(setId, user) {
+  const { sql, params } = access.scope(user, 'location');
+  const [sets] = await db.query(
+    `SELECT * FROM quality_question_sets WHERE id = ? AND ${sql} AND is_active = 1`,
+    [setId, ...params]
+  );
+  const questionSet = sets?.[0];
+  if (!questionSet) return null;
+
+  const [questions] = await db.query(
+    `SELECT * FROM quality_questions WHERE set_id = ? ORDER BY sort_order, id`,
+    [setId]
+  );
+
+  return { ...questionSet, questions };
+}
+
+// Users who can own a corrective action in this location (home or granted)
+async function loadOwners(location) {
+  const owners = await access.usersCovering(location);
+  return owners.sort((a, b) => String(a.name).localeCompare(String(b.name)));
+}
+
+// ==============================
+// GET: Audit Form
+// ==============================
+router.get(
+  '/quality/audit/:setId',
+  authenticateJWT,
+  requireRole(['normal_user', 'technician', 'planner', 'admin']),
+  async (req, res) => {
+    try {
+      const questionSet = await loadQuestionSet(req.params.setId, req.user);
+      if (!questionSet) {
+        return redirectWith(res, 'error', 'Question set not found.');
+      }
+
+      res.render('audit-quality', {
+        questionSet,
+        owners: await loadOwners(questionSet.location),
+        severities: SEVERITIES,
+        severityDueDays: SEVERITY_DUE_DAYS,
+        user: req.user,
+        error: req.query.error || null
+      });
+    } catch (err) {
+      console.error('Quality audit form error:', err);
+      res.status(500).send('Error loading quality audit.');
+    }
+  }
+);
+
+// ==============================
+// POST: Submit Audit
+// ==============================
+router.post(
+  '/quality/audit/:setId',
+  authenticateJWT,
+  requireRole(['normal_user', 'technician', 'planner', 'admin']),
+  async (req, res) => {
+    const user = req.user;
+    const backToForm = text =>
+      res.redirect(`/quality/audit/${req.params.setId}?error=${encodeURIComponent(text)}`);
+
+    try {
+      const questionSet = await loadQuestionSet(req.params.setId, user);
+      if (!questionSet) {
+        return redirectWith(res, 'error', 'Question set not found.');
+      }
+
+      const subject = (req.body.subject || '').trim();
+      if (!subject) return backToForm('Please enter the process or product being audited.');
+
+      const owners = await loadOwners(questionSet.location);
+
+      // Every question is answered OK / NC / NA; each NC needs a full corrective action
+      const nonconformities = [];
+      for (const q of questionSet.questions) {
+        const result = req.body[`result_${q.id}`];
+        if (!['OK', 'NC', 'NA'].includes(result)) {
+          return backToForm('Please answer every question.');
+        }
+        if (result !== 'NC') continue;
+
+        const description = (req.body[`nc_desc_${q.id}`] || '').trim();
+        const severity = req.body[`nc_severity_${q.id}`];
+        const ownerId = req.body[`nc_owner_${q.id}`];
+        const dueDate = req.body[`nc_due_${q.id}`] ? new Date(req.body[`nc_due_${q.id}`]) : null;
+
+        if (!description || !SEVERITIES.includes(severity) || !dueDate || isNaN(dueDate)) {
+          return backToForm('Each nonconformity needs a description, severity, owner and due date.');
+        }
+        if (!owners.some(o => o.global_id === ownerId)) {
+          return backToForm('Corrective action owner must be a technician, planner or admin of this location.');
+        }
+
+        nonconformities.push({ question: q, description, severity, ownerId, dueDate });
+      }
+
+      const [rows] = await db.query(
+        `
+        INSERT INTO quality_audits
+          (set_id, location, audit_type, subject, auditor_id, auditor_name, notes, questions_total, nonconformities, created_at)
+        OUTPUT INSERTED.id
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, GETDATE())
+        `,
+        [
+          questionSet.id,
+          questionSet.location,
+          questionSet.audit_type,
+          subject,
+          user.globalId,
+          user.name || null,
+          (req.body.notes || '').trim() || null,
+          questionSet.questions.length,
+          nonconformities.length
+        ]
+      );
+      const auditId = rows?.[0]?.id;
+
+      // Each nonconformity becomes a corrective action ticket owned by its owner, in the set's location
+      const raiser = { ...user, location: questionSet.location };
+      for (const nc of nonconformities) {
+        const ticketId = await createTicket(raiser, {
+          category: 'Quality',
+          keyword: nc.severity,
+          description: `${questionSet.audit_type} audit #${auditId} (${subject}) - ${nc.question.question}\nNonconformity: ${nc.description}`,
+          assigned_to: nc.ownerId,
+          due_date: nc.dueDate
+        });
+
+        await db.query(
+          `
+          INSERT INTO quality_nonconformities
+            (audit_id, question_id, description, severity, owner_id, due_date, ticket_id, created_at)
+          VALUES (?, ?, ?, ?, ?, ?, ?, GETDATE())
+          `,
+          [auditId, nc.question.id, nc.description, nc.severity, nc.ownerId, nc.dueDate, ticketId]
+        );
+
+        notify(
+          nc.ownerId,
+          'quality_action',
+          `📌 Corrective action (ticket #${ticketId}, ${nc.severity}) has been assigned to you.`,
+          { url: '/dashboard/technician' }
+        );
+      }
+
+      redirectWith(
+        res,
+        'message',
+        `Audit saved. ${nonconformities.length} nonconformit${nonconformities.length === 1 ? 'y' : 'ies'} recorded.`,
+        questionSet.location
+      );
+    } catch (err) {
+      console.error('Submit quality audit error:', err);
+      redirectWith(res, 'error', 'Failed to save audit.');
+    }
+  }
+);
+
+module.exports = router;
@@ -1,39 +1,22 @@
 // routes/ticket.js
 const express = require('express');
 const router = express.Router();
-const db = require('../db');
 const requireRole = require('../middleware/requireRole');
-const webPush = require('web-push');
-const subscriptionsPerUser = require('../subscriptions');
+const subscriptions = require('../subscriptions');
+const {
+  getTicket,
+  getEvents,
+  getComments,
+  canViewTicket,
+} = require('../services/tickets');
+const attachments = require('../services/attachments');
+const access = require('../services/access');
+const ticketActions = require('../services/ticketActions');
+const ticketList = require('../services/ticketList');
 
 // ✅ Correct import
 const authenticateJWT = require('../middleware/authenticateJWT');
 
-// -------- Web Push Setup --------
-webPush.setVapidDetails(
-  'mailto:info@yourcompany.com',
-  process.env.VAPID_PUBLIC_KEY,
-  process.env.VAPID_PRIVATE_KEY
-);
-
-// Helper: send notification to a specific user
-async function sendNotificationToUser(message, targetGlobalId) {
-  const userSubs = subscriptionsPerUser[targetGlobalId] || [];
-  for (const sub of userSubs) {
-    try {
-      await webPush.sendNotification(
-        sub,
-        JSON.stringify({
-          title: 'Ticket Update',
-          body: message,
-        })
-      );
-    } catch (err) {
-      console.warn(`⚠️ Failed to send notification to ${targetGlobalId}:`, err);
-    }
-  }
-}
-
 // ==============================
 // POST: Submit Ticket
 // ==============================
@@ -41,63 +24,33 @@ router.post(
   '/ticket/submit',
   authenticateJWT,
   requireRole(['normal_user', 'technician', 'planner', 'admin']),
+  attachments.receiveFiles('attachments'),
   async (req, res) => {
+    const files = req.files || [];
+    const rejectWith = text => {
+      attachments.discardFiles(files);
+      return res.redirect(`/dashboard/user?error=${encodeURIComponent(text)}`);
+    };
+
     try {
       const user = req.user;
       if (!user?.globalId) {
+        attachments.discardFiles(files);
         return res.status(401).send('Unauthorized: Please log in again.');
       }
 
-      let { category, description, building_no, area_code, sub_area, keyword } =
-        req.body;
-
-      // Normalize category
-      if (category === 'Facility' || category === 'Facility Service')
-        category = 'Facility Service';
-      else if (!category) category = 'Other';
-
-      // Facility Service requires specific fields
-      if (category === 'Facility Service') {
-        if (!building_no || !area_code || !sub_area || !keyword) {
-          const msg = encodeURIComponent(
-            'Missing required Facility Service fields.'
-          );
-          return res.redirect(`/dashboard/user?error=${msg}`);
-        }
+      if (req.uploadError) {
+        return rejectWith(req.uploadError);
       }
 
-      // Insert ticket
-      await db.query(
-        `
-        INSERT INTO tickets
-          (global_id, raised_by, category, description, building_no, area_code, sub_area, keyword, location, status, created_at, updated_at)
-        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, 'Open', GETDATE(), GETDATE())
-        `,
-        [
-          user.globalId,
-          user.name || null,
-          category,
-          description || null,
-          building_no || null,
-          area_code || null,
-          sub_area || null,
-          keyword || null,
-          user.location || null,
-        ]
-      );
-
-      // Notify user
-      sendNotificationToUser(
-        '✅ Your ticket has been submitted successfully.',
-        user.globalId
-      );
+      await ticketActions.submitTicket(user, req.body, files);
 
       const successMsg = encodeURIComponent('Ticket submitted successfully.');
       return res.redirect(`/dashboard/user?message=${successMsg}`);
     } catch (err) {
+      if (err.status) return rejectWith(err.message);
       console.error('Error submitting ticket:', err);
-      const errMsg = encodeURIComponent('Failed to submit ticket.');
-      return res.redirect(`/dashboard/user?error=${errMsg}`);
+      return rejectWith('Failed to submit ticket.');
     }
   }
 );
@@ -111,34 +64,12 @@ router.post(
   requireRole(['planner', 'admin']),
   async (req, res) => {
     const { ticketId, executerId } = req.body;
-    const assignerGlobalId = req.user?.globalId;
-
-    if (!ticketId || !executerId) {
-      return res.status(400).send('Missing ticketId or executerId');
-    }
 
     try {
-      const result = await db.query(
-        `
-        UPDATE tickets 
-        SET assigned_to = ?, planner_id = ?, status = 'Assigned', updated_at = GETDATE()
-        WHERE id = ?
-        `,
-        [executerId, assignerGlobalId, ticketId]
-      );
-
-      if (result.rowsAffected && result.rowsAffected[0] === 0) {
-        return res.status(404).send('❌ Ticket not found.');
-      }
-
-      // Notify technician
-      sendNotificationToUser(
-        `📌 Ticket ID ${ticketId} has been assigned to you.`,
-        executerId
-      );
-
+      await ticketActions.assignTicket(req.user, ticketId, executerId);
       res.redirect('/dashboard/planner');
     } catch (err) {
+      if (err.status) return res.status(err.status).send(`❌ ${err.message}`);
       console.error('Assignment error:', err);
       res.status(500).send('❌ Failed to assign technician.');
     }
@@ -153,41 +84,167 @@ router.post(
   authenticateJWT,
   requireRole(['technician', 'planner', 'admin']),
   async (req, res) => {
-    const { ticketId } = req.body;
+    try {
+      await ticketActions.completeTicket(req.user, req.body.ticketId, req.body);
+      res.redirect('/dashboard/planner');
+    } catch (err) {
+      if (err.status) return res.status(err.status).send(err.status === 404 ? `❌ ${err.message}` : err.message);
+      console.error('Completion error:', err);
+      res.status(500).send('❌ Failed to complete ticket.');
+    }
+  }
+);
 
-    if (!ticketId) return res.status(400).send('Missing ticketId');
+// ==============================
+// POST: Raiser confirms a resolved ticket
+// ==============================
+router.post('/ticket/:id/confirm', authenticateJWT, async (req, res) => {
+  try {
+    await ticketActions.confirmTicket(req.user, req.params.id);
+    res.redirect(`/dashboard/user?message=${encodeURIComponent(`Ticket #${req.params.id} closed. Thank you!`)}`);
+  } catch (err) {
+    if (err.status) return res.redirect(`/dashboard/user?error=${encodeURIComponent(err.message)}`);
+    console.error('Confirm ticket error:', err);
+    res.redirect(`/dashboard/user?error=${encodeURIComponent('Failed to confirm ticket.')}`);
+  }
+});
 
-    try {
-      const result = await db.query(
-        `SELECT global_id FROM tickets WHERE id = ?`,
-        [ticketId]
-      );
+// ==============================
+// POST: Raiser reopens a resolved ticket (reason required)
+// It goes back to the technician who worked on it
+// ==============================
+router.post('/ticket/:id/reopen', authenticateJWT, async (req, res) => {
+  try {
+    await ticketActions.reopenTicket(req.user, req.params.id, req.body.reason);
+    res.redirect(`/dashboard/user?message=${encodeURIComponent(`Ticket #${req.params.id} reopened.`)}`);
+  } catch (err) {
+    if (err.status) return res.redirect(`/dashboard/user?error=${encodeURIComponent(err.message)}`);
+    console.error('Reopen ticket error:', err);
+    res.redirect(`/dashboard/user?error=${encodeURIComponent('Failed to reopen ticket.')}`);
+  }
+});
 
-      const ticketRows = result.recordset || result;
-      if (!ticketRows || ticketRows.length === 0) {
-        return res.status(404).send('Ticket not found');
+// ==============================
+// GET: A page of a dashboard's ticket list (rows rendered with the dashboard's partial)
+// ?view=admin|planner-open|planner-assigned|technician|user&page&pageSize&sort&dir + filters
+// ==============================
+router.get('/tickets/list', authenticateJWT, async (req, res) => {
+  const view = String(req.query.view || '');
+  if (!ticketList.canView(req.user, view)) {
+    return res.status(403).json({ success: false, error: 'Access denied' });
+  }
+
+  const options = ticketList.parseListQuery(view, req.query);
+  if (options.location && !access.canAccessLocation(req.user, options.location)) {
+    return res.status(403).json({ success: false, error: `No access to ${options.location}` });
+  }
+
+  try {
+    const list = await ticketList.listTickets(req.user, view, options);
+    const locals = { ...(await ticketList.viewLocals(req.user, view)), user: req.user, tickets: list.tickets };
+
+    res.render(ticketList.VIEWS[view].partial, locals, (err, html) => {
+      if (err) {
+        console.error('Ticket list render error:', err);
+        return res.status(500).json({ success: false, error: 'Failed to load tickets' });
       }
+      res.json({ success: true, html, ...list });
+    });
+  } catch (err) {
+    console.error('Ticket list error:', err);
+    res.status(500).json({ success: false, error: 'Failed to load tickets' });
+  }
+});
 
-      const ticketOwner = ticketRows[0].global_id;
+// ==============================
+// GET: Ticket History (event timeline)
+// ==============================
+router.get('/ticket/:id/events', authenticateJWT, async (req, res) => {
+  try {
+    const ticket = await getTicket(req.params.id);
+    if (!ticket || !canViewTicket(req.user, ticket)) {
+      return res.status(404).json({ error: 'Ticket not found' });
+    }
 
-      await db.query(
-        `UPDATE tickets SET status = 'Completed', updated_at = GETDATE() WHERE id = ?`,
-        [ticketId]
-      );
+    const events = await getEvents(ticket.id);
+    res.json({ success: true, events });
+  } catch (err) {
+    console.error('Ticket events error:', err);
+    res.status(500).json({ error: 'Failed to load ticket history' });
+  }
+});
 
-      // Notify the user who raised it
-      sendNotificationToUser(
-        `🎉 Your ticket ID ${ticketId} has been marked as completed.`,
-        ticketOwner
-      );
+// ==============================
+// Ticket Comments
+// ==============================
+router.get('/ticket/:id/comments', authenticateJWT, async (req, res) => {
+  try {
+    const ticket = await getTicket(req.params.id);
+    if (!ticket || !canViewTicket(req.user, ticket)) {
+      return res.status(404).json({ error: 'Ticket not found' });
+    }
 
-      res.redirect('/dashboard/planner');
-    } catch (err) {
-      console.error('Completion error:', err);
-      res.status(500).send('❌ Failed to complete ticket.');
+    const comments = await getComments(ticket.id);
+    res.json({ success: true, comments });
+  } catch (err) {
+    console.error('Ticket comments error:', err);
+    res.status(500).json({ error: 'Failed to load comments' });
+  }
+});
+
+router.post('/ticket/:id/comments', authenticateJWT, async (req, res) => {
+  try {
+    const comment = await ticketActions.commentOnTicket(req.user, req.params.id, req.body?.body);
+    res.json({ success: true, comment });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error('Add ticket comment error:', err);
+    res.status(500).json({ error: 'Failed to add comment' });
+  }
+});
+
+// ==============================
+// Ticket Attachments
+// ==============================
+router.get('/ticket/:id/attachments', authenticateJWT, async (req, res) => {
+  try {
+    const ticket = await getTicket(req.params.id);
+    if (!ticket || !canViewTicket(req.user, ticket)) {
+      return res.status(404).json({ error: 'Ticket not found' });
     }
+
+    res.json({ success: true, attachments: await attachments.getAttachments(ticket.id) });
+  } catch (err) {
+    console.error('Ticket attachments error:', err);
+    res.status(500).json({ error: 'Failed to load attachments' });
   }
-);
+});
+
+// Images are shown inline (thumbnails in the popups); other files download
+router.get('/attachments/:id', authenticateJWT, async (req, res) => {
+  try {
+    const attachment = await attachments.getAttachment(req.params.id);
+    const ticket = attachment && (await getTicket(attachment.ticket_id));
+    if (!ticket || !canViewTicket(req.user, ticket)) {
+      return res.status(404).send('Attachment not found');
+    }
+
+    const filePath = attachments.attachmentPath(attachment);
+    res.set('X-Content-Type-Options', 'nosniff');
+    if (attachment.mime_type.startsWith('image/') && req.query.download === undefined) {
+      res.type(attachment.mime_type);
+      return res.sendFile(filePath, err => {
+        if (err && !res.headersSent) res.status(404).send('Attachment not found');
+      });
+    }
+    res.download(filePath, attachment.original_name, err => {
+      if (err && !res.headersSent) res.status(404).send('Attachment not found');
+    });
+  } catch (err) {
+    console.error('Attachment download error:', err);
+    res.status(500).send('Failed to load attachment');
+  }
+});
 
 // ==============================
 // Web Push Routes
@@ -196,7 +253,7 @@ router.get('/notifications/public-key', (req, res) => {
   res.json({ key: process.env.VAPID_PUBLIC_KEY });
 });
 
-router.post('/notifications/subscribe', authenticateJWT, (req, res) => {
+router.post('/notifications/subscribe', authenticateJWT, async (req, res) => {
   try {
     const user = req.user;
     if (!user?.globalId) {
@@ -206,16 +263,17 @@ router.post('/notifications/subscribe', authenticateJWT, (req, res) => {
     const userId = user.globalId;
     const subscription = req.body;
 
-    if (!subscriptionsPerUser[userId]) {
-      subscriptionsPerUser[userId] = [];
+    if (!subscription?.endpoint || !subscription.keys?.p256dh || !subscription.keys?.auth) {
+      return res.status(400).json({ error: 'Invalid push subscription' });
     }
 
-    const exists = subscriptionsPerUser[userId].some(
-      (sub) => sub.endpoint === subscription.endpoint
+    const created = await subscriptions.saveSubscription(
+      userId,
+      subscription,
+      req.get('User-Agent')
     );
 
-    if (!exists) {
-      subscriptionsPerUser[userId].push(subscription);
+    if (created) {
       console.log(
         `✅ Subscription saved for user ${userId}:`,
         subscription.endpoint
@@ -231,4 +289,29 @@ router.post('/notifications/subscribe', authenticateJWT, (req, res) => {
   }
 });
 
+// List the current user's registered devices
+router.get('/notifications/devices', authenticateJWT, async (req, res) => {
+  try {
+    const devices = await subscriptions.listDevices(req.user.globalId);
+    res.json({ success: true, devices });
+  } catch (err) {
+    console.error('❌ Error listing devices:', err);
+    res.status(500).json({ error: 'Failed to load devices' });
+  }
+});
+
+// Revoke one of the current user's devices
+router.delete('/notifications/devices/:id', authenticateJWT, async (req, res) => {
+  try {
+    const removed = await subscriptions.removeDevice(req.user.globalId, req.params.id);
+    if (!removed) {
+      return res.status(404).json({ error: 'Device not found' });
+    }
+    res.json({ success: true });
+  } catch (err) {
+    console.error('❌ Error revoking device:', err);
+    res.status(500).json({ error: 'Failed to revoke device' });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,154 @@
+// routes/users.js
+// Admin user management console, limited to the admin's locations
+const express = require('express');
+const router = express.Router();
+const multer = require('multer');
+const authenticateJWT = require('../middleware/authenticateJWT');
+const requireRole = require('../middleware/requireRole');
+const users = require('../services/users');
+const access = require('../services/access');
+const { toCsvLine } = require('../services/csv');
+
+// CSV imports are small; keep them in memory
+const csvUpload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 1024 * 1024, files: 1 } });
+
+const IMPORT_COLUMNS = ['global_id', 'name', 'email', 'phone', 'department', 'location'];
+
+function redirectWith(res, key, text) {
+  return res.redirect(`/admin/users?${key}=${encodeURIComponent(text)}`);
+}
+
+// ==============================
+// GET: User list
+// ==============================
+router.get('/admin/users', authenticateJWT, requireRole(['admin']), async (req, res) => {
+  try {
+    const list = await users.listUsers(req.user);
+
+    res.render('admin-users', {
+      user: req.user,
+      users: list,
+      departments: users.DEPARTMENTS,
+      locations: access.userLocations(req.user) || (await access.knownLocations()),
+      canGrantAll: access.hasAllLocations(req.user),
+      message: req.query.message || null,
+      error: req.query.error || null
+    });
+  } catch (err) {
+    console.error('User management page error:', err);
+    res.status(500).send('❌ Failed to load users.');
+  }
+});
+
+// ==============================
+// GET: Empty CSV with the import columns
+// ==============================
+router.get('/admin/users/template.csv', authenticateJWT, requireRole(['admin']), (req, res) => {
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', 'attachment; filename="users-template.csv"');
+  res.send(toCsvLine(IMPORT_COLUMNS));
+});
+
+// ==============================
+// POST: Create user
+// ==============================
+router.post('/admin/users', authenticateJWT, requireRole(['admin']), async (req, res) => {
+  try {
+    const created = await users.createUser(req.body, req.user);
+    console.log(`👤 ${req.user.globalId} created user ${created.global_id}`);
+    redirectWith(res, 'message', `User ${created.global_id} created. They can now register.`);
+  } catch (err) {
+    console.error('Create user error:', err.message);
+    redirectWith(res, 'error', err.message);
+  }
+});
+
+// ==============================
+// POST: Bulk import from CSV
+// ==============================
+router.post('/admin/users/import', authenticateJWT, requireRole(['admin']), (req, res) => {
+  csvUpload.single('file')(req, res, async uploadErr => {
+    if (uploadErr) {
+      const text = uploadErr.code === 'LIMIT_FILE_SIZE' ? 'The CSV file must be smaller than 1 MB.' : uploadErr.message;
+      return redirectWith(res, 'error', text);
+    }
+    if (!req.file) return redirectWith(res, 'error', 'Please choose a CSV file.');
+
+    try {
+      const summary = await users.importCsv(req.file.buffer.toString('utf8'), req.user);
+      console.log(`👥 ${req.user.globalId} imported users:`, summary);
+
+      let text = `Import finished: ${summary.created} created, ${summary.updated} updated.`;
+      if (summary.errors.length) {
+        const shown = summary.errors.slice(0, 10).map(e => `line ${e.line}: ${e.error}`).join('; ');
+        const more = summary.errors.length > 10 ? ` (+${summary.errors.length - 10} more)` : '';
+        text += ` ${summary.errors.length} row(s) skipped - ${shown}${more}`;
+        return redirectWith(res, 'error', text);
+      }
+      redirectWith(res, 'message', text);
+    } catch (err) {
+      console.error('User import error:', err);
+      redirectWith(res, 'error', 'Failed to import users.');
+    }
+  });
+});
+
+// ==============================
+// POST: Edit user
+// ==============================
+router.post('/admin/users/:globalId', authenticateJWT, requireRole(['admin']), async (req, res) => {
+  try {
+    const fields = { ...req.body };
+    if (req.body.extra_locations_sent) {
+      fields.extra_locations = [].concat(req.body.extra_locations || []);
+    }
+
+    const updated = await users.updateUser(req.params.globalId, fields, req.user);
+    if (!updated) return redirectWith(res, 'error', 'User not found in your locations.');
+    redirectWith(res, 'message', `User ${req.params.globalId} updated.`);
+  } catch (err) {
+    console.error('Update user error:', err.message);
+    redirectWith(res, 'error', err.message);
+  }
+});
+
+// ==============================
+// POST: Deactivate / reactivate
+// ==============================
+router.post('/admin/users/:globalId/deactivate', authenticateJWT, requireRole(['admin']), async (req, res) => {
+  try {
+    const done = await users.setActive(req.params.globalId, false, req.user);
+    if (!done) return redirectWith(res, 'error', 'User not found in your locations.');
+    redirectWith(res, 'message', `User ${req.params.globalId} deactivated.`);
+  } catch (err) {
+    console.error('Deactivate user error:', err.message);
+    redirectWith(res, 'error', err.message);
+  }
+});
+
+router.post('/admin/users/:globalId/reactivate', authenticateJWT, requireRole(['admin']), async (req, res) => {
+  try {
+    const done = await users.setActive(req.params.globalId, true, req.user);
+    if (!done) return redirectWith(res, 'error', 'User not found in your locations.');
+    redirectWith(res, 'message', `User ${req.params.globalId} reactivated.`);
+  } catch (err) {
+    console.error('Reactivate user error:', err.message);
+    redirectWith(res, 'error', err.message);
+  }
+});
+
+// ==============================
+// POST: Reset registration (user sets a new password via /register)
+// ==============================
+router.post('/admin/users/:globalId/reset-registration', authenticateJWT, requireRole(['admin']), async (req, res) => {
+  try {
+    const done = await users.resetRegistration(req.params.globalId, req.user);
+    if (!done) return redirectWith(res, 'error', 'User not found in your locations.');
+    redirectWith(res, 'message', `Registration of ${req.params.globalId} reset. They can register again.`);
+  } catch (err) {
+    console.error('Reset registration error:', err.message);
+    redirectWith(res, 'error', err.message);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,218 @@
+// services/access.js
+// Who may see and change what, by location. A user always has their home location
+// (users.location) plus any extra ones granted in user_locations; '*' grants every
+// location. Role and locations are read from the DB (cached briefly), not trusted from
+// the login token, so changes made by an admin apply on the next request.
+// Every location-scoped query goes through scope() / canAccessLocation().
+const db = require('../db');
+
+const ALL_LOCATIONS = '*';
+const CACHE_MS = 60 * 1000;
+const cache = new Map(); // globalId -> { access, at }
+
+function norm(location) {
+  return String(location || '').trim().toLowerCase();
+}
+
+/**
+ * loadAccess(globalId)
+ * { role, location, locations } for an active user, null if missing or deactivated.
+ */
+async function loadAccess(globalId) {
+  const cached = cache.get(globalId);
+  if (cached && Date.now() - cached.at < CACHE_MS) return cached.access;
+
+  const [rows] = await db.query(
+    `SELECT department, location, is_active FROM users WHERE global_id = ?`,
+    [globalId]
+  );
+  const row = rows?.[0];
+
+  let access = null;
+  if (row && row.is_active !== false && row.is_active !== 0) {
+    const [extra] = await db.query(`SELECT location FROM user_locations WHERE global_id = ?`, [globalId]);
+    const locations = [row.location, ...extra.map(e => e.location)].filter(Boolean);
+
+    access = {
+      role: row.department,
+      location: row.location,
+      locations: locations.some(l => l === ALL_LOCATIONS)
+        ? [ALL_LOCATIONS]
+        : locations.filter((l, i) => locations.findIndex(x => norm(x) === norm(l)) === i)
+    };
+  }
+
+  cache.set(globalId, { access, at: Date.now() });
+  return access;
+}
+
+/**
+ * forget(globalId)
+ * Drops the cached access after role / location / active changes.
+ */
+function forget(globalId) {
+  cache.delete(globalId);
+}
+
+/**
+ * resolveUser(claims)
+ * The request user: token claims with role, department, location and locations from the DB.
+ * null when the account no longer exists or was deactivated.
+ */
+async function resolveUser(claims) {
+  const access = await loadAccess(claims.globalId);
+  if (!access) return null;
+  return { ...claims, role: access.role, department: access.role, location: access.location, locations: access.locations };
+}
+
+function hasAllLocations(user) {
+  return (user.locations || []).includes(ALL_LOCATIONS);
+}
+
+/**
+ * userLocations(user)
+ * Locations the user may access, or null for all of them.
+ */
+function userLocations(user) {
+  if (hasAllLocations(user)) return null;
+  return user.locations && user.locations.length ? user.locations : [user.location].filter(Boolean);
+}
+
+function canAccessLocation(user, location) {
+  const locations = userLocations(user);
+  return locations === null || locations.some(l => norm(l) === norm(location));
+}
+
+/**
+ * scope(user, column)
+ * SQL condition (and its params) limiting `column` to the user's locations.
+ * e.g. const { sql, params } = scope(req.user, 't.location'); query += ` AND ${sql}`;
+ */
+function scope(user, column = 'location') {
+  const locations = userLocations(user);
+  if (locations === null) return { sql: '1 = 1', params: [] };
+  if (!locations.length) return { sql: '1 = 0', params: [] };
+  return { sql: `${column} IN (${locations.map(() => '?').join(', ')})`, params: locations };
+}
+
+/**
+ * canManageTicket(user, ticket)
+ * Planners and admins, for tickets in one of their locations.
+ */
+function canManageTicket(user, ticket) {
+  const role = user.role || user.department;
+  return !!ticket && ['planner', 'admin'].includes(role) && canAccessLocation(user, ticket.location);
+}
+
+const STAFF_ROLES = ['technician', 'planner', 'admin'];
+
+/**
+ * staffFor(user, roles)
+ * Active users with one of `roles` working in any of the user's locations (assignment lists).
+ */
+async function staffFor(user, roles = STAFF_ROLES) {
+  const home = scope(user, 'u.location');
+  const granted = scope(user, 'ul.location');
+  const [rows] = await db.query(
+    `
+    SELECT DISTINCT u.global_id, u.name, u.location, u.department AS role
+    FROM users u
+    LEFT JOIN user_locations ul ON ul.global_id = u.global_id
+    WHERE u.department IN (${roles.map(() => '?').join(', ')}) AND u.is_active = 1
+      AND (${home.sql} OR ${granted.sql} OR ul.location = '${ALL_LOCATIONS}')
+    ORDER BY u.name
+    `,
+    [...roles, ...home.params, ...granted.params]
+  );
+  return rows;
+}
+
+/**
+ * usersCovering(location, roles)
+ * Active users with one of `roles` who have access to `location` (home, granted or all).
+ */
+async function usersCovering(location, roles = STAFF_ROLES) {
+  const [rows] = await db.query(
+    `
+    SELECT DISTINCT u.global_id, u.name, u.email, u.department AS role
+    FROM users u
+    LEFT JOIN user_locations ul ON ul.global_id = u.global_id
+    WHERE u.department IN (${roles.map(() => '?').join(', ')}) AND u.is_active = 1
+      AND (u.location = ? OR ul.location = ? OR ul.location = '${ALL_LOCATIONS}')
+    `,
+    [...roles, location, location]
+  );
+  return rows;
+}
+
+/**
+ * canWorkAt(globalId, location)
+ * Whether the user is active staff with access to `location` (valid assignee).
+ */
+async function canWorkAt(globalId, location) {
+  return (await usersCovering(location)).some(u => u.global_id === globalId);
+}
+
+/**
+ * getGrants(globalId) / setGrants(globalId, locations, admin)
+ * Extra locations of a user. An admin can only grant locations they have themselves,
+ * and only an all-locations admin can grant '*'.
+ */
+async function getGrants(globalId) {
+  const [rows] = await db.query(
+    `SELECT location FROM user_locations WHERE global_id = ? ORDER BY location`,
+    [globalId]
+  );
+  return rows.map(r => r.location);
+}
+
+async function setGrants(globalId, locations, admin) {
+  const wanted = [...new Set(locations.map(l => String(l).trim()).filter(Boolean))];
+  const current = await getGrants(globalId);
+
+  // Grants the admin can't see stay as they are
+  const manageable = l => (l === ALL_LOCATIONS ? hasAllLocations(admin) : canAccessLocation(admin, l));
+  const denied = wanted.filter(l => !manageable(l));
+  if (denied.length) throw new Error(`You cannot grant access to: ${denied.join(', ')}`);
+
+  for (const l of current.filter(l => manageable(l) && !wanted.some(w => norm(w) === norm(l)))) {
+    await db.query(`DELETE FROM user_locations WHERE global_id = ? AND location = ?`, [globalId, l]);
+  }
+  for (const l of wanted.filter(w => !current.some(c => norm(c) === norm(w)))) {
+    await db.query(
+      `INSERT INTO user_locations (global_id, location, granted_by, created_at) VALUES (?, ?, ?, GETDATE())`,
+      [globalId, l, admin.globalId]
+    );
+  }
+  forget(globalId);
+}
+
+/**
+ * knownLocations()
+ * Every location in use (home locations of users).
+ */
+async function knownLocations() {
+  const [rows] = await db.query(
+    `SELECT DISTINCT location FROM users WHERE location IS NOT NULL ORDER BY location`
+  );
+  return rows.map(r => r.location);
+}
+
+module.exports = {
+  ALL_LOCATIONS,
+  loadAccess,
+  forget,
+  resolveUser,
+  hasAllLocations,
+  userLocations,
+  canAccessLocation,
+  scope,
+  canManageTicket,
+  STAFF_ROLES,
+  staffFor,
+  usersCovering,
+  canWorkAt,
+  getGrants,
+  setGrants,
+  knownLocations
+};
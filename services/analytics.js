@@ -0,0 +1,250 @@
+// services/analytics.js
+// Maintenance KPIs for the admin dashboard: response / repair times, backlog aging,
+// technician throughput and recurring problems. Aggregated in SQL over the tickets raised
+// in the filtered date range (see ticketExport.parseFilters) at the user's locations.
+const db = require('../db');
+const { ticketWhere } = require('./ticketExport');
+
+const CLOSED = `t.status IN ('Resolved', 'Completed')`;
+
+// Age of an open ticket in hours -> bucket (upper bounds, last one is open-ended)
+const AGING_BUCKETS = [
+  { label: '< 1 day', maxHours: 24 },
+  { label: '1-3 days', maxHours: 72 },
+  { label: '3-7 days', maxHours: 7 * 24 },
+  { label: '7-30 days', maxHours: 30 * 24 },
+  { label: '> 30 days', maxHours: null }
+];
+
+// Minutes (AVG of DATEDIFF) -> hours with one decimal, null when there is nothing to average
+function toHours(minutes) {
+  return minutes === null || minutes === undefined ? null : Number((Number(minutes) / 60).toFixed(1));
+}
+
+// Only date range and location apply to the KPIs
+function kpiWhere(user, filters) {
+  return ticketWhere(user, { from: filters.from, to: filters.to, location: filters.location });
+}
+
+/**
+ * responseTimes(user, filters)
+ * Mean time to acknowledge (raised -> work started) and mean time to repair
+ * (started -> resolved), overall and per category, in hours.
+ */
+async function responseTimes(user, filters) {
+  const { sql, params } = kpiWhere(user, filters);
+  const [rows] = await db.query(
+    `
+    SELECT
+      t.category,
+      COUNT(*) AS tickets,
+      COUNT(t.started_at) AS acknowledged,
+      AVG(CAST(DATEDIFF(minute, t.created_at, t.started_at) AS FLOAT)) AS mtta_minutes,
+      COUNT(CASE WHEN ${CLOSED} THEN t.completed_at END) AS repaired,
+      AVG(CASE WHEN ${CLOSED}
+        THEN CAST(DATEDIFF(minute, COALESCE(t.started_at, t.created_at), t.completed_at) AS FLOAT) END) AS mttr_minutes
+    FROM tickets t
+    WHERE ${sql}
+    GROUP BY t.category
+    ORDER BY tickets DESC
+    `,
+    params
+  );
+
+  // Overall means weighted by how many tickets each category averaged over
+  const overall = { tickets: 0, acknowledged: 0, repaired: 0, mtta: 0, mttr: 0 };
+  rows.forEach(r => {
+    overall.tickets += r.tickets;
+    overall.acknowledged += r.acknowledged;
+    overall.repaired += r.repaired;
+    overall.mtta += (r.mtta_minutes || 0) * r.acknowledged;
+    overall.mttr += (r.mttr_minutes || 0) * r.repaired;
+  });
+
+  return {
+    tickets: overall.tickets,
+    acknowledged: overall.acknowledged,
+    repaired: overall.repaired,
+    mtta_hours: overall.acknowledged ? toHours(overall.mtta / overall.acknowledged) : null,
+    mttr_hours: overall.repaired ? toHours(overall.mttr / overall.repaired) : null,
+    byCategory: rows.map(r => ({
+      category: r.category,
+      tickets: r.tickets,
+      acknowledged: r.acknowledged,
+      repaired: r.repaired,
+      mtta_hours: toHours(r.mtta_minutes),
+      mttr_hours: toHours(r.mttr_minutes)
+    }))
+  };
+}
+
+/**
+ * backlogAging(user, filters)
+ * Open tickets by age (AGING_BUCKETS) and category:
+ * { buckets: [label], total, counts: { category: [count per bucket] } }
+ */
+async function backlogAging(user, filters) {
+  const { sql, params } = kpiWhere(user, filters);
+  const bucketCase = AGING_BUCKETS
+    .map((b, i) => (b.maxHours === null ? `ELSE ${i}` : `WHEN DATEDIFF(hour, t.created_at, GETDATE()) < ${b.maxHours} THEN ${i}`))
+    .join(' ');
+
+  const [rows] = await db.query(
+    `
+    SELECT a.category, a.bucket, COUNT(*) AS tickets
+    FROM (
+      SELECT t.category, CASE ${bucketCase} END AS bucket
+      FROM tickets t
+      WHERE ${sql} AND NOT ${CLOSED}
+    ) a
+    GROUP BY a.category, a.bucket
+    `,
+    params
+  );
+
+  const counts = {};
+  let total = 0;
+  rows.forEach(r => {
+    counts[r.category] = counts[r.category] || AGING_BUCKETS.map(() => 0);
+    counts[r.category][r.bucket] = r.tickets;
+    total += r.tickets;
+  });
+  return { buckets: AGING_BUCKETS.map(b => b.label), total, counts };
+}
+
+/**
+ * technicianThroughput(user, filters)
+ * Per assignee: tickets assigned, resolved and still open, and their mean repair time (hours).
+ */
+async function technicianThroughput(user, filters) {
+  const { sql, params } = kpiWhere(user, filters);
+  const [rows] = await db.query(
+    `
+    SELECT
+      t.assigned_to AS technician_id,
+      u.name AS technician_name,
+      COUNT(*) AS assigned,
+      COUNT(CASE WHEN ${CLOSED} THEN 1 END) AS resolved,
+      COUNT(CASE WHEN NOT ${CLOSED} THEN 1 END) AS open_tickets,
+      AVG(CASE WHEN ${CLOSED}
+        THEN CAST(DATEDIFF(minute, COALESCE(t.started_at, t.created_at), t.completed_at) AS FLOAT) END) AS mttr_minutes
+    FROM tickets t
+    LEFT JOIN users u ON t.assigned_to = u.global_id
+    WHERE ${sql} AND t.assigned_to IS NOT NULL
+    GROUP BY t.assigned_to, u.name
+    ORDER BY resolved DESC, assigned DESC
+    `,
+    params
+  );
+
+  return rows.map(r => ({
+    technician_id: r.technician_id,
+    technician_name: r.technician_name || r.technician_id,
+    assigned: r.assigned,
+    resolved: r.resolved,
+    open: r.open_tickets,
+    mttr_hours: toHours(r.mttr_minutes)
+  }));
+}
+
+/**
+ * topKeywords(user, filters, limit = 5)
+ * The keywords raised more than once per building (most frequent first, at most `limit` each):
+ * [{ location, building, keywords: [{ keyword, tickets }] }]
+ */
+async function topKeywords(user, filters, limit = 5) {
+  const { sql, params } = kpiWhere(user, filters);
+  const [rows] = await db.query(
+    `
+    SELECT k.location, k.building_no, k.keyword, k.tickets
+    FROM (
+      SELECT
+        t.location, t.building_no, t.keyword, COUNT(*) AS tickets,
+        ROW_NUMBER() OVER (PARTITION BY t.location, t.building_no ORDER BY COUNT(*) DESC, t.keyword) AS rn
+      FROM tickets t
+      WHERE ${sql} AND t.building_no IS NOT NULL AND t.keyword IS NOT NULL
+      GROUP BY t.location, t.building_no, t.keyword
+      HAVING COUNT(*) > 1
+    ) k
+    WHERE k.rn <= ?
+    ORDER BY k.location, k.building_no, k.rn
+    `,
+    [...params, Number(limit) || 5]
+  );
+
+  const buildings = [];
+  rows.forEach(r => {
+    let entry = buildings[buildings.length - 1];
+    if (!entry || entry.location !== r.location || entry.building !== r.building_no) {
+      entry = { location: r.location, building: r.building_no, keywords: [] };
+      buildings.push(entry);
+    }
+    entry.keywords.push({ keyword: r.keyword, tickets: r.tickets });
+  });
+  return buildings;
+}
+
+/**
+ * dashboardSummary(user)
+ * Admin dashboard headline figures over all tickets at the user's locations:
+ * { summary: { total, statusCounts, categoryCounts }, breakdownSummary, slaSummary }
+ */
+async function dashboardSummary(user) {
+  const { sql, params } = kpiWhere(user, {});
+
+  const [counts] = await db.query(
+    `SELECT t.status, t.category, COUNT(*) AS tickets FROM tickets t WHERE ${sql} GROUP BY t.status, t.category`,
+    params
+  );
+  const summary = { total: 0, statusCounts: {}, categoryCounts: {} };
+  counts.forEach(r => {
+    summary.total += r.tickets;
+    summary.statusCounts[r.status] = (summary.statusCounts[r.status] || 0) + r.tickets;
+    summary.categoryCounts[r.category] = (summary.categoryCounts[r.category] || 0) + r.tickets;
+  });
+
+  // Machines still down count their downtime up to now
+  const [[breakdowns]] = await db.query(
+    `
+    SELECT
+      COUNT(*) AS total,
+      COUNT(CASE WHEN t.downtime_end IS NULL THEN 1 END) AS still_down,
+      SUM(CAST(DATEDIFF(minute, t.downtime_start, COALESCE(t.downtime_end, GETDATE())) AS FLOAT)) AS downtime_minutes,
+      AVG(CASE WHEN t.downtime_end IS NOT NULL
+        THEN CAST(DATEDIFF(minute, t.downtime_start, t.downtime_end) AS FLOAT) END) AS repair_minutes
+    FROM tickets t
+    WHERE ${sql} AND t.category = 'Breakdown'
+    `,
+    params
+  );
+
+  // Open tickets that missed their response / resolution target
+  const [[sla]] = await db.query(
+    `
+    SELECT
+      COUNT(t.response_breached_at) AS response_breached,
+      COUNT(t.resolution_breached_at) AS resolution_breached,
+      COUNT(CASE WHEN t.priority = 'Critical' THEN 1 END) AS critical
+    FROM tickets t
+    WHERE ${sql} AND NOT ${CLOSED}
+    `,
+    params
+  );
+
+  return {
+    summary,
+    breakdownSummary: {
+      total: breakdowns.total,
+      open: breakdowns.still_down,
+      downtimeHours: toHours(Math.max(0, breakdowns.downtime_minutes || 0)),
+      avgRepairHours: toHours(Math.max(0, breakdowns.repair_minutes || 0))
+    },
+    slaSummary: {
+      responseBreached: sla.response_breached,
+      resolutionBreached: sla.resolution_breached,
+      critical: sla.critical
+    }
+  };
+}
+
+module.exports = { AGING_BUCKETS, dashboardSummary, responseTimes, backlogAging, technicianThroughput, topKeywords };
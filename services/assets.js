@@ -0,0 +1,261 @@
+// services/assets.js
+// Asset register per location (sql/017_assets.up.sql). Each asset sits on a master data node;
+// tickets and PM plans can name the asset they are about, which gives every asset its history
+// of breakdowns, preventive maintenance, downtime and repair cost.
+// Refusals are thrown with err.status (400 invalid input, 404 asset not found in the user's locations).
+const db = require('../db');
+const access = require('./access');
+const masterData = require('./masterData');
+
+const CRITICALITIES = ['High', 'Medium', 'Low'];
+const TEXT_FIELDS = { make: 100, model: 100, serial_no: 100 };
+
+function fail(status, message) {
+  return Object.assign(new Error(message), { status });
+}
+
+function isDuplicateKey(err) {
+  return err.number === 2627 || err.number === 2601 || /duplicate key|UNIQUE constraint/i.test(err.message || '');
+}
+
+// Optional yyyy-mm-dd form value -> Date (UTC midnight), null when empty
+function dateField(value, label) {
+  if (value === undefined || value === null || value === '') return null;
+  const date = new Date(value);
+  if (isNaN(date)) throw fail(400, `${label} is not a valid date.`);
+  return date;
+}
+
+// " › "-joined names of the node and its parents, with the master data category in front
+function pathLabel(path) {
+  return path ? [path[0].category, ...path.map(n => n.name)].join(' › ') : '(removed)';
+}
+
+/**
+ * listAssets(location, { activeOnly })
+ * The location's assets by tag, with the master data path of their node (node_path, path_ids).
+ */
+async function listAssets(location, { activeOnly = false } = {}) {
+  const [assets] = await db.query(
+    `
+    SELECT * FROM assets
+    WHERE location = ? ${activeOnly ? 'AND is_active = 1' : ''}
+    ORDER BY is_active DESC, tag
+    `,
+    [location]
+  );
+  for (const asset of assets) {
+    const path = await masterData.getPath(location, asset.node_id);
+    asset.node_path = pathLabel(path);
+    asset.path_ids = path ? path.map(n => n.id) : [];
+  }
+  return assets;
+}
+
+/**
+ * getAsset(user, assetId)
+ * The asset with its node path, if it is in one of the user's locations.
+ */
+async function getAsset(user, assetId) {
+  const [rows] = await db.query(`SELECT * FROM assets WHERE id = ?`, [Number(assetId) || 0]);
+  const asset = rows[0];
+  if (!asset || !access.canAccessLocation(user, asset.location)) throw fail(404, 'Asset not found.');
+  const path = await masterData.getPath(asset.location, asset.node_id);
+  asset.node_path = pathLabel(path);
+  asset.path_ids = path ? path.map(n => n.id) : [];
+  return asset;
+}
+
+// Checked and trimmed form fields of an asset
+async function cleanFields(location, fields) {
+  const clean = {
+    tag: String(fields.tag || '').trim().toUpperCase(),
+    name: String(fields.name || '').trim(),
+    criticality: String(fields.criticality || 'Medium'),
+    install_date: dateField(fields.install_date, 'Install date'),
+    warranty_until: dateField(fields.warranty_until, 'Warranty end')
+  };
+  if (!clean.tag || clean.tag.length > 50) throw fail(400, 'Tag is required (at most 50 characters).');
+  if (!clean.name || clean.name.length > 255) throw fail(400, 'Name is required (at most 255 characters).');
+  if (!CRITICALITIES.includes(clean.criticality)) throw fail(400, `Criticality must be one of ${CRITICALITIES.join(', ')}.`);
+
+  for (const [key, max] of Object.entries(TEXT_FIELDS)) {
+    clean[key] = String(fields[key] || '').trim() || null;
+    if (clean[key] && clean[key].length > max) throw fail(400, `${key.replace('_', ' ')} must be at most ${max} characters.`);
+  }
+
+  const path = await masterData.getPath(location, fields.node_id);
+  if (!path || path.some(n => !n.is_active) || path[0].depth !== 1) {
+    throw fail(400, `Pick where the asset stands in the master data of ${location}.`);
+  }
+  clean.node_id = path[path.length - 1].id;
+  return clean;
+}
+
+/**
+ * createAsset(user, fields)
+ * Registers an asset in fields.location (one of the user's). Returns the new asset id.
+ */
+async function createAsset(user, fields = {}) {
+  const location = String(fields.location || user.location);
+  if (!access.canAccessLocation(user, location)) throw fail(400, `No access to ${location}.`);
+  const clean = await cleanFields(location, fields);
+
+  try {
+    const [rows] = await db.query(
+      `
+      INSERT INTO assets
+        (location, node_id, tag, name, make, model, serial_no, install_date, warranty_until, criticality,
+         is_active, created_by, created_at)
+      OUTPUT INSERTED.id
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 1, ?, GETDATE())
+      `,
+      [
+        location,
+        clean.node_id,
+        clean.tag,
+        clean.name,
+        clean.make,
+        clean.model,
+        clean.serial_no,
+        clean.install_date,
+        clean.warranty_until,
+        clean.criticality,
+        user.globalId
+      ]
+    );
+    return rows[0].id;
+  } catch (err) {
+    if (isDuplicateKey(err)) throw fail(400, `Tag ${clean.tag} is already used in ${location}.`);
+    throw err;
+  }
+}
+
+/**
+ * updateAsset(user, assetId, fields)
+ * Changes the asset's details or moves it to another node of its location.
+ */
+async function updateAsset(user, assetId, fields = {}) {
+  const asset = await getAsset(user, assetId);
+  const clean = await cleanFields(asset.location, fields);
+
+  try {
+    await db.query(
+      `
+      UPDATE assets
+      SET node_id = ?, tag = ?, name = ?, make = ?, model = ?, serial_no = ?,
+          install_date = ?, warranty_until = ?, criticality = ?, updated_at = GETDATE()
+      WHERE id = ?
+      `,
+      [
+        clean.node_id,
+        clean.tag,
+        clean.name,
+        clean.make,
+        clean.model,
+        clean.serial_no,
+        clean.install_date,
+        clean.warranty_until,
+        clean.criticality,
+        asset.id
+      ]
+    );
+  } catch (err) {
+    if (isDuplicateKey(err)) throw fail(400, `Tag ${clean.tag} is already used in ${asset.location}.`);
+    throw err;
+  }
+}
+
+/**
+ * setActive(user, assetId, active)
+ * Retires or reinstates an asset. Retired assets keep their history but can't be picked anymore.
+ */
+async function setActive(user, assetId, active) {
+  const asset = await getAsset(user, assetId);
+  await db.query(`UPDATE assets SET is_active = ?, updated_at = GETDATE() WHERE id = ?`, [active, asset.id]);
+}
+
+/**
+ * resolveAsset(location, assetId, nodeIds)
+ * Id of the active asset of the location a ticket or plan names, or null when none is given.
+ * When nodeIds (a master data selection) are given, the asset must stand under the deepest of them.
+ */
+async function resolveAsset(location, assetId, nodeIds = []) {
+  if (assetId === undefined || assetId === null || assetId === '') return null;
+
+  const [rows] = await db.query(`SELECT id, node_id FROM assets WHERE id = ? AND location = ? AND is_active = 1`, [
+    Number(assetId) || 0,
+    location
+  ]);
+  const asset = rows[0];
+  if (!asset) throw fail(400, 'The selected asset is no longer available. Reload the page and try again.');
+
+  const selected = nodeIds.filter(Boolean).map(Number);
+  if (selected.length) {
+    const path = (await masterData.getPath(location, asset.node_id)) || [];
+    if (!path.some(n => n.id === selected[selected.length - 1])) {
+      throw fail(400, 'The selected asset is not at the selected location.');
+    }
+  }
+  return asset.id;
+}
+
+/**
+ * history(asset)
+ * Everything done on the asset: its tickets (with downtime, repair cost and cost of spare parts used),
+ * its PM plans and the totals { tickets, breakdowns, downtime_hours, repair_cost, parts_cost }.
+ */
+async function history(asset) {
+  const [tickets] = await db.query(
+    `
+    SELECT t.id, t.category, t.status, t.priority, t.description, t.completion_note, t.root_cause,
+           t.created_at, t.completed_at, t.downtime_start, t.downtime_end, t.repair_cost,
+           t.assigned_to, u.name AS assigned_to_name, o.plan_id,
+           (SELECT SUM(-m.quantity * m.unit_cost) FROM stock_movements m
+            WHERE m.ticket_id = t.id AND m.kind = 'consumption') AS parts_cost
+    FROM tickets t
+    LEFT JOIN users u ON u.global_id = t.assigned_to
+    LEFT JOIN pm_occurrences o ON o.ticket_id = t.id
+    WHERE t.asset_id = ?
+    ORDER BY t.created_at DESC, t.id DESC
+    `,
+    [asset.id]
+  );
+
+  const [plans] = await db.query(
+    `
+    SELECT p.id, p.title, p.recurrence, p.interval_count, p.next_due_at, p.next_due_meter, p.meter_unit, p.is_active,
+           (SELECT COUNT(*) FROM pm_occurrences o WHERE o.plan_id = p.id) AS occurrences
+    FROM pm_plans p
+    WHERE p.asset_id = ?
+    ORDER BY p.is_active DESC, p.title
+    `,
+    [asset.id]
+  );
+
+  const totals = { tickets: tickets.length, breakdowns: 0, downtime_hours: 0, repair_cost: 0, parts_cost: 0 };
+  for (const t of tickets) {
+    if (t.category === 'Breakdown') totals.breakdowns++;
+    if (t.downtime_start && t.downtime_end) {
+      t.downtime_hours = Math.round(((t.downtime_end - t.downtime_start) / 36e5) * 10) / 10;
+      totals.downtime_hours += t.downtime_hours;
+    }
+    totals.repair_cost += Number(t.repair_cost || 0);
+    totals.parts_cost += Number(t.parts_cost || 0);
+  }
+  totals.parts_cost = Math.round(totals.parts_cost * 100) / 100;
+  totals.downtime_hours = Math.round(totals.downtime_hours * 10) / 10;
+
+  return { tickets, plans, totals };
+}
+
+module.exports = {
+  CRITICALITIES,
+  listAssets,
+  getAsset,
+  createAsset,
+  updateAsset,
+  setActive,
+  resolveAsset,
+  history
+};
@@ -0,0 +1,140 @@
+// services/attachments.js
+// Photos and files attached to tickets. Files live on local disk (UPLOAD_DIR) under random
+// names and are only ever served through the authenticated /attachments/:id route.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const multer = require('multer');
+const db = require('../db');
+
+const UPLOAD_DIR = process.env.UPLOAD_DIR || path.join(__dirname, '..', 'uploads');
+const MAX_FILE_SIZE = 10 * 1024 * 1024; // 10 MB per file
+const MAX_FILES = 5;
+
+const ALLOWED_TYPES = {
+  'image/jpeg': '.jpg',
+  'image/png': '.png',
+  'image/webp': '.webp',
+  'image/gif': '.gif',
+  'application/pdf': '.pdf',
+  'application/msword': '.doc',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': '.docx',
+  'application/vnd.ms-excel': '.xls',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': '.xlsx',
+  'text/plain': '.txt'
+};
+
+// 'before' = attached when the ticket was raised, 'after' = added by the technician on completion
+const KINDS = ['before', 'after'];
+
+fs.mkdirSync(UPLOAD_DIR, { recursive: true });
+
+const upload = multer({
+  storage: multer.diskStorage({
+    destination: UPLOAD_DIR,
+    filename: (req, file, cb) => {
+      cb(null, crypto.randomBytes(16).toString('hex') + ALLOWED_TYPES[file.mimetype]);
+    }
+  }),
+  limits: { fileSize: MAX_FILE_SIZE, files: MAX_FILES },
+  fileFilter: (req, file, cb) => {
+    if (!ALLOWED_TYPES[file.mimetype]) {
+      return cb(new Error(`File type not allowed: ${file.originalname}`));
+    }
+    cb(null, true);
+  }
+});
+
+/**
+ * receiveFiles(field)
+ * Middleware accepting up to MAX_FILES files in `field`. Upload problems don't end the
+ * request: the message is left in req.uploadError so each route can answer in its own way.
+ */
+function receiveFiles(field) {
+  const handler = upload.array(field, MAX_FILES);
+  return (req, res, next) => {
+    handler(req, res, err => {
+      if (err) {
+        if (err.code === 'LIMIT_FILE_SIZE') {
+          req.uploadError = `Each file must be smaller than ${MAX_FILE_SIZE / (1024 * 1024)} MB.`;
+        } else if (err.code === 'LIMIT_FILE_COUNT' || err.code === 'LIMIT_UNEXPECTED_FILE') {
+          req.uploadError = `You can attach up to ${MAX_FILES} files.`;
+        } else {
+          req.uploadError = err.message;
+        }
+        discardFiles(req.files);
+        req.files = [];
+      }
+      next();
+    });
+  };
+}
+
+/**
+ * discardFiles(files)
+ * Removes uploaded files that won't be attached (failed validation, errors).
+ */
+function discardFiles(files) {
+  (files || []).forEach(file => {
+    fs.unlink(file.path, err => {
+      if (err && err.code !== 'ENOENT') console.warn(`⚠️ Could not remove upload ${file.path}:`, err);
+    });
+  });
+}
+
+/**
+ * saveAttachments(ticketId, files, user, kind)
+ * Records files already written to disk by receiveFiles() against the ticket.
+ */
+async function saveAttachments(ticketId, files, user, kind) {
+  if (!KINDS.includes(kind)) throw new Error(`Unknown attachment kind: ${kind}`);
+
+  for (const file of files || []) {
+    await db.query(
+      `
+      INSERT INTO ticket_attachments
+        (ticket_id, kind, original_name, stored_name, mime_type, size_bytes, uploaded_by, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, GETDATE())
+      `,
+      [ticketId, kind, file.originalname, file.filename, file.mimetype, file.size, user.globalId]
+    );
+  }
+}
+
+/**
+ * getAttachments(ticketId)
+ * Attachment metadata for the popups, oldest first.
+ */
+async function getAttachments(ticketId) {
+  const [rows] = await db.query(
+    `
+    SELECT id, ticket_id, kind, original_name, mime_type, size_bytes, uploaded_by, created_at
+    FROM ticket_attachments
+    WHERE ticket_id = ?
+    ORDER BY created_at, id
+    `,
+    [ticketId]
+  );
+  return rows;
+}
+
+async function getAttachment(id) {
+  const [rows] = await db.query(`SELECT * FROM ticket_attachments WHERE id = ?`, [id]);
+  return rows?.[0] || null;
+}
+
+function attachmentPath(attachment) {
+  return path.join(UPLOAD_DIR, path.basename(attachment.stored_name));
+}
+
+module.exports = {
+  MAX_FILE_SIZE,
+  MAX_FILES,
+  ALLOWED_TYPES,
+  receiveFiles,
+  discardFiles,
+  saveAttachments,
+  getAttachments,
+  getAttachment,
+  attachmentPath
+};
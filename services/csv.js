@@ -0,0 +1,86 @@
+// services/csv.js
+// Minimal RFC 4180 CSV reading / writing (quoted fields, embedded commas, quotes and newlines).
+// Text starting with = + - @ (or a tab / CR) is written with a leading ' so spreadsheet apps
+// don't run it as a formula, and read back without it.
+
+const FORMULA = /^[=+\-@\t\r]/;
+const GUARDED = /^'(?=[=+\-@\t\r])/;
+
+/**
+ * parseCsv(text)
+ * Array of rows (arrays of strings). Blank lines are dropped, a UTF-8 BOM is ignored.
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  const s = String(text || '').replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < s.length; i++) {
+    const c = s[i];
+
+    if (quoted) {
+      if (c === '"' && s[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (c === '"') {
+        quoted = false;
+      } else {
+        field += c;
+      }
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === ',') {
+      row.push(field);
+      field = '';
+    } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && s[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += c;
+    }
+  }
+
+  if (field !== '' || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(r => r.some(f => f.trim() !== '')).map(r => r.map(f => f.replace(GUARDED, '')));
+}
+
+/**
+ * parseCsvObjects(text)
+ * Rows keyed by the (trimmed, lower-cased) header, each with its row number `line` (header = 1).
+ */
+function parseCsvObjects(text) {
+  const [header, ...rows] = parseCsv(text);
+  if (!header) return [];
+
+  const keys = header.map(h => h.trim().toLowerCase());
+  return rows.map((r, i) => {
+    const obj = { line: i + 2 };
+    keys.forEach((k, j) => { obj[k] = (r[j] || '').trim(); });
+    return obj;
+  });
+}
+
+function csvField(value) {
+  if (value === null || value === undefined) return '';
+  let s = value instanceof Date ? value.toISOString() : String(value);
+  if (typeof value === 'string' && FORMULA.test(s)) s = `'${s}`;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/**
+ * toCsvLine(values)
+ * One CSV line (with trailing CRLF) from an array of values.
+ */
+function toCsvLine(values) {
+  return values.map(csvField).join(',') + '\r\n';
+}
+
+module.exports = { parseCsv, parseCsvObjects, toCsvLine };
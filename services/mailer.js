@@ -0,0 +1,26 @@
+// services/mailer.js
+// The one SMTP transport for the app (OTP mails, SLA escalations, ...).
+const nodemailer = require('nodemailer');
+
+// configure smtp
+const transporter = nodemailer.createTransport({
+  host: process.env.SMTP_HOST,
+  port: process.env.SMTP_PORT,
+  secure: (process.env.SMTP_SECURE === 'true'),
+  auth: { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+});
+
+/**
+ * sendMail({ to, subject, html })
+ * Sends from the WIKA Maint address. Rejects when SMTP fails.
+ */
+function sendMail({ to, subject, html }) {
+  return transporter.sendMail({
+    from: `WIKA Maint <${process.env.SMTP_USER}>`,
+    to,
+    subject,
+    html
+  });
+}
+
+module.exports = { transporter, sendMail };
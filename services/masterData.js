@@ -0,0 +1,761 @@
+// services/masterData.js
+// Master data per location: the building / floor / area hierarchy of each ticket category and
+// the category keywords, stored as nodes with stable ids (sql/015_master_data.up.sql).
+// Every change saves a new numbered version of the location's master data. Callers pass the
+// version they last read; if someone saved in between the change is refused (err.status 409).
+const fs = require('fs');
+const path = require('path');
+const db = require('../db');
+
+// Seed imported into a location the first time its master data is read
+const SEED_DIR = path.join(__dirname, '../data');
+
+// Hierarchy level names per category (depth 1..n)
+const CATEGORIES = {
+  Facility: ['Building', 'Floor', 'Area'],
+  Breakdown: ['Area', 'Machine'],
+  Safety: ['Building', 'Floor', 'Area']
+};
+const KEYWORD_DEPTH = 0;
+const MAX_NAME = 200;
+
+// Ticket category -> master data category
+function masterCategory(ticketCategory) {
+  return ticketCategory === 'Facility Service' ? 'Facility' : ticketCategory;
+}
+
+function fail(status, message, extra = {}) {
+  return Object.assign(new Error(message), { status }, extra);
+}
+
+function isDuplicateKey(err) {
+  return err.number === 2627 || err.number === 2601 || /duplicate key|UNIQUE constraint/i.test(err.message || '');
+}
+
+function isActive(node) {
+  return node.is_active === true || node.is_active === 1;
+}
+
+function labelOf(node) {
+  return node.depth === KEYWORD_DEPTH ? 'Keyword' : (CATEGORIES[node.category] || [])[node.depth - 1] || 'Item';
+}
+
+function cleanName(name) {
+  const clean = String(name || '').trim().replace(/\s+/g, ' ');
+  if (!clean) throw fail(400, 'Name is required.');
+  if (clean.length > MAX_NAME) throw fail(400, `Name must be at most ${MAX_NAME} characters.`);
+  return clean;
+}
+
+// q: db, or the transaction of a change()
+async function loadNodes(location, includeInactive = false, q = db) {
+  const [rows] = await q.query(
+    `
+    SELECT id, category, parent_id, depth, name, sort_order, is_active
+    FROM master_nodes
+    WHERE location = ? ${includeInactive ? '' : 'AND is_active = 1'}
+    ORDER BY category, depth, sort_order, name
+    `,
+    [location]
+  );
+  return rows;
+}
+
+async function getNode(location, id) {
+  const [rows] = await db.query(
+    `SELECT id, category, parent_id, depth, name, sort_order, is_active FROM master_nodes WHERE id = ? AND location = ?`,
+    [Number(id) || 0, location]
+  );
+  return rows?.[0] || null;
+}
+
+/**
+ * nodeChoices(location)
+ * Hierarchy nodes of the location (for PM plans and assets to sit on): [{ id, label }], e.g.
+ * "Facility › Building No. 2 › Ground Floor › DG Area".
+ */
+async function nodeChoices(location) {
+  const { masterData: tree } = await getTree(location);
+  const choices = [];
+  const walk = (items, trail) =>
+    items.forEach(item => {
+      const label = `${trail} › ${item.name}`;
+      choices.push({ id: item.id, label });
+      walk(item.children || [], label);
+    });
+  Object.entries(tree).forEach(([category, items]) => walk(items, category));
+  return choices;
+}
+
+/**
+ * getPath(location, id)
+ * The node with its parents, top level first; null if the location has no such node.
+ */
+async function getPath(location, id) {
+  const path = [];
+  let node = await getNode(location, id);
+  while (node) {
+    path.unshift(node);
+    node = node.parent_id ? await getNode(location, node.parent_id) : null;
+  }
+  return path.length ? path : null;
+}
+
+/**
+ * currentVersion(location)
+ * Latest version number of the location's master data (0 = never saved).
+ */
+async function currentVersion(location) {
+  const [rows] = await db.query(
+    `SELECT MAX(version) AS version FROM master_versions WHERE location = ?`,
+    [location]
+  );
+  return rows?.[0]?.version || 0;
+}
+
+// Snapshot entry of a node (what diff and rollback compare)
+function snapshotNode(n) {
+  return { id: n.id, category: n.category, parent_id: n.parent_id, depth: n.depth, name: n.name, sort_order: n.sort_order };
+}
+
+function conflictError(location, current) {
+  return fail(409, `The master data of ${location} was changed by someone else. Reload and try again.`, { version: current });
+}
+
+/**
+ * change(location, expectedVersion, user, summary, apply)
+ * Runs apply(tx) as the next version of the location's master data, if `expectedVersion`
+ * is still the current one. The version row, what apply changes (through tx.query) and the
+ * snapshot are saved in one transaction: a failed change leaves no version behind.
+ * Returns { version, result }.
+ */
+async function change(location, expectedVersion, user, summary, apply) {
+  const current = await currentVersion(location);
+  const conflict = () => conflictError(location, current);
+
+  if (Number(expectedVersion) !== current) throw conflict();
+
+  const version = current + 1;
+  return db.transaction(async tx => {
+    // Taken first, so a concurrent change of the same version fails here before applying anything
+    try {
+      await tx.query(
+        `INSERT INTO master_versions (location, version, summary, created_by, created_at) VALUES (?, ?, ?, ?, GETDATE())`,
+        [location, version, summary, user?.globalId || null]
+      );
+    } catch (err) {
+      if (isDuplicateKey(err)) throw conflict();
+      throw err;
+    }
+
+    const result = await apply(tx);
+
+    const nodes = await loadNodes(location, false, tx);
+    await tx.query(
+      `UPDATE master_versions SET snapshot = ? WHERE location = ? AND version = ?`,
+      [JSON.stringify(nodes.map(snapshotNode)), location, version]
+    );
+    return { version, result };
+  });
+}
+
+async function insertNode(tx, location, category, parentId, depth, name, sortOrder) {
+  const [rows] = await tx.query(
+    `
+    INSERT INTO master_nodes (location, category, parent_id, depth, name, sort_order, is_active, created_at)
+    OUTPUT INSERTED.id
+    VALUES (?, ?, ?, ?, ?, ?, 1, GETDATE())
+    `,
+    [location, category, parentId, depth, name, sortOrder]
+  );
+  return rows?.[0]?.id;
+}
+
+// Seed layout: { Building: { Floor: [areas] } } or { Area: [machines] }
+async function insertTree(tx, location, category, parentId, depth, value) {
+  const entries = Array.isArray(value) ? value.map(name => [name, null]) : Object.entries(value || {});
+  for (const [i, [name, children]] of entries.entries()) {
+    const id = await insertNode(tx, location, category, parentId, depth, cleanName(name), i);
+    if (children && depth < CATEGORIES[category].length) {
+      await insertTree(tx, location, category, id, depth + 1, children);
+    }
+  }
+}
+
+function readSeed(location) {
+  const read = file => {
+    try {
+      return JSON.parse(fs.readFileSync(path.join(SEED_DIR, file), 'utf8'));
+    } catch (err) {
+      console.warn(`Master data seed ${file} not readable:`, err.message);
+      return {};
+    }
+  };
+  const all = read('masterData.json');
+  const key = Object.keys(all).find(k => k.trim().toLowerCase() === String(location).trim().toLowerCase());
+  return { tree: key ? all[key] : {}, keywords: read('keywords.json') };
+}
+
+/**
+ * ensureSeeded(location)
+ * Imports the location's part of data/masterData.json and the keywords as version 1
+ * if the location has no master data yet.
+ */
+async function ensureSeeded(location) {
+  if (!location || (await currentVersion(location)) > 0) return;
+
+  const { tree, keywords } = readSeed(location);
+  try {
+    await change(location, 0, null, 'Imported from masterData.json / keywords.json', async tx => {
+      for (const [category, items] of Object.entries(tree)) {
+        if (CATEGORIES[category]) await insertTree(tx, location, category, null, 1, items);
+      }
+      for (const [label, list] of Object.entries(keywords)) {
+        const category = masterCategory(label);
+        if (!CATEGORIES[category] || !Array.isArray(list)) continue;
+        for (const [i, name] of list.entries()) {
+          await insertNode(tx, location, category, null, KEYWORD_DEPTH, cleanName(name), i);
+        }
+      }
+    });
+    console.log(`📥 Master data of ${location} imported from the seed files`);
+  } catch (err) {
+    // A concurrent request seeded it first
+    if (err.status !== 409) throw err;
+  }
+}
+
+/**
+ * getTree(location)
+ * { version, levels, masterData: { category: [{ id, name, children }] }, keywords: { category: [{ id, name }] } }
+ */
+async function getTree(location) {
+  await ensureSeeded(location);
+  const nodes = await loadNodes(location);
+  const version = await currentVersion(location);
+
+  const children = (category, parentId, depth) =>
+    nodes
+      .filter(n => n.category === category && n.depth === depth && (n.parent_id ?? null) === parentId)
+      .map(n => {
+        const item = { id: n.id, name: n.name };
+        if (depth < CATEGORIES[category].length) item.children = children(category, n.id, depth + 1);
+        return item;
+      });
+
+  const masterData = {};
+  const keywords = {};
+  for (const category of Object.keys(CATEGORIES)) {
+    masterData[category] = children(category, null, 1);
+    keywords[category] = nodes
+      .filter(n => n.category === category && n.depth === KEYWORD_DEPTH)
+      .map(n => ({ id: n.id, name: n.name }));
+  }
+  return { version, levels: CATEGORIES, masterData, keywords };
+}
+
+// Refuses a name an active sibling already has
+async function assertUniqueName(location, category, parentId, depth, name, exceptId = 0) {
+  const [rows] = await db.query(
+    `
+    SELECT id FROM master_nodes
+    WHERE location = ? AND category = ? AND depth = ? AND is_active = 1 AND id <> ?
+      AND ${parentId ? 'parent_id = ?' : 'parent_id IS NULL'} AND name = ?
+    `,
+    [location, category, depth, exceptId, ...(parentId ? [parentId] : []), name]
+  );
+  if (rows.length) throw fail(400, `"${name}" already exists there.`);
+}
+
+/**
+ * addNode(location, { category, parent_id, name, keyword }, expectedVersion, user)
+ * Adds a top-level item (no parent), a child of parent_id, or a keyword. Returns { version, id }.
+ */
+async function addNode(location, fields, expectedVersion, user) {
+  const category = fields.category;
+  const name = cleanName(fields.name);
+  if (!CATEGORIES[category]) throw fail(400, `Unknown category ${category}.`);
+
+  let depth = 1;
+  let parentId = null;
+  if (fields.keyword) {
+    depth = KEYWORD_DEPTH;
+  } else if (fields.parent_id) {
+    const parent = await getNode(location, fields.parent_id);
+    if (!parent || !isActive(parent) || parent.category !== category || parent.depth === KEYWORD_DEPTH) {
+      throw fail(400, 'The parent item no longer exists. Reload and try again.');
+    }
+    if (parent.depth >= CATEGORIES[category].length) {
+      throw fail(400, `A ${labelOf(parent)} can't have sub-items.`);
+    }
+    depth = parent.depth + 1;
+    parentId = parent.id;
+  }
+  await assertUniqueName(location, category, parentId, depth, name);
+
+  const label = depth === KEYWORD_DEPTH ? 'Keyword' : CATEGORIES[category][depth - 1];
+  const { version, result } = await change(location, expectedVersion, user, `Added ${label} "${name}" (${category})`, async tx => {
+    const [rows] = await tx.query(
+      `
+      SELECT COALESCE(MAX(sort_order), -1) + 1 AS next FROM master_nodes
+      WHERE location = ? AND category = ? AND depth = ? AND ${parentId ? 'parent_id = ?' : 'parent_id IS NULL'}
+      `,
+      [location, category, depth, ...(parentId ? [parentId] : [])]
+    );
+    return insertNode(tx, location, category, parentId, depth, name, rows?.[0]?.next || 0);
+  });
+  return { version, id: result };
+}
+
+/**
+ * renameNode(location, id, name, expectedVersion, user)
+ * Renames an item; its id (and so every ticket referencing it) stays the same. Returns { version }.
+ */
+async function renameNode(location, id, name, expectedVersion, user) {
+  const node = await getNode(location, id);
+  if (!node || !isActive(node)) throw fail(404, 'Item not found.');
+  const clean = cleanName(name);
+  if (clean === node.name) return { version: await currentVersion(location) };
+  await assertUniqueName(location, node.category, node.parent_id, node.depth, clean, node.id);
+
+  const summary = `Renamed ${labelOf(node)} "${node.name}" to "${clean}" (${node.category})`;
+  const { version } = await change(location, expectedVersion, user, summary, tx =>
+    tx.query(`UPDATE master_nodes SET name = ?, updated_at = GETDATE() WHERE id = ?`, [clean, node.id])
+  );
+  return { version };
+}
+
+async function deactivate(tx, ids) {
+  // Chunked to stay below the parameter limit of a query
+  for (let i = 0; i < ids.length; i += 500) {
+    const chunk = ids.slice(i, i + 500);
+    await tx.query(
+      `UPDATE master_nodes SET is_active = 0, updated_at = GETDATE() WHERE id IN (${chunk.map(() => '?').join(', ')})`,
+      chunk
+    );
+  }
+}
+
+/**
+ * deleteNode(location, id, expectedVersion, user)
+ * Deactivates an item with everything below it. Returns { version }.
+ */
+async function deleteNode(location, id, expectedVersion, user) {
+  const node = await getNode(location, id);
+  if (!node || !isActive(node)) throw fail(404, 'Item not found.');
+
+  const nodes = await loadNodes(location);
+  const ids = [node.id];
+  for (let i = 0; i < ids.length; i++) {
+    nodes.filter(n => n.parent_id === ids[i]).forEach(n => ids.push(n.id));
+  }
+
+  const summary = `Removed ${labelOf(node)} "${node.name}" (${node.category})` +
+    (ids.length > 1 ? ` with ${ids.length - 1} sub-item(s)` : '');
+  const { version } = await change(location, expectedVersion, user, summary, tx => deactivate(tx, ids));
+  return { version };
+}
+
+/**
+ * listVersions(location)
+ * Latest 50 versions, newest first (without snapshots).
+ */
+async function listVersions(location) {
+  const [rows] = await db.query(
+    `
+    SELECT TOP 50 v.version, v.summary, v.created_by, u.name AS created_by_name, v.created_at
+    FROM master_versions v
+    LEFT JOIN users u ON u.global_id = v.created_by
+    WHERE v.location = ?
+    ORDER BY v.version DESC
+    `,
+    [location]
+  );
+  return rows;
+}
+
+async function getSnapshot(location, version) {
+  const [rows] = await db.query(
+    `SELECT snapshot FROM master_versions WHERE location = ? AND version = ?`,
+    [location, Number(version) || 0]
+  );
+  if (!rows?.[0]?.snapshot) throw fail(404, `Version ${version} not found.`);
+  return JSON.parse(rows[0].snapshot);
+}
+
+/**
+ * diffVersions(location, from, to)
+ * { from, to, added, removed, changed } between two versions; entries carry the item's
+ * id, label and path ("Facility › Building › Floor"), changed ones the old path as `was`.
+ */
+async function diffVersions(location, from, to) {
+  const before = await getSnapshot(location, from);
+  const after = await getSnapshot(location, to);
+  const beforeById = new Map(before.map(n => [n.id, n]));
+  const afterById = new Map(after.map(n => [n.id, n]));
+
+  const pathOf = (byId, node) => {
+    const names = [];
+    for (let n = node; n; n = n.parent_id ? byId.get(n.parent_id) : null) names.unshift(n.name);
+    return [node.category, ...names].join(' › ');
+  };
+  const entry = (byId, n) => ({ id: n.id, label: labelOf(n), path: pathOf(byId, n) });
+
+  const diff = { from: Number(from), to: Number(to), added: [], removed: [], changed: [] };
+  after.forEach(n => {
+    const old = beforeById.get(n.id);
+    if (!old) return diff.added.push(entry(afterById, n));
+    // Renamed or moved itself (not just below a renamed parent)
+    if (old.name !== n.name || old.parent_id !== n.parent_id) {
+      diff.changed.push({ ...entry(afterById, n), was: pathOf(beforeById, old) });
+    }
+  });
+  before.forEach(n => {
+    if (!afterById.has(n.id)) diff.removed.push(entry(beforeById, n));
+  });
+  return diff;
+}
+
+/**
+ * rollback(location, toVersion, expectedVersion, user)
+ * Restores the master data of an earlier version as a new version (same ids). Returns { version }.
+ */
+async function rollback(location, toVersion, expectedVersion, user) {
+  const wanted = new Map((await getSnapshot(location, toVersion)).map(n => [n.id, n]));
+
+  const { version } = await change(location, expectedVersion, user, `Rolled back to version ${toVersion}`, async tx => {
+    const remove = [];
+    for (const node of await loadNodes(location, true, tx)) {
+      const w = wanted.get(node.id);
+      if (!w) {
+        if (isActive(node)) remove.push(node.id);
+      } else if (!isActive(node) || w.name !== node.name || w.parent_id !== node.parent_id || w.sort_order !== node.sort_order) {
+        await tx.query(
+          `UPDATE master_nodes SET name = ?, parent_id = ?, sort_order = ?, is_active = 1, updated_at = GETDATE() WHERE id = ?`,
+          [w.name, w.parent_id, w.sort_order, node.id]
+        );
+      }
+    }
+    await deactivate(tx, remove);
+  });
+  return { version };
+}
+
+// ----------------------------
+// File import / export: one row per item with its category, the names along its path
+// (level_1 .. level_3) and its id; keywords fill only the keyword column.
+// An import matches rows by id, or else by path, so unchanged rows need no id and
+// parents only listed in the paths of their children are kept.
+// ----------------------------
+const FILE_COLUMNS = ['id', 'category', 'level_1', 'level_2', 'level_3', 'keyword'];
+
+/**
+ * exportRows(location)
+ * { version, rows } - the location's master data as file rows (arrays in FILE_COLUMNS order).
+ */
+async function exportRows(location) {
+  await ensureSeeded(location);
+  const nodes = await loadNodes(location);
+  const version = await currentVersion(location);
+  const rows = [];
+
+  const walk = (category, parentId, depth, names) =>
+    nodes
+      .filter(n => n.category === category && n.depth === depth && (n.parent_id ?? null) === parentId)
+      .forEach(n => {
+        const path = [...names, n.name];
+        rows.push([n.id, category, path[0] || '', path[1] || '', path[2] || '', '']);
+        walk(category, n.id, depth + 1, path);
+      });
+
+  for (const category of Object.keys(CATEGORIES)) {
+    walk(category, null, 1, []);
+    nodes
+      .filter(n => n.category === category && n.depth === KEYWORD_DEPTH)
+      .forEach(n => rows.push([n.id, category, '', '', '', n.name]));
+  }
+  return { version, rows };
+}
+
+function fileCategory(value) {
+  const wanted = String(value || '').trim().toLowerCase();
+  return Object.keys(CATEGORIES).find(c => c.toLowerCase() === (wanted === 'facility service' ? 'facility' : wanted));
+}
+
+// Compares file rows with the existing nodes; see planImport()
+function buildPlan(existing, rows) {
+  const plan = { added: [], renamed: [], moved: [], removed: [], unchanged: 0, errors: [], nodes: [], byKey: new Map() };
+  const error = (line, text) => plan.errors.push({ line, error: text });
+  const keyOf = (category, depth, names) => [category, depth, ...names.map(n => n.toLowerCase())].join('\u0000');
+  const siblings = new Map(); // parent key -> rows seen (sort order of new items)
+
+  if (!rows.length) {
+    error(1, 'The file has no data rows.');
+    return plan;
+  }
+  if (!('category' in rows[0]) || !('level_1' in rows[0])) {
+    error(1, `Header must contain ${FILE_COLUMNS.join(', ')}.`);
+    return plan;
+  }
+
+  const want = node => {
+    const parent = node.parentKey ?? `${node.category}\u0000${node.depth}`;
+    node.sortOrder = siblings.get(parent) || 0;
+    siblings.set(parent, node.sortOrder + 1);
+    node.path = `${node.category} › ${node.names.join(' › ')}`;
+    node.label = node.depth === KEYWORD_DEPTH ? 'Keyword' : CATEGORIES[node.category][node.depth - 1];
+    plan.byKey.set(node.key, node);
+    plan.nodes.push(node);
+    return node;
+  };
+
+  // 1. The wanted tree: every row plus the parents named in its path
+  for (const row of rows) {
+    const category = fileCategory(row.category);
+    if (!category) {
+      error(row.line, row.category ? `Unknown category "${row.category}".` : 'Category is empty.');
+      continue;
+    }
+
+    const clean = v => String(v || '').trim().replace(/\s+/g, ' ');
+    const levels = [row.level_1, row.level_2, row.level_3].map(clean);
+    const keyword = clean(row.keyword);
+    const depth = levels.reduce((d, v, i) => (v ? i + 1 : d), 0);
+    const id = row.id ? Number(row.id) : null;
+
+    if (row.id && !Number.isInteger(id)) {
+      error(row.line, `Invalid id "${row.id}".`);
+      continue;
+    }
+    if (keyword && depth) {
+      error(row.line, 'A row is either an item (level columns) or a keyword, not both.');
+      continue;
+    }
+    if (!keyword && !depth) {
+      error(row.line, 'Name is empty.');
+      continue;
+    }
+    const gap = levels.slice(0, depth).findIndex(v => !v);
+    if (gap !== -1) {
+      error(row.line, `level_${gap + 1} is empty.`);
+      continue;
+    }
+    if (depth > CATEGORIES[category].length) {
+      error(row.line, `${category} has only ${CATEGORIES[category].length} levels (${CATEGORIES[category].join(' › ')}).`);
+      continue;
+    }
+
+    const names = keyword ? [keyword] : levels.slice(0, depth);
+    if (names.some(n => n.length > MAX_NAME)) {
+      error(row.line, `Names must be at most ${MAX_NAME} characters.`);
+      continue;
+    }
+
+    const nodeDepth = keyword ? KEYWORD_DEPTH : depth;
+    const key = keyOf(category, nodeDepth, names);
+    const listed = plan.byKey.get(key);
+    if (listed && listed.explicit) {
+      error(row.line, `Duplicate of line ${listed.line}.`);
+      continue;
+    }
+
+    for (let d = 1; d < nodeDepth; d++) {
+      const k = keyOf(category, d, names.slice(0, d));
+      if (!plan.byKey.has(k)) {
+        want({
+          key: k, category, depth: d, name: names[d - 1], names: names.slice(0, d), line: row.line,
+          parentKey: d > 1 ? keyOf(category, d - 1, names.slice(0, d - 1)) : null
+        });
+      }
+    }
+    const node = listed || want({
+      key, category, depth: nodeDepth, name: names[names.length - 1], names, line: row.line,
+      parentKey: nodeDepth > 1 ? keyOf(category, nodeDepth - 1, names.slice(0, -1)) : null
+    });
+    node.explicit = true;
+    node.line = row.line;
+    node.id = id;
+  }
+
+  // 2. Rows with an id keep that item (renamed / moved as needed)
+  const byId = new Map(existing.map(n => [n.id, n]));
+  const claimed = new Map(); // existing id -> line
+  for (const node of plan.nodes.filter(n => n.id)) {
+    const current = byId.get(node.id);
+    if (!current) {
+      error(node.line, `Id ${node.id} does not exist (any more) in this location.`);
+    } else if (current.category !== node.category || current.depth !== node.depth) {
+      error(node.line, `Id ${node.id} is a ${labelOf(current)} of ${current.category}, not a ${node.label} of ${node.category}.`);
+    } else if (claimed.has(node.id)) {
+      error(node.line, `Id ${node.id} is also used on line ${claimed.get(node.id)}.`);
+    } else {
+      claimed.set(node.id, node.line);
+      node.existing = current;
+      continue;
+    }
+    node.id = null;
+  }
+
+  // 3. Rows without an id match an existing item by name under the same parent
+  for (const node of plan.nodes) {
+    const parent = node.parentKey ? plan.byKey.get(node.parentKey) : null;
+    node.parentId = parent ? parent.id || null : null;
+    if (node.existing || (parent && !parent.id)) continue;
+
+    const match = existing.find(e =>
+      e.category === node.category && e.depth === node.depth && (e.parent_id ?? null) === node.parentId &&
+      e.name.toLowerCase() === node.name.toLowerCase()
+    );
+    if (!match) continue;
+    if (claimed.has(match.id)) {
+      error(node.line, `${labelOf(match)} "${match.name}" is renamed or moved on line ${claimed.get(match.id)} ` +
+        'but its old name is still used here. Use the new name in every path.');
+      continue;
+    }
+    claimed.set(match.id, node.line);
+    node.id = match.id;
+    node.existing = match;
+  }
+
+  // 4. The differences
+  for (const node of plan.nodes) {
+    const entry = { line: node.line, label: node.label, path: node.path };
+    if (!node.existing) {
+      plan.added.push(entry);
+      continue;
+    }
+    const renamed = node.existing.name !== node.name;
+    const moved = (node.existing.parent_id ?? null) !== node.parentId;
+    if (renamed) plan.renamed.push({ ...entry, id: node.id, from: node.existing.name });
+    if (moved) plan.moved.push({ ...entry, id: node.id });
+    if (!renamed && !moved) plan.unchanged++;
+  }
+
+  const pathOf = n => {
+    const names = [];
+    for (let p = n; p; p = p.parent_id ? byId.get(p.parent_id) : null) names.unshift(p.name);
+    return `${n.category} › ${names.join(' › ')}`;
+  };
+  existing
+    .filter(n => !claimed.has(n.id))
+    .forEach(n => plan.removed.push({ id: n.id, label: labelOf(n), path: pathOf(n) }));
+
+  return plan;
+}
+
+/**
+ * planImport(location, rows)
+ * What importing the file rows (objects keyed by FILE_COLUMNS, with `line`) would change:
+ * { added, renamed, moved, removed, unchanged, errors: [{ line, error }] }. Nothing is saved.
+ */
+async function planImport(location, rows) {
+  await ensureSeeded(location);
+  const { nodes, byKey, ...plan } = buildPlan(await loadNodes(location), rows);
+  return { ...plan, version: await currentVersion(location) };
+}
+
+/**
+ * applyImport(location, rows, expectedVersion, user)
+ * Makes the location's master data match the file rows, as one new version.
+ * Refused (status 400) while the rows have errors. Returns { version, changes }.
+ */
+async function applyImport(location, rows, expectedVersion, user) {
+  // The preview was made against expectedVersion; a later change makes it stale
+  const current = await currentVersion(location);
+  if (Number(expectedVersion) !== current) throw conflictError(location, current);
+
+  const plan = buildPlan(await loadNodes(location), rows);
+  if (plan.errors.length) {
+    throw fail(400, `The file has ${plan.errors.length} error(s). Fix them and preview the import again.`);
+  }
+
+  const changes = plan.added.length + plan.renamed.length + plan.moved.length + plan.removed.length;
+  if (!changes) return { version: current, changes };
+
+  const summary = `Imported file: ${plan.added.length} added, ${plan.renamed.length} renamed, ` +
+    `${plan.moved.length} moved, ${plan.removed.length} removed`;
+  const { version } = await change(location, expectedVersion, user, summary, async tx => {
+    // Parents come before their children, so new parents have their id in time
+    for (const node of plan.nodes) {
+      const parentId = node.parentKey ? plan.byKey.get(node.parentKey).id : null;
+      if (!node.existing) {
+        node.id = await insertNode(tx, location, node.category, parentId, node.depth, node.name, node.sortOrder);
+      } else if (node.existing.name !== node.name || (node.existing.parent_id ?? null) !== parentId) {
+        await tx.query(
+          `UPDATE master_nodes SET name = ?, parent_id = ?, updated_at = GETDATE() WHERE id = ?`,
+          [node.name, parentId, node.id]
+        );
+      }
+    }
+    await deactivate(tx, plan.removed.map(n => n.id));
+  });
+  return { version, changes };
+}
+
+/**
+ * resolveSelection(location, ticketCategory, { building_id, area_id, sub_area_id, keyword_id })
+ * Ticket fields for the nodes picked in the ticket form: their names (building_no, area_code,
+ * sub_area, keyword) and ids (building_node_id, ...). Throws (status 400) unless the nodes are
+ * an active path of the location's master data for that category.
+ */
+async function resolveSelection(location, ticketCategory, ids = {}) {
+  const category = masterCategory(ticketCategory);
+  const given = v => v !== undefined && v !== null && v !== '';
+  const chain = [ids.building_id, ids.area_id, ids.sub_area_id].filter(given).map(Number);
+  const keywordId = given(ids.keyword_id) ? Number(ids.keyword_id) : null;
+  const wanted = [...chain, ...(keywordId !== null ? [keywordId] : [])];
+
+  const stale = () => fail(400, 'The selected location or keyword is no longer available. Reload the page and try again.');
+  if (wanted.some(id => !Number.isInteger(id))) throw stale();
+
+  const [rows] = wanted.length
+    ? await db.query(
+        `SELECT id, category, parent_id, depth, name FROM master_nodes
+         WHERE location = ? AND is_active = 1 AND id IN (${wanted.map(() => '?').join(', ')})`,
+        [location, ...wanted]
+      )
+    : [[]];
+  const byId = new Map(rows.map(r => [r.id, r]));
+
+  const fields = {};
+  const columns = [['building_no', 'building_node_id'], ['area_code', 'area_node_id'], ['sub_area', 'sub_area_node_id']];
+  let parentId = null;
+  chain.forEach((id, i) => {
+    const node = byId.get(id);
+    if (!node || node.category !== category || node.depth !== i + 1 || (node.parent_id ?? null) !== parentId) {
+      throw stale();
+    }
+    fields[columns[i][0]] = node.name;
+    fields[columns[i][1]] = node.id;
+    parentId = node.id;
+  });
+
+  if (keywordId !== null) {
+    const node = byId.get(keywordId);
+    if (!node || node.category !== category || node.depth !== KEYWORD_DEPTH) throw stale();
+    fields.keyword = node.name;
+    fields.keyword_node_id = node.id;
+  }
+  return fields;
+}
+
+module.exports = {
+  CATEGORIES,
+  masterCategory,
+  currentVersion,
+  ensureSeeded,
+  getTree,
+  nodeChoices,
+  getPath,
+  addNode,
+  renameNode,
+  deleteNode,
+  listVersions,
+  diffVersions,
+  rollback,
+  FILE_COLUMNS,
+  exportRows,
+  planImport,
+  applyImport,
+  resolveSelection
+};
@@ -0,0 +1,315 @@
+// services/notifications.js
+// One place to notify a user. Every notification lands in the in-app inbox, and is
+// delivered by push and/or email according to the user's preferences for that event.
+// Deliveries are queued (notification_queue) and retried with back-off; when push can't
+// reach the user (no devices, or it keeps failing) the notification falls back to email.
+const db = require('../db');
+const subscriptions = require('../subscriptions');
+const { sendMail } = require('./mailer');
+
+// Event types a user can set channels for, with their default channels
+const EVENTS = {
+  ticket_submitted: { label: 'My ticket was submitted', title: 'Ticket Update', push: true, email: false },
+  ticket_assigned: { label: 'A ticket was assigned to me', title: 'Ticket Update', push: true, email: true },
+  ticket_progress: { label: 'My ticket was started, resolved or closed', title: 'Ticket Update', push: true, email: false },
+  ticket_reopened: { label: 'A ticket I worked on was reopened', title: 'Ticket Update', push: true, email: true },
+  ticket_comment: { label: 'New comment on my ticket', title: 'Ticket Comment', push: true, email: false },
+  sla_escalation: { label: 'SLA breach escalations', title: 'SLA Escalation', push: true, email: true },
+  kaizen_update: { label: 'Kaizen updates', title: 'Kaizen Update', push: true, email: false },
+  quality_action: { label: 'Corrective action assigned to me', title: 'Quality Audit', push: true, email: true },
+  parts_reorder: { label: 'Spare parts down to their reorder level', title: 'Spare Parts', push: true, email: true }
+};
+
+const CHANNELS = ['push', 'email'];
+const MAX_ATTEMPTS = 5;
+const RETRY_MINUTES = [1, 5, 15, 60]; // wait after attempt 1, 2, 3, 4
+
+function escapeHtml(s) {
+  return String(s ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+// ------------------------------------------------------------------
+// Preferences
+// ------------------------------------------------------------------
+
+/**
+ * getPreferences(globalId)
+ * { event: { label, push, email } } for every event, the user's choice or the default.
+ */
+async function getPreferences(globalId) {
+  const [rows] = await db.query(
+    `SELECT event_type, push_enabled, email_enabled FROM notification_preferences WHERE global_id = ?`,
+    [globalId]
+  );
+
+  const prefs = {};
+  Object.entries(EVENTS).forEach(([event, def]) => {
+    const row = rows.find(r => r.event_type === event);
+    prefs[event] = {
+      label: def.label,
+      push: row ? !!row.push_enabled : def.push,
+      email: row ? !!row.email_enabled : def.email
+    };
+  });
+  return prefs;
+}
+
+/**
+ * savePreferences(globalId, prefs)
+ * prefs = { event: { push, email } }; unknown events are ignored.
+ */
+async function savePreferences(globalId, prefs) {
+  for (const event of Object.keys(EVENTS)) {
+    const p = prefs[event];
+    if (!p) continue;
+
+    const [, result] = await db.query(
+      `
+      UPDATE notification_preferences
+      SET push_enabled = ?, email_enabled = ?, updated_at = GETDATE()
+      WHERE global_id = ? AND event_type = ?
+      `,
+      [p.push ? 1 : 0, p.email ? 1 : 0, globalId, event]
+    );
+
+    if (result.rowsAffected && result.rowsAffected[0] > 0) continue;
+
+    await db.query(
+      `
+      INSERT INTO notification_preferences (global_id, event_type, push_enabled, email_enabled, updated_at)
+      VALUES (?, ?, ?, ?, GETDATE())
+      `,
+      [globalId, event, p.push ? 1 : 0, p.email ? 1 : 0]
+    );
+  }
+}
+
+// ------------------------------------------------------------------
+// Sending
+// ------------------------------------------------------------------
+
+async function enqueue(notificationId, channel) {
+  await db.query(
+    `
+    INSERT INTO notification_queue (notification_id, channel, status, attempts, next_attempt_at, created_at)
+    VALUES (?, ?, 'pending', 0, GETDATE(), GETDATE())
+    `,
+    [notificationId, channel]
+  );
+}
+
+/**
+ * notify(globalId, event, body, options)
+ * Records the notification in the user's inbox and queues its deliveries.
+ * options: { title, url }. Never throws: callers fire and forget.
+ */
+async function notify(globalId, event, body, options = {}) {
+  if (!globalId) return;
+  const def = EVENTS[event];
+  if (!def) {
+    console.error(`❌ Unknown notification event: ${event}`);
+    return;
+  }
+
+  try {
+    const [rows] = await db.query(
+      `
+      INSERT INTO notifications (global_id, event_type, title, body, url, is_read, created_at)
+      OUTPUT INSERTED.id
+      VALUES (?, ?, ?, ?, ?, 0, GETDATE())
+      `,
+      [globalId, event, options.title || def.title, body, options.url || null]
+    );
+    const notificationId = rows?.[0]?.id;
+
+    const prefs = (await getPreferences(globalId))[event];
+    for (const channel of CHANNELS) {
+      if (prefs[channel]) await enqueue(notificationId, channel);
+    }
+
+    processQueue();
+  } catch (err) {
+    console.error(`❌ Failed to notify ${globalId} (${event}):`, err);
+  }
+}
+
+/**
+ * notifyMany(globalIds, event, body, options)
+ * notify() for each distinct user.
+ */
+async function notifyMany(globalIds, event, body, options) {
+  for (const id of [...new Set(globalIds.filter(Boolean))]) {
+    await notify(id, event, body, options);
+  }
+}
+
+// Emails only go to users that have an address; the rest is skipped
+async function deliverEmail(job) {
+  const [users] = await db.query(`SELECT name, email FROM users WHERE global_id = ?`, [job.global_id]);
+  const user = users?.[0];
+  if (!user?.email) return 'skipped';
+
+  await sendMail({
+    to: user.email,
+    subject: job.title,
+    html: `<p>Hello ${escapeHtml(user.name)},</p><p>${escapeHtml(job.body)}</p>`
+  });
+  return 'sent';
+}
+
+// Push counts as delivered when at least one device took it
+async function deliverPush(job) {
+  const { sent, failed } = await subscriptions.sendToUser(job.global_id, {
+    title: job.title,
+    body: job.body,
+    url: job.url || '/notifications'
+  });
+
+  if (sent > 0) return 'sent';
+  if (failed > 0) throw new Error(`Push failed on ${failed} device(s)`);
+  return 'no_devices';
+}
+
+// Email instead of push, unless the user already gets this one by email
+async function fallBackToEmail(job) {
+  const [existing] = await db.query(
+    `SELECT id FROM notification_queue WHERE notification_id = ? AND channel = 'email'`,
+    [job.notification_id]
+  );
+  if (existing.length) return;
+
+  await enqueue(job.notification_id, 'email');
+}
+
+async function processJob(job) {
+  try {
+    let outcome = job.channel === 'push' ? await deliverPush(job) : await deliverEmail(job);
+
+    if (outcome === 'no_devices') {
+      await fallBackToEmail(job);
+      outcome = 'skipped';
+    }
+
+    await db.query(
+      `UPDATE notification_queue SET status = ?, attempts = attempts + 1, sent_at = GETDATE() WHERE id = ?`,
+      [outcome, job.id]
+    );
+  } catch (err) {
+    const attempts = job.attempts + 1;
+    const failed = attempts >= MAX_ATTEMPTS;
+    const wait = RETRY_MINUTES[Math.min(attempts, RETRY_MINUTES.length) - 1];
+
+    console.warn(`⚠️ ${job.channel} delivery ${job.id} failed (attempt ${attempts}/${MAX_ATTEMPTS}):`, err.message);
+
+    await db.query(
+      `
+      UPDATE notification_queue
+      SET status = ?, attempts = ?, last_error = ?, next_attempt_at = DATEADD(minute, ?, GETDATE())
+      WHERE id = ?
+      `,
+      [failed ? 'failed' : 'pending', attempts, String(err.message || err), wait, job.id]
+    );
+
+    if (failed && job.channel === 'push') await fallBackToEmail(job);
+  }
+}
+
+let processing = false;
+let processAgain = false;
+
+/**
+ * processQueue()
+ * Delivers every due job. Concurrent calls are folded into one extra pass.
+ */
+async function processQueue() {
+  if (processing) {
+    processAgain = true;
+    return;
+  }
+  processing = true;
+
+  try {
+    do {
+      processAgain = false;
+      const [jobs] = await db.query(
+        `
+        SELECT TOP 50 q.*, n.global_id, n.title, n.body, n.url
+        FROM notification_queue q
+        JOIN notifications n ON q.notification_id = n.id
+        WHERE q.status = 'pending' AND q.next_attempt_at <= GETDATE()
+        ORDER BY q.next_attempt_at, q.id
+        `
+      );
+
+      for (const job of jobs) await processJob(job);
+      if (jobs.length === 50) processAgain = true;
+    } while (processAgain);
+  } catch (err) {
+    console.error('❌ Notification queue run failed:', err);
+  } finally {
+    processing = false;
+  }
+}
+
+/**
+ * startWorker(intervalSeconds)
+ * Picks up retries (and anything queued while the app was down).
+ */
+function startWorker(intervalSeconds = 60) {
+  console.log(`📬 Notification worker running every ${intervalSeconds}s`);
+  processQueue();
+  return setInterval(processQueue, intervalSeconds * 1000);
+}
+
+// ------------------------------------------------------------------
+// Inbox
+// ------------------------------------------------------------------
+
+async function listInbox(globalId, limit = 100) {
+  const [rows] = await db.query(
+    `
+    SELECT TOP ${Number(limit) || 100} id, event_type, title, body, url, is_read, read_at, created_at
+    FROM notifications
+    WHERE global_id = ?
+    ORDER BY created_at DESC, id DESC
+    `,
+    [globalId]
+  );
+  return rows;
+}
+
+async function unreadCount(globalId) {
+  const [rows] = await db.query(
+    `SELECT COUNT(*) AS unread FROM notifications WHERE global_id = ? AND is_read = 0`,
+    [globalId]
+  );
+  return rows?.[0]?.unread || 0;
+}
+
+/**
+ * markRead(globalId, id)
+ * Marks one of the user's notifications read (all of them when id is omitted).
+ */
+async function markRead(globalId, id) {
+  let query = `UPDATE notifications SET is_read = 1, read_at = GETDATE() WHERE global_id = ? AND is_read = 0`;
+  const params = [globalId];
+  if (id) {
+    query += ` AND id = ?`;
+    params.push(id);
+  }
+  await db.query(query, params);
+}
+
+module.exports = {
+  EVENTS,
+  CHANNELS,
+  notify,
+  notifyMany,
+  getPreferences,
+  savePreferences,
+  processQueue,
+  startWorker,
+  listInbox,
+  unreadCount,
+  markRead
+};
@@ -0,0 +1,463 @@
+// services/parts.js
+// Spare parts store per location (sql/018_spare_parts.up.sql): on-hand quantity, bin location and
+// reorder level of each part, and every movement of stock (receipts, stock takes, and the parts a
+// technician consumes when completing a ticket). Planners are notified when a part falls to its
+// reorder level. Refusals are thrown with err.status (400 invalid input, 404 part not found
+// in the user's locations, 409 stock changed in the meantime).
+const db = require('../db');
+const access = require('./access');
+const { notifyMany } = require('./notifications');
+
+const TEXT_FIELDS = { unit: 20, bin_location: 50 };
+const MAX_AMOUNT = 1e10;
+
+function fail(status, message) {
+  return Object.assign(new Error(message), { status });
+}
+
+function isDuplicateKey(err) {
+  return err.number === 2627 || err.number === 2601 || /duplicate key|UNIQUE constraint/i.test(err.message || '');
+}
+
+// Optional amount form value -> number (>= min), null when empty
+function amountField(value, label, min = 0) {
+  if (value === undefined || value === null || value === '') return null;
+  const amount = Number(value);
+  if (!(amount >= min && amount < MAX_AMOUNT)) throw fail(400, `${label} must be a number of ${min} or more.`);
+  return Math.round(amount * 100) / 100;
+}
+
+// Quantity of stock in or out, more than 0
+function quantityField(value, label) {
+  const quantity = amountField(value, label);
+  if (!quantity) throw fail(400, `${label} must be more than 0.`);
+  return quantity;
+}
+
+// At or below its reorder level (parts without a level are never low)
+function isLow(part) {
+  return Number(part.reorder_level) > 0 && Number(part.on_hand) <= Number(part.reorder_level);
+}
+
+/**
+ * listParts(location, { activeOnly })
+ * The location's spare parts by part number, each flagged `low` when at its reorder level.
+ */
+async function listParts(location, { activeOnly = false } = {}) {
+  const [parts] = await db.query(
+    `
+    SELECT * FROM spare_parts
+    WHERE location = ? ${activeOnly ? 'AND is_active = 1' : ''}
+    ORDER BY is_active DESC, part_no
+    `,
+    [location]
+  );
+  parts.forEach(part => (part.low = isLow(part)));
+  return parts;
+}
+
+/**
+ * partChoices(user)
+ * Active parts of all the user's locations, for the parts consumed on the technician's ticket cards.
+ */
+async function partChoices(user) {
+  const { sql, params } = access.scope(user, 'location');
+  const [parts] = await db.query(
+    `
+    SELECT id, location, part_no, name, unit, bin_location, on_hand
+    FROM spare_parts
+    WHERE is_active = 1 AND ${sql}
+    ORDER BY part_no
+    `,
+    params
+  );
+  return parts;
+}
+
+/**
+ * getPart(user, partId)
+ * The part, if it is in one of the user's locations.
+ */
+async function getPart(user, partId) {
+  const [rows] = await db.query(`SELECT * FROM spare_parts WHERE id = ?`, [Number(partId) || 0]);
+  const part = rows[0];
+  if (!part || !access.canAccessLocation(user, part.location)) throw fail(404, 'Spare part not found.');
+  part.low = isLow(part);
+  return part;
+}
+
+// Checked and trimmed form fields of a part
+function cleanFields(fields) {
+  const clean = {
+    part_no: String(fields.part_no || '').trim().toUpperCase(),
+    name: String(fields.name || '').trim(),
+    reorder_level: amountField(fields.reorder_level, 'Reorder level') || 0,
+    reorder_qty: amountField(fields.reorder_qty, 'Reorder quantity'),
+    unit_cost: amountField(fields.unit_cost, 'Unit cost')
+  };
+  if (!clean.part_no || clean.part_no.length > 50) throw fail(400, 'Part number is required (at most 50 characters).');
+  if (!clean.name || clean.name.length > 255) throw fail(400, 'Name is required (at most 255 characters).');
+
+  for (const [key, max] of Object.entries(TEXT_FIELDS)) {
+    clean[key] = String(fields[key] || '').trim() || null;
+    if (clean[key] && clean[key].length > max) throw fail(400, `${key.replace('_', ' ')} must be at most ${max} characters.`);
+  }
+  clean.unit = clean.unit || 'pcs';
+  return clean;
+}
+
+// One stock movement of a part (through q: db, or the transaction that changes its stock); returns its id
+async function recordMovement(q, part, user, { quantity, kind, ticketId = null, unitCost = part.unit_cost, note = null }) {
+  const [rows] = await q.query(
+    `
+    INSERT INTO stock_movements (part_id, quantity, kind, ticket_id, unit_cost, note, created_by, created_at)
+    OUTPUT INSERTED.id
+    VALUES (?, ?, ?, ?, ?, ?, ?, GETDATE())
+    `,
+    [part.id, quantity, kind, ticketId, unitCost ?? null, note, user.globalId]
+  );
+  return rows[0].id;
+}
+
+/**
+ * checkReorder(partId)
+ * Tells the planners of the part's location once when it falls to its reorder level, and
+ * re-arms the alert once stock is back above the level.
+ */
+async function checkReorder(partId) {
+  await db.query(
+    `
+    UPDATE spare_parts SET reorder_alerted_at = NULL
+    WHERE id = ? AND reorder_alerted_at IS NOT NULL AND (on_hand > reorder_level OR reorder_level = 0)
+    `,
+    [partId]
+  );
+
+  const [, result] = await db.query(
+    `
+    UPDATE spare_parts SET reorder_alerted_at = GETDATE()
+    WHERE id = ? AND is_active = 1 AND reorder_alerted_at IS NULL AND reorder_level > 0 AND on_hand <= reorder_level
+    `,
+    [partId]
+  );
+  if (result.rowsAffected[0] === 0) return;
+
+  const [[part]] = await db.query(`SELECT * FROM spare_parts WHERE id = ?`, [partId]);
+  const planners = await access.usersCovering(part.location, ['planner']);
+  const reorder = part.reorder_qty ? ` Reorder quantity: ${Number(part.reorder_qty)} ${part.unit}.` : '';
+  const message =
+    `📦 Spare part ${part.part_no} (${part.name}) in ${part.location} is down to ${Number(part.on_hand)} ${part.unit}, ` +
+    `at or below its reorder level of ${Number(part.reorder_level)}.${reorder}`;
+
+  console.log(`📦 Reorder alert for part ${part.part_no} (${part.location})`);
+  await notifyMany(planners.map(p => p.global_id), 'parts_reorder', message, {
+    url: `/parts?location=${encodeURIComponent(part.location)}`
+  });
+}
+
+/**
+ * createPart(user, fields)
+ * Adds a part to the store of fields.location (one of the user's), with its opening stock
+ * (fields.on_hand) as the first receipt. Returns the new part id.
+ */
+async function createPart(user, fields = {}) {
+  const location = String(fields.location || user.location);
+  if (!access.canAccessLocation(user, location)) throw fail(400, `No access to ${location}.`);
+  const clean = cleanFields(fields);
+  const opening = amountField(fields.on_hand, 'Opening stock') || 0;
+
+  let id;
+  try {
+    const [rows] = await db.query(
+      `
+      INSERT INTO spare_parts
+        (location, part_no, name, unit, bin_location, on_hand, reorder_level, reorder_qty, unit_cost,
+         is_active, created_by, created_at)
+      OUTPUT INSERTED.id
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, 1, ?, GETDATE())
+      `,
+      [
+        location,
+        clean.part_no,
+        clean.name,
+        clean.unit,
+        clean.bin_location,
+        opening,
+        clean.reorder_level,
+        clean.reorder_qty,
+        clean.unit_cost,
+        user.globalId
+      ]
+    );
+    id = rows[0].id;
+  } catch (err) {
+    if (isDuplicateKey(err)) throw fail(400, `Part number ${clean.part_no} is already used in ${location}.`);
+    throw err;
+  }
+
+  if (opening) {
+    await recordMovement(db, { id, unit_cost: clean.unit_cost }, user, { quantity: opening, kind: 'receipt', note: 'Opening stock' });
+  }
+  await checkReorder(id);
+  return id;
+}
+
+/**
+ * updatePart(user, partId, fields)
+ * Changes the part's details and reorder settings. Stock only changes through movements.
+ */
+async function updatePart(user, partId, fields = {}) {
+  const part = await getPart(user, partId);
+  const clean = cleanFields(fields);
+
+  try {
+    await db.query(
+      `
+      UPDATE spare_parts
+      SET part_no = ?, name = ?, unit = ?, bin_location = ?, reorder_level = ?, reorder_qty = ?, unit_cost = ?,
+          updated_at = GETDATE()
+      WHERE id = ?
+      `,
+      [
+        clean.part_no,
+        clean.name,
+        clean.unit,
+        clean.bin_location,
+        clean.reorder_level,
+        clean.reorder_qty,
+        clean.unit_cost,
+        part.id
+      ]
+    );
+  } catch (err) {
+    if (isDuplicateKey(err)) throw fail(400, `Part number ${clean.part_no} is already used in ${part.location}.`);
+    throw err;
+  }
+  await checkReorder(part.id);
+}
+
+/**
+ * receiveStock(user, partId, { quantity, unit_cost, note })
+ * Books stock received into the store. A unit cost given becomes the part's current cost.
+ */
+async function receiveStock(user, partId, fields = {}) {
+  const part = await getPart(user, partId);
+  const quantity = quantityField(fields.quantity, 'Quantity received');
+  const unitCost = amountField(fields.unit_cost, 'Unit cost');
+
+  await db.transaction(async tx => {
+    await tx.query(
+      `
+      UPDATE spare_parts
+      SET on_hand = on_hand + ?, unit_cost = COALESCE(?, unit_cost), updated_at = GETDATE()
+      WHERE id = ?
+      `,
+      [quantity, unitCost, part.id]
+    );
+    await recordMovement(tx, part, user, {
+      quantity,
+      kind: 'receipt',
+      unitCost: unitCost ?? part.unit_cost,
+      note: String(fields.note || '').trim().slice(0, 500) || null
+    });
+  });
+  await checkReorder(part.id);
+}
+
+/**
+ * adjustStock(user, partId, { counted, note })
+ * Stock take: sets the on-hand quantity to what was counted and books the difference.
+ */
+async function adjustStock(user, partId, fields = {}) {
+  const part = await getPart(user, partId);
+  const counted = amountField(fields.counted, 'Counted quantity');
+  if (counted === null) throw fail(400, 'Enter the counted quantity.');
+
+  const difference = Math.round((counted - Number(part.on_hand)) * 100) / 100;
+  if (!difference) return;
+
+  await db.transaction(async tx => {
+    const [, result] = await tx.query(
+      `UPDATE spare_parts SET on_hand = ?, updated_at = GETDATE() WHERE id = ? AND on_hand = ?`,
+      [counted, part.id, part.on_hand]
+    );
+    if (result.rowsAffected[0] === 0) throw fail(409, 'The stock changed in the meantime. Reload and count again.');
+
+    await recordMovement(tx, part, user, {
+      quantity: difference,
+      kind: 'adjustment',
+      note: String(fields.note || '').trim().slice(0, 500) || 'Stock take'
+    });
+  });
+  await checkReorder(part.id);
+}
+
+/**
+ * setActive(user, partId, active)
+ * Retires or reinstates a part. Retired parts keep their movements but can't be consumed.
+ */
+async function setActive(user, partId, active) {
+  const part = await getPart(user, partId);
+  await db.query(`UPDATE spare_parts SET is_active = ?, updated_at = GETDATE() WHERE id = ?`, [active, part.id]);
+}
+
+/**
+ * movements(part, limit)
+ * The part's latest stock movements, newest first, with the ticket they were consumed on.
+ */
+async function movements(part, limit = 100) {
+  const [rows] = await db.query(
+    `
+    SELECT TOP ${Number(limit) || 100} m.*, u.name AS created_by_name, t.building_no, a.tag AS asset_tag
+    FROM stock_movements m
+    LEFT JOIN users u ON u.global_id = m.created_by
+    LEFT JOIN tickets t ON t.id = m.ticket_id
+    LEFT JOIN assets a ON a.id = t.asset_id
+    WHERE m.part_id = ?
+    ORDER BY m.created_at DESC, m.id DESC
+    `,
+    [part.id]
+  );
+  return rows;
+}
+
+/**
+ * parseItems(raw)
+ * The parts consumed on a ticket as [{ part_id, quantity }], from the JSON API
+ * (parts: [{ part_id, quantity }]) or the completion form (parts[0][part_id], parts[0][quantity]...).
+ * Blank form rows are skipped and the same part entered twice is added up.
+ */
+function parseItems(raw) {
+  if (!raw) return [];
+  const rows = Array.isArray(raw) ? raw : typeof raw === 'object' ? Object.values(raw) : null;
+  if (!rows) throw fail(400, 'Parts must be a list of { part_id, quantity }.');
+
+  const items = new Map();
+  for (const row of rows) {
+    const partId = row?.part_id;
+    const blank = value => value === undefined || value === null || value === '';
+    if (blank(partId) && blank(row?.quantity)) continue;
+    if (blank(partId) || !(Number(partId) > 0)) throw fail(400, 'Pick the spare part for each quantity entered.');
+
+    const quantity = quantityField(row.quantity, 'Quantity of each part used');
+    const id = Number(partId);
+    items.set(id, Math.round(((items.get(id) || 0) + quantity) * 100) / 100);
+  }
+  return [...items].map(([part_id, quantity]) => ({ part_id, quantity }));
+}
+
+/**
+ * consumeForTicket(tx, user, ticket, rawItems)
+ * Takes the parts used on the ticket out of the store of its location (see parseItems) and books
+ * them against the ticket, in the caller's transaction `tx` (the one that resolves the ticket), so
+ * a short part or a refused completion rolls all of it back. Returns what was consumed; run
+ * checkReorder() on each part once the transaction is committed.
+ */
+async function consumeForTicket(tx, user, ticket, rawItems) {
+  const items = parseItems(rawItems);
+  if (!items.length) return [];
+
+  const [rows] = await tx.query(
+    `SELECT * FROM spare_parts WHERE id IN (${items.map(() => '?').join(', ')})`,
+    items.map(i => i.part_id)
+  );
+  const parts = new Map(rows.map(p => [p.id, p]));
+  for (const item of items) {
+    const part = parts.get(item.part_id);
+    if (!part || !part.is_active || part.location !== ticket.location) {
+      throw fail(400, `The selected spare part is not in the store of ${ticket.location}. Reload the page and try again.`);
+    }
+  }
+
+  const consumed = [];
+  for (const item of items) {
+    const part = parts.get(item.part_id);
+    const [, result] = await tx.query(
+      `UPDATE spare_parts SET on_hand = on_hand - ?, updated_at = GETDATE() WHERE id = ? AND on_hand >= ?`,
+      [item.quantity, part.id, item.quantity]
+    );
+    if (result.rowsAffected[0] === 0) {
+      const [[current]] = await tx.query(`SELECT on_hand FROM spare_parts WHERE id = ?`, [part.id]);
+      throw fail(400, `Only ${Number(current.on_hand)} ${part.unit} of ${part.part_no} (${part.name}) on hand.`);
+    }
+    const movementId = await recordMovement(tx, part, user, { quantity: -item.quantity, kind: 'consumption', ticketId: ticket.id });
+    consumed.push({ part_id: part.id, quantity: item.quantity, movement_id: movementId });
+  }
+  return consumed;
+}
+
+/**
+ * usageReport(location, from, to)
+ * Parts consumed on the location's tickets in [from, to), valued at the cost when taken:
+ * totals, and the quantity and cost per building, per asset and per part.
+ */
+async function usageReport(location, from, to) {
+  const [rows] = await db.query(
+    `
+    SELECT m.part_id, m.quantity, m.unit_cost, m.ticket_id,
+           p.part_no, p.name, p.unit,
+           t.building_no, t.asset_id, a.tag AS asset_tag, a.name AS asset_name
+    FROM stock_movements m
+    JOIN spare_parts p ON p.id = m.part_id
+    LEFT JOIN tickets t ON t.id = m.ticket_id
+    LEFT JOIN assets a ON a.id = t.asset_id
+    WHERE p.location = ? AND m.kind = 'consumption' AND m.created_at >= ? AND m.created_at < ?
+    ORDER BY m.created_at
+    `,
+    [location, from, to]
+  );
+
+  const round = n => Math.round(n * 100) / 100;
+  const group = () => new Map();
+  const add = (groups, key, fields, row) => {
+    if (!groups.has(key)) groups.set(key, { ...fields, tickets: new Set(), quantity: 0, cost: 0 });
+    const entry = groups.get(key);
+    entry.tickets.add(row.ticket_id);
+    entry.quantity += row.used;
+    entry.cost += row.cost;
+  };
+  const list = groups =>
+    [...groups.values()]
+      .map(({ tickets, ...entry }) => ({ ...entry, tickets: tickets.size, quantity: round(entry.quantity), cost: round(entry.cost) }))
+      .sort((a, b) => b.cost - a.cost);
+
+  const buildings = group();
+  const assets = group();
+  const parts = group();
+  const tickets = new Set();
+  let cost = 0;
+
+  for (const row of rows) {
+    row.used = -Number(row.quantity);
+    row.cost = row.used * Number(row.unit_cost || 0);
+    tickets.add(row.ticket_id);
+    cost += row.cost;
+
+    add(buildings, row.building_no || '', { building: row.building_no || null }, row);
+    if (row.asset_id) add(assets, row.asset_id, { asset_id: row.asset_id, tag: row.asset_tag, name: row.asset_name }, row);
+    add(parts, row.part_id, { part_id: row.part_id, part_no: row.part_no, name: row.name, unit: row.unit }, row);
+  }
+
+  return {
+    totals: { cost: round(cost), tickets: tickets.size, lines: rows.length },
+    buildings: list(buildings),
+    assets: list(assets),
+    parts: list(parts)
+  };
+}
+
+module.exports = {
+  listParts,
+  partChoices,
+  getPart,
+  createPart,
+  updatePart,
+  receiveStock,
+  adjustStock,
+  setActive,
+  movements,
+  checkReorder,
+  parseItems,
+  consumeForTicket,
+  usageReport
+};
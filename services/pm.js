@@ -0,0 +1,400 @@
+// services/pm.js
+// Preventive maintenance: recurring plans on a master data node (see sql/016_preventive_maintenance.up.sql).
+// The scheduler raises each occurrence as a 'Preventive' ticket ahead of its due date, assigned to
+// the plan's technician, so PM work runs through the normal ticket flow. Compliance compares when
+// those tickets were completed with when they were due.
+// Refusals are thrown with err.status (400 invalid input, 404 plan not found in the user's locations).
+const db = require('../db');
+const access = require('./access');
+const masterData = require('./masterData');
+const assets = require('./assets');
+const sla = require('./sla');
+const { createTicket } = require('./tickets');
+const { notify } = require('./notifications');
+
+const RECURRENCES = ['daily', 'weekly', 'monthly', 'meter'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Occurrences raised per plan per run at most (catching up after the scheduler was down)
+const MAX_CATCH_UP = 31;
+// Ticket columns for the levels of the plan's node, top level first
+const PATH_COLUMNS = [
+  ['building_no', 'building_node_id'],
+  ['area_code', 'area_node_id'],
+  ['sub_area', 'sub_area_node_id']
+];
+const DONE_STATUSES = ['Resolved', 'Completed'];
+
+function fail(status, message) {
+  return Object.assign(new Error(message), { status });
+}
+
+function positiveNumber(value) {
+  const n = Number(value);
+  return value !== '' && value !== null && value !== undefined && Number.isFinite(n) && n > 0 ? n : null;
+}
+
+/**
+ * nextDueDate(date, recurrence, count)
+ * `date` moved on by `count` days / weeks / months, for time-based plans only (meter plans
+ * fall due on a reading, not a date). Months keep the day of month where the month has it
+ * (Jan 31 -> Feb 28 -> Mar 31).
+ */
+function nextDueDate(date, recurrence, count = 1, anchorDay = new Date(date).getUTCDate()) {
+  const next = new Date(date);
+  if (recurrence === 'daily') return new Date(next.getTime() + count * DAY_MS);
+  if (recurrence === 'weekly') return new Date(next.getTime() + count * 7 * DAY_MS);
+  if (recurrence !== 'monthly') throw new Error(`A ${recurrence} plan has no next due date`);
+
+  next.setUTCDate(1);
+  next.setUTCMonth(next.getUTCMonth() + count);
+  const daysInMonth = new Date(Date.UTC(next.getUTCFullYear(), next.getUTCMonth() + 1, 0)).getUTCDate();
+  next.setUTCDate(Math.min(anchorDay, daysInMonth));
+  return next;
+}
+
+// " › "-joined names of the node and its parents
+function pathLabel(path) {
+  return path ? path.map(n => n.name).join(' › ') : '(removed)';
+}
+
+/**
+ * listPlans(location)
+ * The location's plans (active first) with their node path, asset and assignee name.
+ */
+async function listPlans(location) {
+  const [plans] = await db.query(
+    `
+    SELECT p.*, u.name AS assigned_to_name, a.tag AS asset_tag, a.name AS asset_name
+    FROM pm_plans p
+    LEFT JOIN users u ON u.global_id = p.assigned_to
+    LEFT JOIN assets a ON a.id = p.asset_id
+    WHERE p.location = ?
+    ORDER BY p.is_active DESC, p.title
+    `,
+    [location]
+  );
+  for (const plan of plans) {
+    plan.node_path = pathLabel(await masterData.getPath(location, plan.node_id));
+  }
+  return plans;
+}
+
+async function getPlan(user, planId) {
+  const [rows] = await db.query(`SELECT * FROM pm_plans WHERE id = ?`, [Number(planId) || 0]);
+  const plan = rows[0];
+  if (!plan || !access.canAccessLocation(user, plan.location)) throw fail(404, 'Plan not found.');
+  return plan;
+}
+
+/**
+ * createPlan(user, fields)
+ * Adds a plan in fields.location (one of the user's) on a master data node (node_id) and / or an
+ * asset (asset_id; without a node the plan sits on the asset's node). Time based plans need the
+ * first due date (first_due), meter plans the unit, interval and the reading the first one is due at.
+ * Returns the new plan id.
+ */
+async function createPlan(user, fields = {}) {
+  const location = String(fields.location || user.location);
+  if (!access.canAccessLocation(user, location)) throw fail(400, `No access to ${location}.`);
+
+  const title = String(fields.title || '').trim();
+  if (!title) throw fail(400, 'Title is required.');
+  if (title.length > 255) throw fail(400, 'Title must be at most 255 characters.');
+
+  const assetId = await assets.resolveAsset(location, fields.asset_id, [fields.node_id]);
+  const nodeId = fields.node_id || (assetId && (await assets.getAsset(user, assetId)).node_id);
+  const path = await masterData.getPath(location, nodeId);
+  if (!path || path.some(n => !n.is_active) || path[0].depth !== 1) {
+    throw fail(400, `Pick a location node of ${location} from the master data, or an asset.`);
+  }
+
+  const recurrence = String(fields.recurrence || '');
+  if (!RECURRENCES.includes(recurrence)) throw fail(400, `Recurrence must be one of ${RECURRENCES.join(', ')}.`);
+
+  const leadDays = fields.lead_days === undefined || fields.lead_days === '' ? 0 : Number(fields.lead_days);
+  if (!Number.isInteger(leadDays) || leadDays < 0 || leadDays > 365) throw fail(400, 'Lead days must be 0 to 365.');
+
+  const priority = fields.priority ? String(fields.priority) : null;
+  if (priority && !sla.PRIORITIES.includes(priority)) throw fail(400, 'Invalid priority.');
+
+  const assignedTo = String(fields.assigned_to || '').trim() || null;
+  if (assignedTo && !(await access.canWorkAt(assignedTo, location))) {
+    throw fail(400, `The selected person does not work at ${location}.`);
+  }
+
+  const plan = { intervalCount: 1, nextDueAt: null, meterUnit: null, meterInterval: null, meterLead: null, nextDueMeter: null };
+  if (recurrence === 'meter') {
+    plan.meterUnit = String(fields.meter_unit || '').trim().slice(0, 30);
+    plan.meterInterval = positiveNumber(fields.meter_interval);
+    plan.nextDueMeter = positiveNumber(fields.first_due_meter);
+    plan.meterLead = fields.meter_lead ? Number(fields.meter_lead) : 0;
+    if (!plan.meterUnit || !plan.meterInterval || !plan.nextDueMeter) {
+      throw fail(400, 'Meter plans need the unit, the interval and the reading the first one is due at.');
+    }
+    if (!(plan.meterLead >= 0) || plan.meterLead >= plan.meterInterval) {
+      throw fail(400, 'Meter lead must be at least 0 and less than the interval.');
+    }
+  } else {
+    plan.intervalCount = Number(fields.interval_count || 1);
+    if (!Number.isInteger(plan.intervalCount) || plan.intervalCount < 1 || plan.intervalCount > 365) {
+      throw fail(400, 'Repeat every must be 1 to 365.');
+    }
+    plan.nextDueAt = fields.first_due ? new Date(fields.first_due) : null;
+    if (!plan.nextDueAt || isNaN(plan.nextDueAt)) throw fail(400, 'First due date is required.');
+  }
+
+  const [rows] = await db.query(
+    `
+    INSERT INTO pm_plans
+      (location, node_id, asset_id, title, instructions, recurrence, interval_count, lead_days, next_due_at,
+       meter_unit, meter_interval, meter_lead, next_due_meter, assigned_to, priority, is_active, created_by, created_at)
+    OUTPUT INSERTED.id
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 1, ?, GETDATE())
+    `,
+    [
+      location,
+      path[path.length - 1].id,
+      assetId,
+      title,
+      String(fields.instructions || '').trim() || null,
+      recurrence,
+      plan.intervalCount,
+      leadDays,
+      plan.nextDueAt,
+      plan.meterUnit,
+      plan.meterInterval,
+      plan.meterLead,
+      plan.nextDueMeter,
+      assignedTo,
+      priority,
+      user.globalId
+    ]
+  );
+  return rows[0].id;
+}
+
+/**
+ * setActive(user, planId, active)
+ * Pauses or resumes a plan. A resumed time based plan that fell behind restarts from its next
+ * future due date instead of raising every missed occurrence.
+ */
+async function setActive(user, planId, active) {
+  const plan = await getPlan(user, planId);
+  let nextDueAt = plan.next_due_at ? new Date(plan.next_due_at) : null;
+  if (active && nextDueAt && plan.recurrence !== 'meter') {
+    const anchorDay = nextDueAt.getUTCDate();
+    while (nextDueAt < new Date()) nextDueAt = nextDueDate(nextDueAt, plan.recurrence, plan.interval_count, anchorDay);
+  }
+  await db.query(`UPDATE pm_plans SET is_active = ?, next_due_at = ?, updated_at = GETDATE() WHERE id = ?`, [
+    active,
+    nextDueAt,
+    plan.id
+  ]);
+}
+
+// Raises one occurrence of the plan as a ticket; returns the ticket id
+async function raiseOccurrence(plan, dueAt, dueMeter = null) {
+  const [rows] = await db.query(
+    `INSERT INTO pm_occurrences (plan_id, due_at, due_meter, created_at) OUTPUT INSERTED.id VALUES (?, ?, ?, GETDATE())`,
+    [plan.id, dueAt, dueMeter]
+  );
+  const occurrenceId = rows[0].id;
+
+  const fields = { category: 'Preventive', priority: plan.priority, due_date: dueAt, asset_id: plan.asset_id };
+  const path = (await masterData.getPath(plan.location, plan.node_id)) || [];
+  path.slice(0, PATH_COLUMNS.length).forEach((node, i) => {
+    fields[PATH_COLUMNS[i][0]] = node.name;
+    fields[PATH_COLUMNS[i][1]] = node.id;
+  });
+
+  const due = dueMeter !== null ? `at ${dueMeter} ${plan.meter_unit}` : `by ${dueAt.toISOString().slice(0, 10)}`;
+  fields.description = `PM: ${plan.title} (due ${due})${plan.instructions ? `\n${plan.instructions}` : ''}`;
+
+  // Pre-assigned when the plan's technician still works there; otherwise the planners assign it
+  if (plan.assigned_to && (await access.canWorkAt(plan.assigned_to, plan.location))) {
+    fields.assigned_to = plan.assigned_to;
+    fields.planner_id = plan.created_by;
+  }
+
+  // Raised in the plan creator's name, who confirms the work once it is resolved
+  const raiser = { globalId: plan.created_by, name: 'Preventive maintenance', location: plan.location };
+  const ticketId = await createTicket(raiser, fields);
+  await db.query(`UPDATE pm_occurrences SET ticket_id = ? WHERE id = ?`, [ticketId, occurrenceId]);
+
+  if (fields.assigned_to) {
+    notify(fields.assigned_to, 'ticket_assigned', `🗓️ Preventive maintenance ticket #${ticketId} (${plan.title}) is due ${due}.`, {
+      url: '/dashboard/technician'
+    });
+  }
+  return ticketId;
+}
+
+/**
+ * generateDue(now)
+ * Raises the tickets of every active time based plan whose next occurrence is within its lead
+ * days, moving next_due_at on. A plan is claimed by moving its due date first, so two runs
+ * never raise the same occurrence. Returns the number of tickets raised.
+ */
+async function generateDue(now = new Date()) {
+  const [plans] = await db.query(
+    `
+    SELECT * FROM pm_plans
+    WHERE is_active = 1 AND recurrence <> 'meter' AND next_due_at IS NOT NULL
+      AND next_due_at <= DATEADD(day, lead_days, ?)
+    `,
+    [now]
+  );
+
+  let count = 0;
+  for (const plan of plans) {
+    const anchorDay = new Date(plan.next_due_at).getUTCDate();
+    let dueAt = new Date(plan.next_due_at);
+
+    for (let i = 0; i < MAX_CATCH_UP && dueAt.getTime() - plan.lead_days * DAY_MS <= now.getTime(); i++) {
+      const next = nextDueDate(dueAt, plan.recurrence, plan.interval_count, anchorDay);
+      const [, result] = await db.query(
+        `UPDATE pm_plans SET next_due_at = ? WHERE id = ? AND next_due_at = ? AND is_active = 1`,
+        [next, plan.id, dueAt]
+      );
+      if (result.rowsAffected[0] === 0) break; // changed in between (another run or an edit)
+
+      try {
+        await raiseOccurrence(plan, dueAt);
+        count++;
+      } catch (err) {
+        console.error(`❌ PM plan ${plan.id}: failed to raise the ticket due ${dueAt.toISOString()}:`, err);
+      }
+      dueAt = next;
+    }
+  }
+
+  if (count) console.log(`🗓️ Raised ${count} preventive maintenance ticket(s)`);
+  return count;
+}
+
+/**
+ * recordReading(user, planId, reading)
+ * Stores a meter reading of a meter plan and raises the occurrences it has reached (each due
+ * lead_days from now). Readings can't go backwards. Returns the number of tickets raised.
+ */
+async function recordReading(user, planId, reading) {
+  const plan = await getPlan(user, planId);
+  if (plan.recurrence !== 'meter') throw fail(400, 'Only meter based plans take readings.');
+
+  const value = Number(reading);
+  if (reading === '' || reading === null || reading === undefined || !Number.isFinite(value) || value < 0) {
+    throw fail(400, 'Enter the meter reading.');
+  }
+  if (plan.meter_reading !== null && value < Number(plan.meter_reading)) {
+    throw fail(400, `Reading can't be lower than the last one (${plan.meter_reading} ${plan.meter_unit}).`);
+  }
+
+  let dueMeter = Number(plan.next_due_meter);
+  const interval = Number(plan.meter_interval);
+  const reached = [];
+  while (plan.is_active && value >= dueMeter - Number(plan.meter_lead || 0) && reached.length < MAX_CATCH_UP) {
+    reached.push(dueMeter);
+    dueMeter += interval;
+  }
+
+  const [, result] = await db.query(
+    `
+    UPDATE pm_plans
+    SET meter_reading = ?, meter_read_at = GETDATE(), next_due_meter = ?, updated_at = GETDATE()
+    WHERE id = ? AND next_due_meter = ?
+    `,
+    [value, dueMeter, plan.id, plan.next_due_meter]
+  );
+  if (result.rowsAffected[0] === 0) throw fail(409, 'The plan changed in the meantime. Reload and try again.');
+
+  const dueAt = new Date(Date.now() + plan.lead_days * DAY_MS);
+  for (const due of reached) await raiseOccurrence(plan, dueAt, due);
+  return reached.length;
+}
+
+/**
+ * compliance(location, from, to, now)
+ * Occurrences of the location's plans due in [from, to): each classified as
+ * on_time / late (ticket completed after due_at) / overdue (not done, past due) / open (not yet due),
+ * with totals overall and per plan. compliance_pct = on time / (on time + late + overdue).
+ */
+async function compliance(location, from, to, now = new Date()) {
+  const [rows] = await db.query(
+    `
+    SELECT o.id, o.plan_id, o.due_at, o.due_meter, o.ticket_id,
+           p.title, p.recurrence, p.meter_unit,
+           t.status AS ticket_status, t.completed_at, t.assigned_to, u.name AS assigned_to_name
+    FROM pm_occurrences o
+    JOIN pm_plans p ON p.id = o.plan_id
+    LEFT JOIN tickets t ON t.id = o.ticket_id
+    LEFT JOIN users u ON u.global_id = t.assigned_to
+    WHERE p.location = ? AND o.due_at >= ? AND o.due_at < ?
+    ORDER BY o.due_at
+    `,
+    [location, from, to]
+  );
+
+  const empty = () => ({ on_time: 0, late: 0, overdue: 0, open: 0 });
+  const totals = empty();
+  const byPlan = new Map();
+
+  const occurrences = rows.map(row => {
+    const done = DONE_STATUSES.includes(row.ticket_status) && row.completed_at;
+    let state;
+    if (done) state = row.completed_at <= row.due_at ? 'on_time' : 'late';
+    else state = row.due_at < now ? 'overdue' : 'open';
+
+    if (!byPlan.has(row.plan_id)) byPlan.set(row.plan_id, { plan_id: row.plan_id, title: row.title, recurrence: row.recurrence, ...empty() });
+    byPlan.get(row.plan_id)[state]++;
+    totals[state]++;
+    return { ...row, state };
+  });
+
+  const withPct = counts => {
+    const counted = counts.on_time + counts.late + counts.overdue;
+    return { ...counts, compliance_pct: counted ? Math.round((counts.on_time / counted) * 1000) / 10 : null };
+  };
+
+  return {
+    totals: withPct(totals),
+    plans: [...byPlan.values()].map(withPct),
+    overdue: occurrences.filter(o => o.state === 'overdue'),
+    occurrences
+  };
+}
+
+/**
+ * startPmScheduler(intervalMinutes)
+ * Runs generateDue() every PM_CHECK_INTERVAL_MINUTES (default 60).
+ */
+function startPmScheduler(intervalMinutes = Number(process.env.PM_CHECK_INTERVAL_MINUTES) || 60) {
+  let running = false;
+
+  const run = async () => {
+    if (running) return; // previous run still busy
+    running = true;
+    try {
+      await generateDue();
+    } catch (err) {
+      console.error('❌ PM scheduler run failed:', err);
+    } finally {
+      running = false;
+    }
+  };
+
+  console.log(`🗓️ PM scheduler running every ${intervalMinutes} min`);
+  run();
+  return setInterval(run, intervalMinutes * 60 * 1000);
+}
+
+module.exports = {
+  RECURRENCES,
+  nextDueDate,
+  listPlans,
+  createPlan,
+  setActive,
+  generateDue,
+  recordReading,
+  compliance,
+  startPmScheduler
+};
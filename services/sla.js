@@ -0,0 +1,201 @@
+// services/sla.js
+// Ticket priority and SLA targets, plus the background job that flags breached
+// tickets and escalates them to the location admin (push + email).
+const db = require('../db');
+const { notifyMany } = require('./notifications');
+const access = require('./access');
+
+const PRIORITIES = ['Critical', 'High', 'Medium', 'Low'];
+
+// Used for locations that haven't set their own targets (minutes)
+const DEFAULT_TARGETS = {
+  Critical: { response_minutes: 30, resolution_minutes: 4 * 60 },
+  High: { response_minutes: 2 * 60, resolution_minutes: 24 * 60 },
+  Medium: { response_minutes: 8 * 60, resolution_minutes: 3 * 24 * 60 },
+  Low: { response_minutes: 24 * 60, resolution_minutes: 7 * 24 * 60 }
+};
+
+// Default priority per category, with keyword overrides (keywords as in the master data, see services/masterData.js)
+const PRIORITY_RULES = {
+  Safety: {
+    default: 'High',
+    keywords: {
+      'Fire Safety': 'Critical',
+      'Electrical Hazard': 'Critical',
+      'Chemical / Hazardous Material': 'Critical',
+      'First Aid / Medical Emergency': 'Critical',
+      'Near Miss': 'Medium',
+      'Ergonomics': 'Medium',
+      'Other': 'Medium'
+    }
+  },
+  Breakdown: { default: 'High' },
+  'Facility Service': {
+    default: 'Medium',
+    keywords: { 'Leakage': 'High', 'Accident': 'High', 'New': 'Low', 'Noisy': 'Low' }
+  },
+  // Quality corrective actions carry their severity as keyword
+  Quality: { default: 'Medium', keywords: { Critical: 'Critical', Major: 'High', Minor: 'Medium' } },
+  '5S': { default: 'Low' },
+  // Scheduled preventive maintenance (services/pm.js), unless the plan sets its own
+  Preventive: { default: 'Medium' }
+};
+
+/**
+ * defaultPriority(category, keyword)
+ * Priority a new ticket gets unless the caller sets one.
+ */
+function defaultPriority(category, keyword) {
+  const rule = PRIORITY_RULES[category];
+  if (!rule) return 'Medium';
+  return (rule.keywords && rule.keywords[keyword]) || rule.default;
+}
+
+/**
+ * getTargets(location)
+ * { priority: { response_minutes, resolution_minutes } } for every priority,
+ * the location's own targets where set and the defaults otherwise.
+ */
+async function getTargets(location) {
+  const [rows] = await db.query(
+    `SELECT priority, response_minutes, resolution_minutes FROM sla_targets WHERE location = ?`,
+    [location]
+  );
+
+  const targets = {};
+  PRIORITIES.forEach(p => {
+    const row = rows.find(r => r.priority === p);
+    targets[p] = row
+      ? { response_minutes: row.response_minutes, resolution_minutes: row.resolution_minutes, custom: true }
+      : { ...DEFAULT_TARGETS[p], custom: false };
+  });
+  return targets;
+}
+
+/**
+ * saveTargets(location, targets, user)
+ * Stores the location's targets ({ priority: { response_minutes, resolution_minutes } }).
+ * Only affects tickets raised (or re-prioritised) afterwards.
+ */
+async function saveTargets(location, targets, user) {
+  for (const priority of PRIORITIES) {
+    const t = targets[priority];
+    if (!t) continue;
+
+    const [, result] = await db.query(
+      `
+      UPDATE sla_targets
+      SET response_minutes = ?, resolution_minutes = ?, updated_by = ?, updated_at = GETDATE()
+      WHERE location = ? AND priority = ?
+      `,
+      [t.response_minutes, t.resolution_minutes, user.globalId, location, priority]
+    );
+
+    if (result.rowsAffected && result.rowsAffected[0] > 0) continue;
+
+    await db.query(
+      `
+      INSERT INTO sla_targets (location, priority, response_minutes, resolution_minutes, updated_by, updated_at)
+      VALUES (?, ?, ?, ?, ?, GETDATE())
+      `,
+      [location, priority, t.response_minutes, t.resolution_minutes, user.globalId]
+    );
+  }
+}
+
+/**
+ * targetFor(location, priority)
+ * { response_minutes, resolution_minutes } of `priority` at the location. The due times are
+ * added in SQL (DATEADD(MINUTE, ?, GETDATE())) so they use the same clock as the breach check.
+ */
+async function targetFor(location, priority) {
+  return (await getTargets(location))[priority] || DEFAULT_TARGETS.Medium;
+}
+
+// ------------------------------------------------------------------
+// Breach monitor
+// ------------------------------------------------------------------
+
+const BREACH_COLUMNS = { response: 'response_breached_at', resolution: 'resolution_breached_at' };
+
+// Escalate one breached ticket to every admin with access to its location
+async function escalate(ticket, kind) {
+  const admins = await access.usersCovering(ticket.location, ['admin']);
+
+  const what = kind === 'response' ? 'has not been picked up' : 'has not been resolved';
+  const message = `⏰ SLA breach: ${ticket.priority || ''} ticket #${ticket.id} (${ticket.category}, ${ticket.location}) ${what} in time. Status: ${ticket.status}.`;
+
+  await notifyMany(admins.map(a => a.global_id), 'sla_escalation', message, { url: '/dashboard/admin' });
+}
+
+/**
+ * checkBreaches()
+ * Flags tickets whose response (still Open) or resolution (not Resolved yet) deadline
+ * has passed, and escalates each one once. Returns the number of new breaches.
+ */
+async function checkBreaches() {
+  const queries = {
+    response: `
+      SELECT * FROM tickets
+      WHERE status = 'Open' AND response_due_at < GETDATE() AND response_breached_at IS NULL
+    `,
+    resolution: `
+      SELECT * FROM tickets
+      WHERE status NOT IN ('Resolved', 'Completed') AND resolution_due_at < GETDATE() AND resolution_breached_at IS NULL
+    `
+  };
+
+  let count = 0;
+  for (const kind of Object.keys(queries)) {
+    const [tickets] = await db.query(queries[kind]);
+
+    for (const ticket of tickets) {
+      const column = BREACH_COLUMNS[kind];
+      const [, result] = await db.query(
+        `UPDATE tickets SET ${column} = GETDATE() WHERE id = ? AND ${column} IS NULL`,
+        [ticket.id]
+      );
+      if (!result.rowsAffected || result.rowsAffected[0] === 0) continue;
+
+      count++;
+      console.log(`⏰ Ticket ${ticket.id} breached its ${kind} SLA`);
+      await escalate(ticket, kind);
+    }
+  }
+  return count;
+}
+
+/**
+ * startSlaMonitor(intervalMinutes)
+ * Runs checkBreaches() every SLA_CHECK_INTERVAL_MINUTES (default 5).
+ */
+function startSlaMonitor(intervalMinutes = Number(process.env.SLA_CHECK_INTERVAL_MINUTES) || 5) {
+  let running = false;
+
+  const run = async () => {
+    if (running) return; // previous run still busy
+    running = true;
+    try {
+      await checkBreaches();
+    } catch (err) {
+      console.error('❌ SLA monitor run failed:', err);
+    } finally {
+      running = false;
+    }
+  };
+
+  console.log(`⏰ SLA monitor running every ${intervalMinutes} min`);
+  run();
+  return setInterval(run, intervalMinutes * 60 * 1000);
+}
+
+module.exports = {
+  PRIORITIES,
+  DEFAULT_TARGETS,
+  defaultPriority,
+  getTargets,
+  saveTargets,
+  targetFor,
+  checkBreaches,
+  startSlaMonitor
+};
@@ -0,0 +1,111 @@
+// services/spreadsheet.js
+// Tables to / from CSV and Excel (XLSX) files, so imports and exports accept either format.
+const ExcelJS = require('exceljs');
+const { parseCsv, toCsvLine } = require('./csv');
+
+const FORMATS = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+function isXlsx(filename) {
+  return /\.xlsx$/i.test(filename || '');
+}
+
+/**
+ * readRows(buffer, filename)
+ * Rows of the uploaded file (first sheet for XLSX) keyed by the trimmed, lower-cased header,
+ * each with its row number `line` (header = 1). Blank rows are dropped.
+ */
+async function readRows(buffer, filename) {
+  let table;
+  if (isXlsx(filename)) {
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(buffer);
+    const sheet = workbook.worksheets[0];
+    table = [];
+    sheet?.eachRow({ includeEmpty: true }, (row, number) => {
+      const values = [];
+      row.eachCell({ includeEmpty: true }, (cell, col) => { values[col - 1] = cell.text; });
+      table[number - 1] = Array.from(values, v => v || '');
+    });
+    table = Array.from(table, r => r || []);
+  } else {
+    table = parseCsv(buffer.toString('utf8'));
+  }
+
+  const [header, ...rows] = table;
+  if (!header) return [];
+  const keys = header.map(h => String(h).trim().toLowerCase());
+  return rows
+    .map((r, i) => {
+      const obj = { line: i + 2 };
+      keys.forEach((k, j) => { if (k) obj[k] = String(r[j] ?? '').trim(); });
+      return obj;
+    })
+    .filter(obj => keys.some(k => k && obj[k] !== ''));
+}
+
+// Thrown by write() once the client went away, so the caller stops reading (and the db stream
+// cancels its request) instead of waiting for a 'drain' that never comes
+function cancelled() {
+  return Object.assign(new Error('The download was cancelled by the client.'), { cancelled: true });
+}
+
+// Resolves on 'drain', rejects when the response closes or fails first
+function drained(res) {
+  return new Promise((resolve, reject) => {
+    const settle = err => {
+      res.off('drain', onDrain);
+      res.off('close', onClose);
+      res.off('error', onClose);
+      if (err) reject(err);
+      else resolve();
+    };
+    const onDrain = () => settle();
+    const onClose = () => settle(cancelled());
+    res.on('drain', onDrain);
+    res.on('close', onClose);
+    res.on('error', onClose);
+  });
+}
+
+/**
+ * tableWriter(res, format, filename, header)
+ * Streams a table as a CSV or XLSX download. Returns { write(values), end() };
+ * write() resolves when the row is handed to the response and rejects (err.cancelled)
+ * once the client has cancelled the download.
+ */
+function tableWriter(res, format, filename, header) {
+  const type = FORMATS[format] ? format : 'csv';
+  res.setHeader('Content-Type', FORMATS[type]);
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}.${type}"`);
+
+  if (type === 'csv') {
+    res.write(toCsvLine(header));
+    return {
+      write: async values => {
+        if (res.destroyed) throw cancelled();
+        if (!res.write(toCsvLine(values))) await drained(res);
+      },
+      end: async () => res.end()
+    };
+  }
+
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+  const sheet = workbook.addWorksheet(filename.slice(0, 31));
+  sheet.columns = header.map(h => ({ header: h, key: h, width: Math.max(12, String(h).length + 2) }));
+  sheet.getRow(1).font = { bold: true };
+  return {
+    write: async values => {
+      if (res.destroyed) throw cancelled();
+      sheet.addRow(values).commit();
+    },
+    end: async () => {
+      sheet.commit();
+      await workbook.commit();
+    }
+  };
+}
+
+module.exports = { FORMATS, readRows, tableWriter };
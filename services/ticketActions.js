@@ -0,0 +1,383 @@
+// services/ticketActions.js
+// The ticket workflow: submit, assign, prioritise, start, complete, confirm, reopen and comment.
+// Used by the dashboard form posts and the JSON API (routes/api.js) alike. Each action checks
+// that the user may do it, changes the ticket, records the timeline event and notifies the next person.
+// Refusals are thrown as errors carrying an HTTP status (err.status): 400 invalid input,
+// 403 not the user's to do, 404 ticket not found (or not visible), 409 wrong ticket status.
+const db = require('../db');
+const sla = require('./sla');
+const access = require('./access');
+const attachments = require('./attachments');
+const masterData = require('./masterData');
+const assets = require('./assets');
+const parts = require('./parts');
+const { notify, notifyMany } = require('./notifications');
+const { createTicket, getTicket, recordEvent, addComment, ticketParties, commentRecipients, canViewTicket } = require('./tickets');
+
+const CLOSED_STATUSES = ['Resolved', 'Completed'];
+// Statuses work can be completed from (a reopened ticket is assigned again)
+const WORKABLE_STATUSES = ['Assigned', 'In Progress'];
+
+function fail(status, message) {
+  return Object.assign(new Error(message), { status });
+}
+
+const notFound = () => fail(404, 'Ticket not found or no permission.');
+
+// False when an UPDATE matched no row (the ticket changed in between)
+function updated(result) {
+  return !Array.isArray(result?.rowsAffected) || result.rowsAffected[0] !== 0;
+}
+
+// The assignee, or a planner / admin of the ticket's location
+function canWorkOn(user, ticket) {
+  return !!ticket && (ticket.assigned_to === user.globalId || access.canManageTicket(user, ticket));
+}
+
+/**
+ * submitTicket(user, fields, files)
+ * Raises a ticket from the ticket form fields (category, description, downtime_start, the
+ * master data ids building_id, area_id, sub_area_id, keyword_id and optionally the asset_id of an
+ * asset standing there) with `files` as 'before' photos.
+ * The files are discarded when the ticket is refused. Returns the new ticket id.
+ */
+async function submitTicket(user, fields = {}, files = []) {
+  try {
+    let category = fields.category;
+    if (category === 'Facility' || category === 'Facility Service') category = 'Facility Service';
+    else if (!category) category = 'Other';
+
+    // Location and keyword are picked from the master data by id; the names are taken from there
+    const selection = await masterData.resolveSelection(user.location, category, fields);
+    const { building_no, area_code, sub_area, keyword } = selection;
+
+    if (category === 'Facility Service' && (!building_no || !area_code || !sub_area || !keyword)) {
+      throw fail(400, 'Missing required Facility Service fields.');
+    }
+
+    // Breakdown requires the breakdown area, the machine and when it went down
+    let downtimeStart = null;
+    if (category === 'Breakdown') {
+      downtimeStart = fields.downtime_start ? new Date(fields.downtime_start) : null;
+      if (!building_no || !area_code || !downtimeStart || isNaN(downtimeStart)) {
+        throw fail(400, 'Missing required Breakdown fields (area, machine and downtime start).');
+      }
+    }
+
+    const assetId = await assets.resolveAsset(user.location, fields.asset_id, [
+      selection.building_node_id,
+      selection.area_node_id,
+      selection.sub_area_node_id
+    ]);
+
+    const ticketId = await createTicket(user, {
+      ...selection,
+      asset_id: assetId,
+      category,
+      description: fields.description,
+      downtime_start: downtimeStart,
+    });
+
+    await attachments.saveAttachments(ticketId, files, user, 'before');
+
+    notify(user.globalId, 'ticket_submitted', `✅ Your ticket #${ticketId} has been submitted successfully.`, {
+      url: '/dashboard/user',
+    });
+    return ticketId;
+  } catch (err) {
+    attachments.discardFiles(files);
+    throw err;
+  }
+}
+
+/**
+ * assignTicket(user, ticketId, executerId)
+ * Planner / admin (de)assigns the ticket to someone working at its location.
+ * Assigning a resolved or completed ticket reopens it.
+ */
+async function assignTicket(user, ticketId, executerId) {
+  if (!ticketId || !executerId) throw fail(400, 'Missing ticketId or executerId');
+
+  const before = await getTicket(ticketId);
+  if (!access.canManageTicket(user, before)) throw notFound();
+  if (!(await access.canWorkAt(executerId, before.location))) {
+    throw fail(400, `The selected person does not work at ${before.location}.`);
+  }
+
+  await db.query(
+    `
+    UPDATE tickets
+    SET assigned_to = ?, planner_id = ?, status = 'Assigned', updated_at = GETDATE()
+    WHERE id = ?
+    `,
+    [executerId, user.globalId, before.id]
+  );
+
+  // Assigning a resolved / completed ticket again puts it back into work
+  if (CLOSED_STATUSES.includes(before.status)) {
+    await recordEvent(before.id, 'reopened', user, {
+      from_status: before.status,
+      to_status: 'Assigned',
+      assigned_to: before.assigned_to,
+    });
+    await db.query(`UPDATE tickets SET reopen_count = reopen_count + 1, closed_at = NULL WHERE id = ?`, [before.id]);
+  }
+
+  await recordEvent(before.id, before.assigned_to ? 'reassigned' : 'assigned', user, {
+    from_status: before.status,
+    to_status: 'Assigned',
+    assigned_to: executerId,
+  });
+
+  notify(executerId, 'ticket_assigned', `📌 Ticket ID ${before.id} has been assigned to you.`, {
+    url: '/dashboard/technician',
+  });
+}
+
+/**
+ * setPriority(user, ticketId, priority)
+ * Planner / admin changes the priority; SLA due times are recalculated from when the
+ * ticket was raised and the breach flags cleared so the SLA monitor re-checks them.
+ */
+async function setPriority(user, ticketId, priority) {
+  if (!ticketId || !sla.PRIORITIES.includes(priority)) throw fail(400, 'Missing ticketId or invalid priority');
+
+  const before = await getTicket(ticketId);
+  if (!access.canManageTicket(user, before)) throw notFound();
+  if (before.priority === priority) return;
+
+  const target = await sla.targetFor(before.location, priority);
+  await db.query(
+    `
+    UPDATE tickets
+    SET priority = ?,
+        response_due_at = DATEADD(MINUTE, ?, created_at),
+        resolution_due_at = DATEADD(MINUTE, ?, created_at),
+        response_breached_at = NULL, resolution_breached_at = NULL, updated_at = GETDATE()
+    WHERE id = ?
+    `,
+    [priority, target.response_minutes, target.resolution_minutes, before.id]
+  );
+
+  await recordEvent(before.id, 'priority_changed', user, {
+    note: `${before.priority || '-'} → ${priority}`,
+  });
+}
+
+/**
+ * startTicket(user, ticketId)
+ * The assignee (or a planner / admin of the location) starts work; the raiser is told.
+ */
+async function startTicket(user, ticketId) {
+  if (!ticketId) throw fail(400, 'Missing ticketId');
+
+  const before = await getTicket(ticketId);
+  if (!canWorkOn(user, before)) throw notFound();
+  if (before.status !== 'Assigned') throw fail(409, 'Only an assigned ticket can be started.');
+
+  const [, result] = await db.query(
+    `UPDATE tickets SET status = ?, started_at = GETDATE(), updated_at = GETDATE() WHERE id = ? AND status = 'Assigned'`,
+    ['In Progress', before.id]
+  );
+  if (!updated(result)) throw fail(409, 'Only an assigned ticket can be started.');
+
+  await recordEvent(before.id, 'started', user, {
+    from_status: before.status,
+    to_status: 'In Progress',
+  });
+
+  if (before.global_id) {
+    notify(before.global_id, 'ticket_progress', `Your ticket #${before.id} has been started by the technician.`, {
+      url: '/dashboard/user',
+    });
+  }
+}
+
+/**
+ * completeTicket(user, ticketId, { completion_note, downtime_end, root_cause, repair_cost, parts }, files)
+ * Resolves the ticket with `files` as 'after' photos; the raiser then confirms or reopens it.
+ * Breakdown tickets must record when the machine came back up and why it failed.
+ * repair_cost (optional) is what the work cost besides the technician's time, e.g. a contractor.
+ * parts (optional) are the spare parts used, taken out of the store (services/parts.js consumeForTicket).
+ * The files are discarded when the completion is refused.
+ */
+async function completeTicket(user, ticketId, fields = {}, files = []) {
+  try {
+    if (!ticketId) throw fail(400, 'Missing ticketId');
+    const { completion_note, downtime_end, root_cause } = fields;
+
+    const repairCost = fields.repair_cost === undefined || fields.repair_cost === '' ? null : Number(fields.repair_cost);
+    if (repairCost !== null && !(repairCost >= 0 && repairCost < 1e10)) throw fail(400, 'Repair cost must be an amount of 0 or more.');
+
+    const ticket = await getTicket(ticketId);
+    if (!canWorkOn(user, ticket)) throw notFound();
+    if (!WORKABLE_STATUSES.includes(ticket.status)) throw fail(409, 'Only an assigned or in-progress ticket can be completed.');
+
+    let downtimeEnd = null;
+    if (ticket.category === 'Breakdown') {
+      downtimeEnd = downtime_end ? new Date(downtime_end) : null;
+      if (!downtimeEnd || isNaN(downtimeEnd) || !root_cause) {
+        throw fail(400, 'Breakdown tickets need downtime end and root cause.');
+      }
+      if (ticket.downtime_start && downtimeEnd < new Date(ticket.downtime_start)) {
+        throw fail(400, 'Downtime end cannot be before downtime start.');
+      }
+    }
+
+    // The parts are taken in the same transaction as the status change: a short part refuses the
+    // completion, and a completion refused (completed in between, e.g. a double submit) takes no parts
+    const consumed = await db.transaction(async tx => {
+      const taken = await parts.consumeForTicket(tx, user, ticket, fields.parts);
+      const [, result] = await tx.query(
+        `
+        UPDATE tickets
+        SET status = 'Resolved',
+            completion_note = ?,
+            downtime_end = ?,
+            root_cause = ?,
+            repair_cost = ?,
+            updated_at = GETDATE(),
+            completed_at = GETDATE()
+        WHERE id = ? AND status IN ('Assigned', 'In Progress')
+        `,
+        [completion_note || null, downtimeEnd, root_cause || null, repairCost, ticket.id]
+      );
+      if (!updated(result)) throw fail(409, 'Only an assigned or in-progress ticket can be completed.');
+      return taken;
+    });
+    if (consumed.length) {
+      console.log(`🔩 ${user.globalId} used ${consumed.length} spare part(s) on ticket ${ticket.id}`);
+      for (const item of consumed) await parts.checkReorder(item.part_id);
+    }
+
+    await attachments.saveAttachments(ticket.id, files, user, 'after');
+
+    await recordEvent(ticket.id, 'completed', user, {
+      from_status: ticket.status,
+      to_status: 'Resolved',
+      note: completion_note || null,
+    });
+
+    // Completing a reopened ticket with a different note keeps the earlier note in the timeline
+    if (ticket.completion_note && ticket.completion_note !== (completion_note || null)) {
+      await recordEvent(ticket.id, 'note_changed', user, {
+        note: `${ticket.completion_note} → ${completion_note || '-'}`,
+      });
+    }
+
+    if (ticket.global_id) {
+      notify(
+        ticket.global_id,
+        'ticket_progress',
+        `Your ticket #${ticket.id} has been resolved by the technician. Please confirm or reopen it.`,
+        { url: '/dashboard/user' }
+      );
+    }
+  } catch (err) {
+    attachments.discardFiles(files);
+    throw err;
+  }
+}
+
+// A resolved ticket the user raised (for confirm / reopen)
+async function raisedResolvedTicket(user, ticketId, action) {
+  const ticket = await getTicket(ticketId);
+  if (!ticket || !canViewTicket(user, ticket)) throw notFound();
+  if (ticket.global_id !== user.globalId) throw fail(403, `Only the person who raised the ticket can ${action} it.`);
+  if (ticket.status !== 'Resolved') throw fail(409, `Only a resolved ticket can be ${action}ed.`);
+  return ticket;
+}
+
+/**
+ * confirmTicket(user, ticketId)
+ * The raiser confirms the fix, closing the ticket.
+ */
+async function confirmTicket(user, ticketId) {
+  const ticket = await raisedResolvedTicket(user, ticketId, 'confirm');
+
+  const [, result] = await db.query(
+    `UPDATE tickets SET status = 'Completed', closed_at = GETDATE(), updated_at = GETDATE() WHERE id = ? AND status = 'Resolved'`,
+    [ticket.id]
+  );
+  if (!updated(result)) throw fail(409, 'Only a resolved ticket can be confirmed.');
+
+  await recordEvent(ticket.id, 'confirmed', user, {
+    from_status: 'Resolved',
+    to_status: 'Completed',
+  });
+
+  if (ticket.assigned_to) {
+    notify(ticket.assigned_to, 'ticket_progress', `👍 Ticket ID ${ticket.id} was confirmed as fixed by the raiser.`, {
+      url: '/dashboard/technician',
+    });
+  }
+}
+
+/**
+ * reopenTicket(user, ticketId, reason)
+ * The raiser reopens a resolved ticket (reason required); it goes back to the technician who worked on it.
+ */
+async function reopenTicket(user, ticketId, reason) {
+  reason = String(reason || '').trim();
+  if (!reason) throw fail(400, 'Please tell us why the ticket is being reopened.');
+
+  const ticket = await raisedResolvedTicket(user, ticketId, 'reopen');
+  const status = ticket.assigned_to ? 'Assigned' : 'Open';
+
+  const [, result] = await db.query(
+    `
+    UPDATE tickets
+    SET status = ?, reopen_count = reopen_count + 1, closed_at = NULL, updated_at = GETDATE()
+    WHERE id = ? AND status = 'Resolved'
+    `,
+    [status, ticket.id]
+  );
+  if (!updated(result)) throw fail(409, 'Only a resolved ticket can be reopened.');
+
+  await recordEvent(ticket.id, 'reopened', user, {
+    from_status: 'Resolved',
+    to_status: status,
+    assigned_to: ticket.assigned_to,
+    note: reason,
+  });
+
+  notifyMany(
+    ticketParties(ticket).filter(id => id !== user.globalId),
+    'ticket_reopened',
+    `♻️ Ticket ID ${ticket.id} was reopened by the raiser: ${reason}`
+  );
+}
+
+/**
+ * commentOnTicket(user, ticketId, body)
+ * Adds a comment to a ticket the user can see and tells everyone else on it. Returns the comment.
+ */
+async function commentOnTicket(user, ticketId, body) {
+  body = String(body || '').trim();
+  if (!body) throw fail(400, 'Comment cannot be empty');
+
+  const ticket = await getTicket(ticketId);
+  if (!ticket || !canViewTicket(user, ticket)) throw fail(404, 'Ticket not found');
+
+  const comment = await addComment(ticket.id, user, body);
+
+  const preview = body.length > 80 ? `${body.slice(0, 77)}...` : body;
+  notifyMany(
+    await commentRecipients(ticket, user),
+    'ticket_comment',
+    `💬 ${user.name || 'Someone'} on ticket #${ticket.id}: ${preview}`
+  );
+  return comment;
+}
+
+module.exports = {
+  canWorkOn,
+  submitTicket,
+  assignTicket,
+  setPriority,
+  startTicket,
+  completeTicket,
+  confirmTicket,
+  reopenTicket,
+  commentOnTicket
+};
@@ -0,0 +1,210 @@
+// services/ticketList.js
+// Paged, sorted and filtered ticket lists for the dashboards. Each dashboard list is a
+// "view": who may load it, which tickets it shows and the partial its rows render with.
+// The page renders the first page, GET /tickets/list the following ones (public/js/ticket-list.js).
+const db = require('../db');
+const access = require('./access');
+const parts = require('./parts');
+const { PRIORITIES } = require('./sla');
+const { parseFilters, ticketWhere } = require('./ticketExport');
+
+const ANY_ROLE = null;
+
+// Filter choices on the dashboards
+const STATUSES = ['Open', 'Not Assigned', 'Assigned', 'In Progress', 'Pending', 'Resolved', 'Completed'];
+const CATEGORIES = ['Facility Service', 'Breakdown', 'Safety', 'Quality', '5S', 'Preventive', 'Other'];
+
+const VIEWS = {
+  admin: {
+    roles: ['admin'],
+    partial: 'partials/tickets-admin'
+  },
+  'planner-open': {
+    roles: ['planner', 'admin'],
+    partial: 'partials/tickets-planner-open',
+    where: () => ({ sql: `(t.assigned_to IS NULL OR t.status = 'Not Assigned')`, params: [] }),
+    locals: async user => ({ technicians: await access.staffFor(user), priorities: PRIORITIES }),
+    defaults: { sort: 'priority', dir: 'asc' }
+  },
+  'planner-assigned': {
+    roles: ['planner', 'admin'],
+    partial: 'partials/tickets-planner-assigned',
+    where: () => ({ sql: `t.assigned_to IS NOT NULL AND t.status <> 'Not Assigned'`, params: [] }),
+    locals: async () => ({ priorities: PRIORITIES })
+  },
+  technician: {
+    roles: ['technician', 'planner', 'admin'],
+    partial: 'partials/tickets-technician',
+    where: user => ({ sql: 't.assigned_to = ?', params: [user.globalId] }),
+    locals: async user => ({ spareParts: await parts.partChoices(user) }),
+    defaults: { hide_completed: '1' }
+  },
+  user: {
+    roles: ANY_ROLE,
+    partial: 'partials/tickets-user',
+    where: user => ({ sql: '(t.global_id = ? OR t.assigned_to = ?)', params: [user.globalId, user.globalId] })
+  }
+};
+
+// Highest priority first; within a priority machines that are down
+const PRIORITY_ORDER = `CASE t.priority ${PRIORITIES.map((p, i) => `WHEN '${p}' THEN ${i}`).join(' ')} ELSE ${PRIORITIES.length} END`;
+
+const SORTS = {
+  created_at: 't.created_at',
+  id: 't.id',
+  priority: PRIORITY_ORDER,
+  status: 't.status',
+  category: 't.category',
+  building: 't.building_no',
+  keyword: 't.keyword',
+  assignee: 'u.name',
+  completed_at: 't.completed_at'
+};
+const SECONDARY_SORTS = { priority: `CASE WHEN t.category = 'Breakdown' THEN 0 ELSE 1 END` };
+
+// Sort choices of the card lists ("sort:dir")
+const SORT_CHOICES = [
+  ['created_at:desc', 'Newest first'],
+  ['created_at:asc', 'Oldest first'],
+  ['priority:asc', 'Priority'],
+  ['status:asc', 'Status'],
+  ['category:asc', 'Category'],
+  ['building:asc', 'Building']
+];
+
+const PAGE_SIZES = [10, 25, 50, 100];
+const MAX_SEARCH_WORDS = 5;
+
+// LIKE pattern matching `text` anywhere (used with ESCAPE '\')
+function contains(text) {
+  return `%${text.replace(/[\\%_[]/g, '\\$&')}%`;
+}
+
+/**
+ * canView(user, view)
+ * Whether the user may load the dashboard list `view`.
+ */
+function canView(user, view) {
+  const config = VIEWS[view];
+  if (!config || !user) return false;
+  return config.roles === ANY_ROLE || config.roles.includes(user.role || user.department);
+}
+
+/**
+ * viewLocals(user, view)
+ * Extra locals the view's row partial needs (technicians to assign to, priorities, spare parts).
+ */
+async function viewLocals(user, view) {
+  const config = VIEWS[view];
+  return config?.locals ? config.locals(user) : {};
+}
+
+/**
+ * parseListQuery(view, query)
+ * Paging, sort and filters from the request query, on top of the view's defaults:
+ * page, pageSize, sort, dir, the ticketExport filters (status, category, from, to, location,
+ * assignee), building, keyword, q (search) and hide_completed.
+ */
+function parseListQuery(view, query = {}) {
+  const options = { ...(VIEWS[view]?.defaults || {}) };
+  Object.entries(query).forEach(([key, value]) => {
+    if (value !== undefined && value !== '') options[key] = value;
+  });
+
+  const text = value => (value && value !== 'All' ? String(value).trim() : null);
+  const pageSize = Number(options.pageSize);
+
+  return {
+    ...parseFilters(options),
+    page: Math.max(1, parseInt(options.page, 10) || 1),
+    pageSize: PAGE_SIZES.includes(pageSize) ? pageSize : 25,
+    sort: SORTS[options.sort] ? options.sort : 'created_at',
+    dir: String(options.dir).toLowerCase() === 'asc' ? 'asc' : 'desc',
+    building: text(options.building),
+    keyword: text(options.keyword),
+    q: text(options.q),
+    hide_completed: options.hide_completed === '1' || options.hide_completed === 'true'
+  };
+}
+
+/**
+ * listTickets(user, view, options)
+ * One page of the view's tickets at the user's locations, matching the parseListQuery() options.
+ * Returns { tickets, total, page, pageSize, pages, sort, dir }; tickets carry assigned_to_name
+ * and planner_name.
+ */
+async function listTickets(user, view, options) {
+  const config = VIEWS[view];
+  const { sql, params } = ticketWhere(user, options);
+  const where = [sql];
+  const add = (clause, ...values) => {
+    where.push(clause);
+    params.push(...values);
+  };
+
+  if (config.where) {
+    const own = config.where(user);
+    add(own.sql, ...own.params);
+  }
+  if (options.building) add(`t.building_no LIKE ? ESCAPE '\\'`, contains(options.building));
+  if (options.keyword) add(`t.keyword LIKE ? ESCAPE '\\'`, contains(options.keyword));
+  if (options.hide_completed) add(`t.status <> 'Completed'`);
+
+  // Every word must appear in the description, completion note or asset tag (a number also matches the ID)
+  if (options.q) {
+    options.q.split(/\s+/).slice(0, MAX_SEARCH_WORDS).forEach(word => {
+      const pattern = contains(word);
+      const text = `t.description LIKE ? ESCAPE '\\' OR t.completion_note LIKE ? ESCAPE '\\' OR a.tag LIKE ? ESCAPE '\\'`;
+      if (/^\d+$/.test(word)) add(`(t.id = ? OR ${text})`, Number(word), pattern, pattern, pattern);
+      else add(`(${text})`, pattern, pattern, pattern);
+    });
+  }
+
+  const from = `
+    FROM tickets t
+    LEFT JOIN users u ON t.assigned_to = u.global_id
+    LEFT JOIN users p ON t.planner_id = p.global_id
+    LEFT JOIN assets a ON t.asset_id = a.id
+    WHERE ${where.join(' AND ')}
+  `;
+
+  const [[{ total }]] = await db.query(`SELECT COUNT(*) AS total ${from}`, params);
+  const pages = Math.max(1, Math.ceil(total / options.pageSize));
+  const page = Math.min(options.page, pages);
+  const order = [`${SORTS[options.sort]} ${options.dir.toUpperCase()}`];
+  if (SECONDARY_SORTS[options.sort]) order.push(SECONDARY_SORTS[options.sort]);
+  order.push('t.id DESC');
+
+  const [tickets] = await db.query(
+    `
+    SELECT t.*, u.name AS assigned_to_name, p.name AS planner_name, a.tag AS asset_tag, a.name AS asset_name
+    ${from}
+    ORDER BY ${order.join(', ')}
+    OFFSET ? ROWS FETCH NEXT ? ROWS ONLY
+    `,
+    [...params, (page - 1) * options.pageSize, options.pageSize]
+  );
+
+  return { tickets, total, page, pageSize: options.pageSize, pages, sort: options.sort, dir: options.dir };
+}
+
+/**
+ * firstPage(user, view)
+ * The page a dashboard renders before its list is driven by fetch (view defaults, no filters).
+ */
+function firstPage(user, view) {
+  return listTickets(user, view, parseListQuery(view));
+}
+
+module.exports = {
+  VIEWS,
+  STATUSES,
+  CATEGORIES,
+  SORT_CHOICES,
+  PAGE_SIZES,
+  canView,
+  viewLocals,
+  parseListQuery,
+  listTickets,
+  firstPage
+};
@@ -0,0 +1,288 @@
+// services/tickets.js
+// Shared ticket operations used by the route modules, so every ticket
+// (user submitted, 5S findings, ...) is created through the same path.
+const db = require('../db');
+const sla = require('./sla');
+const access = require('./access');
+
+/**
+ * createTicket(user, fields)
+ * Inserts a ticket raised by `user` in the user's location.
+ * Tickets created with `fields.assigned_to` start out 'Assigned' (e.g. corrective
+ * actions with a known owner), everything else starts 'Open'.
+ * Priority defaults from category / keyword and fixes the SLA due times.
+ * Master data node ids (building_node_id, ...) are stored next to the names when given.
+ * Returns the new ticket id.
+ */
+async function createTicket(user, fields = {}) {
+  const status = fields.assigned_to ? 'Assigned' : 'Open';
+  const category = fields.category || 'Other';
+  const priority = sla.PRIORITIES.includes(fields.priority)
+    ? fields.priority
+    : sla.defaultPriority(category, fields.keyword);
+  const target = await sla.targetFor(user.location, priority);
+
+  const [rows] = await db.query(
+    `
+    INSERT INTO tickets
+      (global_id, raised_by, category, description, building_no, area_code, sub_area, keyword, location,
+       building_node_id, area_node_id, sub_area_node_id, keyword_node_id, asset_id,
+       downtime_start, assigned_to, planner_id, due_date, priority, response_due_at, resolution_due_at,
+       status, created_at, updated_at)
+    OUTPUT INSERTED.id
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?,
+            DATEADD(MINUTE, ?, GETDATE()), DATEADD(MINUTE, ?, GETDATE()), ?, GETDATE(), GETDATE())
+    `,
+    [
+      user.globalId,
+      user.name || null,
+      category,
+      fields.description || null,
+      fields.building_no || null,
+      fields.area_code || null,
+      fields.sub_area || null,
+      fields.keyword || null,
+      user.location || null,
+      fields.building_node_id || null,
+      fields.area_node_id || null,
+      fields.sub_area_node_id || null,
+      fields.keyword_node_id || null,
+      fields.asset_id || null,
+      fields.downtime_start || null,
+      fields.assigned_to || null,
+      fields.assigned_to ? (fields.planner_id || user.globalId) : null,
+      fields.due_date || null,
+      priority,
+      target.response_minutes,
+      target.resolution_minutes,
+      status,
+    ]
+  );
+
+  const ticketId = rows?.[0]?.id;
+
+  await recordEvent(ticketId, 'created', user, { to_status: 'Open' });
+  if (fields.assigned_to) {
+    await recordEvent(ticketId, 'assigned', user, {
+      from_status: 'Open',
+      to_status: status,
+      assigned_to: fields.assigned_to
+    });
+  }
+
+  return ticketId;
+}
+
+/**
+ * getTicket(ticketId)
+ * Current row of a ticket (or undefined), used to capture the "before" state of an update.
+ */
+async function getTicket(ticketId) {
+  const [rows] = await db.query('SELECT * FROM tickets WHERE id = ?', [ticketId]);
+  return rows?.[0];
+}
+
+/**
+ * getTicketDetails(ticketId)
+ * The ticket with the assignee's and planner's names (assigned_to_name, planner_name) and its asset
+ * (asset_tag, asset_name), as in the lists.
+ */
+async function getTicketDetails(ticketId) {
+  const [rows] = await db.query(
+    `
+    SELECT t.*, u.name AS assigned_to_name, p.name AS planner_name, a.tag AS asset_tag, a.name AS asset_name
+    FROM tickets t
+    LEFT JOIN users u ON t.assigned_to = u.global_id
+    LEFT JOIN users p ON t.planner_id = p.global_id
+    LEFT JOIN assets a ON t.asset_id = a.id
+    WHERE t.id = ?
+    `,
+    [ticketId]
+  );
+  return rows?.[0];
+}
+
+// Event types written to ticket_events
+const EVENT_TYPES = [
+  'created', 'assigned', 'reassigned', 'started', 'completed', 'reopened', 'note_changed', 'priority_changed',
+  'confirmed', 'auto_closed'
+];
+
+/**
+ * recordEvent(ticketId, type, actor, details)
+ * Appends an entry to the ticket's lifecycle history. `actor` is the user
+ * doing it (req.user); `details` may carry from_status, to_status, assigned_to and note.
+ * The ticket change itself has already happened, so a logging failure is reported, not thrown.
+ */
+async function recordEvent(ticketId, type, actor, details = {}) {
+  if (!EVENT_TYPES.includes(type)) {
+    throw new Error(`Unknown ticket event type: ${type}`);
+  }
+
+  try {
+    await db.query(
+      `
+      INSERT INTO ticket_events
+        (ticket_id, event_type, actor_id, actor_name, from_status, to_status, assigned_to, note, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, GETDATE())
+      `,
+      [
+        ticketId,
+        type,
+        actor?.globalId || null,
+        actor?.name || null,
+        details.from_status || null,
+        details.to_status || null,
+        details.assigned_to || null,
+        details.note || null,
+      ]
+    );
+  } catch (err) {
+    console.error(`❌ Failed to record '${type}' event for ticket ${ticketId}:`, err);
+  }
+}
+
+/**
+ * getEvents(ticketId)
+ * The ticket's history, oldest first, with the assignee's name resolved.
+ */
+async function getEvents(ticketId) {
+  const [rows] = await db.query(
+    `
+    SELECT e.*, u.name AS assigned_to_name
+    FROM ticket_events e
+    LEFT JOIN users u ON e.assigned_to = u.global_id
+    WHERE e.ticket_id = ?
+    ORDER BY e.created_at, e.id
+    `,
+    [ticketId]
+  );
+  return rows;
+}
+
+/**
+ * addComment(ticketId, author, body)
+ * Appends a comment to the ticket's thread and returns the stored row.
+ */
+async function addComment(ticketId, author, body) {
+  const [rows] = await db.query(
+    `
+    INSERT INTO ticket_comments (ticket_id, author_id, author_name, author_role, body, created_at)
+    OUTPUT INSERTED.*
+    VALUES (?, ?, ?, ?, ?, GETDATE())
+    `,
+    [ticketId, author.globalId, author.name || null, author.role || author.department || null, body]
+  );
+  return rows?.[0];
+}
+
+/**
+ * getComments(ticketId)
+ * The ticket's thread, oldest first.
+ */
+async function getComments(ticketId) {
+  const [rows] = await db.query(
+    `SELECT * FROM ticket_comments WHERE ticket_id = ? ORDER BY created_at, id`,
+    [ticketId]
+  );
+  return rows;
+}
+
+/**
+ * ticketParties(ticket)
+ * Users directly involved in a ticket: raiser, assigned technician and planner.
+ */
+function ticketParties(ticket) {
+  return [...new Set([ticket.global_id, ticket.assigned_to, ticket.planner_id].filter(Boolean))];
+}
+
+/**
+ * commentRecipients(ticket, author)
+ * Who is told about a comment: the ticket's parties and the admins covering its location,
+ * except the comment's author.
+ */
+async function commentRecipients(ticket, author) {
+  const admins = await access.usersCovering(ticket.location, ['admin']);
+  const ids = new Set([...ticketParties(ticket), ...admins.map(a => a.global_id)]);
+  ids.delete(author.globalId);
+  return [...ids];
+}
+
+/**
+ * canViewTicket(user, ticket)
+ * Raiser and assignee always; planners and admins within their locations.
+ */
+function canViewTicket(user, ticket) {
+  if (!user || !ticket) return false;
+  if (ticket.global_id === user.globalId || ticket.assigned_to === user.globalId) return true;
+  return access.canManageTicket(user, ticket);
+}
+
+// ------------------------------------------------------------------
+// Auto-close: resolved tickets the raiser never confirmed
+// ------------------------------------------------------------------
+
+const AUTO_CLOSE_DAYS = Number(process.env.TICKET_AUTO_CLOSE_DAYS) || 3;
+
+/**
+ * autoCloseResolved(days)
+ * Closes tickets that have been 'Resolved' for more than `days` days.
+ * Returns the number of tickets closed.
+ */
+async function autoCloseResolved(days = AUTO_CLOSE_DAYS) {
+  const [tickets] = await db.query(
+    `SELECT id FROM tickets WHERE status = 'Resolved' AND completed_at < DATEADD(day, ?, GETDATE())`,
+    [-days]
+  );
+
+  let count = 0;
+  for (const ticket of tickets) {
+    const [, result] = await db.query(
+      `
+      UPDATE tickets SET status = 'Completed', closed_at = GETDATE(), updated_at = GETDATE()
+      WHERE id = ? AND status = 'Resolved'
+      `,
+      [ticket.id]
+    );
+    if (!result.rowsAffected || result.rowsAffected[0] === 0) continue;
+
+    count++;
+    await recordEvent(ticket.id, 'auto_closed', null, {
+      from_status: 'Resolved',
+      to_status: 'Completed',
+      note: `Not confirmed within ${days} day(s)`
+    });
+  }
+
+  if (count) console.log(`🔒 Auto-closed ${count} resolved ticket(s)`);
+  return count;
+}
+
+/**
+ * startAutoClose(intervalMinutes)
+ * Runs autoCloseResolved() every hour by default.
+ */
+function startAutoClose(intervalMinutes = 60) {
+  const run = () => autoCloseResolved().catch(err => console.error('❌ Auto-close run failed:', err));
+
+  console.log(`🔒 Resolved tickets auto-close after ${AUTO_CLOSE_DAYS} day(s)`);
+  run();
+  return setInterval(run, intervalMinutes * 60 * 1000);
+}
+
+module.exports = {
+  EVENT_TYPES,
+  AUTO_CLOSE_DAYS,
+  createTicket,
+  getTicket,
+  getTicketDetails,
+  recordEvent,
+  getEvents,
+  addComment,
+  getComments,
+  ticketParties,
+  commentRecipients,
+  canViewTicket,
+  autoCloseResolved,
+  startAutoClose
+};
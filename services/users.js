@@ -0,0 +1,249 @@
+// services/users.js
+// User accounts as managed by location admins. An admin only ever sees and changes
+// users whose home location is one of the admin's locations (see services/access.js).
+const bcrypt = require('bcrypt');
+const db = require('../db');
+const access = require('./access');
+const { parseCsvObjects } = require('./csv');
+
+const DEPARTMENTS = ['normal_user', 'technician', 'planner', 'admin'];
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * validateUser(fields, admin)
+ * Trimmed { global_id, name, email, phone, department, location } or { error }.
+ * A missing location means the admin's home location.
+ */
+function validateUser(fields, admin) {
+  const user = {
+    global_id: String(fields.global_id || '').trim(),
+    name: String(fields.name || '').trim(),
+    email: String(fields.email || '').trim(),
+    phone: String(fields.phone || '').trim(),
+    department: String(fields.department || '').trim(),
+    location: String(fields.location || '').trim() || admin.location
+  };
+
+  if (!user.global_id) return { error: 'Global ID is required.' };
+  if (user.global_id.length > 50) return { error: 'Global ID is too long.' };
+  if (!user.name) return { error: 'Name is required.' };
+  if (user.email && !EMAIL_RE.test(user.email)) return { error: `Invalid email: ${user.email}` };
+  if (!DEPARTMENTS.includes(user.department)) {
+    return { error: `Department must be one of ${DEPARTMENTS.join(', ')}.` };
+  }
+  if (user.location === access.ALL_LOCATIONS || !access.canAccessLocation(admin, user.location)) {
+    return { error: `Cannot manage users of ${user.location}.` };
+  }
+  return { user };
+}
+
+/**
+ * listUsers(admin)
+ * Users the admin manages, active first, with their extra locations.
+ * `registered` tells whether a password is set.
+ */
+async function listUsers(admin) {
+  const { sql, params } = access.scope(admin, 'u.location');
+  const [rows] = await db.query(
+    `
+    SELECT u.global_id, u.name, u.email, u.phone, u.department, u.location, u.is_active, u.deactivated_at,
+           u.created_at, u.updated_at, u.updated_by,
+           CASE WHEN u.password IS NULL THEN 0 ELSE 1 END AS registered
+    FROM users u
+    WHERE ${sql}
+    ORDER BY u.is_active DESC, u.location, u.name
+    `,
+    params
+  );
+
+  const [grants] = rows.length
+    ? await db.query(
+        `SELECT ul.global_id, ul.location FROM user_locations ul JOIN users u ON u.global_id = ul.global_id WHERE ${sql}`,
+        params
+      )
+    : [[]];
+  rows.forEach(u => {
+    u.extra_locations = grants.filter(g => g.global_id === u.global_id).map(g => g.location);
+  });
+  return rows;
+}
+
+async function getUser(globalId) {
+  const [rows] = await db.query(`SELECT * FROM users WHERE global_id = ?`, [globalId]);
+  return rows?.[0] || null;
+}
+
+/**
+ * checkLogin(globalId, password)
+ * { user } for a registered, active user with that password, otherwise { error }.
+ */
+async function checkLogin(globalId, password) {
+  if (!globalId || !password) return { error: 'Both fields are required' };
+
+  const user = await getUser(String(globalId).trim());
+  if (!user || !user.password) return { error: 'Invalid Global ID or unregistered user' };
+  if (!(await bcrypt.compare(password, user.password))) return { error: 'Incorrect password' };
+  if (user.is_active === false || user.is_active === 0) return { error: 'Your account has been deactivated. Contact admin.' };
+  return { user };
+}
+
+// The user, if their home location is one of the admin's (null otherwise). Throws when the user
+// has access the admin hasn't (another location's grant, or all locations): the admin can't
+// change, deactivate or reset them.
+async function getManagedUser(globalId, admin) {
+  const user = await getUser(globalId);
+  if (!user || !access.canAccessLocation(admin, user.location)) return null;
+
+  const beyond = (await access.getGrants(globalId))
+    .filter(l => !access.canAccessLocation(admin, l))
+    .map(l => (l === access.ALL_LOCATIONS ? 'all locations' : l));
+  if (beyond.length) throw new Error(`You cannot manage ${globalId}: they also have access to ${beyond.join(', ')}.`);
+  return user;
+}
+
+/**
+ * createUser(fields, admin)
+ * Adds a user (unregistered until they set a password via /register).
+ * Throws with a readable message if the Global ID is taken.
+ */
+async function createUser(fields, admin) {
+  const { user, error } = validateUser(fields, admin);
+  if (error) throw new Error(error);
+
+  if (await getUser(user.global_id)) {
+    throw new Error(`Global ID ${user.global_id} already exists.`);
+  }
+
+  await db.query(
+    `
+    INSERT INTO users (global_id, name, email, phone, department, location, is_active, created_at, updated_by)
+    VALUES (?, ?, ?, ?, ?, ?, 1, GETDATE(), ?)
+    `,
+    [user.global_id, user.name, user.email || null, user.phone || null, user.department, user.location, admin.globalId]
+  );
+  return user;
+}
+
+/**
+ * updateUser(globalId, fields, admin)
+ * Edits name, contact details, department and home location of a managed user.
+ * fields.extra_locations (array), when given, replaces the extra locations the admin can grant.
+ * Returns false if the admin doesn't manage that user.
+ */
+async function updateUser(globalId, fields, admin) {
+  const { user, error } = validateUser({ ...fields, global_id: globalId }, admin);
+  if (error) throw new Error(error);
+
+  if (globalId === admin.globalId && user.department !== 'admin') {
+    throw new Error('You cannot remove your own admin role.');
+  }
+  if (!(await getManagedUser(globalId, admin))) return false;
+
+  await db.query(
+    `
+    UPDATE users
+    SET name = ?, email = ?, phone = ?, department = ?, location = ?, updated_at = GETDATE(), updated_by = ?
+    WHERE global_id = ?
+    `,
+    [user.name, user.email || null, user.phone || null, user.department, user.location, admin.globalId, globalId]
+  );
+
+  if (Array.isArray(fields.extra_locations)) {
+    await access.setGrants(globalId, fields.extra_locations, admin);
+  }
+  access.forget(globalId);
+  return true;
+}
+
+/**
+ * setActive(globalId, active, admin)
+ * Deactivates (no login, no registration) or reactivates a managed user.
+ */
+async function setActive(globalId, active, admin) {
+  if (!active && globalId === admin.globalId) {
+    throw new Error('You cannot deactivate yourself.');
+  }
+  if (!(await getManagedUser(globalId, admin))) return false;
+
+  await db.query(
+    `
+    UPDATE users
+    SET is_active = ?, deactivated_at = ${active ? 'NULL' : 'GETDATE()'}, updated_at = GETDATE(), updated_by = ?
+    WHERE global_id = ?
+    `,
+    [active ? 1 : 0, admin.globalId, globalId]
+  );
+  access.forget(globalId);
+  return true;
+}
+
+/**
+ * resetRegistration(globalId, admin)
+ * Clears the password so the user can register again and choose a new one.
+ */
+async function resetRegistration(globalId, admin) {
+  if (!(await getManagedUser(globalId, admin))) return false;
+
+  await db.query(
+    `UPDATE users SET password = NULL, updated_at = GETDATE(), updated_by = ? WHERE global_id = ?`,
+    [admin.globalId, globalId]
+  );
+  return true;
+}
+
+/**
+ * importCsv(text, admin)
+ * Bulk create / update from CSV with a header row:
+ * global_id,name,email,phone,department[,location]
+ * Existing users the admin manages are updated, everything else is reported per line.
+ */
+async function importCsv(text, admin) {
+  const rows = parseCsvObjects(text);
+  const summary = { created: 0, updated: 0, errors: [] };
+
+  if (!rows.length) {
+    summary.errors.push({ line: 1, error: 'The file has no data rows.' });
+    return summary;
+  }
+  if (!('global_id' in rows[0]) || !('name' in rows[0]) || !('department' in rows[0])) {
+    summary.errors.push({ line: 1, error: 'Header must contain global_id, name and department.' });
+    return summary;
+  }
+
+  const seen = new Set();
+  for (const row of rows) {
+    try {
+      const { user, error } = validateUser(row, admin);
+      if (error) throw new Error(error);
+      if (seen.has(user.global_id)) throw new Error(`Duplicate Global ID ${user.global_id} in file.`);
+      seen.add(user.global_id);
+
+      const existing = await getUser(user.global_id);
+      if (!existing) {
+        await createUser(user, admin);
+        summary.created++;
+      } else if (!(await getManagedUser(user.global_id, admin))) {
+        throw new Error(`Global ID ${user.global_id} belongs to another location.`);
+      } else {
+        await updateUser(user.global_id, user, admin);
+        summary.updated++;
+      }
+    } catch (err) {
+      summary.errors.push({ line: row.line, error: err.message });
+    }
+  }
+  return summary;
+}
+
+module.exports = {
+  DEPARTMENTS,
+  validateUser,
+  listUsers,
+  getUser,
+  checkLogin,
+  createUser,
+  updateUser,
+  setActive,
+  resetRegistration,
+  importCsv
+};
@@ -0,0 +1,3 @@
+-- Not reversible: these are the production tables (users, tickets and the old registers) and
+-- dropping them would lose every account and ticket. An empty down script makes
+-- `npm run migrate -- down` stop here.
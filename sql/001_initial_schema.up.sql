@@ -0,0 +1,79 @@
+-- Initial schema: the tables as they were built by hand before migrations (users, tickets and
+-- the old breakdown / safety registers). Everything added since is in 002 onwards.
+-- A database built by hand runs `npm run migrate -- baseline 1` once, then `npm run migrate`;
+-- one that also had the former scripts sql/001..014 applied baselines to 015 instead.
+
+-- ==============================
+-- Users
+-- ==============================
+-- Accounts are created by a location admin without a password; the user sets it at /register.
+-- department is the role: normal_user / technician / planner / admin.
+CREATE TABLE users (
+  id          INT IDENTITY(1,1) PRIMARY KEY,
+  global_id   NVARCHAR(50) NOT NULL UNIQUE,
+  name        NVARCHAR(255) NOT NULL,
+  email       NVARCHAR(255) NULL,
+  phone       NVARCHAR(50) NULL,
+  password    NVARCHAR(255) NULL, -- bcrypt hash, NULL until registered
+  department  NVARCHAR(50) NOT NULL,
+  location    NVARCHAR(100) NOT NULL
+);
+
+-- The first admin of a new database (then register at /register to set the password):
+-- INSERT INTO users (global_id, name, department, location) VALUES ('<global id>', '<name>', 'admin', '<location>');
+
+-- ==============================
+-- Tickets
+-- ==============================
+-- Every request (Facility Service, Safety, Breakdown, 5S, Quality) is a ticket.
+-- status: Open / Assigned / In Progress / Resolved (waiting for the raiser) / Completed
+CREATE TABLE tickets (
+  id               INT IDENTITY(1,1) PRIMARY KEY,
+  global_id        NVARCHAR(50) NOT NULL,
+  raised_by        NVARCHAR(255) NULL,
+  category         NVARCHAR(50) NOT NULL,
+  description      NVARCHAR(MAX) NULL,
+  location         NVARCHAR(100) NULL,
+  building_no      NVARCHAR(255) NULL,
+  area_code        NVARCHAR(255) NULL,
+  sub_area         NVARCHAR(255) NULL,
+  keyword          NVARCHAR(255) NULL,
+  status           NVARCHAR(50) NOT NULL DEFAULT 'Open',
+  assigned_to      NVARCHAR(50) NULL,
+  planner_id       NVARCHAR(50) NULL,
+  completion_note  NVARCHAR(MAX) NULL,
+  created_at       DATETIME NOT NULL DEFAULT GETDATE(),
+  updated_at       DATETIME NULL,
+  started_at       DATETIME NULL,
+  completed_at     DATETIME NULL
+);
+
+-- Registers from before breakdowns and safety issues were raised as tickets. Nothing writes
+-- to them any more; the old records stay readable (the safety export lists them as stored).
+CREATE TABLE breakdown (
+  id          INT IDENTITY(1,1) PRIMARY KEY,
+  global_id   NVARCHAR(50) NULL,
+  raised_by   NVARCHAR(255) NULL,
+  location    NVARCHAR(100) NULL,
+  building_no NVARCHAR(255) NULL,
+  area_code   NVARCHAR(255) NULL,
+  sub_area    NVARCHAR(255) NULL,
+  keyword     NVARCHAR(255) NULL,
+  description NVARCHAR(MAX) NULL,
+  status      NVARCHAR(50) NULL,
+  created_at  DATETIME NULL DEFAULT GETDATE()
+);
+
+CREATE TABLE safety (
+  id          INT IDENTITY(1,1) PRIMARY KEY,
+  global_id   NVARCHAR(50) NULL,
+  raised_by   NVARCHAR(255) NULL,
+  location    NVARCHAR(100) NULL,
+  building_no NVARCHAR(255) NULL,
+  area_code   NVARCHAR(255) NULL,
+  sub_area    NVARCHAR(255) NULL,
+  keyword     NVARCHAR(255) NULL,
+  description NVARCHAR(MAX) NULL,
+  status      NVARCHAR(50) NULL,
+  created_at  DATETIME NULL DEFAULT GETDATE()
+);
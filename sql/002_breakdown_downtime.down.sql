@@ -0,0 +1 @@
+ALTER TABLE tickets DROP COLUMN downtime_start, downtime_end, root_cause;
@@ -0,0 +1,6 @@
+-- Breakdown tickets live in the tickets table (category = 'Breakdown').
+-- Downtime is recorded on the ticket itself: start at submission, end + root cause on completion.
+ALTER TABLE tickets ADD
+  downtime_start DATETIME NULL,
+  downtime_end   DATETIME NULL,
+  root_cause     NVARCHAR(MAX) NULL;
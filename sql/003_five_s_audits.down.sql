@@ -0,0 +1,5 @@
+-- Tickets raised by failed items stay (category '5S'); only the checklists and audits go.
+DROP TABLE five_s_audit_results;
+DROP TABLE five_s_audits;
+DROP TABLE five_s_checklist_items;
+DROP TABLE five_s_checklists;
@@ -0,0 +1,47 @@
+-- 5S audit module: admins define checklists per area, auditors score them.
+-- Failed items raise a ticket (category '5S') through the normal ticket flow.
+CREATE TABLE five_s_checklists (
+  id          INT IDENTITY(1,1) PRIMARY KEY,
+  location    NVARCHAR(100) NOT NULL,
+  name        NVARCHAR(255) NOT NULL,
+  building_no NVARCHAR(255) NOT NULL,
+  area_code   NVARCHAR(255) NULL,
+  sub_area    NVARCHAR(255) NULL,
+  is_active   BIT NOT NULL DEFAULT 1,
+  created_by  NVARCHAR(50) NULL,
+  created_at  DATETIME NOT NULL DEFAULT GETDATE()
+);
+
+CREATE TABLE five_s_checklist_items (
+  id           INT IDENTITY(1,1) PRIMARY KEY,
+  checklist_id INT NOT NULL REFERENCES five_s_checklists(id),
+  pillar       NVARCHAR(20) NOT NULL, -- Sort / Set / Shine / Standardize / Sustain
+  question     NVARCHAR(MAX) NOT NULL,
+  sort_order   INT NOT NULL DEFAULT 0
+);
+
+CREATE TABLE five_s_audits (
+  id           INT IDENTITY(1,1) PRIMARY KEY,
+  checklist_id INT NOT NULL REFERENCES five_s_checklists(id),
+  location     NVARCHAR(100) NOT NULL,
+  building_no  NVARCHAR(255) NOT NULL,
+  area_code    NVARCHAR(255) NULL,
+  sub_area     NVARCHAR(255) NULL,
+  auditor_id   NVARCHAR(50) NOT NULL,
+  auditor_name NVARCHAR(255) NULL,
+  total_score  INT NOT NULL,
+  max_score    INT NOT NULL,
+  score_pct    DECIMAL(5,2) NOT NULL,
+  created_at   DATETIME NOT NULL DEFAULT GETDATE()
+);
+
+CREATE TABLE five_s_audit_results (
+  id        INT IDENTITY(1,1) PRIMARY KEY,
+  audit_id  INT NOT NULL REFERENCES five_s_audits(id),
+  item_id   INT NOT NULL REFERENCES five_s_checklist_items(id),
+  pillar    NVARCHAR(20) NOT NULL,
+  score     INT NOT NULL,
+  passed    BIT NOT NULL,
+  remark    NVARCHAR(MAX) NULL,
+  ticket_id INT NULL
+);
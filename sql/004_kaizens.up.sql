@@ -0,0 +1,25 @@
+-- Kaizen suggestions: submitted by anyone, reviewed by planner/admin,
+-- implemented by an assigned technician who records the before/after result.
+CREATE TABLE kaizens (
+  id                INT IDENTITY(1,1) PRIMARY KEY,
+  location          NVARCHAR(100) NOT NULL,
+  global_id         NVARCHAR(50) NOT NULL,
+  raised_by         NVARCHAR(255) NULL,
+  title             NVARCHAR(255) NOT NULL,
+  problem_statement NVARCHAR(MAX) NOT NULL,
+  proposed_change   NVARCHAR(MAX) NOT NULL,
+  expected_benefit  NVARCHAR(MAX) NOT NULL,
+  status            NVARCHAR(30) NOT NULL DEFAULT 'Submitted', -- Submitted / Approved / Rejected / Assigned / Implemented
+  reviewer_id       NVARCHAR(50) NULL,
+  review_note       NVARCHAR(MAX) NULL,
+  reviewed_at       DATETIME NULL,
+  assigned_to       NVARCHAR(50) NULL,
+  assigned_by       NVARCHAR(50) NULL,
+  assigned_at       DATETIME NULL,
+  before_result     NVARCHAR(MAX) NULL,
+  after_result      NVARCHAR(MAX) NULL,
+  claimed_savings   DECIMAL(12,2) NULL,
+  implemented_at    DATETIME NULL,
+  created_at        DATETIME NOT NULL DEFAULT GETDATE(),
+  updated_at        DATETIME NOT NULL DEFAULT GETDATE()
+);
@@ -0,0 +1,6 @@
+-- Corrective action tickets stay (category 'Quality'), without their due date.
+DROP TABLE quality_nonconformities;
+DROP TABLE quality_audits;
+DROP TABLE quality_questions;
+DROP TABLE quality_question_sets;
+ALTER TABLE tickets DROP COLUMN due_date;
@@ -0,0 +1,47 @@
+-- Quality audits (process / product) with question sets per location.
+-- Each nonconformity becomes a corrective action ticket (category 'Quality')
+-- assigned to its owner with a due date.
+ALTER TABLE tickets ADD due_date DATETIME NULL;
+
+CREATE TABLE quality_question_sets (
+  id         INT IDENTITY(1,1) PRIMARY KEY,
+  location   NVARCHAR(100) NOT NULL,
+  audit_type NVARCHAR(20) NOT NULL, -- Process / Product
+  name       NVARCHAR(255) NOT NULL,
+  is_active  BIT NOT NULL DEFAULT 1,
+  created_by NVARCHAR(50) NULL,
+  created_at DATETIME NOT NULL DEFAULT GETDATE()
+);
+
+CREATE TABLE quality_questions (
+  id         INT IDENTITY(1,1) PRIMARY KEY,
+  set_id     INT NOT NULL REFERENCES quality_question_sets(id),
+  question   NVARCHAR(MAX) NOT NULL,
+  sort_order INT NOT NULL DEFAULT 0
+);
+
+CREATE TABLE quality_audits (
+  id               INT IDENTITY(1,1) PRIMARY KEY,
+  set_id           INT NOT NULL REFERENCES quality_question_sets(id),
+  location         NVARCHAR(100) NOT NULL,
+  audit_type       NVARCHAR(20) NOT NULL,
+  subject          NVARCHAR(255) NOT NULL, -- process / product / part audited
+  auditor_id       NVARCHAR(50) NOT NULL,
+  auditor_name     NVARCHAR(255) NULL,
+  notes            NVARCHAR(MAX) NULL,
+  questions_total  INT NOT NULL,
+  nonconformities  INT NOT NULL DEFAULT 0,
+  created_at       DATETIME NOT NULL DEFAULT GETDATE()
+);
+
+CREATE TABLE quality_nonconformities (
+  id          INT IDENTITY(1,1) PRIMARY KEY,
+  audit_id    INT NOT NULL REFERENCES quality_audits(id),
+  question_id INT NULL REFERENCES quality_questions(id),
+  description NVARCHAR(MAX) NOT NULL,
+  severity    NVARCHAR(20) NOT NULL, -- Minor / Major / Critical
+  owner_id    NVARCHAR(50) NOT NULL,
+  due_date    DATETIME NOT NULL,
+  ticket_id   INT NULL,
+  created_at  DATETIME NOT NULL DEFAULT GETDATE()
+);
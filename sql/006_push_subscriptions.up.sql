@@ -0,0 +1,13 @@
+-- Web Push subscriptions per user and device (previously held in memory).
+CREATE TABLE push_subscriptions (
+  id           INT IDENTITY(1,1) PRIMARY KEY,
+  global_id    NVARCHAR(50) NOT NULL,
+  endpoint     NVARCHAR(800) NOT NULL UNIQUE,
+  p256dh       NVARCHAR(255) NOT NULL,
+  auth         NVARCHAR(255) NOT NULL,
+  user_agent   NVARCHAR(500) NULL,
+  created_at   DATETIME NOT NULL DEFAULT GETDATE(),
+  last_used_at DATETIME NOT NULL DEFAULT GETDATE()
+);
+
+CREATE INDEX ix_push_subscriptions_global_id ON push_subscriptions (global_id);
@@ -0,0 +1,16 @@
+-- Lifecycle history per ticket: who did what, and when.
+-- event_type: created / assigned / reassigned / started / completed / reopened / note_changed
+CREATE TABLE ticket_events (
+  id          INT IDENTITY(1,1) PRIMARY KEY,
+  ticket_id   INT NOT NULL,
+  event_type  NVARCHAR(30) NOT NULL,
+  actor_id    NVARCHAR(50) NULL,
+  actor_name  NVARCHAR(255) NULL,
+  from_status NVARCHAR(50) NULL,
+  to_status   NVARCHAR(50) NULL,
+  assigned_to NVARCHAR(50) NULL,
+  note        NVARCHAR(MAX) NULL,
+  created_at  DATETIME NOT NULL DEFAULT GETDATE()
+);
+
+CREATE INDEX ix_ticket_events_ticket_id ON ticket_events (ticket_id);
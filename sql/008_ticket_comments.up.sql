@@ -0,0 +1,12 @@
+-- Conversation thread per ticket between the raiser, assigned technician, planner and location admin.
+CREATE TABLE ticket_comments (
+  id          INT IDENTITY(1,1) PRIMARY KEY,
+  ticket_id   INT NOT NULL,
+  author_id   NVARCHAR(50) NOT NULL,
+  author_name NVARCHAR(255) NULL,
+  author_role NVARCHAR(50) NULL,
+  body        NVARCHAR(MAX) NOT NULL,
+  created_at  DATETIME NOT NULL DEFAULT GETDATE()
+);
+
+CREATE INDEX ix_ticket_comments_ticket_id ON ticket_comments (ticket_id);
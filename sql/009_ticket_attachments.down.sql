@@ -0,0 +1,2 @@
+-- The files in UPLOAD_DIR are left on disk.
+DROP TABLE ticket_attachments;
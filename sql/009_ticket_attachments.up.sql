@@ -0,0 +1,15 @@
+-- Photos / files attached to tickets. The file itself is on local disk (UPLOAD_DIR) as stored_name.
+-- kind: before (attached when raised) / after (added by the technician on completion)
+CREATE TABLE ticket_attachments (
+  id            INT IDENTITY(1,1) PRIMARY KEY,
+  ticket_id     INT NOT NULL,
+  kind          NVARCHAR(10) NOT NULL,
+  original_name NVARCHAR(255) NOT NULL,
+  stored_name   NVARCHAR(100) NOT NULL,
+  mime_type     NVARCHAR(100) NOT NULL,
+  size_bytes    INT NOT NULL,
+  uploaded_by   NVARCHAR(50) NULL,
+  created_at    DATETIME NOT NULL DEFAULT GETDATE()
+);
+
+CREATE INDEX ix_ticket_attachments_ticket_id ON ticket_attachments (ticket_id);
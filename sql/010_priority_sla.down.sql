@@ -0,0 +1,3 @@
+DROP INDEX ix_tickets_sla ON tickets;
+DROP TABLE sla_targets;
+ALTER TABLE tickets DROP COLUMN priority, response_due_at, resolution_due_at, response_breached_at, resolution_breached_at;
@@ -0,0 +1,25 @@
+-- Ticket priority and SLA tracking.
+-- Due times are fixed when the ticket is raised (or its priority changes), from the location's targets.
+-- New ticket_events.event_type: priority_changed
+ALTER TABLE tickets ADD
+  priority                   NVARCHAR(10) NULL,
+  response_due_at            DATETIME NULL,
+  resolution_due_at          DATETIME NULL,
+  response_breached_at       DATETIME NULL,
+  resolution_breached_at     DATETIME NULL;
+
+-- Response / resolution targets per location and priority (minutes).
+-- Locations without a row fall back to the defaults in services/sla.js.
+CREATE TABLE sla_targets (
+  id                  INT IDENTITY(1,1) PRIMARY KEY,
+  location            NVARCHAR(100) NOT NULL,
+  priority            NVARCHAR(10) NOT NULL,
+  response_minutes    INT NOT NULL,
+  resolution_minutes  INT NOT NULL,
+  updated_by          NVARCHAR(50) NULL,
+  updated_at          DATETIME NOT NULL DEFAULT GETDATE(),
+  CONSTRAINT uq_sla_targets_location_priority UNIQUE (location, priority)
+);
+GO
+
+CREATE INDEX ix_tickets_sla ON tickets (status, response_due_at, resolution_due_at);
@@ -0,0 +1,3 @@
+-- Resolved tickets waiting for their raiser stay 'Resolved'; close them by hand if needed.
+ALTER TABLE tickets DROP CONSTRAINT df_tickets_reopen_count;
+ALTER TABLE tickets DROP COLUMN closed_at, reopen_count;
@@ -0,0 +1,12 @@
+-- Completion now leaves a ticket 'Resolved' (pending confirmation by the raiser).
+-- The raiser confirms ('Completed', closed_at) or reopens it with a reason; unconfirmed
+-- tickets are closed automatically after TICKET_AUTO_CLOSE_DAYS.
+-- New ticket_events.event_type values: confirmed, auto_closed
+-- The default is named so the down script can drop it before the column.
+ALTER TABLE tickets ADD
+  closed_at     DATETIME NULL,
+  reopen_count  INT NOT NULL CONSTRAINT df_tickets_reopen_count DEFAULT 0;
+GO
+
+-- Tickets closed before this change count as closed when they were completed
+UPDATE tickets SET closed_at = completed_at WHERE status = 'Completed' AND closed_at IS NULL;
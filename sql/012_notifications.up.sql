@@ -0,0 +1,40 @@
+-- In-app inbox: every notification sent to a user, with read / unread state.
+CREATE TABLE notifications (
+  id          INT IDENTITY(1,1) PRIMARY KEY,
+  global_id   NVARCHAR(50) NOT NULL,
+  event_type  NVARCHAR(50) NOT NULL,
+  title       NVARCHAR(255) NOT NULL,
+  body        NVARCHAR(MAX) NOT NULL,
+  url         NVARCHAR(500) NULL,
+  is_read     BIT NOT NULL DEFAULT 0,
+  read_at     DATETIME NULL,
+  created_at  DATETIME NOT NULL DEFAULT GETDATE()
+);
+
+CREATE INDEX ix_notifications_global_id ON notifications (global_id, is_read, created_at);
+
+-- Outgoing deliveries per channel (push / email), retried with back-off.
+-- status: pending / sent / skipped / failed
+CREATE TABLE notification_queue (
+  id               INT IDENTITY(1,1) PRIMARY KEY,
+  notification_id  INT NOT NULL,
+  channel          NVARCHAR(10) NOT NULL,
+  status           NVARCHAR(10) NOT NULL DEFAULT 'pending',
+  attempts         INT NOT NULL DEFAULT 0,
+  last_error       NVARCHAR(MAX) NULL,
+  next_attempt_at  DATETIME NOT NULL DEFAULT GETDATE(),
+  sent_at          DATETIME NULL,
+  created_at       DATETIME NOT NULL DEFAULT GETDATE()
+);
+
+CREATE INDEX ix_notification_queue_pending ON notification_queue (status, next_attempt_at);
+
+-- Per user, per event type channel choices. Missing rows use the defaults in services/notifications.js.
+CREATE TABLE notification_preferences (
+  global_id      NVARCHAR(50) NOT NULL,
+  event_type     NVARCHAR(50) NOT NULL,
+  push_enabled   BIT NOT NULL,
+  email_enabled  BIT NOT NULL,
+  updated_at     DATETIME NOT NULL DEFAULT GETDATE(),
+  CONSTRAINT pk_notification_preferences PRIMARY KEY (global_id, event_type)
+);
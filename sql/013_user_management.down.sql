@@ -0,0 +1,3 @@
+-- Deactivated users can log in again afterwards.
+ALTER TABLE users DROP CONSTRAINT df_users_is_active;
+ALTER TABLE users DROP COLUMN is_active, deactivated_at, created_at, updated_at, updated_by;
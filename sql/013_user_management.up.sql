@@ -0,0 +1,9 @@
+-- Admin user management: users can be deactivated (no login, no registration)
+-- and every admin change is stamped. created_at is set by services/users.js (SQLite can't add
+-- a column whose default is the current time); existing users keep NULL.
+ALTER TABLE users ADD
+  is_active       BIT NOT NULL CONSTRAINT df_users_is_active DEFAULT 1,
+  deactivated_at  DATETIME NULL,
+  created_at      DATETIME NULL,
+  updated_at      DATETIME NULL,
+  updated_by      NVARCHAR(50) NULL;
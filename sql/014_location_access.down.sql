@@ -0,0 +1,2 @@
+-- Every grant goes, including the Pune admins' '*': afterwards users see their home location only.
+DROP TABLE user_locations;
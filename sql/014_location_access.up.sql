@@ -0,0 +1,16 @@
+-- Multi-location access. Every user keeps their home location (users.location);
+-- user_locations grants extra ones. location = '*' means every location.
+CREATE TABLE user_locations (
+  global_id   NVARCHAR(50) NOT NULL,
+  location    NVARCHAR(100) NOT NULL,
+  granted_by  NVARCHAR(50) NULL,
+  created_at  DATETIME NOT NULL DEFAULT GETDATE(),
+  CONSTRAINT pk_user_locations PRIMARY KEY (global_id, location)
+);
+
+-- Pune admins used to see every location (hardcoded); keep that as an explicit grant
+INSERT INTO user_locations (global_id, location, granted_by)
+SELECT global_id, '*', 'migration' FROM users WHERE department = 'admin' AND location = 'Pune';
+
+-- Example regional admin:
+-- INSERT INTO user_locations (global_id, location) VALUES ('<admin global id>', 'Palwal');
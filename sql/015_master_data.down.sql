@@ -0,0 +1,4 @@
+-- Tickets keep the names they were raised with (building_no / area_code / sub_area / keyword).
+ALTER TABLE tickets DROP COLUMN building_node_id, area_node_id, sub_area_node_id, keyword_node_id;
+DROP TABLE master_versions;
+DROP TABLE master_nodes;
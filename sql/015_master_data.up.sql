@@ -0,0 +1,44 @@
+-- Master data (location hierarchy and keywords) per location and category, replacing
+-- public/data/masterData.json and keywords.json (now only the seed in data/, imported
+-- into a location the first time its master data is read - see services/masterData.js).
+--
+-- depth 1..3 = hierarchy (Facility / Safety: building > floor > area, Breakdown: area > machine)
+-- depth 0    = keyword of the category (no parent)
+-- Nodes are never deleted, only deactivated, so ids referenced by tickets stay valid.
+CREATE TABLE master_nodes (
+  id          INT IDENTITY(1,1) PRIMARY KEY,
+  location    NVARCHAR(100) NOT NULL,
+  category    NVARCHAR(50) NOT NULL,
+  parent_id   INT NULL REFERENCES master_nodes(id),
+  depth       TINYINT NOT NULL,
+  name        NVARCHAR(200) NOT NULL,
+  sort_order  INT NOT NULL DEFAULT 0,
+  is_active   BIT NOT NULL DEFAULT 1,
+  created_at  DATETIME NOT NULL DEFAULT GETDATE(),
+  updated_at  DATETIME NULL
+);
+
+CREATE INDEX ix_master_nodes_location ON master_nodes (location, category, is_active);
+
+-- One row per saved change, numbered per location. A save names the version it was based on;
+-- the unique key makes the second of two concurrent saves fail instead of overwriting the first.
+-- snapshot = JSON array of the active nodes after the change (used for diff and rollback).
+CREATE TABLE master_versions (
+  id          INT IDENTITY(1,1) PRIMARY KEY,
+  location    NVARCHAR(100) NOT NULL,
+  version     INT NOT NULL,
+  summary     NVARCHAR(500) NULL,
+  snapshot    NVARCHAR(MAX) NULL,
+  created_by  NVARCHAR(50) NULL,
+  created_at  DATETIME NOT NULL DEFAULT GETDATE(),
+  CONSTRAINT uq_master_versions_location_version UNIQUE (location, version)
+);
+
+-- Tickets reference the selected nodes; building_no / area_code / sub_area / keyword keep the
+-- names as they were when the ticket was raised.
+-- No foreign keys here: SQLite can't drop a referencing column in the down script.
+ALTER TABLE tickets ADD
+  building_node_id  INT NULL,
+  area_node_id      INT NULL,
+  sub_area_node_id  INT NULL,
+  keyword_node_id   INT NULL;
@@ -0,0 +1,3 @@
+-- Tickets raised by the plans stay (category 'Preventive'); only the plans and occurrences go.
+DROP TABLE pm_occurrences;
+DROP TABLE pm_plans;
@@ -0,0 +1,47 @@
+-- Preventive maintenance plans: recurring work on a master data node, e.g. "monthly DG Area
+-- inspection in Building No. 2". The PM scheduler (services/pm.js) raises every occurrence as a
+-- ticket (category 'Preventive') and assigns it to the plan's technician.
+--
+-- recurrence daily / weekly / monthly: every interval_count days / weeks / months. The ticket for
+--   next_due_at is raised lead_days before it, then next_due_at moves on by one interval.
+-- recurrence meter: every meter_interval units of the plan's meter (running hours, km, strokes...).
+--   When a recorded reading reaches next_due_meter - meter_lead the ticket is raised, due
+--   lead_days later, and next_due_meter moves on by meter_interval.
+CREATE TABLE pm_plans (
+  id              INT IDENTITY(1,1) PRIMARY KEY,
+  location        NVARCHAR(100) NOT NULL,
+  node_id         INT NOT NULL REFERENCES master_nodes(id),
+  title           NVARCHAR(255) NOT NULL,
+  instructions    NVARCHAR(MAX) NULL,
+  recurrence      NVARCHAR(10) NOT NULL,
+  interval_count  INT NOT NULL DEFAULT 1,
+  lead_days       INT NOT NULL DEFAULT 0,
+  next_due_at     DATETIME NULL,
+  meter_unit      NVARCHAR(30) NULL,
+  meter_interval  DECIMAL(12,2) NULL,
+  meter_lead      DECIMAL(12,2) NULL,
+  meter_reading   DECIMAL(12,2) NULL,
+  meter_read_at   DATETIME NULL,
+  next_due_meter  DECIMAL(12,2) NULL,
+  assigned_to     NVARCHAR(50) NULL,
+  priority        NVARCHAR(10) NULL,
+  is_active       BIT NOT NULL DEFAULT 1,
+  created_by      NVARCHAR(50) NOT NULL,
+  created_at      DATETIME NOT NULL DEFAULT GETDATE(),
+  updated_at      DATETIME NULL
+);
+
+CREATE INDEX ix_pm_plans_location ON pm_plans (location, is_active);
+
+-- Every occurrence raised, with the ticket doing it. Compliance compares the ticket's
+-- completed_at with due_at.
+CREATE TABLE pm_occurrences (
+  id          INT IDENTITY(1,1) PRIMARY KEY,
+  plan_id     INT NOT NULL REFERENCES pm_plans(id),
+  due_at      DATETIME NOT NULL,
+  due_meter   DECIMAL(12,2) NULL,
+  ticket_id   INT NULL,
+  created_at  DATETIME NOT NULL DEFAULT GETDATE()
+);
+
+CREATE INDEX ix_pm_occurrences_plan ON pm_occurrences (plan_id, due_at);
@@ -0,0 +1,4 @@
+DROP INDEX ix_tickets_asset ON tickets;
+ALTER TABLE pm_plans DROP COLUMN asset_id;
+ALTER TABLE tickets DROP COLUMN asset_id, repair_cost;
+DROP TABLE assets;
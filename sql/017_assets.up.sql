@@ -0,0 +1,32 @@
+-- Asset register: the individual compressors, panels, AC units... of a location, each placed on a
+-- master data node (the area or machine it stands at). Tags are unique per location.
+-- criticality: High / Medium / Low
+CREATE TABLE assets (
+  id              INT IDENTITY(1,1) PRIMARY KEY,
+  location        NVARCHAR(100) NOT NULL,
+  node_id         INT NOT NULL REFERENCES master_nodes(id),
+  tag             NVARCHAR(50) NOT NULL,
+  name            NVARCHAR(255) NOT NULL,
+  make            NVARCHAR(100) NULL,
+  model           NVARCHAR(100) NULL,
+  serial_no       NVARCHAR(100) NULL,
+  install_date    DATE NULL,
+  warranty_until  DATE NULL,
+  criticality     NVARCHAR(10) NOT NULL DEFAULT 'Medium',
+  is_active       BIT NOT NULL DEFAULT 1,
+  created_by      NVARCHAR(50) NOT NULL,
+  created_at      DATETIME NOT NULL DEFAULT GETDATE(),
+  updated_at      DATETIME NULL,
+  CONSTRAINT uq_assets_location_tag UNIQUE (location, tag)
+);
+
+CREATE INDEX ix_assets_node ON assets (node_id);
+
+-- The asset a ticket / PM plan is about (optional), and the repair cost (labour, contractor) recorded
+-- when the ticket is completed.
+-- No foreign keys here: SQLite can't drop a referencing column in the down script.
+ALTER TABLE tickets ADD asset_id INT NULL, repair_cost DECIMAL(12,2) NULL;
+ALTER TABLE pm_plans ADD asset_id INT NULL;
+GO
+
+CREATE INDEX ix_tickets_asset ON tickets (asset_id);
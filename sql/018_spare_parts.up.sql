@@ -0,0 +1,39 @@
+-- Spare parts store per location: what is on hand, where it is kept (bin) and when to reorder.
+-- reorder_alerted_at is set when the planners were told the part fell to its reorder level,
+-- and cleared once stock is received above it, so each shortage is announced once.
+CREATE TABLE spare_parts (
+  id                  INT IDENTITY(1,1) PRIMARY KEY,
+  location            NVARCHAR(100) NOT NULL,
+  part_no             NVARCHAR(50) NOT NULL,
+  name                NVARCHAR(255) NOT NULL,
+  unit                NVARCHAR(20) NOT NULL DEFAULT 'pcs',
+  bin_location        NVARCHAR(50) NULL,
+  on_hand             DECIMAL(12,2) NOT NULL DEFAULT 0,
+  reorder_level       DECIMAL(12,2) NOT NULL DEFAULT 0,
+  reorder_qty         DECIMAL(12,2) NULL,
+  unit_cost           DECIMAL(12,2) NULL,
+  reorder_alerted_at  DATETIME NULL,
+  is_active           BIT NOT NULL DEFAULT 1,
+  created_by          NVARCHAR(50) NOT NULL,
+  created_at          DATETIME NOT NULL DEFAULT GETDATE(),
+  updated_at          DATETIME NULL,
+  CONSTRAINT uq_spare_parts_location_part_no UNIQUE (location, part_no)
+);
+
+-- Every change of stock. quantity is positive for stock in, negative for stock out.
+-- kind: receipt / consumption (ticket_id set) / adjustment (stock take)
+-- unit_cost is the part's cost at the time, so usage reports keep historic prices.
+CREATE TABLE stock_movements (
+  id          INT IDENTITY(1,1) PRIMARY KEY,
+  part_id     INT NOT NULL REFERENCES spare_parts(id),
+  quantity    DECIMAL(12,2) NOT NULL,
+  kind        NVARCHAR(20) NOT NULL,
+  ticket_id   INT NULL REFERENCES tickets(id),
+  unit_cost   DECIMAL(12,2) NULL,
+  note        NVARCHAR(500) NULL,
+  created_by  NVARCHAR(50) NOT NULL,
+  created_at  DATETIME NOT NULL DEFAULT GETDATE()
+);
+
+CREATE INDEX ix_stock_movements_part ON stock_movements (part_id, created_at);
+CREATE INDEX ix_stock_movements_ticket ON stock_movements (ticket_id);
@@ -1,3 +1,104 @@
 // subscriptions.js
-const subscriptionsPerUser = {}; 
-module.exports = subscriptionsPerUser;
\ No newline at end of file
+// Web Push subscriptions, stored per user and device in the push_subscriptions table
+// so they survive restarts. Subscriptions the push service reports as gone are pruned.
+const webPush = require('web-push');
+const db = require('./db');
+
+/**
+ * saveSubscription(globalId, subscription, userAgent)
+ * Stores (or refreshes) a browser PushSubscription for the user.
+ * The endpoint identifies the device, so re-subscribing updates the existing row.
+ */
+async function saveSubscription(globalId, subscription, userAgent) {
+  const { endpoint, keys = {} } = subscription || {};
+
+  const [, result] = await db.query(
+    `
+    UPDATE push_subscriptions
+    SET global_id = ?, p256dh = ?, auth = ?, user_agent = ?, last_used_at = GETDATE()
+    WHERE endpoint = ?
+    `,
+    [globalId, keys.p256dh, keys.auth, userAgent || null, endpoint]
+  );
+
+  if (result.rowsAffected && result.rowsAffected[0] > 0) return false;
+
+  await db.query(
+    `
+    INSERT INTO push_subscriptions (global_id, endpoint, p256dh, auth, user_agent, created_at, last_used_at)
+    VALUES (?, ?, ?, ?, ?, GETDATE(), GETDATE())
+    `,
+    [globalId, endpoint, keys.p256dh, keys.auth, userAgent || null]
+  );
+  return true;
+}
+
+/**
+ * listDevices(globalId)
+ * Registered devices for the profile modal (no keys).
+ */
+async function listDevices(globalId) {
+  const [rows] = await db.query(
+    `
+    SELECT id, endpoint, user_agent, created_at, last_used_at
+    FROM push_subscriptions
+    WHERE global_id = ?
+    ORDER BY last_used_at DESC
+    `,
+    [globalId]
+  );
+  return rows;
+}
+
+/**
+ * removeDevice(globalId, id)
+ * Revokes one of the user's own devices. Returns true when a row was deleted.
+ */
+async function removeDevice(globalId, id) {
+  const [, result] = await db.query(
+    `DELETE FROM push_subscriptions WHERE id = ? AND global_id = ?`,
+    [id, globalId]
+  );
+  return !!(result.rowsAffected && result.rowsAffected[0] > 0);
+}
+
+/**
+ * sendToUser(globalId, payload)
+ * Pushes `payload` ({ title, body, url }) to every device of the user.
+ * 404 / 410 from the push service mean the subscription is gone for good: delete it.
+ * Returns { sent, failed } device counts; the notification service retries on failure.
+ */
+async function sendToUser(globalId, payload) {
+  const [subs] = await db.query(
+    `SELECT id, endpoint, p256dh, auth FROM push_subscriptions WHERE global_id = ?`,
+    [globalId]
+  );
+
+  let sent = 0;
+  let failed = 0;
+  for (const sub of subs) {
+    try {
+      await webPush.sendNotification(
+        { endpoint: sub.endpoint, keys: { p256dh: sub.p256dh, auth: sub.auth } },
+        JSON.stringify(payload)
+      );
+      sent++;
+    } catch (err) {
+      if (err.statusCode === 404 || err.statusCode === 410) {
+        console.log(`🧹 Pruning expired push subscription ${sub.id} of user ${globalId}`);
+        await db.query(`DELETE FROM push_subscriptions WHERE id = ?`, [sub.id]);
+      } else {
+        console.warn(`⚠️ Failed to send notification to ${globalId}:`, err);
+        failed++;
+      }
+    }
+  }
+  return { sent, failed };
+}
+
+module.exports = {
+  saveSubscription,
+  listDevices,
+  removeDevice,
+  sendToUser
+};
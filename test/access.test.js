@@ -0,0 +1,251 @@
+// test/access.test.js
+// Role gates of every dashboard and list, and the location gates around tickets and users.
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, addUser, client, getTicket, lastTicketId } = require('./helpers');
+const { getUser } = require('../services/users');
+const db = require('../db');
+
+const ALL = ['normal_user', 'technician', 'planner', 'admin'];
+const STAFF = ['technician', 'planner', 'admin'];
+const MANAGERS = ['planner', 'admin'];
+const ADMIN = ['admin'];
+
+// GET pages and the roles that may open them
+const PAGES = [
+  ['/dashboard/user', ALL],
+  ['/dashboard/technician', STAFF],
+  ['/dashboard/planner', MANAGERS],
+  ['/dashboard/admin', ADMIN],
+  ['/dashboard/5s', ALL],
+  ['/dashboard/kaizen', ALL],
+  ['/dashboard/quality', ALL],
+  ['/dashboard/master', ADMIN],
+  ['/admin/users', ADMIN],
+  ['/admin/sla', ADMIN],
+  ['/admin/analytics', ADMIN],
+  ['/pm', MANAGERS],
+  ['/pm/compliance', MANAGERS],
+  ['/assets', STAFF],
+  ['/parts', STAFF],
+  ['/parts/report', MANAGERS],
+  ['/notifications', ALL],
+  ['/tickets/list?view=user', ALL],
+  ['/tickets/list?view=technician', STAFF],
+  ['/tickets/list?view=planner-open', MANAGERS],
+  ['/tickets/list?view=planner-assigned', MANAGERS],
+  ['/tickets/list?view=admin', ADMIN]
+];
+
+// Form posts only planners / admins may make
+const MANAGER_POSTS = ['/planner/assign', '/planner/priority', '/ticket/assign', '/kaizen/review', '/kaizen/assign', '/parts'];
+const ADMIN_POSTS = ['/admin/users', '/5s/checklists', '/quality/question-sets', '/admin/sla'];
+
+let server;
+const browsers = {};
+let puneTicket;
+
+async function as(globalId) {
+  if (!browsers[globalId]) {
+    browsers[globalId] = client(server.baseUrl);
+    await browsers[globalId].login(globalId, 'pw');
+  }
+  return browsers[globalId];
+}
+
+// Refused: 403 from requireRole, or the admin pages' redirect to the login
+function assertRefused(res, what) {
+  const refused = res.status === 403 || (res.status === 302 && res.location === '/login');
+  assert.ok(refused, `${what} was not refused (${res.status} ${res.location || ''})`);
+}
+
+before(async () => {
+  server = await startServer();
+  const people = [
+    ['U1', 'normal_user', 'Pune'],
+    ['T1', 'technician', 'Pune'],
+    ['T3', 'technician', 'Pune'],
+    ['P1', 'planner', 'Pune'],
+    ['A1', 'admin', 'Pune'],
+    ['U2', 'normal_user', 'Palwal'],
+    ['T2', 'technician', 'Palwal'],
+    ['P2', 'planner', 'Palwal'],
+    ['A2', 'admin', 'Palwal']
+  ];
+  for (const [globalId, department, location] of people) {
+    await addUser({ globalId, department, location, password: 'pw' });
+  }
+  await addUser({ globalId: 'PR', department: 'planner', location: 'Palwal', password: 'pw', extraLocations: ['Pune'] });
+  await addUser({ globalId: 'AX', department: 'admin', location: 'Palwal', password: 'pw', extraLocations: ['*'] });
+
+  const submitted = await (await as('U1')).post('/ticket/submit', { category: 'Other', description: 'Pune only' });
+  assert.match(submitted.location, /message=/);
+  puneTicket = await lastTicketId('U1');
+  await (await as('P1')).post('/planner/assign', { ticketId: puneTicket, executerId: 'T1' });
+});
+
+after(() => server.close());
+
+test('each page opens for its roles only', async () => {
+  const byRole = { normal_user: 'U1', technician: 'T1', planner: 'P1', admin: 'A1' };
+
+  for (const [path, roles] of PAGES) {
+    for (const [role, globalId] of Object.entries(byRole)) {
+      const res = await (await as(globalId)).get(path);
+      if (roles.includes(role)) assert.equal(res.status, 200, `${role} could not open ${path}`);
+      else assertRefused(res, `${role} on ${path}`);
+    }
+  }
+});
+
+test('role-restricted form posts are refused to other roles', async () => {
+  for (const path of MANAGER_POSTS) {
+    for (const globalId of ['U1', 'T1']) {
+      assertRefused(await (await as(globalId)).post(path, { ticketId: puneTicket }), `${globalId} posting ${path}`);
+    }
+  }
+  for (const path of ADMIN_POSTS) {
+    for (const globalId of ['U1', 'T1', 'P1']) {
+      assertRefused(await (await as(globalId)).post(path, {}), `${globalId} posting ${path}`);
+    }
+  }
+  assertRefused(await (await as('U1')).post('/technician/start', { ticketId: puneTicket }), 'U1 starting a ticket');
+  assertRefused(await (await as('U1')).post('/technician/complete', { ticketId: puneTicket }), 'U1 completing a ticket');
+});
+
+test('a ticket is visible to its raiser, assignee and the managers of its location only', async () => {
+  const visible = { U1: 200, T1: 200, P1: 200, A1: 200, PR: 200, AX: 200, U2: 404, T2: 404, T3: 404, P2: 404, A2: 404 };
+
+  for (const [globalId, status] of Object.entries(visible)) {
+    const res = await (await as(globalId)).get(`/ticket/${puneTicket}/events`);
+    assert.equal(res.status, status, `${globalId} got ${res.status} for the Pune ticket`);
+  }
+});
+
+test('planners only manage tickets of their locations, with staff of that location', async () => {
+  const other = await (await as('P2')).post('/planner/assign', { ticketId: puneTicket, executerId: 'T2' });
+  assert.equal(other.status, 404);
+
+  const wrongStaff = await (await as('P1')).post('/planner/assign', { ticketId: puneTicket, executerId: 'T2' });
+  assert.equal(wrongStaff.status, 400);
+
+  const priority = await (await as('P2')).post('/planner/priority', { ticketId: puneTicket, priority: 'Low' });
+  assert.equal(priority.status, 404);
+
+  const list = await (await as('P2')).get('/tickets/list?view=planner-assigned');
+  assert.equal(list.status, 200);
+  assert.ok(!list.text.includes('Pune only'), 'Palwal planner sees the Pune ticket');
+
+  const granted = await (await as('PR')).post('/planner/assign', { ticketId: puneTicket, executerId: 'T3' });
+  assert.equal(granted.location, '/dashboard/planner');
+  assert.equal((await getTicket(puneTicket)).assigned_to, 'T3');
+
+  await (await as('P1')).post('/planner/assign', { ticketId: puneTicket, executerId: 'T1' });
+  assert.equal((await getTicket(puneTicket)).assigned_to, 'T1');
+});
+
+test('kaizens are assigned to staff of their location only', async () => {
+  const kaizen = { title: 'Shadow board', problem_statement: 'Tools lost', proposed_change: 'Board', expected_benefit: 'Less searching' };
+  assert.match((await (await as('U1')).post('/kaizen/submit', kaizen)).location, /message=/);
+  const [[{ id: kaizenId }]] = await db.query(`SELECT id FROM kaizens WHERE title = 'Shadow board'`);
+  await (await as('P1')).post('/kaizen/review', { kaizenId, decision: 'Approved' });
+
+  assert.equal((await (await as('P2')).post('/kaizen/assign', { kaizenId, executerId: 'T2' })).status, 404);
+  const wrongStaff = await (await as('P1')).post('/kaizen/assign', { kaizenId, executerId: 'T2' });
+  assert.equal(wrongStaff.status, 400);
+  assert.match(wrongStaff.text, /does not work at Pune/);
+
+  assert.equal((await (await as('P1')).post('/kaizen/assign', { kaizenId, executerId: 'T3' })).location, '/dashboard/kaizen');
+  const [[assigned]] = await db.query('SELECT assigned_to, status FROM kaizens WHERE id = ?', [kaizenId]);
+  assert.deepEqual({ ...assigned }, { assigned_to: 'T3', status: 'Assigned' });
+});
+
+test('only the assignee or a manager of the location works on a ticket', async () => {
+  for (const globalId of ['T3', 'T2', 'P2']) {
+    const res = await (await as(globalId)).post('/technician/start', { ticketId: puneTicket });
+    assert.equal(res.status, 404, `${globalId} could start the ticket`);
+  }
+  assert.equal((await getTicket(puneTicket)).status, 'Assigned');
+
+  const start = await (await as('T1')).post('/technician/start', { ticketId: puneTicket });
+  assert.equal(start.status, 302);
+  assert.equal((await getTicket(puneTicket)).status, 'In Progress');
+});
+
+test('the API applies the same role and location gates', async () => {
+  const token = async globalId => {
+    const res = await client(server.baseUrl).request('POST', '/api/v1/auth/token', { json: { globalId, password: 'pw' } });
+    return res.json().token;
+  };
+  const api = async (globalId, method, path, json) =>
+    client(server.baseUrl).request(method, `/api/v1${path}`, {
+      json,
+      headers: { authorization: `Bearer ${await token(globalId)}` }
+    });
+
+  assert.equal((await client(server.baseUrl).get('/api/v1/me')).status, 401);
+  assert.equal((await api('U1', 'GET', '/tickets?view=admin')).status, 403);
+  assert.equal((await api('P2', 'GET', '/tickets?view=planner-open&location=Pune')).status, 403);
+  assert.equal((await api('U1', 'POST', `/tickets/${puneTicket}/assign`, { assigned_to: 'T1' })).status, 403);
+  assert.equal((await api('U2', 'GET', `/tickets/${puneTicket}`)).status, 404);
+  assert.equal((await api('P2', 'POST', `/tickets/${puneTicket}/priority`, { priority: 'Low' })).status, 404);
+  assert.equal((await api('AX', 'GET', `/tickets/${puneTicket}`)).status, 200);
+});
+
+test('admins manage users of their locations only', async () => {
+  const other = await (await as('A2')).post('/admin/users/U1/deactivate', {});
+  assert.match(decodeURIComponent(other.location), /error=User not found in your locations/);
+
+  const list = await (await as('A2')).get('/admin/users');
+  assert.ok(!list.text.includes('u1@example.com'), 'Palwal admin lists a Pune user');
+
+  const own = await (await as('A1')).post('/admin/users/U1/deactivate', {});
+  assert.match(own.location, /message=/);
+  const reactivate = await (await as('AX')).post('/admin/users/U1/reactivate', {});
+  assert.match(reactivate.location, /message=/);
+});
+
+test('admins cannot manage users with access beyond their own', async () => {
+  const reset = await (await as('A2')).post('/admin/users/AX/reset-registration', {});
+  assert.match(decodeURIComponent(reset.location), /error=You cannot manage AX: they also have access to all locations/);
+  assert.ok((await getUser('AX')).password, 'registration of the all-locations admin was reset');
+
+  const demote = await (await as('A2')).post('/admin/users/AX', { name: 'AX', department: 'normal_user', location: 'Palwal' });
+  assert.match(decodeURIComponent(demote.location), /error=You cannot manage AX/);
+  const deactivate = await (await as('A2')).post('/admin/users/PR/deactivate', {});
+  assert.match(decodeURIComponent(deactivate.location), /error=You cannot manage PR: they also have access to Pune/);
+  const user = await getUser('AX');
+  assert.deepEqual([user.department, !!user.is_active], ['admin', true]);
+
+  const byAll = await (await as('AX')).post('/admin/users/A2/reset-registration', {});
+  assert.match(byAll.location, /message=/);
+});
+
+test('5S checklists and quality question sets follow the location grants', async () => {
+  const checklist = { location: 'Pune', name: 'Line 1', building_no: 'B1', items: [{ pillar: 'Sort', question: 'No scrap' }] };
+  const refused = await (await as('A2')).request('POST', '/5s/checklists', { json: checklist });
+  assert.equal(refused.status, 403);
+  const created = await (await as('AX')).request('POST', '/5s/checklists', { json: checklist });
+  const checklistId = created.json().id;
+
+  const outside = await (await as('U2')).get('/dashboard/5s?location=Pune');
+  assert.match(decodeURIComponent(outside.location), /error=No access to Pune/);
+  assert.match(decodeURIComponent((await (await as('A2')).get(`/5s/audit/${checklistId}`)).location), /error=Checklist not found/);
+  assert.equal((await (await as('A2')).post(`/5s/checklists/${checklistId}/deactivate`, {})).status, 404);
+
+  // A Palwal planner granted Pune audits it; the failed item is raised in Pune
+  const dashboard = await (await as('PR')).get('/dashboard/5s?location=Pune');
+  assert.ok(dashboard.text.includes('Line 1'), 'granted location not listed');
+  const form = await (await as('PR')).get(`/5s/audit/${checklistId}`);
+  const [, itemId] = form.text.match(/name="score_(\d+)"/);
+  const audit = await (await as('PR')).post(`/5s/audit/${checklistId}`, { [`score_${itemId}`]: 0 });
+  assert.match(audit.location, /^\/dashboard\/5s\?location=Pune&message=/);
+  assert.equal((await getTicket(await lastTicketId('PR'))).location, 'Pune');
+
+  const set = { location: 'Pune', name: 'Welding', audit_type: 'Process', questions: ['Parameters recorded'] };
+  assert.equal((await (await as('A2')).request('POST', '/quality/question-sets', { json: set })).status, 403);
+  const setId = (await (await as('AX')).request('POST', '/quality/question-sets', { json: set })).json().id;
+  assert.equal((await (await as('A2')).post(`/quality/question-sets/${setId}/deactivate`, {})).status, 404);
+  const owners = await (await as('PR')).get(`/quality/audit/${setId}`);
+  assert.ok(owners.text.includes('value="PR"'), 'granted staff missing from the corrective action owners');
+});
@@ -0,0 +1,144 @@
+// test/assets.test.js
+// Asset register: admins register assets on the master data, tickets and PM plans name them,
+// and the asset's history page sums up its tickets, downtime and repair cost.
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, addUser, client, getTicket, lastTicketId } = require('./helpers');
+const db = require('../db');
+const pm = require('../services/pm');
+
+let server;
+const browsers = {};
+let tree;
+
+before(async () => {
+  server = await startServer();
+  await addUser({ globalId: 'U1', department: 'normal_user', location: 'Pune', password: 'pw' });
+  await addUser({ globalId: 'T1', department: 'technician', location: 'Pune', password: 'pw' });
+  await addUser({ globalId: 'P1', department: 'planner', location: 'Pune', password: 'pw' });
+  await addUser({ globalId: 'A1', department: 'admin', location: 'Pune', password: 'pw' });
+  await addUser({ globalId: 'A2', department: 'admin', location: 'Palwal', password: 'pw' });
+
+  for (const globalId of ['U1', 'T1', 'P1', 'A1', 'A2']) {
+    browsers[globalId] = client(server.baseUrl);
+    await browsers[globalId].login(globalId, 'pw');
+  }
+  tree = (await browsers.U1.get('/api/master-data')).json().masterData;
+});
+
+after(() => server.close());
+
+// Registers an asset in Pune as A1 and returns its row
+async function register(fields) {
+  const res = await browsers.A1.post('/assets', { location: 'Pune', criticality: 'High', ...fields });
+  assert.match(res.location, /message=/, `asset refused: ${decodeURIComponent(res.location)}`);
+  const [rows] = await db.query('SELECT * FROM assets WHERE location = ? AND tag = ?', ['Pune', fields.tag.toUpperCase()]);
+  return rows[0];
+}
+
+test('admins register assets; staff look them up; others are refused', async () => {
+  const machine = tree.Breakdown[0].children[0];
+  const asset = await register({
+    tag: 'cmp-01',
+    name: 'Air compressor 1',
+    node_id: machine.id,
+    make: 'Atlas Copco',
+    serial_no: 'SN123',
+    install_date: '2024-03-01',
+    warranty_until: '2027-03-01'
+  });
+  assert.equal(asset.tag, 'CMP-01');
+  assert.equal(asset.node_id, machine.id);
+  assert.equal(asset.install_date.toISOString().slice(0, 10), '2024-03-01');
+
+  const duplicate = await browsers.A1.post('/assets', { location: 'Pune', tag: 'CMP-01', name: 'Again', node_id: machine.id });
+  assert.match(decodeURIComponent(duplicate.location), /Tag CMP-01 is already used in Pune/);
+  const noNode = await browsers.A1.post('/assets', { location: 'Pune', tag: 'X-1', name: 'Nowhere' });
+  assert.match(decodeURIComponent(noNode.location), /Pick where the asset stands/);
+
+  const list = await browsers.T1.get('/assets');
+  assert.equal(list.status, 200);
+  assert.ok(list.text.includes('CMP-01') && list.text.includes(machine.name));
+  assert.equal((await browsers.T1.get(`/assets/${asset.id}`)).status, 200);
+
+  assert.equal((await browsers.U1.get('/assets')).status, 403);
+  assert.equal((await browsers.P1.post('/assets', { tag: 'P-1' })).status, 403);
+  assert.match(decodeURIComponent((await browsers.A2.get(`/assets/${asset.id}`)).location), /Asset not found/);
+});
+
+test('a ticket names an asset standing under the picked location', async () => {
+  const area = tree.Breakdown[0];
+  const [machine, otherMachine] = area.children;
+  const asset = await register({ tag: 'PRS-01', name: 'Press 1', node_id: machine.id });
+
+  const { assets } = (await browsers.U1.get('/api/master-data')).json();
+  assert.deepEqual(assets.find(a => a.id === asset.id).path_ids, [area.id, machine.id]);
+
+  const breakdown = { category: 'Breakdown', building_id: area.id, downtime_start: new Date(Date.now() - 3600e3).toISOString() };
+  const wrong = await browsers.U1.post('/ticket/submit', { ...breakdown, area_id: otherMachine.id, asset_id: asset.id, description: 'x' });
+  assert.match(decodeURIComponent(wrong.location), /not at the selected location/);
+
+  const ok = await browsers.U1.post('/ticket/submit', { ...breakdown, area_id: machine.id, asset_id: asset.id, description: 'Press jammed' });
+  assert.match(ok.location, /message=/);
+  const ticket = await getTicket(await lastTicketId('U1'));
+  assert.equal(ticket.asset_id, asset.id);
+
+  // Completed with a repair cost, it shows up in the asset's history
+  await browsers.P1.post('/planner/assign', { ticketId: ticket.id, executerId: 'T1' });
+  const technician = await browsers.T1.get('/dashboard/technician');
+  assert.ok(technician.text.includes('PRS-01 - Press 1'));
+  await browsers.T1.post('/technician/start', { ticketId: ticket.id });
+
+  const negative = await browsers.T1.post('/technician/complete', {
+    ticketId: ticket.id, completion_note: 'ok', downtime_end: new Date().toISOString(), root_cause: 'Jam', repair_cost: -5
+  });
+  assert.equal(negative.status, 400);
+  await browsers.T1.post('/technician/complete', {
+    ticketId: ticket.id, completion_note: 'Cleared', downtime_end: new Date().toISOString(), root_cause: 'Jam', repair_cost: '1250.50'
+  });
+  assert.equal(Number((await getTicket(ticket.id)).repair_cost), 1250.5);
+
+  const history = await browsers.P1.get(`/assets/${asset.id}`);
+  assert.equal(history.status, 200);
+  assert.ok(history.text.includes('Press jammed') && history.text.includes('1,250.50'));
+
+  const search = (await browsers.P1.get('/tickets/list?view=planner-assigned&q=prs-01')).json();
+  assert.deepEqual(search.tickets.map(t => t.id), [ticket.id]);
+});
+
+test('a PM plan on an asset raises its tickets for the asset', async () => {
+  const area = tree.Facility[0].children[0].children[0];
+  const asset = await register({ tag: 'AC-07', name: 'AC unit 7', node_id: area.id });
+
+  const res = await browsers.P1.post('/pm/plans', {
+    location: 'Pune',
+    asset_id: asset.id,
+    title: 'AC filter cleaning',
+    recurrence: 'monthly',
+    first_due: new Date().toISOString().slice(0, 10)
+  });
+  assert.match(res.location, /message=/, decodeURIComponent(res.location));
+  const [[plan]] = await db.query('SELECT * FROM pm_plans WHERE asset_id = ?', [asset.id]);
+  assert.equal(plan.node_id, area.id);
+
+  await pm.generateDue();
+  const [[occurrence]] = await db.query('SELECT * FROM pm_occurrences WHERE plan_id = ?', [plan.id]);
+  assert.equal((await getTicket(occurrence.ticket_id)).asset_id, asset.id);
+
+  const history = await browsers.T1.get(`/assets/${asset.id}`);
+  assert.ok(history.text.includes('AC filter cleaning'));
+});
+
+test('a retired asset keeps its history but can no longer be picked', async () => {
+  const machine = tree.Breakdown[0].children[0];
+  const asset = await register({ tag: 'OLD-01', name: 'Old lathe', node_id: machine.id });
+
+  const retire = await browsers.A1.post(`/assets/${asset.id}/retire`, {});
+  assert.match(retire.location, /message=/);
+  const { assets } = (await browsers.U1.get('/api/master-data')).json();
+  assert.ok(!assets.some(a => a.id === asset.id));
+
+  const res = await browsers.U1.post('/ticket/submit', { category: 'Other', asset_id: asset.id, description: 'x' });
+  assert.match(decodeURIComponent(res.location), /no longer available/);
+  assert.equal((await browsers.T1.get(`/assets/${asset.id}`)).status, 200);
+});
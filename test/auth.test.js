@@ -0,0 +1,116 @@
+// test/auth.test.js
+// Login, logout, registration and deactivated accounts.
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, addUser, client } = require('./helpers');
+
+let server;
+
+before(async () => {
+  server = await startServer();
+  await addUser({ globalId: 'U1', department: 'normal_user', location: 'Pune', password: 'pw-user' });
+  await addUser({ globalId: 'T1', department: 'technician', location: 'Pune', password: 'pw-tech' });
+  await addUser({ globalId: 'P1', department: 'planner', location: 'Pune', password: 'pw-planner' });
+  await addUser({ globalId: 'A1', department: 'admin', location: 'Pune', password: 'pw-admin' });
+  await addUser({ globalId: 'NEW1', department: 'normal_user', location: 'Pune' });
+  await addUser({ globalId: 'OFF1', department: 'normal_user', location: 'Pune', password: 'pw-off', active: false });
+});
+
+after(() => server.close());
+
+test('login sends each role to its dashboard with a token cookie', async () => {
+  const expected = { U1: '/dashboard/user', T1: '/dashboard/technician', P1: '/dashboard/planner', A1: '/dashboard/admin' };
+  const passwords = { U1: 'pw-user', T1: 'pw-tech', P1: 'pw-planner', A1: 'pw-admin' };
+
+  for (const [globalId, dashboard] of Object.entries(expected)) {
+    const browser = client(server.baseUrl);
+    const res = await browser.login(globalId, passwords[globalId]);
+    assert.equal(res.location, dashboard);
+    assert.ok(browser.hasCookie(), `${globalId} got no token cookie`);
+
+    const page = await browser.get(dashboard);
+    assert.equal(page.status, 200, `${globalId} could not open ${dashboard}`);
+  }
+});
+
+test('login refuses a wrong password, an unknown or unregistered id and a deactivated account', async () => {
+  const cases = [
+    ['U1', 'wrong', 'Incorrect password'],
+    ['NOBODY', 'x', 'Invalid Global ID or unregistered user'],
+    ['NEW1', 'x', 'Invalid Global ID or unregistered user'],
+    ['OFF1', 'pw-off', 'Your account has been deactivated']
+  ];
+
+  for (const [globalId, password, message] of cases) {
+    const browser = client(server.baseUrl);
+    const res = await browser.post('/login', { globalId, password });
+    assert.equal(res.status, 200);
+    assert.ok(res.text.includes(message), `no "${message}" for ${globalId}`);
+    assert.equal(browser.hasCookie(), false);
+  }
+});
+
+test('dashboards need a login', async () => {
+  const browser = client(server.baseUrl);
+
+  const userDashboard = await browser.get('/dashboard/user');
+  assert.equal(userDashboard.status, 302);
+  assert.equal(userDashboard.location, '/login');
+
+  for (const path of ['/dashboard/planner', '/dashboard/technician', '/dashboard/admin', '/admin/users']) {
+    const res = await browser.get(path);
+    assert.equal(res.status, 401, `${path} answered ${res.status} without a login`);
+  }
+});
+
+test('logout clears the cookie', async () => {
+  const browser = client(server.baseUrl);
+  await browser.login('U1', 'pw-user');
+
+  const res = await browser.get('/logout');
+  assert.equal(res.location, '/login');
+  assert.equal(browser.hasCookie(), false);
+  assert.equal((await browser.get('/dashboard/user')).location, '/login');
+});
+
+test('a user registers once, then logs in', async () => {
+  const browser = client(server.baseUrl);
+
+  const unknown = await browser.post('/register/check', { globalId: 'NOBODY' });
+  assert.ok(unknown.text.includes('Global ID not found'));
+
+  const check = await browser.post('/register/check', { globalId: 'NEW1' });
+  assert.equal(check.status, 200);
+  assert.ok(check.text.includes('NEW1'));
+
+  const complete = await browser.post('/register/complete', { globalId: 'NEW1', password: 'pw-new' });
+  assert.equal(complete.location, '/login');
+
+  const again = await browser.post('/register/complete', { globalId: 'NEW1', password: 'taken-over' });
+  assert.ok(again.text.includes('Registration is not open'));
+
+  const registered = await browser.post('/register/check', { globalId: 'NEW1' });
+  assert.ok(registered.text.includes('Already registered'));
+
+  const login = await browser.login('NEW1', 'pw-new');
+  assert.equal(login.location, '/dashboard/user');
+});
+
+test('a deactivated account can neither register nor keep using its token', async () => {
+  const check = await client(server.baseUrl).post('/register/check', { globalId: 'OFF1' });
+  assert.ok(check.text.includes('deactivated'));
+
+  await addUser({ globalId: 'GONE1', department: 'technician', location: 'Pune', password: 'pw-gone' });
+  const browser = client(server.baseUrl);
+  await browser.login('GONE1', 'pw-gone');
+  assert.equal((await browser.get('/dashboard/technician')).status, 200);
+
+  const admin = client(server.baseUrl);
+  await admin.login('A1', 'pw-admin');
+  const deactivate = await admin.post('/admin/users/GONE1/deactivate', {});
+  assert.equal(deactivate.status, 302);
+
+  const res = await browser.get('/dashboard/technician');
+  assert.equal(res.status, 401);
+  assert.equal(browser.hasCookie(), false);
+});
@@ -0,0 +1,49 @@
+// test/export.test.js
+// Ticket exports: CSV cells can't be run as formulas, and a cancelled download stops the export.
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { Writable } = require('node:stream');
+const { startServer, addUser, client } = require('./helpers');
+const { tableWriter } = require('../services/spreadsheet');
+const { parseCsv } = require('../services/csv');
+
+let server;
+const browsers = {};
+
+before(async () => {
+  server = await startServer();
+  await addUser({ globalId: 'U1', department: 'normal_user', location: 'Pune', password: 'pw' });
+  await addUser({ globalId: 'A1', department: 'admin', location: 'Pune', password: 'pw' });
+  for (const globalId of ['U1', 'A1']) {
+    browsers[globalId] = client(server.baseUrl);
+    await browsers[globalId].login(globalId, 'pw');
+  }
+});
+
+after(() => server.close());
+
+test('text that looks like a formula is exported as text', async () => {
+  const formula = '=HYPERLINK("http://evil.example","Click")';
+  await browsers.U1.post('/ticket/submit', { category: 'Other', description: formula });
+
+  const res = await browsers.A1.get('/admin/export?dataset=tickets&format=csv');
+  assert.equal(res.status, 200);
+  assert.ok(res.text.includes(`"'=HYPERLINK(""http://evil.example"",""Click"")"`), 'formula cell not guarded');
+
+  // and reads back as entered
+  const [header, row] = parseCsv(res.text);
+  assert.equal(row[header.indexOf('Description')], formula);
+});
+
+test('a cancelled download rejects the pending write instead of waiting for drain', async () => {
+  // A client that never reads: the first row fills the buffer
+  const res = new Writable({ highWaterMark: 1, write() {} });
+  res.setHeader = () => {};
+
+  const writer = tableWriter(res, 'csv', 'tickets', ['ID', 'Description']);
+  const pending = writer.write([1, 'x'.repeat(100)]);
+  res.destroy();
+
+  await assert.rejects(pending, err => err.cancelled === true);
+  await assert.rejects(writer.write([2, 'y']), err => err.cancelled === true);
+});
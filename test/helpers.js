@@ -0,0 +1,123 @@
+// test/helpers.js
+// Boots the app against a fresh in-memory SQLite database (schema from the migrations in sql/)
+// and gives each test a small HTTP client that keeps the login cookie like a browser.
+// Each test file runs in its own process (test/run.js), so each gets its own database.
+
+// Set before anything loads .env (dotenv keeps variables that are already set), so tests never
+// use the real secrets or mail server
+process.env.NODE_ENV = 'test';
+process.env.DB_CLIENT = 'sqlite';
+delete process.env.DB_FILE;
+process.env.JWT_SECRET = 'test-secret';
+for (const key of ['SMTP_HOST', 'SMTP_PORT', 'SMTP_SECURE', 'SMTP_USER', 'SMTP_PASS']) process.env[key] = '';
+
+const keys = require('web-push').generateVAPIDKeys();
+process.env.VAPID_PUBLIC_KEY = keys.publicKey;
+process.env.VAPID_PRIVATE_KEY = keys.privateKey;
+
+// Mail is kept here instead of sent (routes/forgot.js and the notification queue both use the transporter)
+const sentMail = [];
+require('../services/mailer').transporter.sendMail = async message => {
+  sentMail.push(message);
+  return { messageId: `test-${sentMail.length}` };
+};
+
+const bcrypt = require('bcrypt');
+const db = require('../db');
+const migrations = require('../db/migrations');
+
+/**
+ * startServer()
+ * Migrates the database and listens on a free port. Resolves to { baseUrl, close }.
+ */
+async function startServer() {
+  await migrations.migrateUp();
+  const app = require('../app');
+  const server = await new Promise(resolve => {
+    const s = app.listen(0, '127.0.0.1', () => resolve(s));
+  });
+  return {
+    baseUrl: `http://127.0.0.1:${server.address().port}`,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+/**
+ * addUser({ globalId, name, department, location, password, active, extraLocations })
+ * Inserts a user straight into the database. Without a password the user is unregistered.
+ */
+async function addUser({ globalId, name, department, location, password, active = true, extraLocations = [] }) {
+  const hash = password ? await bcrypt.hash(password, 4) : null;
+  await db.query(
+    `INSERT INTO users (global_id, name, email, department, location, password, is_active, created_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, GETDATE())`,
+    [globalId, name || globalId, `${globalId.toLowerCase()}@example.com`, department, location, hash, active]
+  );
+  for (const extra of extraLocations) {
+    await db.query('INSERT INTO user_locations (global_id, location, granted_by) VALUES (?, ?, ?)', [
+      globalId,
+      extra,
+      'test'
+    ]);
+  }
+}
+
+/**
+ * client(baseUrl)
+ * HTTP client that doesn't follow redirects and sends back the token cookie it was given.
+ * Responses are { status, location, text, json() }.
+ */
+function client(baseUrl) {
+  let cookie = null;
+
+  async function request(method, path, { form, json, headers = {} } = {}) {
+    const init = { method, redirect: 'manual', headers: { ...headers } };
+    if (cookie) init.headers.cookie = cookie;
+    if (form) init.body = new URLSearchParams(form);
+    if (json) {
+      init.body = JSON.stringify(json);
+      init.headers['content-type'] = 'application/json';
+    }
+
+    const res = await fetch(baseUrl + path, init);
+    const token = /(?:^|,\s*)token=([^;]*)/.exec(res.headers.get('set-cookie') || '');
+    if (token) cookie = token[1] ? `token=${token[1]}` : null;
+
+    const text = await res.text();
+    return {
+      status: res.status,
+      location: res.headers.get('location'),
+      text,
+      json: () => JSON.parse(text)
+    };
+  }
+
+  return {
+    get: (path, options) => request('GET', path, options),
+    post: (path, form, options) => request('POST', path, { ...options, form }),
+    request,
+    hasCookie: () => !!cookie,
+    async login(globalId, password) {
+      const res = await request('POST', '/login', { form: { globalId, password } });
+      if (res.status !== 302) throw new Error(`Login of ${globalId} failed (${res.status})`);
+      return res;
+    }
+  };
+}
+
+/**
+ * getTicket(id)
+ * The ticket row as stored.
+ */
+async function getTicket(id) {
+  const [rows] = await db.query('SELECT * FROM tickets WHERE id = ?', [id]);
+  return rows[0] || null;
+}
+
+// Id of the newest ticket raised by globalId
+async function lastTicketId(globalId) {
+  const [rows] = await db.query('SELECT TOP 1 id FROM tickets WHERE global_id = ? ORDER BY id DESC', [globalId]);
+  return rows[0]?.id;
+}
+
+module.exports = { startServer, addUser, client, getTicket, lastTicketId, sentMail };
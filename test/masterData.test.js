@@ -0,0 +1,52 @@
+// test/masterData.test.js
+// Versioned master data: each change is one version with its snapshot, and a change made
+// against an older version is refused without leaving anything behind.
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+require('./helpers');
+const db = require('../db');
+const migrations = require('../db/migrations');
+const masterData = require('../services/masterData');
+
+const LOCATION = 'Pune';
+const admin = { globalId: 'A1' };
+
+before(async () => {
+  await migrations.migrateUp();
+  await masterData.ensureSeeded(LOCATION);
+});
+
+async function versions() {
+  const [rows] = await db.query(
+    'SELECT version, snapshot FROM master_versions WHERE location = ? ORDER BY version',
+    [LOCATION]
+  );
+  return rows.map(row => ({ version: row.version, names: JSON.parse(row.snapshot).map(n => n.name) }));
+}
+
+test('add, rename, remove and roll back each save a version with its snapshot', async () => {
+  let version = await masterData.currentVersion(LOCATION);
+  const added = await masterData.addNode(LOCATION, { category: 'Facility', name: 'Bay 91' }, version, admin);
+  version = (await masterData.renameNode(LOCATION, added.id, 'Bay 92', added.version, admin)).version;
+  version = (await masterData.deleteNode(LOCATION, added.id, version, admin)).version;
+  version = (await masterData.rollback(LOCATION, added.version + 1, version, admin)).version;
+
+  const saved = (await versions()).slice(-4);
+  assert.deepEqual(saved.map(v => v.version), [added.version, added.version + 1, added.version + 2, version]);
+  assert.deepEqual(saved.map(v => v.names.includes('Bay 91') || v.names.includes('Bay 92')), [true, true, false, true]);
+  assert.deepEqual(saved[3].names, saved[1].names);
+});
+
+test('a change against an older version is refused and leaves nothing behind', async () => {
+  const version = await masterData.currentVersion(LOCATION);
+  const [first, second] = await Promise.allSettled([
+    masterData.addNode(LOCATION, { category: 'Facility', name: 'Bay 93' }, version, admin),
+    masterData.addNode(LOCATION, { category: 'Facility', name: 'Bay 94' }, version, admin)
+  ]);
+
+  assert.equal(first.status, 'fulfilled');
+  assert.equal(second.reason?.status, 409);
+  assert.equal(await masterData.currentVersion(LOCATION), version + 1);
+  const [rows] = await db.query('SELECT id FROM master_nodes WHERE location = ? AND name = ?', [LOCATION, 'Bay 94']);
+  assert.equal(rows.length, 0);
+});
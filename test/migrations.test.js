@@ -0,0 +1,69 @@
+// test/migrations.test.js
+// Schema migrations: each script and its schema_migrations row apply (or roll back) together.
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+require('./helpers');
+const db = require('../db');
+const migrations = require('../db/migrations');
+
+before(() => migrations.migrateUp());
+
+test('the latest migration reverts and applies again', async () => {
+  const latest = migrations.listMigrations().at(-1);
+
+  assert.deepEqual(await migrations.migrateDown(1), [latest.name]);
+  assert.deepEqual((await migrations.status()).pending.map(m => m.name), [latest.name]);
+
+  assert.deepEqual(await migrations.migrateUp(), [latest.name]);
+  await migrations.assertCurrent();
+});
+
+test('every migration but 001 reverts, and all apply again', async () => {
+  const [first, ...rest] = migrations.listMigrations();
+
+  await assert.rejects(migrations.migrateDown(Infinity), /001_initial_schema can't be reverted/);
+  assert.deepEqual((await migrations.status()).pending.map(m => m.name), rest.map(m => m.name));
+  await db.query('SELECT TOP 1 id FROM tickets');
+
+  assert.deepEqual(await migrations.migrateUp(), rest.map(m => m.name));
+  assert.equal((await migrations.status()).applied[0].name, first.name);
+});
+
+test('location access grants every location to the Pune admins already in users', async () => {
+  const later = migrations.listMigrations().filter(m => m.version >= 14);
+  await migrations.migrateDown(later.length);
+  await db.query("INSERT INTO users (global_id, name, department, location) VALUES ('PUNE-ADM', 'Pune Admin', 'admin', 'Pune')");
+  await db.query("INSERT INTO users (global_id, name, department, location) VALUES ('PUNE-TEC', 'Pune Tech', 'technician', 'Pune')");
+
+  assert.deepEqual(await migrations.migrateUp(), later.map(m => m.name));
+  const [rows] = await db.query("SELECT global_id, location FROM user_locations WHERE global_id LIKE 'PUNE-%'");
+  assert.deepEqual(rows, [{ global_id: 'PUNE-ADM', location: '*' }]);
+});
+
+test('a failed transaction leaves nothing behind', async () => {
+  await assert.rejects(
+    db.transaction(async tx => {
+      await tx.query('CREATE TABLE half_done (id INT NOT NULL)');
+      await tx.query('INSERT INTO half_done (id) VALUES (?)', [1]);
+      await tx.query('INSERT INTO no_such_table (id) VALUES (?)', [1]);
+    }),
+    /no_such_table/
+  );
+
+  await assert.rejects(db.query('SELECT id FROM half_done'), /no such table/);
+  const [rows] = await db.query('SELECT COUNT(*) AS n FROM schema_migrations');
+  assert.equal(rows[0].n, migrations.listMigrations().length);
+});
+
+test('queries outside a transaction wait for it to end', async () => {
+  let outside;
+  await db.transaction(async tx => {
+    await tx.query('CREATE TABLE staged (id INT NOT NULL)');
+    outside = db.query('SELECT COUNT(*) AS n FROM staged');
+    await tx.query('INSERT INTO staged (id) VALUES (?)', [1]);
+  });
+
+  const [rows] = await outside;
+  assert.equal(rows[0].n, 1);
+  await db.query('DROP TABLE staged');
+});
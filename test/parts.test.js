@@ -0,0 +1,239 @@
+// test/parts.test.js
+// Spare parts store: planners keep the stock, technicians book the parts they used when completing
+// a ticket, planners hear about parts at their reorder level, and usage adds up per building and asset.
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, addUser, client, getTicket, lastTicketId } = require('./helpers');
+const db = require('../db');
+
+let server;
+const browsers = {};
+let tree;
+
+before(async () => {
+  server = await startServer();
+  await addUser({ globalId: 'U1', department: 'normal_user', location: 'Pune', password: 'pw' });
+  await addUser({ globalId: 'T1', department: 'technician', location: 'Pune', password: 'pw' });
+  await addUser({ globalId: 'P1', department: 'planner', location: 'Pune', password: 'pw' });
+  await addUser({ globalId: 'P2', department: 'planner', location: 'Palwal', password: 'pw' });
+  await addUser({ globalId: 'A1', department: 'admin', location: 'Pune', password: 'pw' });
+
+  for (const globalId of ['U1', 'T1', 'P1', 'P2', 'A1']) {
+    browsers[globalId] = client(server.baseUrl);
+    await browsers[globalId].login(globalId, 'pw');
+  }
+  tree = (await browsers.U1.get('/api/master-data')).json().masterData;
+});
+
+after(() => server.close());
+
+// Adds a part to the Pune store as P1 and returns its row
+async function addPart(fields) {
+  const res = await browsers.P1.post('/parts', { location: 'Pune', ...fields });
+  assert.match(res.location, /message=/, `part refused: ${decodeURIComponent(res.location)}`);
+  return partRow(fields.part_no.toUpperCase());
+}
+
+async function partRow(partNo) {
+  const [rows] = await db.query('SELECT * FROM spare_parts WHERE location = ? AND part_no = ?', ['Pune', partNo]);
+  return rows[0];
+}
+
+// A breakdown ticket raised by U1, assigned to and started by T1. Returns the ticket row.
+async function ticketInProgress(fields = {}) {
+  const area = tree.Breakdown[0];
+  const res = await browsers.U1.post('/ticket/submit', {
+    category: 'Breakdown',
+    building_id: area.id,
+    area_id: area.children[0].id,
+    downtime_start: new Date(Date.now() - 3600e3).toISOString(),
+    description: 'Motor failed',
+    ...fields
+  });
+  assert.match(res.location, /message=/, decodeURIComponent(res.location));
+  const id = await lastTicketId('U1');
+  await browsers.P1.post('/planner/assign', { ticketId: id, executerId: 'T1' });
+  await browsers.T1.post('/technician/start', { ticketId: id });
+  return getTicket(id);
+}
+
+// The completion form as the technician card posts it, with [part, quantity] rows
+function completion(ticket, rows) {
+  const form = { ticketId: ticket.id, completion_note: 'Replaced', downtime_end: new Date().toISOString(), root_cause: 'Wear' };
+  rows.forEach(([part, quantity], i) => {
+    form[`parts[${i}][part_id]`] = part ? part.id : '';
+    form[`parts[${i}][quantity]`] = quantity;
+  });
+  return form;
+}
+
+test('planners keep the store; technicians look parts up', async () => {
+  const part = await addPart({ part_no: 'brg-6205', name: 'Ball bearing 6205', bin_location: 'R1-S2', on_hand: 10, reorder_level: 2, unit_cost: 150 });
+  assert.equal(part.part_no, 'BRG-6205');
+  assert.equal(Number(part.on_hand), 10);
+
+  const duplicate = await browsers.A1.post('/parts', { location: 'Pune', part_no: 'BRG-6205', name: 'Again' });
+  assert.match(decodeURIComponent(duplicate.location), /Part number BRG-6205 is already used in Pune/);
+
+  await browsers.P1.post(`/parts/${part.id}/receive`, { quantity: 5, unit_cost: 160, note: 'PO 42' });
+  assert.equal(Number((await partRow('BRG-6205')).on_hand), 15);
+  assert.equal(Number((await partRow('BRG-6205')).unit_cost), 160);
+
+  const count = await browsers.P1.post(`/parts/${part.id}/adjust`, { counted: 14 });
+  assert.match(count.location, /message=/);
+  const [moves] = await db.query('SELECT kind, quantity, note FROM stock_movements WHERE part_id = ? ORDER BY id', [part.id]);
+  assert.deepEqual(
+    moves.map(m => [m.kind, Number(m.quantity), m.note]),
+    [['receipt', 10, 'Opening stock'], ['receipt', 5, 'PO 42'], ['adjustment', -1, 'Stock take']]
+  );
+
+  const list = await browsers.T1.get('/parts');
+  assert.equal(list.status, 200);
+  assert.ok(list.text.includes('BRG-6205') && list.text.includes('R1-S2'));
+  assert.equal((await browsers.T1.get(`/parts/${part.id}`)).status, 200);
+
+  assert.equal((await browsers.T1.post(`/parts/${part.id}/receive`, { quantity: 1 })).status, 403);
+  assert.equal((await browsers.U1.get('/parts')).status, 403);
+  assert.match(decodeURIComponent((await browsers.P2.get(`/parts/${part.id}`)).location), /Spare part not found/);
+});
+
+test('completing a ticket takes the parts used out of stock, all or nothing', async () => {
+  const belt = await addPart({ part_no: 'BLT-A42', name: 'V-belt A42', on_hand: 4, unit_cost: 200 });
+  const fuse = await addPart({ part_no: 'FUS-10', name: 'Fuse 10A', unit: 'box', on_hand: 1, unit_cost: 50 });
+  const ticket = await ticketInProgress();
+
+  const card = await browsers.T1.get('/dashboard/technician');
+  assert.ok(card.text.includes('name="parts[0][part_id]"') && card.text.includes('BLT-A42 - V-belt A42'));
+
+  // One part short: nothing is taken and the ticket stays in progress
+  const short = await browsers.T1.post('/technician/complete', completion(ticket, [[belt, 2], [fuse, 3]]));
+  assert.equal(short.status, 400);
+  assert.match(short.text, /Only 1 box of FUS-10/);
+  assert.equal(Number((await partRow('BLT-A42')).on_hand), 4);
+  assert.equal((await getTicket(ticket.id)).status, 'In Progress');
+
+  const noPart = await browsers.T1.post('/technician/complete', completion(ticket, [[null, 1]]));
+  assert.match(noPart.text, /Pick the spare part/);
+
+  // Blank rows are skipped and the same part twice is added up
+  const done = await browsers.T1.post('/technician/complete', completion(ticket, [[belt, 1], [null, ''], [belt, 2], [fuse, 1]]));
+  assert.equal(done.status, 302);
+  assert.equal((await getTicket(ticket.id)).status, 'Resolved');
+  assert.equal(Number((await partRow('BLT-A42')).on_hand), 1);
+  assert.equal(Number((await partRow('FUS-10')).on_hand), 0);
+
+  const [moves] = await db.query(`SELECT part_id, quantity, unit_cost FROM stock_movements WHERE ticket_id = ? ORDER BY id`, [ticket.id]);
+  assert.deepEqual(moves.map(m => [m.part_id, Number(m.quantity), Number(m.unit_cost)]), [[belt.id, -3, 200], [fuse.id, -1, 50]]);
+});
+
+test('completing the same ticket twice takes its parts out once', async () => {
+  const seal = await addPart({ part_no: 'SEL-01', name: 'Shaft seal', on_hand: 10 });
+  const ticket = await ticketInProgress();
+
+  const form = completion(ticket, [[seal, 3]]);
+  assert.equal((await browsers.T1.post('/technician/complete', form)).status, 302);
+  const again = await browsers.T1.post('/technician/complete', form);
+  assert.equal(again.status, 409);
+
+  const token = (await client(server.baseUrl).request('POST', '/api/v1/auth/token', { json: { globalId: 'T1', password: 'pw' } })).json().token;
+  const api = await client(server.baseUrl).request('POST', `/api/v1/tickets/${ticket.id}/complete`, {
+    json: { completion_note: 'retry', downtime_end: new Date().toISOString(), root_cause: 'Wear', parts: [{ part_id: seal.id, quantity: 3 }] },
+    headers: { authorization: `Bearer ${token}` }
+  });
+  assert.equal(api.status, 409);
+
+  assert.equal(Number((await partRow('SEL-01')).on_hand), 7);
+  const [moves] = await db.query(`SELECT id FROM stock_movements WHERE ticket_id = ?`, [ticket.id]);
+  assert.equal(moves.length, 1);
+});
+
+test('a refused completion leaves the stock alone and raises no reorder alert', async () => {
+  const oring = await addPart({ part_no: 'ORG-01', name: 'O-ring', on_hand: 5, reorder_level: 2 });
+  const ticket = await ticketInProgress();
+
+  const form = completion(ticket, [[oring, 2]]);
+  assert.equal((await browsers.T1.post('/technician/complete', form)).status, 302);
+  assert.equal((await browsers.T1.post('/technician/complete', form)).status, 409);
+
+  const part = await partRow('ORG-01');
+  assert.equal(Number(part.on_hand), 3);
+  assert.equal(part.reorder_alerted_at, null);
+  const [alerts] = await db.query(`SELECT id FROM notifications WHERE event_type = 'parts_reorder' AND body LIKE '%ORG-01%'`);
+  assert.equal(alerts.length, 0);
+});
+
+test('parts only come out of the store of the ticket location', async () => {
+  const res = await browsers.P2.post('/parts', { location: 'Palwal', part_no: 'PLW-1', name: 'Palwal part', on_hand: 5 });
+  assert.match(res.location, /message=/);
+  const [[palwalPart]] = await db.query(`SELECT * FROM spare_parts WHERE part_no = 'PLW-1'`);
+
+  const ticket = await ticketInProgress();
+  const refused = await browsers.T1.post('/technician/complete', completion(ticket, [[palwalPart, 1]]));
+  assert.equal(refused.status, 400);
+  assert.match(refused.text, /not in the store of Pune/);
+});
+
+test('planners are told once when a part falls to its reorder level', async () => {
+  const filter = await addPart({ part_no: 'FLT-01', name: 'Oil filter', on_hand: 3, reorder_level: 2, reorder_qty: 10, unit_cost: 80 });
+  const alerts = async () => {
+    const [rows] = await db.query(`SELECT global_id, body FROM notifications WHERE event_type = 'parts_reorder' AND body LIKE '%FLT-01%'`);
+    return rows;
+  };
+
+  await browsers.T1.post('/technician/complete', completion(await ticketInProgress(), [[filter, 1]]));
+  const [first] = await alerts();
+  assert.equal(first.global_id, 'P1');
+  assert.match(first.body, /down to 2 pcs.*Reorder quantity: 10 pcs/);
+
+  await browsers.T1.post('/technician/complete', completion(await ticketInProgress(), [[filter, 1]]));
+  assert.equal((await alerts()).length, 1, 'still low: no second alert');
+
+  // Restocked above the level, the next shortage is announced again
+  await browsers.P1.post(`/parts/${filter.id}/receive`, { quantity: 10 });
+  assert.equal((await partRow('FLT-01')).reorder_alerted_at, null);
+  await browsers.P1.post(`/parts/${filter.id}/adjust`, { counted: 1 });
+  assert.equal((await alerts()).length, 2);
+
+  const list = await browsers.P1.get('/parts');
+  assert.match(list.text, /at or below their reorder level:[\s\S]*FLT-01/);
+});
+
+test('usage adds up per building and asset, in the report and the asset history', async () => {
+  const area = tree.Breakdown[0];
+  const machine = area.children[0];
+  const registered = await browsers.A1.post('/assets', { location: 'Pune', tag: 'MTR-01', name: 'Motor 1', node_id: machine.id });
+  assert.match(registered.location, /message=/);
+  const [[asset]] = await db.query(`SELECT * FROM assets WHERE tag = 'MTR-01'`);
+
+  const coupling = await addPart({ part_no: 'CPL-01', name: 'Coupling', on_hand: 10, unit_cost: 125.5 });
+  const ticket = await ticketInProgress({ asset_id: asset.id });
+  await browsers.T1.post('/technician/complete', completion(ticket, [[coupling, 2]]));
+
+  const report = await browsers.P1.get('/parts/report');
+  assert.equal(report.status, 200);
+  assert.ok(report.text.includes(ticket.building_no), 'building listed');
+  assert.ok(report.text.includes('MTR-01') && report.text.includes('251.00'));
+
+  const parts = require('../services/parts');
+  const today = new Date(new Date().toISOString().slice(0, 10));
+  const usage = await parts.usageReport('Pune', today, new Date(today.getTime() + 864e5));
+  const byAsset = usage.assets.find(a => a.asset_id === asset.id);
+  assert.deepEqual([byAsset.tickets, byAsset.cost], [1, 251]);
+  assert.ok(usage.buildings.some(b => b.building === ticket.building_no));
+
+  const history = await browsers.P1.get(`/assets/${asset.id}`);
+  assert.ok(history.text.includes('251.00'));
+});
+
+test('the JSON API books parts on completion', async () => {
+  const token = (await client(server.baseUrl).request('POST', '/api/v1/auth/token', { json: { globalId: 'T1', password: 'pw' } })).json().token;
+  const gasket = await addPart({ part_no: 'GSK-01', name: 'Gasket', on_hand: 5 });
+  const ticket = await ticketInProgress();
+
+  const res = await client(server.baseUrl).request('POST', `/api/v1/tickets/${ticket.id}/complete`, {
+    json: { completion_note: 'ok', downtime_end: new Date().toISOString(), root_cause: 'Leak', parts: [{ part_id: gasket.id, quantity: 2 }] },
+    headers: { authorization: `Bearer ${token}` }
+  });
+  assert.equal(res.status, 200);
+  assert.equal(Number((await partRow('GSK-01')).on_hand), 3);
+});
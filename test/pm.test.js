@@ -0,0 +1,164 @@
+// test/pm.test.js
+// Preventive maintenance: plans raise pre-assigned tickets ahead of their due date (time based)
+// or when a meter reading reaches them, and compliance counts them as on time / late / overdue.
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, addUser, client, getTicket } = require('./helpers');
+const db = require('../db');
+const pm = require('../services/pm');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let server;
+const browsers = {};
+let nodeId;
+
+before(async () => {
+  server = await startServer();
+  await addUser({ globalId: 'U1', department: 'normal_user', location: 'Pune', password: 'pw' });
+  await addUser({ globalId: 'T1', department: 'technician', location: 'Pune', password: 'pw' });
+  await addUser({ globalId: 'T2', department: 'technician', location: 'Palwal', password: 'pw' });
+  await addUser({ globalId: 'P1', department: 'planner', location: 'Pune', password: 'pw' });
+
+  for (const globalId of ['U1', 'T1', 'P1']) {
+    browsers[globalId] = client(server.baseUrl);
+    await browsers[globalId].login(globalId, 'pw');
+  }
+
+  // Facility > first building > first floor > first area of Pune
+  const { masterData } = (await browsers.P1.get('/api/master-data')).json();
+  nodeId = masterData.Facility[0].children[0].children[0].id;
+});
+
+after(() => server.close());
+
+async function createPlan(fields) {
+  const res = await browsers.P1.post('/pm/plans', { location: 'Pune', node_id: nodeId, assigned_to: 'T1', ...fields });
+  assert.match(res.location, /message=/, `plan refused: ${decodeURIComponent(res.location)}`);
+  const [rows] = await db.query('SELECT TOP 1 * FROM pm_plans ORDER BY id DESC');
+  return rows[0];
+}
+
+async function occurrences(planId) {
+  const [rows] = await db.query('SELECT * FROM pm_occurrences WHERE plan_id = ? ORDER BY due_at', [planId]);
+  return rows;
+}
+
+test('the plans page is for planners and admins only', async () => {
+  assert.equal((await browsers.P1.get('/pm')).status, 200);
+  assert.equal((await browsers.U1.get('/pm')).status, 403);
+  assert.equal((await browsers.T1.get('/pm/compliance')).status, 403);
+  assert.equal((await browsers.T1.post('/pm/plans', { title: 'x' })).status, 403);
+});
+
+test('invalid plans are refused', async () => {
+  const cases = [
+    [{ title: 'No node', node_id: '', recurrence: 'weekly', first_due: '2026-01-01' }, /Pick a location node/],
+    [{ title: 'No date', recurrence: 'weekly' }, /First due date is required/],
+    [{ title: 'Bad', recurrence: 'yearly', first_due: '2026-01-01' }, /Recurrence must be one of/],
+    [{ title: 'Meter', recurrence: 'meter', meter_unit: 'hours' }, /Meter plans need/],
+    [{ title: 'Elsewhere', recurrence: 'daily', first_due: '2026-01-01', assigned_to: 'T2' }, /does not work at Pune/]
+  ];
+  for (const [fields, error] of cases) {
+    const res = await browsers.P1.post('/pm/plans', { location: 'Pune', node_id: nodeId, ...fields });
+    assert.match(decodeURIComponent(res.location), error);
+  }
+  const other = await browsers.P1.post('/pm/plans', { location: 'Palwal', title: 'x', recurrence: 'daily' });
+  assert.match(decodeURIComponent(other.location), /No access to Palwal/);
+});
+
+test('a weekly plan raises its ticket lead days ahead, assigned, and moves on a week', async () => {
+  const dueIn = new Date(Date.now() + 2 * DAY_MS).toISOString().slice(0, 10);
+  const plan = await createPlan({ title: 'Fire extinguisher check', recurrence: 'weekly', first_due: dueIn, lead_days: 3 });
+
+  assert.equal(await pm.generateDue(), 1);
+  assert.equal(await pm.generateDue(), 0, 'the same occurrence was raised twice');
+
+  const [occurrence] = await occurrences(plan.id);
+  assert.equal(occurrence.due_at.toISOString().slice(0, 10), dueIn);
+  const ticket = await getTicket(occurrence.ticket_id);
+  assert.equal(ticket.category, 'Preventive');
+  assert.equal(ticket.status, 'Assigned');
+  assert.equal(ticket.assigned_to, 'T1');
+  assert.equal(ticket.location, 'Pune');
+  assert.equal(ticket.sub_area_node_id, nodeId);
+  assert.equal(ticket.due_date.getTime(), occurrence.due_at.getTime());
+  assert.match(ticket.description, /Fire extinguisher check/);
+
+  const [[updated]] = await db.query('SELECT next_due_at FROM pm_plans WHERE id = ?', [plan.id]);
+  assert.equal(updated.next_due_at.getTime() - occurrence.due_at.getTime(), 7 * DAY_MS);
+
+  const technician = await browsers.T1.get('/dashboard/technician');
+  assert.ok(technician.text.includes('Fire extinguisher check'));
+});
+
+test('a paused plan raises nothing', async () => {
+  const plan = await createPlan({ title: 'Paused daily', recurrence: 'daily', first_due: '2026-01-01' });
+  const pause = await browsers.P1.post(`/pm/plans/${plan.id}/deactivate`, { location: 'Pune' });
+  assert.match(pause.location, /message=/);
+
+  await pm.generateDue();
+  assert.equal((await occurrences(plan.id)).length, 0);
+
+  // Resumed, it skips the missed days instead of raising them all
+  const resume = await browsers.P1.post(`/pm/plans/${plan.id}/activate`, { location: 'Pune' });
+  assert.match(resume.location, /message=/);
+  const [[resumed]] = await db.query('SELECT next_due_at FROM pm_plans WHERE id = ?', [plan.id]);
+  assert.ok(resumed.next_due_at >= new Date(), `still due ${resumed.next_due_at.toISOString()}`);
+  assert.ok(resumed.next_due_at - new Date() <= DAY_MS);
+  assert.equal(resumed.next_due_at.getTime() % DAY_MS, 0, 'moved off the plan\'s days');
+});
+
+test('a meter reading reaching the due reading raises the ticket', async () => {
+  const plan = await createPlan({
+    title: 'Compressor service',
+    recurrence: 'meter',
+    meter_unit: 'hours',
+    meter_interval: 500,
+    first_due_meter: 500,
+    meter_lead: 50
+  });
+
+  await browsers.P1.post(`/pm/plans/${plan.id}/reading`, { location: 'Pune', reading: 400 });
+  assert.equal((await occurrences(plan.id)).length, 0);
+
+  const reached = await browsers.P1.post(`/pm/plans/${plan.id}/reading`, { location: 'Pune', reading: 460 });
+  assert.match(decodeURIComponent(reached.location), /1 ticket\(s\) raised/);
+  const [occurrence] = await occurrences(plan.id);
+  assert.equal(Number(occurrence.due_meter), 500);
+  assert.equal((await getTicket(occurrence.ticket_id)).assigned_to, 'T1');
+
+  const backwards = await browsers.P1.post(`/pm/plans/${plan.id}/reading`, { location: 'Pune', reading: 300 });
+  assert.match(decodeURIComponent(backwards.location), /can't be lower than the last one/);
+  const [[updated]] = await db.query('SELECT next_due_meter FROM pm_plans WHERE id = ?', [plan.id]);
+  assert.equal(Number(updated.next_due_meter), 1000);
+
+  const page = await browsers.P1.get('/pm');
+  assert.ok(page.text.includes('Compressor service') && page.text.includes('at 1000 hours'));
+});
+
+test('compliance counts on time, late and overdue occurrences', async () => {
+  const start = new Date(Date.now() - 3 * DAY_MS).toISOString().slice(0, 10);
+  const plan = await createPlan({ title: 'Daily walkround', recurrence: 'daily', first_due: start, lead_days: 1 });
+
+  // Due 3, 2 and 1 days ago, today (midnight, already past) and tomorrow
+  assert.equal(await pm.generateDue(), 5);
+  const [first, second] = await occurrences(plan.id);
+  await db.query(`UPDATE tickets SET status = 'Completed', completed_at = ? WHERE id = ?`, [
+    new Date(first.due_at.getTime() - 60 * 1000),
+    first.ticket_id
+  ]);
+  await db.query(`UPDATE tickets SET status = 'Resolved', completed_at = ? WHERE id = ?`, [
+    new Date(second.due_at.getTime() + DAY_MS),
+    second.ticket_id
+  ]);
+
+  const report = await pm.compliance('Pune', new Date(start), new Date(Date.now() + DAY_MS));
+  const row = report.plans.find(p => p.plan_id === plan.id);
+  assert.deepEqual([row.on_time, row.late, row.overdue, row.open], [1, 1, 2, 1]);
+  assert.equal(row.compliance_pct, 25);
+
+  const page = await browsers.P1.get(`/pm/compliance?location=Pune&from=${start}`);
+  assert.equal(page.status, 200);
+  assert.ok(page.text.includes('Daily walkround'));
+});
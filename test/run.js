@@ -0,0 +1,19 @@
+// test/run.js
+// Runs every test/*.test.js in its own node process, one after the other (npm test).
+// `node --test` is not used: on Node 20 it reads each file's results from the child's stdout and
+// fails the file when the app's console output lands next to a result in the same chunk.
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+
+const files = fs.readdirSync(__dirname).filter(name => name.endsWith('.test.js')).sort();
+const failed = files.filter(name => {
+  console.log(`\n▶ ${name}`);
+  const { status } = spawnSync(process.execPath, ['--test-reporter=spec', path.join(__dirname, name)], {
+    stdio: 'inherit'
+  });
+  return status !== 0;
+});
+
+console.log(failed.length ? `\n❌ Failed: ${failed.join(', ')}` : `\n✅ All ${files.length} test files passed`);
+process.exitCode = failed.length ? 1 : 0;
@@ -0,0 +1,269 @@
+// test/tickets.test.js
+// The ticket workflow through the dashboard forms and the JSON API:
+// submit -> assign -> start -> complete -> confirm / reopen, with the timeline it leaves.
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, addUser, client, getTicket, lastTicketId } = require('./helpers');
+const { commentRecipients } = require('../services/tickets');
+
+let server;
+const browsers = {};
+
+before(async () => {
+  server = await startServer();
+  await addUser({ globalId: 'U1', department: 'normal_user', location: 'Pune', password: 'pw' });
+  await addUser({ globalId: 'T1', department: 'technician', location: 'Pune', password: 'pw' });
+  await addUser({ globalId: 'P1', department: 'planner', location: 'Pune', password: 'pw' });
+
+  for (const globalId of ['U1', 'T1', 'P1']) {
+    browsers[globalId] = client(server.baseUrl);
+    await browsers[globalId].login(globalId, 'pw');
+  }
+});
+
+after(() => server.close());
+
+// First building > floor > area path and keyword of the Facility master data
+async function facilityFields(browser) {
+  const { masterData, keywords } = (await browser.get('/api/master-data')).json();
+  const building = masterData.Facility[0];
+  const floor = building.children[0];
+  const area = floor.children[0];
+  return {
+    category: 'Facility Service',
+    building_id: building.id,
+    area_id: floor.id,
+    sub_area_id: area.id,
+    keyword_id: keywords.Facility[0].id
+  };
+}
+
+async function submit(fields) {
+  const res = await browsers.U1.post('/ticket/submit', fields);
+  assert.equal(res.status, 302);
+  assert.match(res.location, /^\/dashboard\/user\?message=/, `submit refused: ${decodeURIComponent(res.location)}`);
+  return lastTicketId('U1');
+}
+
+async function resolvedTicket(description) {
+  const id = await submit({ category: 'Other', description });
+  await browsers.P1.post('/planner/assign', { ticketId: id, executerId: 'T1' });
+  await browsers.T1.post('/technician/start', { ticketId: id });
+  await browsers.T1.post('/technician/complete', { ticketId: id, completion_note: 'done' });
+  assert.equal((await getTicket(id)).status, 'Resolved');
+  return id;
+}
+
+test('a facility ticket goes from submit to confirmed', async () => {
+  const fields = await facilityFields(browsers.U1);
+  const id = await submit({ ...fields, description: 'Light not working' });
+
+  let ticket = await getTicket(id);
+  assert.equal(ticket.status, 'Open');
+  assert.equal(ticket.location, 'Pune');
+  assert.equal(ticket.building_node_id, fields.building_id);
+  assert.ok(ticket.priority, 'no priority set');
+  assert.ok(ticket.resolution_due_at instanceof Date, 'no SLA due time set');
+
+  const assign = await browsers.P1.post('/planner/assign', { ticketId: id, executerId: 'T1' });
+  assert.equal(assign.location, '/dashboard/planner');
+  ticket = await getTicket(id);
+  assert.equal(ticket.status, 'Assigned');
+  assert.equal(ticket.assigned_to, 'T1');
+  assert.equal(ticket.planner_id, 'P1');
+
+  const start = await browsers.T1.post('/technician/start', { ticketId: id });
+  assert.equal(start.location, '/dashboard/technician');
+  ticket = await getTicket(id);
+  assert.equal(ticket.status, 'In Progress');
+  assert.ok(ticket.started_at instanceof Date);
+
+  const complete = await browsers.T1.post('/technician/complete', { ticketId: id, completion_note: 'Replaced the tube' });
+  assert.equal(complete.location, '/dashboard/technician');
+  ticket = await getTicket(id);
+  assert.equal(ticket.status, 'Resolved');
+  assert.equal(ticket.completion_note, 'Replaced the tube');
+  assert.ok(ticket.completed_at instanceof Date);
+
+  const confirm = await browsers.U1.post(`/ticket/${id}/confirm`, {});
+  assert.match(confirm.location, /message=/);
+  ticket = await getTicket(id);
+  assert.equal(ticket.status, 'Completed');
+  assert.ok(ticket.closed_at instanceof Date);
+
+  const { events } = (await browsers.U1.get(`/ticket/${id}/events`)).json();
+  assert.deepEqual(
+    events.map(e => e.event_type),
+    ['created', 'assigned', 'started', 'completed', 'confirmed']
+  );
+
+  const dashboard = await browsers.U1.get('/dashboard/user');
+  assert.equal(dashboard.status, 200);
+  assert.ok(dashboard.text.includes('Light not working'));
+});
+
+test('SLA due times run from when the ticket was raised, on the database clock', async () => {
+  const id = await submit({ category: 'Other', description: 'Window stuck' });
+  const minutesAfterCreation = async () => {
+    const t = await getTicket(id);
+    return [t.response_due_at, t.resolution_due_at].map(due => Math.round((due - t.created_at) / 60e3));
+  };
+  assert.deepEqual(await minutesAfterCreation(), [8 * 60, 3 * 24 * 60]);
+
+  await browsers.P1.post('/planner/priority', { ticketId: id, priority: 'Critical' });
+  assert.deepEqual(await minutesAfterCreation(), [30, 4 * 60]);
+});
+
+test('a facility ticket without its location is refused', async () => {
+  const res = await browsers.U1.post('/ticket/submit', { category: 'Facility Service', description: 'Somewhere' });
+  assert.match(decodeURIComponent(res.location), /error=Missing required Facility Service fields/);
+});
+
+test('a breakdown needs downtime end and root cause to be completed', async () => {
+  const { masterData } = (await browsers.U1.get('/api/master-data')).json();
+  const area = masterData.Breakdown[0];
+  const downtimeStart = new Date(Date.now() - 2 * 60 * 60 * 1000).toISOString();
+  const id = await submit({
+    category: 'Breakdown',
+    building_id: area.id,
+    area_id: area.children[0].id,
+    downtime_start: downtimeStart,
+    description: 'Press stopped'
+  });
+  await browsers.P1.post('/planner/assign', { ticketId: id, executerId: 'T1' });
+
+  const missing = await browsers.T1.post('/technician/complete', { ticketId: id, completion_note: 'ok' });
+  assert.equal(missing.status, 400);
+  assert.equal((await getTicket(id)).status, 'Assigned');
+
+  const done = await browsers.T1.post('/technician/complete', {
+    ticketId: id,
+    completion_note: 'ok',
+    downtime_end: new Date().toISOString(),
+    root_cause: 'Worn bearing'
+  });
+  assert.equal(done.status, 302);
+  const ticket = await getTicket(id);
+  assert.equal(ticket.status, 'Resolved');
+  assert.equal(ticket.root_cause, 'Worn bearing');
+  assert.ok(ticket.downtime_end > ticket.downtime_start);
+});
+
+test('the raiser reopens a resolved ticket and it goes back to the technician', async () => {
+  const id = await resolvedTicket('Door squeaks');
+
+  const noReason = await browsers.U1.post(`/ticket/${id}/reopen`, { reason: ' ' });
+  assert.match(noReason.location, /error=/);
+
+  const reopen = await browsers.U1.post(`/ticket/${id}/reopen`, { reason: 'Still squeaks' });
+  assert.match(reopen.location, /message=/);
+  const ticket = await getTicket(id);
+  assert.equal(ticket.status, 'Assigned');
+  assert.equal(ticket.assigned_to, 'T1');
+  assert.equal(ticket.reopen_count, 1);
+
+  const again = await browsers.U1.post(`/ticket/${id}/confirm`, {});
+  assert.match(decodeURIComponent(again.location), /error=Only a resolved ticket can be confirmed/);
+});
+
+test('a resolved or closed ticket is not started or completed again', async () => {
+  const id = await resolvedTicket('Fan noisy');
+
+  const start = await browsers.T1.post('/technician/start', { ticketId: id });
+  assert.equal(start.status, 409);
+  assert.equal((await getTicket(id)).status, 'Resolved');
+
+  await browsers.U1.post(`/ticket/${id}/confirm`, {});
+  for (const path of ['/technician/complete', '/ticket/complete']) {
+    const res = await browsers.P1.post(path, { ticketId: id, completion_note: 'again' });
+    assert.equal(res.status, 409, `${path} re-completed a closed ticket`);
+  }
+  const ticket = await getTicket(id);
+  assert.equal(ticket.status, 'Completed');
+  assert.equal(ticket.completion_note, 'done');
+});
+
+test('/ticket/complete validates like the technician form', async () => {
+  const { masterData } = (await browsers.U1.get('/api/master-data')).json();
+  const area = masterData.Breakdown[0];
+  const id = await submit({
+    category: 'Breakdown',
+    building_id: area.id,
+    area_id: area.children[0].id,
+    downtime_start: new Date(Date.now() - 3600e3).toISOString(),
+    description: 'Conveyor stopped'
+  });
+  await browsers.P1.post('/planner/assign', { ticketId: id, executerId: 'T1' });
+
+  const missing = await browsers.P1.post('/ticket/complete', { ticketId: id });
+  assert.equal(missing.status, 400);
+  assert.equal((await getTicket(id)).status, 'Assigned');
+
+  const done = await browsers.P1.post('/ticket/complete', {
+    ticketId: id,
+    completion_note: 'Belt replaced',
+    downtime_end: new Date().toISOString(),
+    root_cause: 'Belt torn'
+  });
+  assert.equal(done.location, '/dashboard/planner');
+  assert.equal((await getTicket(id)).root_cause, 'Belt torn');
+});
+
+test('only the raiser confirms a resolved ticket', async () => {
+  const id = await resolvedTicket('Tap leaks');
+
+  const res = await browsers.P1.post(`/ticket/${id}/confirm`, {});
+  assert.match(decodeURIComponent(res.location), /error=Only the person who raised the ticket/);
+  assert.equal((await getTicket(id)).status, 'Resolved');
+});
+
+test('comments are shared between the raiser and the technician', async () => {
+  const id = await resolvedTicket('Chair broken');
+
+  const post = await browsers.U1.request('POST', `/ticket/${id}/comments`, { json: { body: 'Thanks!' } });
+  assert.equal(post.status, 200);
+  const empty = await browsers.U1.request('POST', `/ticket/${id}/comments`, { json: { body: '' } });
+  assert.equal(empty.status, 400);
+
+  const { comments } = (await browsers.T1.get(`/ticket/${id}/comments`)).json();
+  assert.deepEqual(comments.map(c => [c.author_id, c.body]), [['U1', 'Thanks!']]);
+});
+
+test('comments are announced to the ticket parties and the admins of its location', async () => {
+  await addUser({ globalId: 'A1', department: 'admin', location: 'Pune' });
+  await addUser({ globalId: 'A2', department: 'admin', location: 'Palwal' });
+  const ticket = await getTicket(await resolvedTicket('Window stuck'));
+
+  assert.deepEqual((await commentRecipients(ticket, { globalId: 'U1' })).sort(), ['A1', 'P1', 'T1']);
+  assert.deepEqual((await commentRecipients(ticket, { globalId: 'A1' })).sort(), ['P1', 'T1', 'U1']);
+});
+
+test('the JSON API runs the same workflow with bearer tokens', async () => {
+  const tokens = {};
+  for (const globalId of ['U1', 'T1', 'P1']) {
+    const res = await client(server.baseUrl).request('POST', '/api/v1/auth/token', { json: { globalId, password: 'pw' } });
+    assert.equal(res.status, 200);
+    tokens[globalId] = res.json().token;
+  }
+  const api = (globalId, method, path, json) =>
+    client(server.baseUrl).request(method, `/api/v1${path}`, {
+      json,
+      headers: { authorization: `Bearer ${tokens[globalId]}` }
+    });
+
+  const created = await api('U1', 'POST', '/tickets', { category: 'Other', description: 'Via API' });
+  assert.equal(created.status, 201);
+  const id = created.json().ticket.id;
+
+  assert.equal((await api('P1', 'POST', `/tickets/${id}/assign`, { assigned_to: 'T1' })).json().ticket.status, 'Assigned');
+  assert.equal((await api('T1', 'POST', `/tickets/${id}/start`)).json().ticket.status, 'In Progress');
+  assert.equal((await api('T1', 'POST', `/tickets/${id}/complete`, { completion_note: 'ok' })).json().ticket.status, 'Resolved');
+
+  const conflict = await api('T1', 'POST', `/tickets/${id}/confirm`);
+  assert.equal(conflict.status, 403);
+  assert.equal(conflict.json().error.code, 'forbidden');
+
+  assert.equal((await api('U1', 'POST', `/tickets/${id}/confirm`)).json().ticket.status, 'Completed');
+  const twice = await api('U1', 'POST', `/tickets/${id}/confirm`);
+  assert.equal(twice.status, 409);
+});